@@ -1,15 +1,82 @@
 #!/usr/bin/env node
 
 var optparse = require('optparse');
-var sys = require('sys');
 var fs  = require('fs');
 var path = require('path');
 var mime = require('mime');
 var diff = require('../lib/delta/diff');
+var bundle = require('../lib/delta/bundle');
+var prettyprint = require('../lib/delta/prettyprint');
+var htmlreport = require('../lib/delta/htmlreport');
 var profiles = require('../lib/profiles');
 var cmdutils = require('../lib/extra/cmdutils.js');
 
 var checkfile = cmdutils.checkfile;
+var checkdir = cmdutils.checkdir;
+
+/**
+ * Compare the files of two directory trees and return a patch bundle. Files
+ * are paired by their relative path, the document profile is chosen
+ * according to the mime type of each file. Files which fail to parse are
+ * reported and left out of the bundle.
+ */
+function diffDirectories(origdir, changeddir, diffProfile, deltaProfile, options) {
+    var result = new bundle.Bundle(options.patchtype),
+        origfiles = cmdutils.listFiles(origdir),
+        changedfiles = cmdutils.listFiles(changeddir),
+        paths;
+
+    paths = origfiles.concat(changedfiles.filter(function(relpath) {
+        return origfiles.indexOf(relpath) < 0;
+    })).sort();
+
+    paths.forEach(function(relpath) {
+        var payloadType = profiles.getPayloadType(mime.lookup(relpath)),
+            origfile = path.join(origdir, relpath),
+            changedfile = path.join(changeddir, relpath),
+            documentProfile, orig, changed, doc1, doc2, d;
+
+        if (origfiles.indexOf(relpath) >= 0 && changedfiles.indexOf(relpath) >= 0) {
+            orig = fs.readFileSync(origfile, options.origenc);
+            changed = fs.readFileSync(changedfile, options.changedenc);
+            if (orig === changed) {
+                return;
+            }
+        }
+
+        if (!payloadType) {
+            console.warn('Skipping ' + relpath + ': This file type is not supported by djdiff');
+        }
+        else if (changedfiles.indexOf(relpath) < 0) {
+            result.removeFile(relpath, fs.readFileSync(origfile, options.origenc));
+        }
+        else if (origfiles.indexOf(relpath) < 0) {
+            result.addFile(relpath, fs.readFileSync(changedfile, options.changedenc));
+        }
+        else {
+            documentProfile = profiles.getDocumentProfile(payloadType, {
+                'whitespace': options.whitespace,
+                'textdiff': options.textdiff
+            });
+            try {
+                doc1 = documentProfile.loadOriginalDocument(orig, origfile);
+                doc2 = documentProfile.loadInputDocument(changed, changedfile);
+            }
+            catch (err) {
+                // Compare the remaining files but do not exit with success
+                console.error('Failed to compare ' + relpath + ': ' + err.message);
+                process.exitCode = 1;
+                return;
+            }
+
+            d = new diff.Diff(diffProfile, documentProfile, deltaProfile);
+            result.modifyFile(relpath, payloadType,
+                    deltaProfile.serializeDocument(d.diff(doc1, doc2)));
+        }
+    });
+
+    return result;
+}
 
 /**
  * Parse options and command line arguments and initialize the diff algorithm
@@ -17,6 +84,10 @@ var checkfile = cmdutils.checkfile;
 function main() {
     var options = {
         'algo': 'skelmatch',
+        'maxnodes': undefined,
+        'lcs': undefined,
+        'lcsmaxcost': undefined,
+        'lcsbudget': undefined,
         'origfile': undefined,
         'origenc': 'UTF-8',
         'changedfile': undefined,
@@ -25,25 +96,43 @@ function main() {
         'patchfile': undefined,
         'patchenc': 'UTF-8',
         'patchtype': 'xml',
+        'whitespace': undefined,
+        'textdiff': undefined,
         'debug': false,
+        'format': 'delta',
+        'color': 'auto',
+        'recursive': false,
         'xmldocopt': false
     }
 
     var switches = [
         ['-h', '--help',    'Show this help'],
         ['-p', '--payload STRING', 'Specify payload type (xml or json, default: detect)'],
-        ['-g', '--algo STRING', 'Specify algorithm (skelmatch or xcc, default: skelmatch)'],
+        ['-g', '--algo STRING', 'Specify algorithm (skelmatch, xcc, gumtree or ted, default: skelmatch)'],
+        ['--max-nodes NUMBER', 'Use skelmatch for documents with more nodes (ted only, default: 500)'],
+        ['--lcs STRING',    'Specify LCS variant for leaves (myers, patience or histogram, default: myers)'],
+        ['--lcs-max-cost NUMBER', 'Stop searching for the optimal LCS after NUMBER edit operations (skelmatch and xcc only)'],
+        ['--lcs-budget MS', 'Stop searching for the optimal LCS after MS milliseconds (skelmatch and xcc only)'],
         ['-x', '--xml',     'Use XML patch format (default)'],
         ['-j', '--json',    'Use JSON patch format'],
+        ['--jsonpatch',     'Use RFC 6902 JSON Patch format (JSON documents only)'],
+        ['--xmlpatch',      'Use RFC 5261 XML Patch format (XML documents only)'],
+        ['--xupdate',       'Use XUpdate format (XML documents only)'],
+        ['-w', '--ignore-whitespace', 'Ignore whitespace-only text nodes (XML documents only)'],
+        ['--whitespace STRING', 'Specify whitespace policy (preserve, ignore or normalize, default: preserve)'],
+        ['--text-diff STRING', 'Record changes of texts inline using word or char tokens (XML documents only)'],
+        ['--format STRING', 'Specify output format (delta, pretty or html, default: delta)'],
+        ['--color STRING',  'Colorize pretty output (auto, always or never, default: auto)'],
+        ['-r', '--recursive', 'Compare two directories and write a patch bundle (xml and json patch formats only)'],
 //        ['--xmldocopt',     'Enable optimization for XML documents. Treat elements containing exactly one text node as a single unit.'],
         ['-d', '--debug',   'Log actions to console']
         ];
 
     var parser = new optparse.OptionParser(switches);
-    parser.banner = 'Usage: djdiff [options] FILE1 FILE2';
+    parser.banner = 'Usage: djdiff [options] FILE1 FILE2\n       djdiff [options] -r DIR1 DIR2';
 
     parser.on('help', function(name, value) {
-        sys.puts(parser.toString());
+        console.log(parser.toString());
     });
 
     parser.on('payload', function(name, value) {
@@ -54,6 +143,22 @@ function main() {
         options.algo=value;
     });
 
+    parser.on('max-nodes', function(name, value) {
+        options.maxnodes=value;
+    });
+
+    parser.on('lcs', function(name, value) {
+        options.lcs=value;
+    });
+
+    parser.on('lcs-max-cost', function(name, value) {
+        options.lcsmaxcost=value;
+    });
+
+    parser.on('lcs-budget', function(name, value) {
+        options.lcsbudget=value;
+    });
+
     parser.on('xml', function(name, value) {
         options.patchtype='xml';
     });
@@ -62,6 +167,42 @@ function main() {
         options.patchtype='json';
     });
 
+    parser.on('jsonpatch', function(name, value) {
+        options.patchtype='jsonpatch';
+    });
+
+    parser.on('xmlpatch', function(name, value) {
+        options.patchtype='xmlpatch';
+    });
+
+    parser.on('xupdate', function(name, value) {
+        options.patchtype='xupdate';
+    });
+
+    parser.on('ignore-whitespace', function(name, value) {
+        options.whitespace='ignore';
+    });
+
+    parser.on('whitespace', function(name, value) {
+        options.whitespace=value;
+    });
+
+    parser.on('text-diff', function(name, value) {
+        options.textdiff=value;
+    });
+
+    parser.on('format', function(name, value) {
+        options.format=value;
+    });
+
+    parser.on('color', function(name, value) {
+        options.color=value;
+    });
+
+    parser.on('recursive', function(name, value) {
+        options.recursive=true;
+    });
+
     parser.on('debug', function(name, value) {
         console.warn('debug enabled');
         options.debug=true;
@@ -90,7 +231,11 @@ function main() {
     var documentMimetype, documentPayloadType, diffProfile, documentProfile,
         deltaProfile;
 
-    if (!options.filetype) {
+    if (options.recursive) {
+        checkdir('original directory', options.origfile);
+        checkdir('changed directory', options.changedfile);
+    }
+    else if (!options.filetype) {
         documentMimetype = checkfile('original file', options.origfile,
                 documentMimetype);
         documentMimetype = checkfile('changed file', options.changedfile,
@@ -108,16 +253,58 @@ function main() {
     }
 
     // Setup algorithm profile
-    diffProfile = profiles.getDiffProfile(options.algo);
+    if (options.maxnodes && !(parseInt(options.maxnodes, 10) > 0)) {
+        console.error('The maximum number of nodes must be a positive number');
+        process.exit(1);
+    }
+
+    if (options.lcs &&
+            ['myers', 'patience', 'histogram'].indexOf(options.lcs) < 0) {
+        console.error('The LCS variant "' + options.lcs + '" is not supported by djdiff');
+        process.exit(1);
+    }
+
+    if (options.lcsmaxcost && !(parseInt(options.lcsmaxcost, 10) > 0)) {
+        console.error('The maximum LCS cost must be a positive number');
+        process.exit(1);
+    }
+
+    if (options.lcsbudget && !(parseInt(options.lcsbudget, 10) > 0)) {
+        console.error('The LCS budget must be a positive number');
+        process.exit(1);
+    }
+
+    diffProfile = profiles.getDiffProfile(options.algo, {
+        'maxNodes': parseInt(options.maxnodes, 10) || undefined,
+        'lcs': (options.lcs || options.lcsmaxcost || options.lcsbudget) ? {
+            'algorithm': options.lcs,
+            'maxCost': parseInt(options.lcsmaxcost, 10) || undefined,
+            'budget': parseInt(options.lcsbudget, 10) || undefined
+        } : undefined
+    });
     if (!diffProfile) {
         console.error('The specified algorithm is not supported');
         process.exit(1);
     }
 
-    // Setup input profile
-    documentProfile = profiles.getDocumentProfile(documentPayloadType);
-    if (!documentProfile) {
-        console.error('The file type "' + documentPayloadType + '" is not supported by djdiff');
+    if (options.whitespace &&
+            ['preserve', 'ignore', 'normalize'].indexOf(options.whitespace) < 0) {
+        console.error('The whitespace policy "' + options.whitespace + '" is not supported by djdiff');
+        process.exit(1);
+    }
+
+    if (options.textdiff && ['word', 'char'].indexOf(options.textdiff) < 0) {
+        console.error('The text diff granularity "' + options.textdiff + '" is not supported by djdiff');
+        process.exit(1);
+    }
+
+    if (['delta', 'pretty', 'html'].indexOf(options.format) < 0) {
+        console.error('The output format "' + options.format + '" is not supported by djdiff');
+        process.exit(1);
+    }
+
+    if (['auto', 'always', 'never'].indexOf(options.color) < 0) {
+        console.error('The color mode "' + options.color + '" is not supported by djdiff');
         process.exit(1);
     }
 
@@ -128,6 +315,49 @@ function main() {
         process.exit(1);
     }
 
+    // Compare directories
+    if (options.recursive) {
+        if (options.patchtype !== 'xml' && options.patchtype !== 'json') {
+            console.error('The patch type "' + options.patchtype + '" is not supported for directories');
+            process.exit(1);
+        }
+        if (options.format !== 'delta') {
+            console.error('The output format "' + options.format + '" is not supported for directories');
+            process.exit(1);
+        }
+
+        console.log(diffDirectories(options.origfile, options.changedfile,
+                    diffProfile, deltaProfile, options).serialize());
+        return;
+    }
+
+    // Setup input profile
+    documentProfile = profiles.getDocumentProfile(documentPayloadType, {
+        'whitespace': options.whitespace,
+        'textdiff': options.textdiff
+    });
+    if (!documentProfile) {
+        console.error('The file type "' + documentPayloadType + '" is not supported by djdiff');
+        process.exit(1);
+    }
+
+    if (options.patchtype === 'jsonpatch' && documentPayloadType !== 'json') {
+        console.error('The patch type "jsonpatch" only supports JSON documents');
+        process.exit(1);
+    }
+    if (options.patchtype === 'xmlpatch' && documentPayloadType !== 'xml') {
+        console.error('The patch type "xmlpatch" only supports XML documents');
+        process.exit(1);
+    }
+    if (options.patchtype === 'xupdate' && documentPayloadType !== 'xml') {
+        console.error('The patch type "xupdate" only supports XML documents');
+        process.exit(1);
+    }
+    if (options.format === 'html' && documentPayloadType !== 'xml') {
+        console.error('The output format "html" only supports XML documents');
+        process.exit(1);
+    }
+
     // Read input files
     var doc1 = documentProfile.loadOriginalDocument(
             fs.readFileSync(options.origfile, options.origenc),
@@ -141,7 +371,23 @@ function main() {
     var deltadoc = d.diff(doc1, doc2);
 
     // Write result to stdout
-    sys.puts(deltaProfile.serializeDocument(deltadoc));
+    if (options.format === 'pretty') {
+        var printer = new prettyprint.PrettyPrinter(
+                documentProfile.createNodeFormatter(), {
+                    'color': options.color === 'always' ||
+                        (options.color === 'auto' && !!process.stdout.isTTY)
+                });
+        console.log(printer.render(deltadoc, options.origfile, options.changedfile));
+    }
+    else if (options.format === 'html') {
+        var report = new htmlreport.HTMLReport(
+                documentProfile.createNodeFormatter());
+        console.log(report.render(deltadoc, doc1, doc2, options.origfile,
+                    options.changedfile));
+    }
+    else {
+        console.log(deltaProfile.serializeDocument(deltadoc));
+    }
 }
 
 main();
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+var optparse = require('optparse');
+var profiles = require('../lib/profiles');
+var gitdriver = require('../lib/extra/gitdriver');
+
+/**
+ * Parse options and command line arguments and run the requested command
+ */
+function main() {
+    var options = {
+        'algo': 'skelmatch',
+        'filetype': undefined,
+        'markers': 'pi',
+        'patchtype': 'xml',
+        'whitespace': undefined,
+        'diffProfile': undefined
+    }
+
+    var switches = [
+        ['-h', '--help',    'Show this help'],
+        ['-p', '--payload STRING', 'Specify payload type (xml or json, default: detect)'],
+        ['-g', '--algo STRING', 'Specify algorithm (skelmatch, xcc, gumtree or ted, default: skelmatch)'],
+        ['-j', '--json',    'Use JSON patch format for diffs'],
+        ['-m', '--markers STRING', 'Specify conflict markers for XML documents (pi or element, default: pi)'],
+        ['-w', '--ignore-whitespace', 'Ignore whitespace-only text nodes (XML documents only)'],
+        ['--whitespace STRING', 'Specify whitespace policy (preserve, ignore or normalize, default: preserve)']
+        ];
+
+    var parser = new optparse.OptionParser(switches), args, command, status;
+    parser.banner = 'Usage: djgit [options] diff PATH OLD-FILE OLD-HEX OLD-MODE NEW-FILE NEW-HEX NEW-MODE\n' +
+                    '       djgit [options] merge BASE OURS THEIRS [MARKER-SIZE [PATH]]';
+
+    parser.on('help', function(name, value) {
+        console.log(parser.toString());
+        process.exit(0);
+    });
+
+    parser.on('payload', function(name, value) {
+        options.filetype=value;
+    });
+
+    parser.on('algo', function(name, value) {
+        options.algo=value;
+    });
+
+    parser.on('json', function(name, value) {
+        options.patchtype='json';
+    });
+
+    parser.on('markers', function(name, value) {
+        options.markers=value;
+    });
+
+    parser.on('ignore-whitespace', function(name, value) {
+        options.whitespace='ignore';
+    });
+
+    parser.on('whitespace', function(name, value) {
+        options.whitespace=value;
+    });
+
+    args = parser.parse(process.argv).slice(2);
+    command = args.shift();
+
+    options.diffProfile = profiles.getDiffProfile(options.algo);
+    if (!options.diffProfile) {
+        console.error('The specified algorithm is not supported');
+        process.exit(2);
+    }
+
+    if (options.whitespace &&
+            ['preserve', 'ignore', 'normalize'].indexOf(options.whitespace) < 0) {
+        console.error('The whitespace policy "' + options.whitespace + '" is not supported by djgit');
+        process.exit(2);
+    }
+
+    if (['pi', 'element'].indexOf(options.markers) < 0) {
+        console.error('The conflict markers "' + options.markers + '" are not supported by djgit');
+        process.exit(2);
+    }
+
+    try {
+        switch (command) {
+            case 'diff':
+                status = gitdriver.diffCommand(args, options);
+                break;
+            case 'merge':
+                status = gitdriver.mergeCommand(args, options);
+                break;
+            default:
+                console.error('Unknown command. Use the -h switch for help.');
+                status = 2;
+        }
+    }
+    catch (err) {
+        console.error(err.message);
+        status = 2;
+    }
+
+    // Do not exit right away, pending output to stdout would get lost
+    process.exitCode = status;
+}
+
+main();
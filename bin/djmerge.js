@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+var optparse = require('optparse');
+var fs  = require('fs');
+var path = require('path');
+var mime = require('mime');
+var merge = require('../lib/delta/merge');
+var dommerge = require('../lib/delta/dommerge');
+var profiles = require('../lib/profiles');
+var cmdutils = require('../lib/extra/cmdutils.js');
+
+var checkfile = cmdutils.checkfile;
+
+/**
+ * Parse options and command line arguments and initialize the merge command
+ */
+function main() {
+    var options = {
+        'algo': 'skelmatch',
+        'basefile': undefined,
+        'baseenc': 'UTF-8',
+        'oursfile': undefined,
+        'oursenc': 'UTF-8',
+        'theirsfile': undefined,
+        'theirsenc': 'UTF-8',
+        'filetype': undefined,
+        'markers': 'pi',
+        'whitespace': undefined,
+        'debug': false
+    }
+
+    var switches = [
+        ['-h', '--help',    'Show this help'],
+        ['-p', '--payload STRING', 'Specify payload type (only xml, default: detect)'],
+        ['-g', '--algo STRING', 'Specify algorithm (skelmatch, xcc, gumtree or ted, default: skelmatch)'],
+        ['-m', '--markers STRING', 'Specify conflict markers (pi or element, default: pi)'],
+        ['-w', '--ignore-whitespace', 'Ignore whitespace-only text nodes'],
+        ['--whitespace STRING', 'Specify whitespace policy (preserve, ignore or normalize, default: preserve)'],
+        ['-d', '--debug',   'Log actions to console']
+        ];
+
+    var parser = new optparse.OptionParser(switches);
+    parser.banner = 'Usage: djmerge [options] BASE OURS THEIRS';
+
+    parser.on('help', function(name, value) {
+        console.log(parser.toString());
+    });
+
+    parser.on('payload', function(name, value) {
+        options.filetype=value;
+    });
+
+    parser.on('algo', function(name, value) {
+        options.algo=value;
+    });
+
+    parser.on('markers', function(name, value) {
+        options.markers=value;
+    });
+
+    parser.on('ignore-whitespace', function(name, value) {
+        options.whitespace='ignore';
+    });
+
+    parser.on('whitespace', function(name, value) {
+        options.whitespace=value;
+    });
+
+    parser.on('debug', function(name, value) {
+        console.warn('debug enabled');
+        options.debug=true;
+    });
+
+    parser.on(2, function(value) {
+        options.basefile=value
+    });
+
+    parser.on(3, function(value) {
+        options.oursfile=value
+    });
+
+    parser.on(4, function(value) {
+        options.theirsfile=value
+    });
+
+    parser.parse(process.argv);
+
+
+    // Check input files
+    var documentMimetype, documentPayloadType, diffProfile, documentProfile,
+        deltaProfile, resolverProfile, marker;
+
+    documentMimetype = checkfile('base file', options.basefile);
+    checkfile('our file', options.oursfile);
+    checkfile('their file', options.theirsfile);
+
+    if (!options.filetype) {
+        // Setup document payload handler and tree adapter
+        documentPayloadType = profiles.getPayloadType(documentMimetype);
+        if (!documentPayloadType) {
+            console.error('This file type is not supported by djmerge');
+            process.exit(1);
+        }
+    }
+    else {
+        documentPayloadType = options.filetype;
+    }
+
+    if (documentPayloadType !== 'xml') {
+        console.error('Conflict markers are only supported for XML documents');
+        process.exit(1);
+    }
+
+    // Setup algorithm profiles
+    diffProfile = profiles.getDiffProfile(options.algo);
+    if (!diffProfile) {
+        console.error('The specified algorithm is not supported');
+        process.exit(1);
+    }
+    resolverProfile = profiles.getResolverProfile();
+
+    if (options.whitespace &&
+            ['preserve', 'ignore', 'normalize'].indexOf(options.whitespace) < 0) {
+        console.error('The whitespace policy "' + options.whitespace + '" is not supported by djmerge');
+        process.exit(1);
+    }
+
+    // Setup input profile
+    documentProfile = profiles.getDocumentProfile(documentPayloadType, {
+        'whitespace': options.whitespace
+    });
+    if (!documentProfile) {
+        console.error('The file type "' + documentPayloadType + '" is not supported by djmerge');
+        process.exit(1);
+    }
+
+    // Setup delta profile
+    deltaProfile = profiles.getDeltaProfile(documentPayloadType);
+
+    // Setup conflict markers
+    switch (options.markers) {
+        case 'pi':
+            marker = new dommerge.PIConflictMarker();
+            break;
+        case 'element':
+            marker = new dommerge.ElementConflictMarker();
+            break;
+        default:
+            console.error('The conflict markers "' + options.markers + '" are not supported by djmerge');
+            process.exit(1);
+    }
+
+    // Read input files
+    var base = documentProfile.loadOriginalDocument(
+            fs.readFileSync(options.basefile, options.baseenc),
+            options.basefile);
+    var ours = documentProfile.loadOriginalDocument(
+            fs.readFileSync(options.oursfile, options.oursenc),
+            options.oursfile);
+    var theirs = documentProfile.loadInputDocument(
+            fs.readFileSync(options.theirsfile, options.theirsenc),
+            options.theirsfile);
+
+    // Run merge
+    var m = new merge.Merge(diffProfile, documentProfile, deltaProfile,
+            resolverProfile, marker);
+    var conflicts = m.merge(base, ours, theirs);
+
+    m.report.filter('failed').forEach(function(entry) {
+        console.warn('Failed to apply change number ' + entry.index + ': ' +
+            entry.operation);
+    });
+
+    // Write result to stdout
+    console.log(documentProfile.serializeDocument(ours));
+
+    // Do not exit right away, pending output to stdout would get lost
+    if (conflicts) {
+        console.warn(conflicts + ' conflict(s) found');
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -1,15 +1,143 @@
 #!/usr/bin/env node
 
 var optparse = require('optparse');
-var sys = require('sys');
 var fs  = require('fs');
 var path = require('path');
 var mime = require('mime');
 var patch = require('../lib/delta/patch');
+var bundle = require('../lib/delta/bundle');
 var profiles = require('../lib/profiles');
 var cmdutils = require('../lib/extra/cmdutils.js');
 
 var checkfile = cmdutils.checkfile;
+var checkdir = cmdutils.checkdir;
+
+/**
+ * Apply the changes recorded in a patch bundle to the files of a directory.
+ * Return a list of results, one for each file in the bundle. In dry run and
+ * check mode the changes are resolved but no file is touched.
+ */
+function patchDirectory(dir, patchbundle, resolverProfile, options) {
+    var deltaProfile = profiles.getDeltaProfile(patchbundle.patchtype),
+        inverse = {'added': 'removed', 'removed': 'added', 'modified': 'modified'},
+        dryrun = options.dryrun || options.check;
+
+    if (!deltaProfile) {
+        console.error('The patch type "' + patchbundle.patchtype + '" is not supported by djpatch');
+        process.exit(1);
+    }
+
+    return patchbundle.files.map(function(entry) {
+        var target = path.join(dir, entry.path),
+            change = options.reverse ? inverse[entry.status] : entry.status,
+            result = {'path': entry.path, 'change': change},
+            exists = fs.existsSync(target),
+            documentProfile, doc, deltadoc, p;
+
+        try {
+            if (change === 'added') {
+                if (exists && fs.readFileSync(target, options.origenc) !== entry.content) {
+                    throw new Error('File already exists');
+                }
+                if (!dryrun) {
+                    cmdutils.makeDirectories(path.dirname(target));
+                    fs.writeFileSync(target, entry.content, options.origenc);
+                }
+                result.status = 'applied';
+            }
+            else if (!exists) {
+                throw new Error('File does not exist');
+            }
+            else if (change === 'removed') {
+                if (fs.readFileSync(target, options.origenc) !== entry.content) {
+                    throw new Error('File was changed');
+                }
+                if (!dryrun) {
+                    fs.unlinkSync(target);
+                    cmdutils.removeEmptyDirectories(path.dirname(target), dir);
+                }
+                result.status = 'applied';
+            }
+            else {
+                documentProfile = profiles.getDocumentProfile(entry.payload, {
+                    'whitespace': options.whitespace
+                });
+                if (!documentProfile) {
+                    throw new Error('The file type "' + entry.payload + '" is not supported by djpatch');
+                }
+                doc = documentProfile.loadOriginalDocument(
+                        fs.readFileSync(target, options.origenc), target);
+                deltadoc = deltaProfile.loadDocument(entry.delta,
+                        documentProfile.createFragmentAdapter(patchbundle.patchtype),
+                        entry.path);
+
+                p = new patch.Patch(resolverProfile, documentProfile, deltaProfile);
+                if (options.reverse) {
+                    deltadoc = p.invert(doc, deltadoc);
+                }
+                if (dryrun) {
+                    p.resolve(doc, deltadoc);
+                }
+                else {
+                    p.patch(doc, deltadoc);
+                    fs.writeFileSync(target,
+                            documentProfile.serializeDocument(doc) + '\n',
+                            options.origenc);
+                }
+
+                result.report = deltadoc.report;
+                if (deltadoc.report.filter('failed').length) {
+                    result.status = 'failed';
+                    result.reason = 'Some changes could not be applied';
+                }
+                else if (deltadoc.report.filter('fuzzy').length) {
+                    result.status = 'fuzzy';
+                }
+                else {
+                    result.status = 'applied';
+                }
+            }
+        }
+        catch (err) {
+            result.status = 'failed';
+            result.reason = err.message;
+        }
+
+        return result;
+    });
+}
+
+/**
+ * Return the lines of a text report for the given patch report. Unless all is
+ * set, only failed operations and operations resolved below minquality are
+ * listed.
+ */
+function reportLines(report, all, minquality) {
+    var problems = report.problems(minquality);
+
+    return report.entries.filter(function(entry) {
+        return all || problems.indexOf(entry) >= 0;
+    }).map(function(entry) {
+        if (entry.status === 'failed') {
+            return 'Failed to apply change number ' + entry.index + ': ' +
+                entry.operation;
+        }
+        else if (problems.indexOf(entry) >= 0) {
+            return 'Change number ' + entry.index + ' resolved with quality ' +
+                entry.quality.toFixed(2) + ' below ' + minquality + ': ' +
+                entry.operation;
+        }
+        else if (entry.status === 'fuzzy') {
+            return 'Would apply change number ' + entry.index +
+                ' with offset ' + entry.offset + ' and quality ' +
+                entry.quality.toFixed(2) + ': ' + entry.operation;
+        }
+        else {
+            return 'Would apply change number ' + entry.index + ': ' +
+                entry.operation;
+        }
+    });
+}
 
 /**
  * Parse options and command line arguments and initialize the diff algorithm
@@ -18,13 +146,21 @@ function main() {
     var options = {
         'origfile': undefined,
         'origenc': 'UTF-8',
-//        'changedfile': undefined,
-//        'changedenc': 'UTF-8',
+        'changedfile': undefined,
+        'changedenc': 'UTF-8',
         'filetype': undefined,
         'patchfile': undefined,
         'patchenc': 'UTF-8',
         'radius': 6,
         'threshold': 0.7,
+        'patchtype': undefined,
+        'report': 'text',
+        'reverse': false,
+        'recursive': false,
+        'whitespace': undefined,
+        'dryrun': false,
+        'check': false,
+        'minquality': 0
     }
 
     var switches = [
@@ -32,15 +168,26 @@ function main() {
         ['-p', '--payload STRING', 'Specify payload type (xml or json, default: detect)'],
         ['-r', '--radius NUMBER',   'Search radius for fuzzy matching (default: 6)'],
         ['-t', '--threshold NUMBER','Threshold value for fuzzy matching (default: 0.7)'],
-//        ['-o', '--output FILE',     'Write output to file path'],
+        ['--jsonpatch',             'Patch file is a RFC 6902 JSON Patch document'],
+        ['--xmlpatch',              'Patch file is a RFC 5261 XML Patch document'],
+        ['--xupdate',               'Patch file is an XUpdate document'],
+        ['-R', '--reverse',         'Revert the changes of the patch file'],
+        ['--report STRING',         'Report format for resolved changes (text or json, default: text)'],
+        ['-w', '--ignore-whitespace', 'Ignore whitespace-only text nodes (XML documents only, required if the patch was created with djdiff -w)'],
+        ['--whitespace STRING',     'Specify whitespace policy (preserve, ignore or normalize, default: preserve). Must match the policy the patch was created with'],
+        ['--recursive',             'Apply a patch bundle produced by djdiff -r to a directory (no short form, -r is --radius)'],
+        ['-n', '--dry-run',         'Resolve the changes and report the outcome without patching'],
+        ['--check',                 'Exit with a non-zero status unless all changes apply cleanly, do not patch'],
+        ['--min-quality NUMBER',    'Exit with a non-zero status if a fuzzy match has a lower quality (default: 0)'],
+        ['-o', '--output FILE',     'Write output to file path (may be the original file)'],
         ['-d', '--debug',           'Log actions to console'],
         ];
 
     var parser = new optparse.OptionParser(switches);
-    parser.banner = 'Usage: djdiff [options] FILE PATCH';
+    parser.banner = 'Usage: djpatch [options] FILE PATCH\n       djpatch [options] --recursive DIR BUNDLE';
 
     parser.on('help', function(name, value) {
-        sys.puts(parser.toString());
+        console.log(parser.toString());
     });
 
     parser.on('payload', function(name, value) {
@@ -55,9 +202,53 @@ function main() {
         options.threshold=value;
     });
 
-//    parser.on('output', function(name, value) {
-//        options.changedfile=value
-//    });
+    parser.on('jsonpatch', function(name, value) {
+        options.patchtype='jsonpatch';
+    });
+
+    parser.on('xmlpatch', function(name, value) {
+        options.patchtype='xmlpatch';
+    });
+
+    parser.on('xupdate', function(name, value) {
+        options.patchtype='xupdate';
+    });
+
+    parser.on('reverse', function(name, value) {
+        options.reverse=true;
+    });
+
+    parser.on('report', function(name, value) {
+        options.report=value;
+    });
+
+    parser.on('recursive', function(name, value) {
+        options.recursive=true;
+    });
+
+    parser.on('ignore-whitespace', function(name, value) {
+        options.whitespace='ignore';
+    });
+
+    parser.on('whitespace', function(name, value) {
+        options.whitespace=value;
+    });
+
+    parser.on('dry-run', function(name, value) {
+        options.dryrun=true;
+    });
+
+    parser.on('check', function(name, value) {
+        options.check=true;
+    });
+
+    parser.on('min-quality', function(name, value) {
+        options.minquality=Number(value);
+    });
+
+    parser.on('output', function(name, value) {
+        options.changedfile=value
+    });
 
     parser.on(2, function(value) {
         options.origfile=value
@@ -72,9 +263,13 @@ function main() {
 
     // Check input files
     var documentMimetype, patchMimetype, documentPayloadType, patchPayloadType,
-        resolverProfile, documentProfile, deltaProfile;
+        resolverProfile, documentProfile, deltaProfile, patchbundle, results,
+        report;
 
-    if (!options.filetype) {
+    if (options.recursive) {
+        checkdir('directory', options.origfile);
+    }
+    else if (!options.filetype) {
         documentMimetype = checkfile('original file', options.origfile);
 
         // Setup document payload handler and tree adapter
@@ -89,7 +284,7 @@ function main() {
     }
 
     patchMimetype = checkfile('patch file', options.patchfile);
-    patchPayloadType = profiles.getPayloadType(patchMimetype);
+    patchPayloadType = options.patchtype || profiles.getPayloadType(patchMimetype);
 
 
     // Setup algorithm profile
@@ -99,8 +294,84 @@ function main() {
         process.exit(1);
     }
 
+    if (options.whitespace &&
+            ['preserve', 'ignore', 'normalize'].indexOf(options.whitespace) < 0) {
+        console.error('The whitespace policy "' + options.whitespace + '" is not supported by djpatch');
+        process.exit(1);
+    }
+
+    if (options.report !== 'text' && options.report !== 'json') {
+        console.error('The report format "' + options.report + '" is not supported by djpatch');
+        process.exit(1);
+    }
+
+    if (isNaN(options.minquality) || options.minquality < 0 || options.minquality > 1) {
+        console.error('The minimal quality must be a number between 0 and 1');
+        process.exit(1);
+    }
+
+    if (options.recursive && options.changedfile) {
+        console.error('The output file cannot be specified together with --recursive');
+        process.exit(1);
+    }
+
+    // Dry runs report to stdout, otherwise stdout is reserved for the result
+    report = function(text) {
+        if (options.dryrun) {
+            console.log(text);
+        }
+        else {
+            console.warn(text);
+        }
+    };
+
+    // Patch directory
+    if (options.recursive) {
+        try {
+            patchbundle = bundle.loadBundle(
+                    fs.readFileSync(options.patchfile, options.patchenc),
+                    options.patchfile);
+        }
+        catch (err) {
+            console.error(err.message);
+            process.exit(1);
+        }
+
+        results = patchDirectory(options.origfile, patchbundle,
+                resolverProfile, options);
+
+        // Report results
+        if (options.report === 'json') {
+            report(JSON.stringify(results, null, 2));
+        }
+        else {
+            results.forEach(function(result) {
+                report(result.status + ' ' + result.change + ' ' +
+                    result.path + (result.reason ? ': ' + result.reason : ''));
+                if (result.report) {
+                    reportLines(result.report, options.dryrun,
+                            options.minquality).forEach(function(line) {
+                        report('  ' + line);
+                    });
+                }
+            });
+        }
+
+        // Do not exit right away, pending output to stdout would get lost
+        if (results.some(function(result) {
+                    return result.status === 'failed' || (result.report &&
+                        result.report.problems(options.minquality).length);
+                })) {
+            process.exitCode = 1;
+        }
+
+        return;
+    }
+
     // Setup input profile
-    documentProfile = profiles.getDocumentProfile(documentPayloadType);
+    documentProfile = profiles.getDocumentProfile(documentPayloadType, {
+        'whitespace': options.whitespace
+    });
     if (!documentProfile) {
         console.error('The file type "' + documentPayloadType + '" is not supported by djdiff');
         process.exit(1);
@@ -123,10 +394,51 @@ function main() {
             fragadapter, options.patchfile);
 
     var p = new patch.Patch(resolverProfile, documentProfile, deltaProfile);
-    p.patch(doc, deltadoc);
+
+    if (options.reverse) {
+        try {
+            deltadoc = p.invert(doc, deltadoc);
+        }
+        catch (err) {
+            console.error('Failed to reverse the patch: ' + err.message);
+            process.exit(1);
+        }
+    }
+
+    if (options.dryrun || options.check) {
+        p.resolve(doc, deltadoc);
+    }
+    else {
+        p.patch(doc, deltadoc);
+    }
+
+    // Report resolved changes
+    if (options.report === 'json') {
+        report(JSON.stringify(deltadoc.report, null, 2));
+    }
+    else {
+        reportLines(deltadoc.report, options.dryrun,
+                options.minquality).forEach(function(line) {
+            report(line);
+        });
+    }
 
     // Serialize tree
-    sys.puts(documentProfile.serializeDocument(doc));
+    if (!options.dryrun && !options.check) {
+        if (options.changedfile) {
+            fs.writeFileSync(options.changedfile,
+                    documentProfile.serializeDocument(doc) + '\n',
+                    options.changedenc);
+        }
+        else {
+            console.log(documentProfile.serializeDocument(doc));
+        }
+    }
+
+    // Do not exit right away, pending output to stdout would get lost
+    if (deltadoc.report.problems(options.minquality).length) {
+        process.exitCode = 1;
+    }
 }
 
 main();
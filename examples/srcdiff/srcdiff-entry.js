@@ -5,56 +5,29 @@ var deltaProfile = require('./lib/profiles/delta-tree-xml');
 
 var diff = require('./lib/delta/diff');
 
-var da = require('./docannotator');
+var deltamod = require('./lib/delta/delta');
+var da = require('./lib/delta/docannotator');
 var style_html = require('./beautify-html').style_html;
 
 /**
- * Annotate source tree by injecting comments into the underlying DOM
+ * Annotate source tree by injecting comments into the underlying DOM.
+ * Removed nodes are highlighted in the original document, inserted nodes in
+ * the changed document.
  */
-function annotate_source(doc, matching, invert) {
-    var collector = deltaProfile.createCollector(delta, doc,
-            docProfile.createNodeEqualityTest(doc, doc));
-    var domdoc = doc.tree.data.ownerDocument;
-    var annotator = new da.DocumentAnnotator(domdoc);
-    var excludes = [];
+function annotate_source(doc, delta, changed) {
+    var annotator = new da.DocumentAnnotator(doc.data);
 
-    
-    //collector.forEachChange(function(type, path, par, remove, insert) {
-    collector.forEachChange(function(op) {
-        var deep = (op.type === 2),
-        i, nodes, dompar, before, ancestors;
+    delta.attached.forEach(function(op) {
+        var nodes = changed ? op.insert : op.remove;
 
-    if (op.anchor.base) {
-        dompar = op.anchor.base.data;
-        before = op.anchor.target;
-        before = before && before.data;
-    }
-    else {
-        dompar = domdoc;
-        before = doc.tree.data;
-    }
-
-    for (nodes = [], i = 0; i < op.remove.length; i++) {
-        nodes.push(op.remove[i].data.cloneNode(deep));
-    }
-    annotator.wrap(dompar, before, nodes,
-        '<span class="change change-remove">', '</span>');
-
-    for (nodes = [], i = 0; i < op.insert.length; i++) {
-        nodes.push(domdoc.importNode(op.insert[i].data, deep));
-    }
-    annotator.wrap(dompar, before, nodes,
-            '<span class="change change-insert">', '</span>');
-
-    for (nodes = [], i = 0; i < op.remove.length; i++) {
-        excludes.push([op.remove[i].data, deep]);
-    }
+        if (op.type === deltamod.UPDATE_FOREST_TYPE && nodes.length) {
+            annotator.wrap(nodes.map(function(node) {
+                return node.data;
+            }), changed ? '<span class="change change-insert">' :
+                '<span class="change change-remove">', '</span>');
+        }
     });
 
-    for (var i = 0; i < excludes.length; i++) {
-        annotator.exclude.apply(annotator, excludes[i]);
-    }
-
     return annotator.toHTML();
 }
 
@@ -65,8 +38,8 @@ function refresh() {
 
         $('#patch > pre').text(style_html(deltaProfile.serializeDocument(delta)));
 
-        doc1.ansrc = annotate_source(doc1, delta.matching, false);
-        doc2.ansrc = annotate_source(doc2, delta.matching, true);
+        doc1.ansrc = annotate_source(doc1, delta, false);
+        doc2.ansrc = annotate_source(doc2, delta, true);
     }
     $('#src1 > pre').html(doc1.ansrc);
     $('#src2 > pre').html(doc2.ansrc);
@@ -0,0 +1,327 @@
+/**
+ * @fileoverview    Patience and histogram variants of the longest common
+ *                  subsequence search.
+ *
+ * Myers algorithm finds a longest common subsequence, but it happily aligns
+ * symbols which are equal by accident, e.g. blank text nodes or repeated line
+ * breaks. The variants implemented here first anchor on symbols which are
+ * rare in both sequences and run Myers algorithm only on the regions between
+ * the anchors. The result is a common subsequence which is easier to read,
+ * but not necessarily the longest one.
+ *
+ * @see:
+ * * http://bramcohen.livejournal.com/73318.html
+ * * https://git-scm.com/docs/diff-options#Documentation/diff-options.txt---histogram
+ */
+
+/** @ignore */
+var lcs = require('./lcs');
+
+
+/**
+ * Create a new instance of the anchored LCS implementation.
+ *
+ * The following options are recognized:
+ *
+ * algorithm
+ *      Either ``patience`` (default) or ``histogram``. Patience diff anchors
+ *      on symbols occuring exactly once in both sequences, histogram diff on
+ *      the longest run of equal symbols around the least frequent symbol.
+ *
+ * maxCost, budget
+ *      Passed to the Myers LCS which is run between the anchors.
+ *
+ * Symbols are only used as anchors if a key can be computed for them. Keys of
+ * strings and numbers are the symbols themselves, use hasha and hashb for
+ * other types.
+ *
+ * @param a         The first sequence
+ * @param b         The second sequence
+ * @param [options] Options
+ *
+ * @constructor
+ */
+function AnchoredLCS(a, b, options) {
+    this.a = a;
+    this.b = b;
+    this.options = options || {};
+
+    // Optional functions returning a key for members of sequence a and b
+    // respectively. Members considered equal must share the same key.
+    this.hasha = undefined;
+    this.hashb = undefined;
+}
+
+
+/**
+ * Maximum number of occurences of a symbol in sequence a still considered by
+ * the histogram algorithm.
+ */
+AnchoredLCS.prototype.maxChainLength = 64;
+
+
+/**
+ * Default equality test. Override this method if your sequences contain
+ * special things.
+ */
+AnchoredLCS.prototype.equals = function(a, b) {
+    return (a === b);
+};
+
+
+/**
+ * Call a callback for each symbol which is part of the common subsequence
+ * between A and B. Same interface as LCS.forEachCommonSymbol.
+ *
+ * @param callback  A function(x, y) called for A[x] and B[y] for symbols
+ *                  taking part in the common subsequence.
+ * @param T         Context object bound to "this" when the callback is
+ *                  invoked.
+ *
+ * @returns         The number of symbols not taking part in the common
+ *                  subsequence.
+ */
+AnchoredLCS.prototype.forEachCommonSymbol = function(callback, T) {
+    var common = 0;
+
+    this.align(0, this.a.length, 0, this.b.length, function(x, y) {
+        common++;
+        callback.call(T, x, y);
+    });
+
+    return this.a.length + this.b.length - 2 * common;
+};
+
+
+/**
+ * Internal use. Report common symbols between a[x0..x1) and b[y0..y1) in
+ * ascending order.
+ */
+AnchoredLCS.prototype.align = function(x0, x1, y0, y1, callback) {
+    var suffix = 0, anchors, i;
+
+    // Strip common prefix and suffix.
+    while (x0 < x1 && y0 < y1 && this.equals(this.a[x0], this.b[y0])) {
+        callback(x0++, y0++);
+    }
+    while (x0 < x1 && y0 < y1 &&
+            this.equals(this.a[x1 - 1], this.b[y1 - 1])) {
+        x1--;
+        y1--;
+        suffix++;
+    }
+
+    if (x0 < x1 && y0 < y1) {
+        if (this.options.algorithm === 'histogram') {
+            anchors = this.histogramAnchors(x0, x1, y0, y1);
+        }
+        else {
+            anchors = this.patienceAnchors(x0, x1, y0, y1);
+        }
+
+        if (anchors.length === 0) {
+            this.fallback(x0, x1, y0, y1, callback);
+        }
+        else {
+            // Each anchor is a run of equal symbols [x, y, length]
+            anchors.forEach(function(run) {
+                this.align(x0, run[0], y0, run[1], callback);
+                for (i = 0; i < run[2]; i++) {
+                    callback(run[0] + i, run[1] + i);
+                }
+                x0 = run[0] + run[2];
+                y0 = run[1] + run[2];
+            }, this);
+            this.align(x0, x1, y0, y1, callback);
+        }
+    }
+
+    for (i = 0; i < suffix; i++) {
+        callback(x1 + i, y1 + i);
+    }
+};
+
+
+/**
+ * Internal use. Return the key of the given symbol or undefined if none can
+ * be computed.
+ */
+AnchoredLCS.prototype.key = function(symbol, hash) {
+    if (hash) {
+        return '$' + hash(symbol);
+    }
+    else if (typeof symbol === 'string' || typeof symbol === 'number') {
+        return '$' + symbol;
+    }
+};
+
+
+/**
+ * Internal use. Return an object mapping the keys of the symbols in
+ * a[x0..x1) to the positions where they occur in a and b. Only symbols
+ * occuring in a are taken into account.
+ */
+AnchoredLCS.prototype.classify = function(x0, x1, y0, y1) {
+    var result = {}, key, x, y;
+
+    for (x = x0; x < x1; x++) {
+        key = this.key(this.a[x], this.hasha);
+        if (typeof key !== 'undefined') {
+            if (!result.hasOwnProperty(key)) {
+                result[key] = {'xs': [], 'ys': []};
+            }
+            result[key].xs.push(x);
+        }
+    }
+
+    for (y = y0; y < y1; y++) {
+        key = this.key(this.b[y], this.hashb);
+        if (typeof key !== 'undefined' && result.hasOwnProperty(key)) {
+            result[key].ys.push(y);
+        }
+    }
+
+    return result;
+};
+
+
+/**
+ * Internal use. Return the longest ascending sequence of pairs of symbols
+ * occuring exactly once in a[x0..x1) and b[y0..y1).
+ */
+AnchoredLCS.prototype.patienceAnchors = function(x0, x1, y0, y1) {
+    var classes = this.classify(x0, x1, y0, y1), pairs = [], piles = [],
+        result = [], key, pair, lo, hi, mid;
+
+    for (key in classes) {
+        if (classes.hasOwnProperty(key) && classes[key].xs.length === 1 &&
+                classes[key].ys.length === 1 &&
+                this.equals(this.a[classes[key].xs[0]],
+                    this.b[classes[key].ys[0]])) {
+            pairs.push([classes[key].xs[0], classes[key].ys[0], 1]);
+        }
+    }
+
+    pairs.sort(function(p, q) {
+        return p[0] - q[0];
+    });
+
+    // Patience sorting: Put each pair onto the leftmost pile whose top has a
+    // greater position in b, remember the top of the pile to the left.
+    pairs.forEach(function(pair) {
+        lo = 0;
+        hi = piles.length;
+        while (lo < hi) {
+            mid = (lo + hi) >> 1;
+            if (piles[mid][1] < pair[1]) {
+                lo = mid + 1;
+            }
+            else {
+                hi = mid;
+            }
+        }
+        pair.prev = lo > 0 ? piles[lo - 1] : undefined;
+        piles[lo] = pair;
+    });
+
+    for (pair = piles[piles.length - 1]; pair; pair = pair.prev) {
+        result.unshift(pair);
+    }
+
+    return result;
+};
+
+
+/**
+ * Internal use. Return the longest run of equal symbols in a[x0..x1) and
+ * b[y0..y1) containing an occurence of the least frequent symbol.
+ */
+AnchoredLCS.prototype.histogramAnchors = function(x0, x1, y0, y1) {
+    var classes = this.classify(x0, x1, y0, y1), min = Infinity, best,
+        key, s, e;
+
+    for (key in classes) {
+        if (classes.hasOwnProperty(key) && classes[key].ys.length > 0 &&
+                classes[key].xs.length < min) {
+            min = classes[key].xs.length;
+        }
+    }
+
+    if (min > this.maxChainLength) {
+        return [];
+    }
+
+    for (key in classes) {
+        if (!classes.hasOwnProperty(key) || classes[key].xs.length !== min ||
+                classes[key].ys.length === 0) {
+            continue;
+        }
+        classes[key].xs.forEach(function(x) {
+            classes[key].ys.forEach(function(y) {
+                if (!this.equals(this.a[x], this.b[y])) {
+                    return;
+                }
+                s = 0;
+                while (x - s > x0 && y - s > y0 &&
+                        this.equals(this.a[x - s - 1], this.b[y - s - 1])) {
+                    s++;
+                }
+                e = 1;
+                while (x + e < x1 && y + e < y1 &&
+                        this.equals(this.a[x + e], this.b[y + e])) {
+                    e++;
+                }
+                if (!best || s + e > best[2]) {
+                    best = [x - s, y - s, s + e];
+                }
+            }, this);
+        }, this);
+    }
+
+    return best ? [best] : [];
+};
+
+
+/**
+ * Internal use. Run Myers algorithm over a[x0..x1) and b[y0..y1).
+ */
+AnchoredLCS.prototype.fallback = function(x0, x1, y0, y1, callback) {
+    var inner = new lcs.LCS(
+            Array.prototype.slice.call(this.a, x0, x1),
+            Array.prototype.slice.call(this.b, y0, y1), this.options);
+
+    inner.equals = this.equals;
+    inner.hasha = this.hasha;
+    inner.hashb = this.hashb;
+    inner.forEachCommonSymbol(function(x, y) {
+        callback(x0 + x, y0 + y);
+    });
+};
+
+
+/**
+ * Return a new LCS instance for the sequences a and b. Depending on the
+ * property ``algorithm`` of the options (``myers``, ``patience`` or
+ * ``histogram``) either an LCS or an AnchoredLCS instance is returned.
+ *
+ * @param a         The first sequence
+ * @param b         The second sequence
+ * @param [options] Options passed to the constructor
+ */
+function createLCS(a, b, options) {
+    var algorithm = options && options.algorithm;
+
+    if (!algorithm || algorithm === 'myers') {
+        return new lcs.LCS(a, b, options);
+    }
+    else if (algorithm === 'patience' || algorithm === 'histogram') {
+        return new AnchoredLCS(a, b, options);
+    }
+    else {
+        throw new Error('Unknown LCS algorithm: ' + algorithm);
+    }
+}
+
+
+exports.AnchoredLCS = AnchoredLCS;
+exports.createLCS = createLCS;
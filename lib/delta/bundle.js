@@ -0,0 +1,161 @@
+/**
+ * @fileoverview    Patch bundles recording the changes between two directory
+ *                  trees.
+ *
+ * A bundle lists every file which was added, removed or modified. Added and
+ * removed files carry their whole content, modified files the serialized
+ * delta document produced by diffing both versions. Bundles are serialized
+ * as JSON documents of the following form:
+ *
+ * .. code-block:: javascript
+ *
+ *      {
+ *          "bundle": 1,
+ *          "patchtype": "xml",
+ *          "files": [
+ *              {"path": "a.xml", "status": "modified", "payload": "xml",
+ *                  "delta": "<delta>...</delta>"},
+ *              {"path": "b/c.json", "status": "added", "content": "{...}"},
+ *              {"path": "d.xml", "status": "removed", "content": "<d/>"}
+ *          ]
+ *      }
+ */
+
+
+/**
+ * The version of the bundle format.
+ */
+var BUNDLE_VERSION = 1;
+
+
+/**
+ * Create a new empty bundle.
+ *
+ * @param {String} patchtype    The type of the delta documents of modified
+ *                              files, e.g. ``xml`` or ``json``.
+ *
+ * @constructor
+ * @name bundle.Bundle
+ */
+function Bundle(patchtype) {
+    /**
+     * The type of the delta documents of modified files.
+     */
+    this.patchtype = patchtype;
+
+    /**
+     * The list of file entries in the order they were recorded.
+     */
+    this.files = [];
+}
+
+
+/**
+ * Record a file which only exists in the changed directory.
+ *
+ * @param {String} path     Path of the file relative to the directory.
+ * @param {String} content  Content of the file.
+ *
+ * @memberOf bundle.Bundle
+ */
+Bundle.prototype.addFile = function(path, content) {
+    this.files.push({'path': path, 'status': 'added', 'content': content});
+};
+
+
+/**
+ * Record a file which only exists in the original directory.
+ *
+ * @param {String} path     Path of the file relative to the directory.
+ * @param {String} content  Content of the original file.
+ *
+ * @memberOf bundle.Bundle
+ */
+Bundle.prototype.removeFile = function(path, content) {
+    this.files.push({'path': path, 'status': 'removed', 'content': content});
+};
+
+
+/**
+ * Record a file which exists in both directories but was changed.
+ *
+ * @param {String} path     Path of the file relative to the directory.
+ * @param {String} payload  The payload type of the file, ``xml`` or ``json``.
+ * @param {String} delta    The serialized delta document.
+ *
+ * @memberOf bundle.Bundle
+ */
+Bundle.prototype.modifyFile = function(path, payload, delta) {
+    this.files.push({'path': path, 'status': 'modified', 'payload': payload,
+        'delta': delta});
+};
+
+
+/**
+ * Return the string representation of the bundle.
+ *
+ * @memberOf bundle.Bundle
+ */
+Bundle.prototype.serialize = function() {
+    return JSON.stringify({
+        'bundle': BUNDLE_VERSION,
+        'patchtype': this.patchtype,
+        'files': this.files
+    }, null, 2);
+};
+
+
+/**
+ * Parse the given string and return a bundle.
+ *
+ * @param {String} string   A serialized bundle.
+ * @param {String} [name]   The name of the bundle, used in error messages.
+ *
+ * @return {bundle.Bundle} The bundle.
+ */
+function loadBundle(string, name) {
+    var object, result;
+
+    name = name || 'bundle';
+
+    try {
+        object = JSON.parse(string);
+    }
+    catch (err) {
+        throw new Error('Failed to parse ' + name + ': ' + err.message);
+    }
+
+    if (!object || object.bundle !== BUNDLE_VERSION ||
+            !(object.files instanceof Array)) {
+        throw new Error(name + ' is not a patch bundle');
+    }
+
+    result = new Bundle(object.patchtype);
+    object.files.forEach(function(entry, i) {
+        if (typeof entry.path !== 'string' || !entry.path.length ||
+                entry.path.split('/').indexOf('..') >= 0 ||
+                entry.path.charAt(0) === '/') {
+            throw new Error('Invalid path in entry ' + i + ' of ' + name);
+        }
+        switch (entry.status) {
+            case 'added':
+                result.addFile(entry.path, String(entry.content));
+                break;
+            case 'removed':
+                result.removeFile(entry.path, String(entry.content));
+                break;
+            case 'modified':
+                result.modifyFile(entry.path, entry.payload,
+                        String(entry.delta));
+                break;
+            default:
+                throw new Error('Invalid status in entry ' + i + ' of ' + name);
+        }
+    });
+
+    return result;
+}
+
+
+exports.Bundle = Bundle;
+exports.loadBundle = loadBundle;
@@ -16,9 +16,12 @@ var deltamod = require('./delta');
  *
  * @constructor
  */
-function DetachedContextOperation(type, path, remove, insert, head, tail) {
+function DetachedContextOperation(type, path, remove, insert, head, tail,
+        targetpath, targethead, targettail) {
     /**
-     * The operation type, one of deltamod.UPDATE_NODE_TYPE, deltamod.UPDATE_FOREST_TYPE
+     * The operation type, one of deltamod.UPDATE_NODE_TYPE,
+     * deltamod.UPDATE_FOREST_TYPE, deltamod.UPDATE_ATTRIBUTES_TYPE,
+     * deltamod.UPDATE_TEXT_TYPE, deltamod.MOVE_TYPE
      */
     this.type = type;
 
@@ -54,6 +57,16 @@ function DetachedContextOperation(type, path, remove, insert, head, tail) {
      */
     this.head = head;
     this.tail = tail;
+
+
+    /**
+     * For moves the path and the fingerprint values of the leading and
+     * trailing context of the position the subtree is moved to. The
+     * position is located like an insert operation.
+     */
+    this.targetpath = targetpath;
+    this.targethead = targethead;
+    this.targettail = targettail;
 }
 
 
@@ -68,6 +81,17 @@ DetachedContextOperation.prototype.toString = function() {
             result = 'Update "' + this.remove[0].value + '" at /' +
                 this.path.join('/');
             break;
+        case deltamod.UPDATE_ATTRIBUTES_TYPE:
+            result = 'Update attributes of "' + this.remove[0].value +
+                '" at /' + this.path.join('/');
+            break;
+        case deltamod.UPDATE_TEXT_TYPE:
+            result = 'Update text at /' + this.path.join('/');
+            break;
+        case deltamod.MOVE_TYPE:
+            result = 'Move "' + this.remove[0].value + '" from /' +
+                this.path.join('/') + ' to /' + this.targetpath.join('/');
+            break;
         case deltamod.UPDATE_FOREST_TYPE:
             rvals = [];
             ivals = [];
@@ -114,11 +138,165 @@ Detacher.prototype.detach = function(op) {
     var deep = (op.type === deltamod.UPDATE_FOREST_TYPE);
     var head = this.contextgen.head(op.anchor);
     var tail = this.contextgen.tail(op.anchor, op.remove.length, deep);
+
+    if (op.type === deltamod.MOVE_TYPE) {
+        return new DetachedContextOperation(op.type, op.path, op.remove,
+                op.insert, head, tail, op.targetpath,
+                this.contextgen.head(op.target),
+                this.contextgen.tail(op.target, 0, true));
+    }
+
     return new DetachedContextOperation(op.type, op.path, op.remove, op.insert,
             head, tail);
 }
 
 
+/**
+ * Return the sequences of siblings changed by the given operations. Forest
+ * updates replace a sequence, moves remove one node at the source and insert
+ * it at the target.
+ */
+function siblingEdits(ops) {
+    var result = [];
+
+    ops.forEach(function(op, i) {
+        if (op.type === deltamod.UPDATE_FOREST_TYPE) {
+            result.push({'index': i, 'path': op.path,
+                'remove': op.remove.length, 'insert': op.insert.length});
+        }
+        else if (op.type === deltamod.MOVE_TYPE) {
+            result.push({'index': i, 'path': op.path, 'remove': 1, 'insert': 0});
+            result.push({'index': i, 'path': op.targetpath, 'remove': 0, 'insert': 1});
+        }
+    });
+
+    return result;
+}
+
+
+/**
+ * Return the given path of the operation at position pos in the changed
+ * document, i.e. the document resulting from applying all operations. Paths
+ * of detached operations refer to the original document, therefore the index
+ * of every node following a changed sequence of siblings on the same parent
+ * needs to be shifted.
+ */
+function changedPath(path, pos, edits) {
+    var result = path.slice();
+
+    edits.forEach(function(edit) {
+        var depth = edit.path.length - 1, start, end, k;
+
+        if (depth >= path.length) {
+            return;
+        }
+
+        // Only operations sharing the parent of the edit are affected.
+        for (k = 0; k < depth; k++) {
+            if (edit.path[k] !== path[k]) {
+                return;
+            }
+        }
+
+        start = edit.path[depth];
+        end = start + edit.remove;
+
+        // Insertions at the same position keep their relative order.
+        if (path[depth] > end || (path[depth] === end &&
+                (end > start || depth < path.length - 1 || edit.index < pos))) {
+            result[depth] += edit.insert - edit.remove;
+        }
+    });
+
+    return result;
+}
+
+
+/**
+ * Create a new inverter producing detached operations which revert the
+ * changes of a context delta. The contexts of the resulting operations are
+ * generated from the changed document using the given detacher.
+ *
+ * @param {tree.Node}   root        The root node of the changed document.
+ * @param {Detacher}    detacher    A detacher instance initialized with the
+ *         changed document.
+ *
+ * @constructor
+ */
+function Inverter(root, detacher) {
+    this.root = root;
+    this.detacher = detacher;
+}
+
+
+/**
+ * Return an array of detached operations reverting the given operations.
+ * Remove and insert fragments are swapped and the anchors are located in the
+ * changed document. Throws an error if an operation cannot be located.
+ */
+Inverter.prototype.invert = function(ops) {
+    var edits = siblingEdits(ops);
+
+    return ops.map(function(op, pos) {
+        var path, anchor, targetpath;
+
+        if (!(op instanceof DetachedContextOperation)) {
+            throw new Error('Only context delta operations can be inverted');
+        }
+
+        // Moved subtrees are moved back from the target to the source.
+        if (op.type === deltamod.MOVE_TYPE) {
+            path = changedPath(op.targetpath, pos, edits);
+            targetpath = changedPath(op.path, pos, edits);
+            anchor = this.locate(path, deltamod.UPDATE_NODE_TYPE, 1);
+
+            return this.detacher.detach(new deltamod.AttachedOperation(anchor,
+                        op.type, path, op.remove, op.insert, undefined,
+                        this.locate(targetpath, deltamod.UPDATE_FOREST_TYPE, 0),
+                        targetpath));
+        }
+
+        path = changedPath(op.path, pos, edits);
+        anchor = this.locate(path, op.type, op.insert.length);
+
+        return this.detacher.detach(new deltamod.AttachedOperation(anchor,
+                    op.type, path, op.insert, op.remove));
+    }, this);
+};
+
+
+/**
+ * Return the anchor of the given path in the changed document.
+ */
+Inverter.prototype.locate = function(path, type, length) {
+    var base = this.root, index, i;
+
+    if (path.length === 0) {
+        if (type === deltamod.UPDATE_FOREST_TYPE) {
+            throw new Error('Forest updates require a parent node');
+        }
+        return new tree.Anchor(this.root, this.root);
+    }
+
+    for (i = 0; i < path.length - 1; i++) {
+        base = base.children[path[i]];
+        if (!base) {
+            throw new Error('Failed to locate operation at /' + path.join('/'));
+        }
+    }
+
+    index = path[path.length - 1];
+    if (type !== deltamod.UPDATE_FOREST_TYPE) {
+        length = 1;
+    }
+    if (index + length > base.children.length) {
+        throw new Error('Failed to locate operation at /' + path.join('/'));
+    }
+
+    return new tree.Anchor(this.root, base, index);
+};
+
+
 /**
  * Constructor for a simple context generator with the given radius. Node
  * locations are resolved using nodeindex (typically an instance of
@@ -221,4 +399,5 @@ function ContextGenerator(radius, nodeindex, valindex) {
 
 exports.DetachedContextOperation = DetachedContextOperation;
 exports.Detacher = Detacher;
+exports.Inverter = Inverter;
 exports.ContextGenerator = ContextGenerator;
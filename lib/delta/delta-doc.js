@@ -55,6 +55,12 @@ function DeltaDocument(type, name, data, attached, detached, src, matching) {
      * the delta document.
      */
     this.matching = matching;
+
+    /**
+     * The patch.PatchReport produced when resolving the operations of this
+     * document.
+     */
+    this.report = undefined;
 }
 
 
@@ -72,7 +78,7 @@ DeltaDocument.prototype.installHandlers = function(handlerfactory) {
         op = this.attached[i];
         if (op && !op.handler) {
             op.handler = handlerfactory.createOperationHandler(op.anchor,
-                    op.type, op.path, op.remove, op.insert);
+                    op.type, op.path, op.remove, op.insert, op.target);
         }
     }
 }
@@ -10,6 +10,8 @@ var deltamod = require('./delta');
 var contextdelta= require('./contextdelta');
 /** @ignore */
 var jsondelta = require('./jsondelta');
+/** @ignore */
+var deltadocmod = require('./delta-doc');
 
 
 /**
@@ -20,10 +22,7 @@ var payloadHandler = new jsonpayload.JSONPayloadHandler();
 
 /**
  * Create a new instance of the factory class supporting the JSON patch file
- * format.
- *
- * **FIXME: This class is just a copy-paste + search-replace from
- * DeltaXMLFactory and will most likely not work out of the box.**
+ * format. Refer to the jsondelta module for a description of the format.
  *
  * @constructor
  */
@@ -39,15 +38,13 @@ function DeltaJSONFactory() {
  * @return {Object} A delta document initialized with default values.
  */
 DeltaJSONFactory.prototype.createEmptyDocument = function(matching) {
-    return {
-        'type': 'json',
-        'name': 'untitled-diff.json',
-        'data': payloadHandler.createDocument(),
-        'attached': [],   // Array of attached operations
-        'detached': [],   // Array of detached operations
-        'src': '',
-        'matching': matching
-    };
+    return new deltadocmod.DeltaDocument('json', 'untitled-diff.json',
+        payloadHandler.createDocument(),
+        undefined,
+        undefined,
+        undefined,
+        matching
+    );
 };
 
 
@@ -59,7 +56,7 @@ DeltaJSONFactory.prototype.createEmptyDocument = function(matching) {
  *         produced by createFragmentAdapter method from a document factory.
  * @param {String}          [name]  The file name of the document.
  *
- * @return {Object} A delta document initialized with default values.
+ * @return {Object} A delta document initialized from the given JSON value.
  */
 DeltaJSONFactory.prototype.loadDocument = function(jsondoc, fragAdapter, name) {
     var src, operations, entries = [], i,
@@ -70,15 +67,13 @@ DeltaJSONFactory.prototype.loadDocument = function(jsondoc, fragAdapter, name) {
         jsondoc = payloadHandler.parseString(jsondoc);
     }
 
-    return {
-        'type': 'json',
-        'name': name,
-        'data': jsondoc,
-        'attached': [],
-        'detached': deltaAdapter.adaptDocument(jsondoc),
-        'src': src,
-        'matching': undefined
-    };
+    return new deltadocmod.DeltaDocument('json', name,
+        jsondoc,
+        [],
+        deltaAdapter.adaptDocument(jsondoc),
+        src,
+        undefined
+    );
 };
 
 
@@ -89,11 +84,21 @@ DeltaJSONFactory.prototype.loadDocument = function(jsondoc, fragAdapter, name) {
  *         or loadDocument.
  * @param {Object} doc           The document as created by the
  *         loadOriginalDocument method of the document factory class.
- * @param {functio} [equals]    The equality test-function used during diffing.
+ * @param {function} [equals]    The equality test-function used during diffing.
+ * @param {function} [diffAttributes]   The attribute diff function used to
+ *         break down node updates. Use the output of the method
+ *         ``createAttributeDiff`` of the document factory if available.
+ * @param {function} [diffText] The text diff function used to break down
+ *         text updates. Use the output of the method ``createTextDiff`` of
+ *         the document factory if available.
+ * @param {tree.Matching} [moves]   A matching pairing the roots of moved
+ *         subtrees. Those result in move operations instead of removals and
+ *         insertions.
  *
  * @return {delta.DeltaCollector} An initialized collector instance.
  */
-DeltaJSONFactory.prototype.createCollector = function(deltadoc, doc, equals) {
+DeltaJSONFactory.prototype.createCollector = function(deltadoc, doc, equals,
+        diffAttributes, diffText, moves) {
     var collector, root, partner;
 
     if (!doc.tree) {
@@ -115,6 +120,18 @@ DeltaJSONFactory.prototype.createCollector = function(deltadoc, doc, equals) {
         collector.equals = equals;
     }
 
+    if (diffAttributes) {
+        collector.diffAttributes = diffAttributes;
+    }
+
+    if (diffText) {
+        collector.diffText = diffText;
+    }
+
+    if (moves) {
+        collector.moves = moves;
+    }
+
     return collector;
 }
 
@@ -133,6 +150,20 @@ DeltaJSONFactory.prototype.createDetacher = function(doc) {
 }
 
 
+/**
+ * Return an initialized inverter instance reverting context delta operations
+ * against the changed document.
+ *
+ * @param {Object} doc           The changed document as created by the
+ *         loadOriginalDocument method of the document factory class.
+ *
+ * @return {contextdelta.Inverter} Initialized inverter instance.
+ */
+DeltaJSONFactory.prototype.createInverter = function(doc) {
+    return new contextdelta.Inverter(doc.tree, this.createDetacher(doc));
+}
+
+
 /**
  * Return an initialized context delta attacher instance
  *
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview This module contains a factory class for the RFC 6902 JSON
+ * Patch format.
+ */
+
+/** @ignore */
+var jsonpayload = require('./jsonpayload');
+/** @ignore */
+var deltamod = require('./delta');
+/** @ignore */
+var jsonpatch = require('./jsonpatch');
+/** @ignore */
+var jsobjecttree = require('./jsobjecttree');
+/** @ignore */
+var deltadocmod = require('./delta-doc');
+
+
+/**
+ * Return shared payload handler.
+ */
+var payloadHandler = new jsonpayload.JSONPayloadHandler();
+
+
+/**
+ * Create a new instance of the factory class supporting the RFC 6902 JSON
+ * Patch format. Refer to the jsonpatch module for a description of how
+ * operations are mapped. This format is only suitable for JSON documents.
+ *
+ * @constructor
+ */
+function DeltaJSONPatchFactory() {
+}
+
+
+/**
+ * Return a new empty delta document.
+ *
+ * @param {tree.Matching} [matching] A matching produced by some tree diff algorithm.
+ *
+ * @return {Object} A delta document initialized with default values.
+ */
+DeltaJSONPatchFactory.prototype.createEmptyDocument = function(matching) {
+    return new deltadocmod.DeltaDocument('jsonpatch', 'untitled-diff.json',
+        [],
+        undefined,
+        undefined,
+        undefined,
+        matching
+    );
+};
+
+
+/**
+ * Return a delta document loaded from the given string or JavaScript array.
+ *
+ * @param {String|Array} jsondoc    A JSON Patch document.
+ * @param {Object} fragAdapter      A document fragemnt adapter. Use the object
+ *         produced by createFragmentAdapter method from a document factory.
+ * @param {String}          [name]  The file name of the document.
+ *
+ * @return {Object} A delta document initialized from the given JSON value.
+ */
+DeltaJSONPatchFactory.prototype.loadDocument = function(jsondoc, fragAdapter, name) {
+    var src, deltaAdapter = new jsonpatch.JSONPatchDeltaAdapter(fragAdapter);
+
+    if (typeof jsondoc === 'string') {
+        src = jsondoc;
+        jsondoc = payloadHandler.parseString(jsondoc);
+    }
+
+    return new deltadocmod.DeltaDocument('jsonpatch', name,
+        jsondoc,
+        [],
+        deltaAdapter.adaptDocument(jsondoc),
+        src,
+        undefined
+    );
+};
+
+
+/**
+ * Return an initialized collector instance.
+ *
+ * @param {Object} deltadoc      The delta document produced by createEmptyDocument
+ *         or loadDocument.
+ * @param {Object} doc           The document as created by the
+ *         loadOriginalDocument method of the document factory class.
+ * @param {function} [equals]    The equality test-function used during diffing.
+ *
+ * @return {delta.DeltaCollector} An initialized collector instance.
+ */
+DeltaJSONPatchFactory.prototype.createCollector = function(deltadoc, doc, equals) {
+    var collector, root, partner;
+
+    if (!doc.tree) {
+        throw new Error('Parameter error: Document objects must have a tree property');
+    }
+
+    root = doc.tree;
+    partner = deltadoc.matching.get(root);
+    if (!partner) {
+        throw new Error('Parameter error: Matching does not contain tree root');
+    }
+
+    collector = new deltamod.DeltaCollector(deltadoc.matching, root, partner);
+
+    if (equals) {
+        collector.equals = equals;
+    }
+
+    return collector;
+}
+
+
+/**
+ * Return an initialized detacher instance converting attached operations
+ * into JSON Patch operations.
+ *
+ * @param {Object} doc           The document as created by the
+ *         loadOriginalDocument method of the document factory class.
+ * @param {tree.Matching} [matching] The matching produced by the diff
+ *         algorithm.
+ *
+ * @return {jsonpatch.JSONPatchDetacher} Initialized detacher instance.
+ */
+DeltaJSONPatchFactory.prototype.createDetacher = function(doc, matching) {
+    return new jsonpatch.JSONPatchDetacher(matching);
+}
+
+
+/**
+ * Return an initialized attacher instance. JSON Patch operations are located
+ * using their JSON Pointers, only the root node of the resolver is used.
+ *
+ * @param {Object} resolver An instance of ContextResolver. Use the output of
+ *         createResolver method from the resolver factory.
+ *
+ * @return {jsonpatch.JSONPatchAttacher} Initialized attacher instance.
+ */
+DeltaJSONPatchFactory.prototype.createAttacher = function(resolver) {
+    return new jsonpatch.JSONPatchAttacher(resolver.refnode,
+            new jsobjecttree.JSObjectTreeAdapter());
+}
+
+
+/**
+ * Return an initialized delta adapter instance.
+ *
+ * @param {Object} fragAdapter      A document fragemnt adapter. Use the object
+ *         produced by createFragmentAdapter method from a document factory.
+ *
+ * @return {jsonpatch.JSONPatchDeltaAdapter} Initialized instance of the proper
+ *         delta adapter.
+ */
+DeltaJSONPatchFactory.prototype.createDeltaAdapter = function(fragAdapter) {
+    return new jsonpatch.JSONPatchDeltaAdapter(fragAdapter);
+}
+
+
+/**
+ * Serialize the data property into the src string and return it. Also store
+ * the source into the ``src`` property of ``deltadoc``.
+ *
+ * @param {Object} deltadoc A populated delta document.
+ *
+ * @return {String} The JSON representation of the delta document as a string.
+ */
+DeltaJSONPatchFactory.prototype.serializeDocument = function(deltadoc) {
+    deltadoc.src = payloadHandler.serializeToString(deltadoc.data);
+
+    return deltadoc.src;
+};
+
+exports.DeltaJSONPatchFactory = DeltaJSONPatchFactory;
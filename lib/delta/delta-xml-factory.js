@@ -85,10 +85,20 @@ DeltaXMLFactory.prototype.loadDocument = function(domdoc, fragAdapter, name) {
  * @param {Object} doc           The document as created by the
  *         loadOriginalDocument method of the document factory class.
  * @param {function} [equals]    The equality test-function used during diffing.
+ * @param {function} [diffAttributes]   The attribute diff function used to
+ *         break down node updates. Use the output of the method
+ *         ``createAttributeDiff`` of the document factory if available.
+ * @param {function} [diffText] The text diff function used to break down
+ *         text updates. Use the output of the method ``createTextDiff`` of
+ *         the document factory if available.
+ * @param {tree.Matching} [moves]   A matching pairing the roots of moved
+ *         subtrees. Those result in move operations instead of removals and
+ *         insertions.
  *
  * @return {delta.DeltaCollector} An initialized collector instance.
  */
-DeltaXMLFactory.prototype.createCollector = function(deltadoc, doc, equals) {
+DeltaXMLFactory.prototype.createCollector = function(deltadoc, doc, equals,
+        diffAttributes, diffText, moves) {
     var collector, root, partner;
 
     if (!doc.tree) {
@@ -110,6 +120,18 @@ DeltaXMLFactory.prototype.createCollector = function(deltadoc, doc, equals) {
         collector.equals = equals;
     }
 
+    if (diffAttributes) {
+        collector.diffAttributes = diffAttributes;
+    }
+
+    if (diffText) {
+        collector.diffText = diffText;
+    }
+
+    if (moves) {
+        collector.moves = moves;
+    }
+
     return collector;
 }
 
@@ -128,6 +150,20 @@ DeltaXMLFactory.prototype.createDetacher = function(doc) {
 }
 
 
+/**
+ * Return an initialized inverter instance reverting context delta operations
+ * against the changed document.
+ *
+ * @param {Object} doc           The changed document as created by the
+ *         loadOriginalDocument method of the document factory class.
+ *
+ * @return {contextdelta.Inverter} Initialized inverter instance.
+ */
+DeltaXMLFactory.prototype.createInverter = function(doc) {
+    return new contextdelta.Inverter(doc.tree, this.createDetacher(doc));
+}
+
+
 /**
  * Return an initialized context delta attacher instance
  *
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview This module contains a factory class for the RFC 5261 XML
+ * Patch format.
+ */
+
+/** @ignore */
+var xmlpayload = require('./xmlpayload');
+/** @ignore */
+var deltamod = require('./delta');
+/** @ignore */
+var xmlpatch = require('./xmlpatch');
+/** @ignore */
+var domtree = require('./domtree');
+/** @ignore */
+var deltadocmod = require('./delta-doc');
+
+
+/**
+ * Return shared payload handler.
+ */
+var payloadHandler = new xmlpayload.XMLPayloadHandler();
+
+
+/**
+ * Create a new instance of the factory class supporting the RFC 5261 XML
+ * Patch format. Refer to the xmlpatch module for a description of how
+ * operations are mapped. This format is only suitable for XML documents.
+ *
+ * @constructor
+ */
+function DeltaXMLPatchFactory() {
+}
+
+
+/**
+ * Return a new empty delta document.
+ *
+ * @param {tree.Matching} [matching] A matching produced by some tree diff algorithm.
+ *
+ * @return {Object} A delta document initialized with default values.
+ */
+DeltaXMLPatchFactory.prototype.createEmptyDocument = function(matching) {
+    return new deltadocmod.DeltaDocument('xmlpatch', 'untitled-diff.xml',
+        payloadHandler.createDocument(),
+        undefined,
+        undefined,
+        undefined,
+        matching
+    );
+};
+
+
+/**
+ * Return a delta document loaded from the given string or DOMDocument.
+ *
+ * @param {String|Document} domdoc  An XML Patch document.
+ * @param {Object} fragAdapter      A document fragemnt adapter. Use the object
+ *         produced by createFragmentAdapter method from a document factory.
+ * @param {String}          [name]  The file name of the document.
+ *
+ * @return {Object} A delta document initialized from the given DOMDocument.
+ */
+DeltaXMLPatchFactory.prototype.loadDocument = function(domdoc, fragAdapter, name) {
+    var src, deltaAdapter = new xmlpatch.XMLPatchDeltaAdapter(fragAdapter);
+
+    if (typeof domdoc === 'string') {
+        src = domdoc;
+        domdoc = payloadHandler.parseString(domdoc);
+    }
+
+    return new deltadocmod.DeltaDocument('xmlpatch', name,
+        domdoc,
+        [],
+        deltaAdapter.adaptDocument(domdoc),
+        src,
+        undefined
+    );
+};
+
+
+/**
+ * Return an initialized collector instance.
+ *
+ * @param {Object} deltadoc      The delta document produced by createEmptyDocument
+ *         or loadDocument.
+ * @param {Object} doc           The document as created by the
+ *         loadOriginalDocument method of the document factory class.
+ * @param {function} [equals]    The equality test-function used during diffing.
+ *
+ * @return {delta.DeltaCollector} An initialized collector instance.
+ */
+DeltaXMLPatchFactory.prototype.createCollector = function(deltadoc, doc, equals) {
+    var collector, root, partner;
+
+    if (!doc.tree) {
+        throw new Error('Parameter error: Document objects must have a tree property');
+    }
+
+    root = doc.tree;
+    partner = deltadoc.matching.get(root);
+    if (!partner) {
+        throw new Error('Parameter error: Matching does not contain tree root');
+    }
+
+    collector = new deltamod.DeltaCollector(deltadoc.matching, root, partner);
+
+    if (equals) {
+        collector.equals = equals;
+    }
+
+    return collector;
+}
+
+
+/**
+ * Return an initialized detacher instance converting attached operations
+ * into XML Patch operations.
+ *
+ * @param {Object} doc           The document as created by the
+ *         loadOriginalDocument method of the document factory class.
+ * @param {tree.Matching} [matching] The matching produced by the diff
+ *         algorithm.
+ *
+ * @return {xmlpatch.XMLPatchDetacher} Initialized detacher instance.
+ */
+DeltaXMLPatchFactory.prototype.createDetacher = function(doc, matching) {
+    return new xmlpatch.XMLPatchDetacher(matching);
+}
+
+
+/**
+ * Return an initialized attacher instance. XML Patch operations are located
+ * using their XPath selectors, only the root node of the resolver is used.
+ *
+ * @param {Object} resolver An instance of ContextResolver. Use the output of
+ *         createResolver method from the resolver factory.
+ *
+ * @return {xmlpatch.XMLPatchAttacher} Initialized attacher instance.
+ */
+DeltaXMLPatchFactory.prototype.createAttacher = function(resolver) {
+    return new xmlpatch.XMLPatchAttacher(resolver.refnode,
+            new domtree.DOMTreeAdapter());
+}
+
+
+/**
+ * Return an initialized delta adapter instance.
+ *
+ * @param {Object} fragAdapter      A document fragemnt adapter. Use the object
+ *         produced by createFragmentAdapter method from a document factory.
+ *
+ * @return {xmlpatch.XMLPatchDeltaAdapter} Initialized instance of the proper
+ *         delta adapter.
+ */
+DeltaXMLPatchFactory.prototype.createDeltaAdapter = function(fragAdapter) {
+    return new xmlpatch.XMLPatchDeltaAdapter(fragAdapter);
+}
+
+
+/**
+ * Serialize the data property into the src string and return it. Also store
+ * the source into the ``src`` property of ``deltadoc``.
+ *
+ * @param {Object} deltadoc A populated delta document.
+ *
+ * @return {String} The XML representation of the delta document as a string.
+ */
+DeltaXMLPatchFactory.prototype.serializeDocument = function(deltadoc) {
+    deltadoc.src = payloadHandler.serializeToString(deltadoc.data);
+
+    return deltadoc.src;
+};
+
+exports.DeltaXMLPatchFactory = DeltaXMLPatchFactory;
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview This module contains a factory class for the XUpdate format.
+ */
+
+/** @ignore */
+var xmlpayload = require('./xmlpayload');
+/** @ignore */
+var deltamod = require('./delta');
+/** @ignore */
+var xupdate = require('./xupdate');
+/** @ignore */
+var domtree = require('./domtree');
+/** @ignore */
+var deltadocmod = require('./delta-doc');
+
+
+/**
+ * Return shared payload handler.
+ */
+var payloadHandler = new xmlpayload.XMLPayloadHandler();
+
+
+/**
+ * Create a new instance of the factory class supporting the XUpdate format
+ * used by XML databases. Refer to the xupdate module for a description of how
+ * operations are mapped. This format is only suitable for XML documents.
+ *
+ * @constructor
+ */
+function DeltaXUpdateFactory() {
+}
+
+
+/**
+ * Return a new empty delta document.
+ *
+ * @param {tree.Matching} [matching] A matching produced by some tree diff algorithm.
+ *
+ * @return {Object} A delta document initialized with default values.
+ */
+DeltaXUpdateFactory.prototype.createEmptyDocument = function(matching) {
+    return new deltadocmod.DeltaDocument('xupdate', 'untitled-diff.xml',
+        payloadHandler.createDocument(),
+        undefined,
+        undefined,
+        undefined,
+        matching
+    );
+};
+
+
+/**
+ * Return a delta document loaded from the given string or DOMDocument.
+ *
+ * @param {String|Document} domdoc  An XUpdate document.
+ * @param {Object} fragAdapter      A document fragemnt adapter. Use the object
+ *         produced by createFragmentAdapter method from a document factory.
+ * @param {String}          [name]  The file name of the document.
+ *
+ * @return {Object} A delta document initialized from the given DOMDocument.
+ */
+DeltaXUpdateFactory.prototype.loadDocument = function(domdoc, fragAdapter, name) {
+    var src, deltaAdapter = new xupdate.XUpdateDeltaAdapter(fragAdapter);
+
+    if (typeof domdoc === 'string') {
+        src = domdoc;
+        domdoc = payloadHandler.parseString(domdoc);
+    }
+
+    return new deltadocmod.DeltaDocument('xupdate', name,
+        domdoc,
+        [],
+        deltaAdapter.adaptDocument(domdoc),
+        src,
+        undefined
+    );
+};
+
+
+/**
+ * Return an initialized collector instance.
+ *
+ * @param {Object} deltadoc      The delta document produced by createEmptyDocument
+ *         or loadDocument.
+ * @param {Object} doc           The document as created by the
+ *         loadOriginalDocument method of the document factory class.
+ * @param {function} [equals]    The equality test-function used during diffing.
+ *
+ * @return {delta.DeltaCollector} An initialized collector instance.
+ */
+DeltaXUpdateFactory.prototype.createCollector = function(deltadoc, doc, equals) {
+    var collector, root, partner;
+
+    if (!doc.tree) {
+        throw new Error('Parameter error: Document objects must have a tree property');
+    }
+
+    root = doc.tree;
+    partner = deltadoc.matching.get(root);
+    if (!partner) {
+        throw new Error('Parameter error: Matching does not contain tree root');
+    }
+
+    collector = new deltamod.DeltaCollector(deltadoc.matching, root, partner);
+
+    if (equals) {
+        collector.equals = equals;
+    }
+
+    return collector;
+}
+
+
+/**
+ * Return an initialized detacher instance converting attached operations
+ * into XUpdate operations.
+ *
+ * @param {Object} doc           The document as created by the
+ *         loadOriginalDocument method of the document factory class.
+ * @param {tree.Matching} [matching] The matching produced by the diff
+ *         algorithm.
+ *
+ * @return {xupdate.XUpdateDetacher} Initialized detacher instance.
+ */
+DeltaXUpdateFactory.prototype.createDetacher = function(doc, matching) {
+    return new xupdate.XUpdateDetacher(matching);
+}
+
+
+/**
+ * Return an initialized attacher instance interpreting XUpdate operations
+ * one after another. Operations are located using their XPath selectors, only
+ * the root node of the resolver is used.
+ *
+ * @param {Object} resolver An instance of ContextResolver. Use the output of
+ *         createResolver method from the resolver factory.
+ *
+ * @return {xupdate.XUpdateAttacher} Initialized attacher instance.
+ */
+DeltaXUpdateFactory.prototype.createAttacher = function(resolver) {
+    return new xupdate.XUpdateAttacher(resolver.refnode,
+            new domtree.DOMTreeAdapter());
+}
+
+
+/**
+ * Return an initialized delta adapter instance.
+ *
+ * @param {Object} fragAdapter      A document fragemnt adapter. Use the object
+ *         produced by createFragmentAdapter method from a document factory.
+ *
+ * @return {xupdate.XUpdateDeltaAdapter} Initialized instance of the proper
+ *         delta adapter.
+ */
+DeltaXUpdateFactory.prototype.createDeltaAdapter = function(fragAdapter) {
+    return new xupdate.XUpdateDeltaAdapter(fragAdapter);
+}
+
+
+/**
+ * Serialize the data property into the src string and return it. Also store
+ * the source into the ``src`` property of ``deltadoc``.
+ *
+ * @param {Object} deltadoc A populated delta document.
+ *
+ * @return {String} The XML representation of the delta document as a string.
+ */
+DeltaXUpdateFactory.prototype.serializeDocument = function(deltadoc) {
+    deltadoc.src = payloadHandler.serializeToString(deltadoc.data);
+
+    return deltadoc.src;
+};
+
+exports.DeltaXUpdateFactory = DeltaXUpdateFactory;
@@ -16,6 +16,21 @@ var UPDATE_NODE_TYPE = 1;
  */
 var UPDATE_FOREST_TYPE = 2;
 
+/**
+ * @constant
+ */
+var UPDATE_ATTRIBUTES_TYPE = 3;
+
+/**
+ * @constant
+ */
+var UPDATE_TEXT_TYPE = 4;
+
+/**
+ * @constant
+ */
+var MOVE_TYPE = 5;
+
 /**
  * Private utility class: Creates a new ParameterBuffer instance.
  *
@@ -67,9 +82,52 @@ function DeltaCollector(matching, root_a, root_b) {
     this.matching = matching;
     this.root_a = root_a;
     this.root_b = root_b || matching.get(root_a);
+
+    // A matching pairing the roots of moved subtrees. Unmatched nodes which
+    // are paired in here result in move operations instead of removals and
+    // insertions.
+    this.moves = undefined;
 }
 
 
+/**
+ * Return the path of the given node relative to the root of tree a.
+ */
+DeltaCollector.prototype.pathOf = function(node) {
+    var result = [];
+
+    for (; node !== this.root_a; node = node.par) {
+        result.unshift(node.childidx);
+    }
+
+    return result;
+};
+
+
+/**
+ * Return the partner of the given unmatched node if the subtree was moved.
+ */
+DeltaCollector.prototype.movePartner = function(node) {
+    return this.moves && this.moves.get(node);
+};
+
+
+/**
+ * Return a new move operation relocating the subtree of tree a at the given
+ * node to the position index among the children of par.
+ */
+DeltaCollector.prototype.createMoveOperation = function(node, par, index,
+        path) {
+    return new AttachedOperation(
+            new tree.Anchor(this.root_a, node),
+            MOVE_TYPE,
+            this.pathOf(node),
+            [node], [], undefined,
+            new tree.Anchor(this.root_a, par, index),
+            path.concat(index));
+};
+
+
 /**
  * Default equality test. Override this method if you need to test other
  * node properties instead/beside node value.
@@ -79,6 +137,31 @@ DeltaCollector.prototype.equals = function(a, b) {
 }
 
 
+/**
+ * Default attribute diff. Return a pair of nodes describing the attributes
+ * changed between the partners a and b or undefined if the nodes differ in
+ * other properties than their attributes. The first node holds the original
+ * values of removed and changed attributes, the second one the new values of
+ * added and changed attributes. Override this method for document types
+ * supporting attributes, by default node updates are never broken down.
+ */
+DeltaCollector.prototype.diffAttributes = function(a, b) {
+    return;
+};
+
+
+/**
+ * Default text diff. Return a pair of nodes describing the inline changes
+ * between the texts of the partners a and b or undefined if the whole node
+ * should be replaced. The first node describes the original regions, the
+ * second one their replacements. Override this method in order to enable
+ * inline text updates, by default text nodes are always replaced.
+ */
+DeltaCollector.prototype.diffText = function(a, b) {
+    return;
+};
+
+
 /**
  * Invoke a callback for each changeset detected between tree a and tree b
  * according to the given matching.
@@ -95,7 +178,8 @@ DeltaCollector.prototype.equals = function(a, b) {
  */
 DeltaCollector.prototype.forEachChange = function(callback, T, root_a, root_b,
         path) {
-    var parambuf, i, k, a_nodes, b_nodes, a, b, op, me = this;
+    var parambuf, i, k, a_nodes, b_nodes, a, b, op, attrs, text, moved,
+        me = this;
 
     // Initialize stuff if not provided
     path = path || [];
@@ -106,20 +190,55 @@ DeltaCollector.prototype.forEachChange = function(callback, T, root_a, root_b,
         throw new Error('Parameter error, root_a and root_b must be partners');
     }
 
-    // Flag node-update if value of partners do not match
+    // Flag node-update if value of partners do not match. Use an attribute
+    // update if only the attributes changed and a text update if the text
+    // can be patched inline.
     if (!this.equals(root_a, root_b)) {
-        op = new AttachedOperation(
-                new tree.Anchor(this.root_a, root_a),
-                UPDATE_NODE_TYPE,
-                path.slice(),
-                [root_a], [root_b]);
+        attrs = this.diffAttributes(root_a, root_b);
+        text = !attrs && this.diffText(root_a, root_b);
+        if (attrs) {
+            op = new AttachedOperation(
+                    new tree.Anchor(this.root_a, root_a),
+                    UPDATE_ATTRIBUTES_TYPE,
+                    path.slice(),
+                    [attrs[0]], [attrs[1]]);
+        }
+        else if (text) {
+            op = new AttachedOperation(
+                    new tree.Anchor(this.root_a, root_a),
+                    UPDATE_TEXT_TYPE,
+                    path.slice(),
+                    [text[0]], [text[1]]);
+        }
+        else {
+            op = new AttachedOperation(
+                    new tree.Anchor(this.root_a, root_a),
+                    UPDATE_NODE_TYPE,
+                    path.slice(),
+                    [root_a], [root_b]);
+        }
         callback.call(T, op);
     }
 
-    // Operation aggregator for subtree changes
+    // Operation aggregator for subtree changes. A single text replaced by
+    // another one is turned into a text update if possible.
     parambuf = new ParameterBuffer(function(removes, inserts) {
-        var start = i - removes.length;
-        var op = new AttachedOperation(
+        var start = i - removes.length,
+            text = removes.length === 1 && inserts.length === 1 &&
+                me.diffText(removes[0], inserts[0]),
+            op;
+
+        if (text) {
+            op = new AttachedOperation(
+                    new tree.Anchor(me.root_a, removes[0]),
+                    UPDATE_TEXT_TYPE,
+                    path.concat(start),
+                    [text[0]], [text[1]]);
+            callback.call(T, op);
+            return;
+        }
+
+        op = new AttachedOperation(
                 new tree.Anchor(me.root_a, root_a, start),
                 UPDATE_FOREST_TYPE,
                 path.concat(start),
@@ -131,17 +250,76 @@ DeltaCollector.prototype.forEachChange = function(callback, T, root_a, root_b,
     // Descend one level
     a_nodes = root_a.children;
     b_nodes = root_b.children;
+
+    if (root_a.unordered && root_b.unordered) {
+        // The position of children of unordered nodes is not significant.
+        // Reordered pairs do not result in any operation, unmatched nodes
+        // from tree b are appended after the last child.
+        for (i = 0; i < a_nodes.length; i++) {
+            a = a_nodes[i];
+            b = this.matching.get(a);
+
+            if (!b && this.movePartner(a)) {
+                // Moved away, removed by the move operation.
+                parambuf.flush();
+            }
+            else if (!b) {
+                parambuf.pushRemove(a);
+            }
+            else if (b.par === root_b) {
+                parambuf.flush();
+                this.forEachChange(callback, T, a, b, path.concat(i));
+            }
+            else {
+                throw new Error('Matching is not consistent.');
+            }
+        }
+
+        for (k = 0; k < b_nodes.length; k++) {
+            b = b_nodes[k];
+            moved = this.movePartner(b);
+
+            if (moved) {
+                parambuf.flush();
+                callback.call(T, this.createMoveOperation(moved, root_a,
+                            a_nodes.length, path));
+            }
+            else if (!this.matching.get(b)) {
+                parambuf.pushInsert(b);
+            }
+        }
+
+        parambuf.flush();
+
+        return;
+    }
+
     i = 0; k = 0;
     while (a_nodes[i] || b_nodes[k]) {
         a = a_nodes[i];
         b = b_nodes[k];
 
         if (a && !this.matching.get(a)) {
-            parambuf.pushRemove(a);
+            if (this.movePartner(a)) {
+                // Moved away, removed by the move operation.
+                parambuf.flush();
+            }
+            else {
+                parambuf.pushRemove(a);
+            }
             i++;
         }
         else if (b && !this.matching.get(b)) {
-            parambuf.pushInsert(b);
+            moved = this.movePartner(b);
+            if (moved) {
+                // Moved here, inserted before the next node of tree a.
+                parambuf.flush();
+                callback.call(T, this.createMoveOperation(moved, root_a, i,
+                            path));
+            }
+            else {
+                parambuf.pushInsert(b);
+            }
             k++;
         }
         else if (a && b && a === this.matching.get(b)) {
@@ -171,7 +349,8 @@ DeltaCollector.prototype.forEachChange = function(callback, T, root_a, root_b,
  *
  * @constructor
  */
-function AttachedOperation(anchor, type, path, remove, insert, handler) {
+function AttachedOperation(anchor, type, path, remove, insert, handler,
+        target, targetpath) {
     /**
      * The anchor where the operation is attached
      */
@@ -179,7 +358,8 @@ function AttachedOperation(anchor, type, path, remove, insert, handler) {
 
 
     /**
-     * The operation type, one of UPDATE_NODE_TYPE, UPDATE_FOREST_TYPE
+     * The operation type, one of UPDATE_NODE_TYPE, UPDATE_FOREST_TYPE,
+     * UPDATE_ATTRIBUTES_TYPE, UPDATE_TEXT_TYPE, MOVE_TYPE
      */
     this.type = type;
 
@@ -195,13 +375,20 @@ function AttachedOperation(anchor, type, path, remove, insert, handler) {
 
 
     /**
-     * Null (insert), one tree.Node (update) or sequence of nodes (delete)
+     * Null (insert), one tree.Node (update) or sequence of nodes (delete).
+     * For attribute updates one tree.Node holding the original values of
+     * removed and changed attributes. For text updates one tree.Node
+     * describing the original regions of the text. For moves the root of the
+     * moved subtree.
      */
     this.remove = remove;
 
 
     /**
-     * Null (remove), one tree.Node (update) or sequence of nodes (insert)
+     * Null (remove), one tree.Node (update) or sequence of nodes (insert).
+     * For attribute updates one tree.Node holding the new values of added
+     * and changed attributes. For text updates one tree.Node holding the
+     * replacements of the regions. Empty for moves.
      */
     this.insert = insert;
 
@@ -211,6 +398,26 @@ function AttachedOperation(anchor, type, path, remove, insert, handler) {
      * apply and unapply the operation.
      */
     this.handler = handler;
+
+
+    /**
+     * For moves the anchor pointing at the position the subtree is moved to.
+     * Like anchor, it refers to the original tree.
+     */
+    this.target = target;
+
+
+    /**
+     * For moves the path of the position the subtree is moved to.
+     */
+    this.targetpath = targetpath;
+
+
+    /**
+     * The resolver.ResolverResult if the operation was attached using a
+     * context resolver.
+     */
+    this.resolution = undefined;
 }
 
 /**
@@ -224,6 +431,17 @@ AttachedOperation.prototype.toString = function() {
             result = 'Update "' + this.remove[0].value + '" at /' +
                 this.path.join('/');
             break;
+        case UPDATE_ATTRIBUTES_TYPE:
+            result = 'Update attributes of "' + this.remove[0].value +
+                '" at /' + this.path.join('/');
+            break;
+        case UPDATE_TEXT_TYPE:
+            result = 'Update text at /' + this.path.join('/');
+            break;
+        case MOVE_TYPE:
+            result = 'Move "' + this.remove[0].value + '" from /' +
+                this.path.join('/') + ' to /' + this.targetpath.join('/');
+            break;
         case UPDATE_FOREST_TYPE:
             rvals = [];
             ivals = [];
@@ -268,11 +486,32 @@ function Attacher(resolver) {
  * Resolve anchor of one operation and return new attached operation instance.
  */
 Attacher.prototype.attach = function(op) {
-    res = this.resolver.find(op.path, op.remove, op.head, op.tail, op.type);
+    var res, result, target, body = op.remove;
+
+    // The hunks of a text edit are not part of the document. Match the edit
+    // against the text node only.
+    if (op.type === UPDATE_TEXT_TYPE) {
+        body = body.map(function(node) {
+            return new tree.Node(node.value, node.data);
+        });
+    }
+
+    res = this.resolver.find(op.path, body, op.head, op.tail, op.type);
+
+    // The position a subtree is moved to is located like an insertion.
+    if (op.type === MOVE_TYPE) {
+        target = this.resolver.find(op.targetpath, [], op.targethead,
+                op.targettail, UPDATE_FOREST_TYPE);
+        if (!target.anchor || target.tail.length !== 0) {
+            return;
+        }
+    }
 
     if (res.anchor && res.tail.length === 0) {
-        return new AttachedOperation(res.anchor, op.type, op.path, op.remove,
-                op.insert);
+        result = new AttachedOperation(res.anchor, op.type, op.path, op.remove,
+                op.insert, undefined, target && target.anchor, op.targetpath);
+        result.resolution = res;
+        return result;
     }
 }
 
@@ -283,3 +522,6 @@ exports.Attacher = Attacher;
 
 exports.UPDATE_NODE_TYPE = UPDATE_NODE_TYPE;
 exports.UPDATE_FOREST_TYPE = UPDATE_FOREST_TYPE;
+exports.UPDATE_ATTRIBUTES_TYPE = UPDATE_ATTRIBUTES_TYPE;
+exports.UPDATE_TEXT_TYPE = UPDATE_TEXT_TYPE;
+exports.MOVE_TYPE = MOVE_TYPE;
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview This module contains the factory class necessary to
+ * instantiate the GumTree algorithm class.
+ */
+
+
+/** @ignore */
+var tree = require('./tree');
+/** @ignore */
+var gumtree = require('./gumtree');
+
+
+/**
+ * Return new instance of GumTree diff factory class.
+ *
+ * @param {Object} [options] Options which will be passed to the GumTree
+ *         algorithm upon instantiation.
+ *
+ * @constructor
+ */
+function DiffGumtreeFactory(options) {
+    this.options = options;
+}
+
+
+/**
+ * Return new initialized instance of GumTree diff algorithm.
+ *
+ * @param {Object} doc1         The original document. Use
+ *         ``loadOriginalDocument`` of the document factory to load a suitable
+ *         document.
+ * @param {Object} doc2         The changed document. Use ``loadInputDocument``
+ *         of the document factory to load a suitable document.
+ * @param {function} [equals]   The equality test-function used during diffing.
+ *         Use the method ``createNodeEqualityTest`` of the document factory to
+ *         create a suitable equality test function.
+ *
+ * @return {gumtree.Diff} An initialized gumtree.Diff instance.
+ */
+DiffGumtreeFactory.prototype.createDiffAlgorithm = function(doc1, doc2, equals) {
+    var diff;
+
+    if (!doc1.tree || !doc2.tree) {
+        throw new Error('Parameter error: Document objects must have tree property');
+    }
+    if (!doc1.treevalueindex || !doc2.treevalueindex) {
+        throw new Error('Parameter error: Document objects must have treevalueindex property');
+    }
+
+    diff = new gumtree.Diff(doc1.tree, doc2.tree, doc1.treevalueindex,
+            doc2.treevalueindex, this.options);
+
+    if (equals) {
+        diff.equals = equals;
+    }
+
+    return diff;
+}
+
+
+/**
+ * Return new tree matching object
+ *
+ * @return {tree.Matching} Empty matching object.
+ */
+DiffGumtreeFactory.prototype.createMatching = function() {
+    return new tree.Matching();
+}
+
+exports.DiffGumtreeFactory = DiffGumtreeFactory;
@@ -12,9 +12,14 @@ var skelmatch = require('./skelmatch');
 
 /**
  * Create a new instance of the skelmatch diff factory.
+ *
+ * @param {Object} [options] Options which will be passed to the skelmatch
+ *         algorithm upon instantiation.
+ *
  * @constructor
  */
-function DiffSkelmatchFactory() {
+function DiffSkelmatchFactory(options) {
+    this.options = options;
 }
 
 
@@ -29,22 +34,38 @@ function DiffSkelmatchFactory() {
  * @param {function} [equals]   The equality test-function used during diffing.
  *         Use the method ``createNodeEqualityTest`` of the document factory to
  *         create a suitable equality test function.
+ * @param {function} [identical] The identity test-function used to pair
+ *         content nodes which changed. Use the method
+ *         ``createNodeIdentityTest`` of the document factory if available.
  *
  * @return {skelmatch.Diff} An initialized skelmatch.Diff instance.
  */
-DiffSkelmatchFactory.prototype.createDiffAlgorithm = function(doc1, doc2, equals) {
+DiffSkelmatchFactory.prototype.createDiffAlgorithm = function(doc1, doc2, equals, identical) {
     var diff;
 
     if (!doc1.tree || !doc2.tree) {
         throw new Error('Parameter error: Document objects must have tree property');
     }
 
-    diff = new skelmatch.Diff(doc1.tree, doc2.tree);
+    diff = new skelmatch.Diff(doc1.tree, doc2.tree, this.options);
 
     if (equals) {
         diff.equals = equals;
+
+        // The equality test compares the value index of the nodes, hence
+        // equal content shares the same tree value hash.
+        if (doc1.treevalueindex && doc2.treevalueindex) {
+            diff.hasha = function(node) {
+                return doc1.treevalueindex.get(node);
+            };
+            diff.hashb = function(node) {
+                return doc2.treevalueindex.get(node);
+            };
+        }
     }
 
+    diff.identical = identical;
+
     return diff;
 }
 
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview This module contains the factory class necessary to
+ * instantiate the tree edit distance algorithm class.
+ */
+
+
+/** @ignore */
+var tree = require('./tree');
+/** @ignore */
+var ted = require('./ted');
+/** @ignore */
+var skelmatch = require('./skelmatch');
+
+
+/**
+ * Return new instance of the tree edit distance diff factory class.
+ *
+ * @param {Object} [options] Options which will be passed to the tree edit
+ *         distance algorithm upon instantiation. In addition the option
+ *         ``maxNodes`` specifies the number of nodes a document may have at
+ *         most. The skelmatch algorithm is used for larger documents and
+ *         receives the same options, e.g. ``lcs``. Defaults to 500.
+ *
+ * @constructor
+ */
+function DiffTEDFactory(options) {
+    this.options = options || {};
+    this.maxNodes = this.options.maxNodes || 500;
+}
+
+
+/**
+ * Return new initialized instance of the tree edit distance algorithm. If
+ * one of the documents exceeds the maximum number of nodes, a skelmatch
+ * instance is returned instead.
+ *
+ * @param {Object} doc1         The original document. Use
+ *         ``loadOriginalDocument`` of the document factory to load a suitable
+ *         document.
+ * @param {Object} doc2         The changed document. Use ``loadInputDocument``
+ *         of the document factory to load a suitable document.
+ * @param {function} [equals]   The equality test-function used during diffing.
+ *         Use the method ``createNodeEqualityTest`` of the document factory to
+ *         create a suitable equality test function.
+ * @param {function} [identical] The identity test-function passed on to the
+ *         skelmatch algorithm. Use the method ``createNodeIdentityTest`` of
+ *         the document factory if available.
+ *
+ * @return {ted.Diff|skelmatch.Diff} An initialized diff algorithm instance.
+ */
+DiffTEDFactory.prototype.createDiffAlgorithm = function(doc1, doc2, equals, identical) {
+    var diff;
+
+    if (!doc1.tree || !doc2.tree) {
+        throw new Error('Parameter error: Document objects must have tree property');
+    }
+
+    if (this.countNodes(doc1.tree) > this.maxNodes ||
+            this.countNodes(doc2.tree) > this.maxNodes) {
+        diff = new skelmatch.Diff(doc1.tree, doc2.tree, this.options);
+        diff.identical = identical;
+    }
+    else {
+        diff = new ted.Diff(doc1.tree, doc2.tree, this.options);
+    }
+
+    if (equals) {
+        diff.equals = equals;
+    }
+
+    return diff;
+}
+
+
+/**
+ * Return the number of nodes in the given tree.
+ */
+DiffTEDFactory.prototype.countNodes = function(root) {
+    var result = 0;
+
+    root.forEach(function() {
+        result++;
+    });
+
+    return result;
+}
+
+
+/**
+ * Return new tree matching object
+ *
+ * @return {tree.Matching} Empty matching object.
+ */
+DiffTEDFactory.prototype.createMatching = function() {
+    return new tree.Matching();
+}
+
+exports.DiffTEDFactory = DiffTEDFactory;
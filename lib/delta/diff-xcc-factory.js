@@ -48,6 +48,16 @@ DiffXCCFactory.prototype.createDiffAlgorithm = function(doc1, doc2, equals) {
 
     if (equals) {
         diff.equals = equals;
+
+        // The equality test compares the value index of the nodes.
+        if (doc1.valueindex && doc2.valueindex) {
+            diff.hasha = function(node) {
+                return doc1.valueindex.get(node);
+            };
+            diff.hashb = function(node) {
+                return doc2.valueindex.get(node);
+            };
+        }
     }
 
     return diff;
@@ -2,6 +2,11 @@
  * @fileoverview High-Lever interface for diffing process
  */
 
+/** @ignore */
+var tree = require('./tree');
+/** @ignore */
+var movematch = require('./movematch');
+
 /**
  * Create a new instance of a patch command based on the given factory objects.
  *
@@ -50,14 +55,22 @@ function Diff(diffFactory, docFactory, deltaFactory) {
  */
 Diff.prototype.diff = function(doc1, doc2) {
     var matching = this.diffFactory.createMatching(),
+        moves = new tree.Matching('movepartner'),
         equals = this.docFactory.createNodeEqualityTest(doc1, doc2),
-        diff = this.diffFactory.createDiffAlgorithm(doc1, doc2, equals);
+        identical = this.createNodeIdentityTest(doc1, doc2),
+        diff = this.diffFactory.createDiffAlgorithm(doc1, doc2, equals,
+                identical),
+        mover = new movematch.MoveMatcher(doc1.tree, doc2.tree,
+                doc1.treevalueindex, doc2.treevalueindex);
 
     // diff
     diff.matchTrees(matching);
 
+    // Pair identical subtrees which were moved
+    mover.matchMoves(matching, moves);
+
     // Collect changes
-    deltadoc = this.collect(doc1, doc2, matching);
+    deltadoc = this.collect(doc1, doc2, matching, moves);
 
     // Populate document
     this.populate(deltadoc, doc1);
@@ -66,6 +79,24 @@ Diff.prototype.diff = function(doc1, doc2) {
 }
 
 
+/**
+ * Return the node identity test of the document factory or undefined if the
+ * document type does not provide one.
+ *
+ * @param {Object} doc1     Original document.
+ * @param {Object} doc2     Changed document.
+ * @return {function} Node identity test function.
+ *
+ * @memberOf diff.Diff
+ */
+Diff.prototype.createNodeIdentityTest = function(doc1, doc2) {
+    // Only document types supporting attributes provide an identity test.
+    if (this.docFactory.createNodeIdentityTest) {
+        return this.docFactory.createNodeIdentityTest(doc1, doc2);
+    }
+};
+
+
 /**
  * Construct delta document.
  *
@@ -75,16 +106,30 @@ Diff.prototype.diff = function(doc1, doc2) {
  *                          profile loadInputDocument method.
  * @param {Object} matching The matching produced by the choosen diff
  *                          algorithm.
+ * @param {Object} [moves]  A matching pairing the roots of moved subtrees.
+ *                          Delta formats supporting it emit move operations
+ *                          for them.
  * @return {Object} Delta document.
  *
  * @memberOf diff.Diff
  */
-Diff.prototype.collect = function(doc1, doc2, matching) {
+Diff.prototype.collect = function(doc1, doc2, matching, moves) {
     var deltadoc = this.deltaFactory.createEmptyDocument(matching),
         equals = this.docFactory.createNodeEqualityTest(doc1, doc2),
-        collector;
+        diffAttributes, diffText, collector;
+
+    // Only document types supporting attributes provide an attribute diff.
+    if (this.docFactory.createAttributeDiff) {
+        diffAttributes = this.docFactory.createAttributeDiff(doc1, doc2);
+    }
+
+    // Inline text diffs are only available if enabled on the document type.
+    if (this.docFactory.createTextDiff) {
+        diffText = this.docFactory.createTextDiff(doc1, doc2);
+    }
 
-    collector = this.deltaFactory.createCollector(deltadoc, doc1, equals);
+    collector = this.deltaFactory.createCollector(deltadoc, doc1, equals,
+            diffAttributes, diffText, moves);
 
     // Collect changes and create operations in delta document
     collector.forEachChange(function(attached) {
@@ -107,7 +152,7 @@ Diff.prototype.collect = function(doc1, doc2, matching) {
  * @memberOf diff.Diff
  */
 Diff.prototype.populate = function(deltadoc, doc) {
-    var i, detacher = this.deltaFactory.createDetacher(doc),
+    var i, detacher = this.deltaFactory.createDetacher(doc, deltadoc.matching),
         fragadapter = this.docFactory.createFragmentAdapter(deltadoc.type),
         deltaadapter = this.deltaFactory.createDeltaAdapter(fragadapter);
 
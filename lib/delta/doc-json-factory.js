@@ -0,0 +1,223 @@
+/**
+ * @fileoverview This module provides the factory class for JSON documents
+ */
+
+
+/** @ignore */
+var jsonpayload = require('./jsonpayload');
+/** @ignore */
+var fnv132 = require('./fnv132');
+/** @ignore */
+var tree = require('./tree');
+/** @ignore */
+var jsobjecttree = require('./jsobjecttree');
+/** @ignore */
+var jsobjecthandler = require('./jsobjecthandler');
+/** @ignore */
+var docmod = require('./doc');
+
+/** Shared payload handler instance */
+var payloadHandler = new jsonpayload.JSONPayloadHandler();
+
+/** shared tree adapter instance */
+var treeAdapter = new jsobjecttree.JSObjectTreeAdapter();
+
+/**
+ * Create a new instance of the JSON document factory class.
+ * @constructor
+ */
+function DocumentJSONFactory() {
+}
+
+
+/**
+ * Return a new empty document.
+ *
+ * @return {Object} A document initialized with default values.
+ */
+DocumentJSONFactory.prototype.createEmptyDocument = function() {
+    return new docmod.Document('json', 'untitled.json',
+        payloadHandler.createDocument(),
+        undefined,
+        '',
+        undefined,
+        undefined,
+        undefined
+    );
+};
+
+
+/**
+ * Return new document loaded from a JSON string or a JavaScript value.
+ *
+ * @param {String|Object} jsondoc   The JSON source or the parsed value.
+ * @param {String}        [name]    The file name of the document.
+ *
+ * @return {Object} A document initialized from the given JSON value.
+ */
+DocumentJSONFactory.prototype.loadInputDocument = function(jsondoc, name) {
+    var src, result, valueindex, treevalueindex;
+
+    valueindex = new tree.NodeHashIndex(
+            new jsobjecttree.JSObjectNodeHash(fnv132.Hash));
+    treevalueindex = new tree.TreeHashIndex(
+            new tree.SimpleTreeHash(fnv132.Hash, valueindex));
+
+    if (typeof jsondoc === 'string') {
+        src = jsondoc;
+        jsondoc = payloadHandler.parseString(jsondoc);
+    }
+
+    return new docmod.Document('json', name,
+        jsondoc,
+        treeAdapter.adaptDocument(jsondoc),
+        src,
+        valueindex,
+        treevalueindex,
+        undefined
+    );
+}
+
+
+/**
+ * Return new document loaded from a JSON string or a JavaScript value. Use
+ * this method for loading the original (unchanged) document and supply it as
+ * doc1 to diff.Diff or patch.Patch.
+ *
+ * @param {String|Object} jsondoc   The JSON source or the parsed value.
+ * @param {String}        [name]    The file name of the document.
+ *
+ * @return {Object} A document initialized from the given JSON value.
+ */
+DocumentJSONFactory.prototype.loadOriginalDocument = function(jsondoc, name) {
+    var result = DocumentJSONFactory.prototype.loadInputDocument(jsondoc, name);
+
+    var nodeindex = new tree.DocumentOrderIndex(result.tree);
+    nodeindex.buildAll();
+    result.nodeindex = nodeindex;
+
+    return result;
+}
+
+
+/**
+ * Return the proper document fragment adapter for the given deltadoc type.
+ *
+ * @param {String} type The document type of the delta document this adapter
+ *         should be used for.
+ *
+ * @return {FragmentAdapter} A suitable fragment adapter for the given type.
+ */
+DocumentJSONFactory.prototype.createFragmentAdapter = function(type) {
+    if (type === 'json') {
+        return new jsonpayload.JSONFragmentAdapter(treeAdapter);
+    }
+    else {
+        return new jsonpayload.SerializedJSONFragmentAdapter(treeAdapter);
+    }
+}
+
+
+/**
+ * Return a node formatter rendering nodes of this document type for human
+ * readers. See ``prettyprint.PrettyPrinter``.
+ *
+ * @return {Object} A node formatter.
+ */
+DocumentJSONFactory.prototype.createNodeFormatter = function() {
+    return new jsonpayload.JSONNodeFormatter();
+};
+
+
+/**
+ * Return the proper node equality test function.
+ *
+ * @param {object} doc1 The original document
+ * @param {object} doc2 The changed document
+ *
+ * @return {function} node equality test function.
+ */
+DocumentJSONFactory.prototype.createNodeEqualityTest = function(doc1, doc2) {
+    if (!doc1.valueindex || !doc2.valueindex) {
+        throw new Error('Parameter error: Document objects must have valueindex property');
+    }
+
+    // Use value index for node-comparison
+    return function(a, b) {
+        return doc1.valueindex.get(a) === doc2.valueindex.get(b);
+    }
+}
+
+
+/**
+ * Return the proper subtree equality test.
+ *
+ * @param {object} doc1 The original document
+ * @param {object} doc2 The changed document
+ *
+ * @return {function} node equality test function.
+ */
+DocumentJSONFactory.prototype.createTreeEqualityTest = function(doc1, doc2) {
+    if (!doc1.treevalueindex || !doc2.treevalueindex) {
+        throw new Error('Parameter error: Document objects must have treevalueindex property');
+    }
+
+    // Use value index for node-comparison
+    return function(a, b) {
+        return doc1.treevalueindex.get(a) === doc2.treevalueindex.get(b);
+    }
+}
+
+
+/**
+ * Return proper value checker.
+ *
+ * @param {object} doc The original document
+ *
+ * @return {function} value comparison function.
+ */
+DocumentJSONFactory.prototype.createValueTest = function(doc) {
+    if (!doc.valueindex) {
+        throw new Error('Parameter error: Document objects must have valueindex property');
+    }
+
+    // Use value index for node-comparison
+    return function(a, b) {
+        return doc.valueindex.get(a) === b;
+    }
+};
+
+
+/**
+ * Returns delta operation handler factory.
+ *
+ * @return {object} Instance of the handler factory class suitable for JSON
+ *         documents.
+ */
+DocumentJSONFactory.prototype.createHandlerFactory = function() {
+    return new jsobjecthandler.JSObjectOperationHandlerFactory(treeAdapter);
+}
+
+
+/**
+ * Serialize the data property into the src string and return it. Also store
+ * the source into the ``src`` property of ``doc``.
+ *
+ * @param {Object} doc A document loaded by one of the load methods.
+ *
+ * @return {String} The JSON representation of the document as a string.
+ */
+DocumentJSONFactory.prototype.serializeDocument = function(doc) {
+    // The root value gets replaced when a node update operation is applied
+    // to the root of the tree.
+    if (doc.tree) {
+        doc.data = doc.tree.data;
+    }
+
+    doc.src = payloadHandler.serializeToString(doc.data);
+
+    return doc.src;
+};
+
+
+exports.DocumentJSONFactory = DocumentJSONFactory;
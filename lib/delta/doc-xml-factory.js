@@ -19,14 +19,26 @@ var docmod = require('./doc');
 /** Shared payload handler instance */
 var payloadHandler = new xmlpayload.XMLPayloadHandler();
 
-/** shared tree adapter instance */
-var treeAdapter = new domtree.DOMTreeAdapter();
-
 /**
- * Create a new instance of the XML document factory class.
+ * Create a new instance of the XML document factory class. The following
+ * options are recognized:
+ *
+ * - whitespace: The whitespace policy applied to documents and fragments:
+ *   ``preserve`` (default), ``ignore`` or ``normalize``. See
+ *   :js:class:`DOMTreeAdapter`.
+ * - textdiff: Record changes of texts inline using ``word`` or ``char``
+ *   tokens instead of replacing the whole text node. Disabled by default.
+ *
+ * @param {Object} [options] The options for this document type.
+ *
  * @constructor
  */
-function DocumentXMLFactory() {
+function DocumentXMLFactory(options) {
+    options = options || {};
+
+    this.whitespace = options.whitespace || domtree.WHITESPACE_PRESERVE;
+    this.textdiff = options.textdiff;
+    this.treeAdapter = new domtree.DOMTreeAdapter(this.whitespace);
 }
 
 
@@ -58,7 +70,8 @@ DocumentXMLFactory.prototype.createEmptyDocument = function() {
 DocumentXMLFactory.prototype.loadInputDocument = function(domdoc, name) {
     var src, result, valueindex, treevalueindex;
 
-    valueindex = new tree.NodeHashIndex(new domtree.DOMNodeHash(fnv132.Hash));
+    valueindex = new tree.NodeHashIndex(
+            new domtree.DOMNodeHash(fnv132.Hash, this.whitespace));
     treevalueindex = new tree.TreeHashIndex(
             new tree.SimpleTreeHash(fnv132.Hash, valueindex));
 
@@ -69,7 +82,7 @@ DocumentXMLFactory.prototype.loadInputDocument = function(domdoc, name) {
 
     return new docmod.Document('xml', name,
         domdoc,
-        treeAdapter.adaptDocument(domdoc),
+        this.treeAdapter.adaptDocument(domdoc),
         src,
         valueindex,
         treevalueindex,
@@ -89,7 +102,7 @@ DocumentXMLFactory.prototype.loadInputDocument = function(domdoc, name) {
  * @return {Object} A document initialized from the given DOMDocument.
  */
 DocumentXMLFactory.prototype.loadOriginalDocument = function(domdoc, name) {
-    var result = DocumentXMLFactory.prototype.loadInputDocument(domdoc, name);
+    var result = this.loadInputDocument(domdoc, name);
 
     var nodeindex = new tree.DocumentOrderIndex(result.tree);
     nodeindex.buildAll();
@@ -108,15 +121,26 @@ DocumentXMLFactory.prototype.loadOriginalDocument = function(domdoc, name) {
  * @return {FragmentAdapter} A suitable fragment adapter for the given type.
  */
 DocumentXMLFactory.prototype.createFragmentAdapter = function(type) {
-    if (type === 'xml') {
-        return new xmlpayload.XMLFragmentAdapter(treeAdapter);
+    if (type === 'xml' || type === 'xmlpatch' || type === 'xupdate') {
+        return new xmlpayload.XMLFragmentAdapter(this.treeAdapter);
     }
     else {
-        return new xmlpayload.SerializedXMLFragmentAdapter(treeAdapter);
+        return new xmlpayload.SerializedXMLFragmentAdapter(this.treeAdapter);
     }
 }
 
 
+/**
+ * Return a node formatter rendering nodes of this document type for human
+ * readers. See ``prettyprint.PrettyPrinter``.
+ *
+ * @return {Object} A node formatter.
+ */
+DocumentXMLFactory.prototype.createNodeFormatter = function() {
+    return new xmlpayload.XMLNodeFormatter();
+};
+
+
 /**
  * Return the proper node equality test function.
  *
@@ -137,6 +161,23 @@ DocumentXMLFactory.prototype.createNodeEqualityTest = function(doc1, doc2) {
 }
 
 
+/**
+ * Return the node identity test used to pair childless elements whose
+ * attributes changed. The returned function returns true for elements with
+ * the same qualified name.
+ *
+ * @param {object} doc1 The original document
+ * @param {object} doc2 The changed document
+ *
+ * @return {function} node identity test function.
+ */
+DocumentXMLFactory.prototype.createNodeIdentityTest = function(doc1, doc2) {
+    return function(a, b) {
+        return domtree.sameElement(a.data, b.data);
+    }
+};
+
+
 /**
  * Return the proper subtree equality test.
  *
@@ -157,6 +198,102 @@ DocumentXMLFactory.prototype.createTreeEqualityTest = function(doc1, doc2) {
 }
 
 
+/**
+ * Return the attribute diff function used to break down updates of elements
+ * whose attributes changed into attribute updates. See
+ * ``delta.DeltaCollector.diffAttributes``.
+ *
+ * @param {object} doc1 The original document
+ * @param {object} doc2 The changed document
+ *
+ * @return {function} attribute diff function.
+ */
+DocumentXMLFactory.prototype.createAttributeDiff = function(doc1, doc2) {
+    var treeAdapter = this.treeAdapter;
+
+    return function(a, b) {
+        var result = domtree.diffAttributes(a.data, b.data);
+        if (result) {
+            return result.map(treeAdapter.adaptElement, treeAdapter);
+        }
+    }
+};
+
+
+/**
+ * Return the text diff function used to break down updates of text nodes
+ * into inline text updates. See ``delta.DeltaCollector.diffText``. Return
+ * undefined if inline text diffs are not enabled.
+ *
+ * @param {object} doc1 The original document
+ * @param {object} doc2 The changed document
+ *
+ * @return {function} text diff function.
+ */
+DocumentXMLFactory.prototype.createTextDiff = function(doc1, doc2) {
+    var treeAdapter = this.treeAdapter, granularity = this.textdiff;
+
+    if (!granularity) {
+        return;
+    }
+
+    return function(a, b) {
+        var result = domtree.diffText(a.data, b.data, granularity);
+        if (result) {
+            return result.map(treeAdapter.adaptElement, treeAdapter);
+        }
+    }
+};
+
+
+/**
+ * Return the proper attribute equality test. The returned function compares
+ * a node from the document against a node of an attribute update and returns
+ * true if all the attributes of the latter are present with equal values.
+ *
+ * @param {object} doc The original document
+ *
+ * @return {function} attribute equality test function.
+ */
+DocumentXMLFactory.prototype.createAttributeEqualityTest = function(doc) {
+    return function(a, b) {
+        return !!a && domtree.matchAttributes(a.data, b.data);
+    }
+};
+
+
+/**
+ * Return the attribute accessor used to tell which attributes are touched by
+ * an attribute update. The returned function returns the qualified names of
+ * the attributes of the given node.
+ *
+ * @param {object} doc The original document
+ *
+ * @return {function} attribute accessor function.
+ */
+DocumentXMLFactory.prototype.createAttributeAccessor = function(doc) {
+    return function(node) {
+        return Object.keys(domtree.attributeMap(node.data));
+    }
+};
+
+
+/**
+ * Return the proper text equality test. The returned function compares a
+ * node from the document against the original regions of a text update and
+ * returns true if all of them can be located in the text.
+ *
+ * @param {object} doc The original document
+ *
+ * @return {function} text equality test function.
+ */
+DocumentXMLFactory.prototype.createTextEqualityTest = function(doc) {
+    return function(a, b) {
+        return !!a && domtree.matchText(a.data, b.data);
+    }
+};
+
+
 /**
  * Return proper value checker.
  *
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview    Annotate the source code of DOM documents with HTML markup.
+ *
+ * Regions of a document are marked by inserting comments carrying a nonce
+ * into the DOM. When the document is serialized, the source is escaped and
+ * the marker comments are replaced by the HTML tags registered for them.
+ * Hence the annotated source is always in sync with the serialized document,
+ * including namespace declarations.
+ *
+ * Usage example:
+ *
+ * .. code-block:: javascript
+ *
+ *      var annotator = new docannotator.DocumentAnnotator(domdoc);
+ *      annotator.wrap([element], '<span class="changed">', '</span>');
+ *      html = '<pre>' + annotator.toHTML() + '</pre>';
+ */
+
+/** @ignore */
+var xmlshim = require('xmlshim');
+
+
+/**
+ * Create new DocumentAnnotator instance.
+ *
+ * @param {Document} doc        The DOM document to annotate.
+ * @param {String} [nonce]      A string which does not occur within any
+ *         comment of the document. Defaults to the current time.
+ *
+ * @constructor
+ * @name docannotator.DocumentAnnotator
+ */
+function DocumentAnnotator(doc, nonce) {
+    this.doc = doc;
+    this.nonce = nonce || (new Date()).getTime().toString();
+
+    /**
+     * The marker comments inserted into the document.
+     */
+    this.markers = [];
+
+    /**
+     * The HTML markup replacing the marker comments, indexed by the number
+     * of the marker.
+     */
+    this.tags = [];
+}
+
+
+/**
+ * Surround the given DOM nodes with the given HTML tags. The nodes must be
+ * consecutive siblings.
+ *
+ * @param {Array} domnodes      Consecutive sibling DOM nodes.
+ * @param {String} starttag     HTML markup inserted before the first node.
+ * @param {String} endtag       HTML markup inserted after the last node.
+ *
+ * @memberOf docannotator.DocumentAnnotator
+ */
+DocumentAnnotator.prototype.wrap = function(domnodes, starttag, endtag) {
+    var first = domnodes[0], last = domnodes[domnodes.length - 1],
+        par = first.parentNode || this.doc;
+
+    this.insertMarker(par, first, starttag);
+    this.insertMarker(par, last.nextSibling, endtag);
+};
+
+
+/**
+ * Surround the start tag of the given element with the given HTML tags. For
+ * other nodes and empty elements the whole node is surrounded.
+ *
+ * @param {Node} domnode        A DOM node.
+ * @param {String} starttag     HTML markup inserted before the node.
+ * @param {String} endtag       HTML markup inserted after the start tag.
+ *
+ * @memberOf docannotator.DocumentAnnotator
+ */
+DocumentAnnotator.prototype.wrapStartTag = function(domnode, starttag,
+        endtag) {
+    if (domnode.nodeType === domnode.ELEMENT_NODE && domnode.firstChild) {
+        this.insertMarker(domnode.parentNode || this.doc, domnode, starttag);
+        this.insertMarker(domnode, domnode.firstChild, endtag);
+    }
+    else {
+        this.wrap([domnode], starttag, endtag);
+    }
+};
+
+
+/**
+ * Insert the given HTML tags at a position between two nodes.
+ *
+ * @param {Node} par            The parent DOM node.
+ * @param {Node} [before]       The DOM node following the position.
+ *         Defaults to the end of the children of par.
+ * @param {String} starttag     HTML markup inserted first.
+ * @param {String} endtag       HTML markup inserted last.
+ *
+ * @memberOf docannotator.DocumentAnnotator
+ */
+DocumentAnnotator.prototype.mark = function(par, before, starttag, endtag) {
+    this.insertMarker(par, before, starttag + endtag);
+};
+
+
+/**
+ * Internal use. Insert a marker comment standing for the given HTML markup.
+ */
+DocumentAnnotator.prototype.insertMarker = function(par, before, html) {
+    var marker = this.doc.createComment('ANNOTATE' + this.nonce + ':' +
+            this.tags.length);
+
+    this.tags.push(html);
+    this.markers.push(par.insertBefore(marker, before || null));
+};
+
+
+/**
+ * Return the escaped source of the document annotated with the registered
+ * HTML markup.
+ *
+ * @param {Boolean} [noclear]   Keep the marker comments in the document.
+ *
+ * @return {String} HTML markup suitable for a ``pre`` element.
+ *
+ * @memberOf docannotator.DocumentAnnotator
+ */
+DocumentAnnotator.prototype.toHTML = function(noclear) {
+    var source = (new xmlshim.XMLSerializer()).serializeToString(this.doc),
+        pattern = new RegExp('&lt;!--ANNOTATE' + this.nonce +
+                ':(\\d+)--&gt;', 'g'),
+        tags = this.tags, result;
+
+    result = escapeHTML(source).replace(pattern, function(match, index) {
+        return tags[parseInt(index, 10)];
+    });
+
+    if (!noclear) {
+        this.clear();
+    }
+
+    return result;
+};
+
+
+/**
+ * Remove marker comments from the underlying DOM tree.
+ *
+ * @memberOf docannotator.DocumentAnnotator
+ */
+DocumentAnnotator.prototype.clear = function() {
+    var i;
+
+    for (i = 0; i < this.markers.length; i++) {
+        this.markers[i].parentNode.removeChild(this.markers[i]);
+    }
+
+    this.markers = [];
+    this.tags = [];
+};
+
+
+/**
+ * Return the given string with the characters having a special meaning in
+ * HTML replaced by entities.
+ *
+ * @param {String} text     The string to escape.
+ *
+ * @return {String} The escaped string.
+ */
+function escapeHTML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+
+exports.DocumentAnnotator = DocumentAnnotator;
+exports.escapeHTML = escapeHTML;
@@ -11,8 +11,14 @@ var contextdelta = require('./contextdelta');
 TYPE_TAGS = {};
 TYPE_TAGS[deltamod.UPDATE_NODE_TYPE] = 'node';
 TYPE_TAGS[deltamod.UPDATE_FOREST_TYPE] = 'forest';
+TYPE_TAGS[deltamod.UPDATE_ATTRIBUTES_TYPE] = 'attributes';
+TYPE_TAGS[deltamod.UPDATE_TEXT_TYPE] = 'text';
+TYPE_TAGS[deltamod.MOVE_TYPE] = 'move';
 TYPE_TAGS.node = deltamod.UPDATE_NODE_TYPE;
 TYPE_TAGS.forest = deltamod.UPDATE_FOREST_TYPE;
+TYPE_TAGS.attributes = deltamod.UPDATE_ATTRIBUTES_TYPE;
+TYPE_TAGS.text = deltamod.UPDATE_TEXT_TYPE;
+TYPE_TAGS.move = deltamod.MOVE_TYPE;
 
 /**
  * @constructor
@@ -41,27 +47,20 @@ DOMDeltaAdapter.prototype.adaptDocument = function(doc) {
 
 
 DOMDeltaAdapter.prototype.adaptOperation = function(element, type) {
-    var path = element.getAttribute('path'),
-        children, remove, insert, i, n, head, tail, body;
+    var path = this.parsePath(element.getAttribute('path')),
+        children, remove, insert, i, n, head, tail, body, target;
 
     switch (type) {
         case deltamod.UPDATE_NODE_TYPE:
         case deltamod.UPDATE_FOREST_TYPE:
+        case deltamod.UPDATE_ATTRIBUTES_TYPE:
+        case deltamod.UPDATE_TEXT_TYPE:
+        case deltamod.MOVE_TYPE:
             break;
         default:
             throw new Error('Encountered unsupported change type');
     }
 
-    // Parse path
-    if (path === '') {
-        path = [];
-    }
-    else {
-        path = path.split('/').map(function(component) {
-            return parseInt(component, 10);
-        });
-    }
-
     children = Array.prototype.slice.call(element.childNodes);
     node = this.nextElement('context', children);
     head = this.parseContext(node);
@@ -75,10 +74,32 @@ DOMDeltaAdapter.prototype.adaptOperation = function(element, type) {
     node = this.nextElement('context', children);
     tail = this.parseContext(node);
 
+    if (type === deltamod.MOVE_TYPE) {
+        target = this.nextElement('target', children);
+        children = Array.prototype.slice.call(target.childNodes);
+        return new contextdelta.DetachedContextOperation(type, path, remove,
+                insert, head, tail,
+                this.parsePath(target.getAttribute('path')),
+                this.parseContext(this.nextElement('context', children)),
+                this.parseContext(this.nextElement('context', children)));
+    }
+
     return new contextdelta.DetachedContextOperation(type, path, remove, insert, head, tail);
 };
 
 
+DOMDeltaAdapter.prototype.parsePath = function(path) {
+    if (path === '') {
+        return [];
+    }
+    else {
+        return path.split('/').map(function(component) {
+            return parseInt(component, 10);
+        });
+    }
+};
+
+
 DOMDeltaAdapter.prototype.nextElement = function(tag, domnodes) {
     var node = domnodes.shift();
     while (node && node.nodeType !== node.ELEMENT_NODE) {
@@ -134,7 +155,8 @@ DOMDeltaAdapter.prototype.populateDocument = function(doc, operations) {
 
 DOMDeltaAdapter.prototype.constructOperationElement = function(doc, op) {
     var tag = TYPE_TAGS[op.type],
-        deep = (op.type !== deltamod.UPDATE_NODE_TYPE),
+        deep = (op.type === deltamod.UPDATE_FOREST_TYPE ||
+                op.type === deltamod.UPDATE_TEXT_TYPE),
         element = doc.createElementNS(null, tag),
         remove = doc.createElementNS(null, 'remove'),
         insert = doc.createElementNS(null, 'insert'),
@@ -153,6 +175,8 @@ DOMDeltaAdapter.prototype.constructOperationElement = function(doc, op) {
             remove.appendChild(doc.createCDATASection(oldcontent));
         }
         else {
+            this.declareNamespaces(remove, op.remove);
+            this.declareSpace(remove, op.remove);
             remove.appendChild(oldcontent);
         }
         element.appendChild(remove);
@@ -164,6 +188,8 @@ DOMDeltaAdapter.prototype.constructOperationElement = function(doc, op) {
             insert.appendChild(doc.createCDATASection(newcontent));
         }
         else {
+            this.declareNamespaces(insert, op.insert);
+            this.declareSpace(insert, op.insert);
             insert.appendChild(newcontent);
         }
         element.appendChild(insert);
@@ -172,9 +198,58 @@ DOMDeltaAdapter.prototype.constructOperationElement = function(doc, op) {
     tail.appendChild(doc.createTextNode(this.formatFingerprint(op.tail)));
     element.appendChild(tail);
 
+    if (op.type === deltamod.MOVE_TYPE) {
+        element.appendChild(this.constructTargetElement(doc, op));
+    }
+
     return element;
 };
 
+
+/**
+ * Return a new ``target`` element holding the path and the context of the
+ * position a subtree is moved to.
+ */
+DOMDeltaAdapter.prototype.constructTargetElement = function(doc, op) {
+    var element = doc.createElementNS(null, 'target'),
+        head = doc.createElementNS(null, 'context'),
+        tail = doc.createElementNS(null, 'context');
+
+    element.setAttribute('path', op.targetpath.join('/'));
+
+    head.appendChild(doc.createTextNode(this.formatFingerprint(op.targethead)));
+    element.appendChild(head);
+
+    tail.appendChild(doc.createTextNode(this.formatFingerprint(op.targettail)));
+    element.appendChild(tail);
+
+    return element;
+};
+
+/**
+ * Declare the namespaces used by the given nodes on the remove or insert
+ * element if supported by the fragment adapter. Otherwise the serializer
+ * would add the missing declarations to the nodes themselves and those would
+ * end up in the patched document.
+ */
+DOMDeltaAdapter.prototype.declareNamespaces = function(element, nodes) {
+    if (this.fragmentadapter.declareNamespaces) {
+        this.fragmentadapter.declareNamespaces(element, nodes);
+    }
+};
+
+
+/**
+ * Mark the remove or insert element with ``xml:space="preserve"`` if the
+ * given nodes are subject to it and if supported by the fragment adapter.
+ */
+DOMDeltaAdapter.prototype.declareSpace = function(element, nodes) {
+    if (this.fragmentadapter.declareSpace) {
+        this.fragmentadapter.declareSpace(element, nodes);
+    }
+};
+
+
 DOMDeltaAdapter.prototype.formatFingerprint = function(parts) {
     return parts.map(function(n) {
         return n ? n.toString(16) : '';
@@ -5,6 +5,9 @@
 /** @ignore */
 var deltamod = require('./delta');
 
+/** @ignore */
+var domtree = require('./domtree');
+
 /**
  * Helper class for a memoizing the currently active DOM node during a patching
  * session. This mapping is necessary because DOMNodeReplaceOperationHandler
@@ -35,6 +38,30 @@ DOMOperationNodeDataMap.prototype.setCurrentDOMNode = function(node, domnode) {
 }
 
 
+/**
+ * Return the given sequence of sibling DOM nodes including the whitespace
+ * text nodes between them. Those are not part of the tree if the document
+ * was loaded with a whitespace policy other than ``preserve`` but must be
+ * removed together with the surrounding nodes nevertheless. Return the
+ * sequence unchanged if the nodes are not adjacent siblings anymore.
+ */
+function withInterveningWhitespace(domnodes) {
+    var result = [], dom, i = 0;
+
+    for (dom = domnodes[0]; dom && i < domnodes.length; dom = dom.nextSibling) {
+        if (dom === domnodes[i]) {
+            i++;
+        }
+        else if (dom.nodeType !== 3 || !/^[ \t\r\n]*$/.test(dom.nodeValue)) {
+            return domnodes;
+        }
+        result.push(dom);
+    }
+
+    return i === domnodes.length ? result : domnodes;
+}
+
+
 /**
  * @constructor
  */
@@ -115,6 +142,162 @@ DOMNodeReplaceOperationHandler.prototype.deactivate = function() {
 };
 
 
+/**
+ * Construct a new DOM operation handler capable of updating some attributes
+ * of an element in place. The attributes of oldattrs are removed and the ones
+ * of newattrs are set when the handler is activated. Attributes present in
+ * both are replaced.
+ *
+ * @param   anchor      The tree.Node of the element
+ * @param   oldattrs    A DOM element holding the original values of removed
+ *                      and changed attributes
+ * @param   newattrs    A DOM element holding the new values of added and
+ *                      changed attributes
+ * @constructor
+ */
+function DOMAttributeUpdateOperationHandler(anchor, datamap, oldattrs,
+        newattrs) {
+    this.anchor = anchor;
+    this.datamap = datamap;
+    this.oldattrs = oldattrs;
+    this.newattrs = newattrs;
+
+    this.state = false;
+}
+
+
+/**
+ * Toggle active state of this hunk.
+ */
+DOMAttributeUpdateOperationHandler.prototype.toggle = function() {
+    var remove = domtree.attributeMap(this.state ? this.newattrs : this.oldattrs),
+        insert = domtree.attributeMap(this.state ? this.oldattrs : this.newattrs),
+        node = this.datamap.getCurrentDOMNode(this.anchor),
+        qn, n, old;
+
+    // Attributes which are replaced are set in place in order to retain
+    // their position.
+    for (qn in remove) {
+        if (remove.hasOwnProperty(qn) && !insert.hasOwnProperty(qn)) {
+            n = remove[qn];
+            node.removeAttributeNS(n.namespaceURI, n.localName);
+        }
+    }
+    for (qn in insert) {
+        if (insert.hasOwnProperty(qn)) {
+            n = insert[qn];
+            // A different prefix is not picked up by setAttributeNS.
+            old = node.getAttributeNodeNS(n.namespaceURI, n.localName);
+            if (old && old.name !== n.name) {
+                node.removeAttributeNode(old);
+            }
+            node.setAttributeNS(n.namespaceURI, n.name, n.value);
+        }
+    }
+
+    this.state = !this.state;
+};
+
+
+/**
+ * Return true if this hunk is active.
+ */
+DOMAttributeUpdateOperationHandler.prototype.isActive = function() {
+    return this.state;
+};
+
+
+/**
+ * Activate this hunk, remove old attributes and insert new attributes if
+ * necessary.
+ */
+DOMAttributeUpdateOperationHandler.prototype.activate = function() {
+    if (!this.state) {
+        this.toggle();
+    }
+};
+
+
+/**
+ * Deactivate this hunk, remove inserted attributes and reinsert removed
+ * attributes if necessary.
+ */
+DOMAttributeUpdateOperationHandler.prototype.deactivate = function() {
+    if (this.state) {
+        this.toggle();
+    }
+};
+
+
+/**
+ * Construct a new DOM operation handler capable of updating some regions of
+ * a text node in place. The regions described by oldedit are replaced by the
+ * ones of newedit when the handler is activated.
+ *
+ * @param   anchor      The tree.Node of the text
+ * @param   oldedit     A DOM element describing the original regions
+ * @param   newedit     A DOM element describing the replacements
+ * @constructor
+ */
+function DOMTextUpdateOperationHandler(anchor, datamap, oldedit, newedit) {
+    this.anchor = anchor;
+    this.datamap = datamap;
+    this.oldedit = oldedit;
+    this.newedit = newedit;
+
+    this.state = false;
+}
+
+
+/**
+ * Toggle active state of this hunk.
+ */
+DOMTextUpdateOperationHandler.prototype.toggle = function() {
+    var node = this.datamap.getCurrentDOMNode(this.anchor),
+        text = this.state ?
+            domtree.patchText(node.nodeValue, this.newedit, this.oldedit) :
+            domtree.patchText(node.nodeValue, this.oldedit, this.newedit);
+
+    if (typeof text === 'undefined') {
+        throw new Error('Failed to locate the changed regions of the text');
+    }
+
+    node.replaceData(0, node.nodeValue.length, text);
+
+    this.state = !this.state;
+};
+
+
+/**
+ * Return true if this hunk is active.
+ */
+DOMTextUpdateOperationHandler.prototype.isActive = function() {
+    return this.state;
+};
+
+
+/**
+ * Activate this hunk, replace the original regions of the text if
+ * necessary.
+ */
+DOMTextUpdateOperationHandler.prototype.activate = function() {
+    if (!this.state) {
+        this.toggle();
+    }
+};
+
+
+/**
+ * Deactivate this hunk, restore the original regions of the text if
+ * necessary.
+ */
+DOMTextUpdateOperationHandler.prototype.deactivate = function() {
+    if (this.state) {
+        this.toggle();
+    }
+};
+
+
 /**
  * Construct a new DOM operation element capable of replacing the specified
  * subtrees.
@@ -190,6 +373,82 @@ DOMTreeSequenceOperationHandler.prototype.deactivate = function() {
 };
 
 
+/**
+ * Construct a new DOM operation handler capable of moving a subtree to
+ * another position.
+ *
+ * @param   node        The tree.Node of the root of the moved subtree
+ * @param   par         The tree.Node the subtree should be moved to
+ * @param   before      The tree.Node where the subtree should be inserted
+ *                      before
+ * @constructor
+ */
+function DOMTreeMoveOperationHandler(node, par, before, datamap) {
+    this.node = node;
+    this.par = par;
+    this.before = before;
+    this.datamap = datamap;
+
+    this.state = false;
+}
+
+
+/**
+ * Toggle active state. The original position of the subtree is recorded
+ * when it is moved away and restored when the handler is deactivated.
+ */
+DOMTreeMoveOperationHandler.prototype.toggle = function() {
+    var dom = this.datamap.getCurrentDOMNode(this.node), parent, before;
+
+    if (this.state) {
+        parent = this.origparent;
+        before = this.origbefore;
+    }
+    else {
+        this.origparent = dom.parentNode;
+        this.origbefore = dom.nextSibling;
+        parent = this.datamap.getCurrentDOMNode(this.par);
+        before = this.datamap.getCurrentDOMNode(this.before);
+    }
+
+    if (before === dom) {
+        before = dom.nextSibling;
+    }
+    parent.insertBefore(dom, before);
+
+    this.state = !this.state;
+};
+
+
+/**
+ * Return true if the hunk is active
+ */
+DOMTreeMoveOperationHandler.prototype.isActive = function() {
+    return this.state;
+};
+
+
+/**
+ * Activate this hunk, moving the subtree to its new position if necessary.
+ */
+DOMTreeMoveOperationHandler.prototype.activate = function() {
+    if (!this.state) {
+        this.toggle();
+    }
+};
+
+
+/**
+ * Deactivate this hunk, moving the subtree back to its original position if
+ * necessary.
+ */
+DOMTreeMoveOperationHandler.prototype.deactivate = function() {
+    if (this.state) {
+        this.toggle();
+    }
+};
+
+
 /**
  * Construct a DOM operation factory.
  * @constructor
@@ -218,6 +477,40 @@ DOMOperationHandlerFactory.prototype.createNodeUpdateOperationHandler = function
 };
 
 
+/**
+ * Return a new attribute update operation on the given node.
+ *
+ * @param anchor    A DeltaJS.tree.Anchor pointing to the element
+ * @param oldattrs  A DeltaJS.tree.Node holding the original attribute values
+ * @param newattrs  A DeltaJS.tree.Node holding the new attribute values
+ */
+DOMOperationHandlerFactory.prototype.createAttributeUpdateOperationHandler = function(
+        anchor, oldattrs, newattrs) {
+    if (!anchor.target) {
+        throw new Error('Parameter error: attribute update handler needs an anchor with a target');
+    }
+    return new DOMAttributeUpdateOperationHandler(anchor.target, this.dataMap,
+            oldattrs.data, newattrs.data);
+};
+
+
+/**
+ * Return a new text update operation on the given node.
+ *
+ * @param anchor    A DeltaJS.tree.Anchor pointing to the text node
+ * @param oldedit   A DeltaJS.tree.Node describing the original regions
+ * @param newedit   A DeltaJS.tree.Node describing the replacements
+ */
+DOMOperationHandlerFactory.prototype.createTextUpdateOperationHandler = function(
+        anchor, oldedit, newedit) {
+    if (!anchor.target) {
+        throw new Error('Parameter error: text update handler needs an anchor with a target');
+    }
+    return new DOMTextUpdateOperationHandler(anchor.target, this.dataMap,
+            oldedit.data, newedit.data);
+};
+
+
 /**
  * Return a new forest update operation for a sequence of children of the given
  * node. Remove all children from start through length and replace them with
@@ -246,11 +539,12 @@ DOMOperationHandlerFactory.prototype.createForestUpdateOperationHandler = functi
         throw new Error('Forest update operation requires at least one node');
     }
 
-    doc = node.data.ownerDocument;
+    doc = node.data.ownerDocument || node.data;
 
     for (i = start; i < start + length; i++) {
         oldnodes.push(node.children[i].data);
     }
+    oldnodes = withInterveningWhitespace(oldnodes);
     for (i = 0; i < replacement.length; i++) {
         newnodes.push(doc.importNode(replacement[i].data, true));
     }
@@ -262,13 +556,34 @@ DOMOperationHandlerFactory.prototype.createForestUpdateOperationHandler = functi
 };
 
 
+/**
+ * Return a new move operation for the subtree at the given anchor.
+ *
+ * @param anchor    A DeltaJS.tree.Anchor pointing to the root of the moved
+ *                  subtree
+ * @param target    A DeltaJS.tree.Anchor pointing to the location before
+ *                  which the subtree should be inserted
+ */
+DOMOperationHandlerFactory.prototype.createMoveOperationHandler = function(
+        anchor, target) {
+    if (!anchor.target) {
+        throw new Error('Parameter error: move handler needs an anchor with a target');
+    }
+    else if (!target || !target.base) {
+        throw new Error('Parameter error: move handler needs a target anchor with a base');
+    }
+    return new DOMTreeMoveOperationHandler(anchor.target, target.base,
+            target.target, this.dataMap);
+};
+
+
 /**
  * Return a new operation handler for the given operation at the anchor.
  *
  * @param anchor    A DeltaJS.tree.Anchor
  * @param op        The operation to create a handler for
  */
-DOMOperationHandlerFactory.prototype.createOperationHandler = function(anchor, type, path, remove, insert) {
+DOMOperationHandlerFactory.prototype.createOperationHandler = function(anchor, type, path, remove, insert, target) {
     switch (type) {
         case deltamod.UPDATE_FOREST_TYPE:
             return this.createForestUpdateOperationHandler(anchor,
@@ -277,6 +592,17 @@ DOMOperationHandlerFactory.prototype.createOperationHandler = function(anchor, t
         case deltamod.UPDATE_NODE_TYPE:
             return this.createNodeUpdateOperationHandler(anchor,
                     insert[0]);
+
+        case deltamod.UPDATE_ATTRIBUTES_TYPE:
+            return this.createAttributeUpdateOperationHandler(anchor,
+                    remove[0], insert[0]);
+
+        case deltamod.UPDATE_TEXT_TYPE:
+            return this.createTextUpdateOperationHandler(anchor,
+                    remove[0], insert[0]);
+
+        case deltamod.MOVE_TYPE:
+            return this.createMoveOperationHandler(anchor, target);
     }
 
     throw new Error('Operation type not supported by this factory');
@@ -286,4 +612,7 @@ DOMOperationHandlerFactory.prototype.createOperationHandler = function(anchor, t
 exports.DOMOperationNodeDataMap = DOMOperationNodeDataMap;
 exports.DOMNodeReplaceOperationHandler = DOMNodeReplaceOperationHandler;
 exports.DOMTreeSequenceOperationHandler = DOMTreeSequenceOperationHandler;
+exports.DOMAttributeUpdateOperationHandler = DOMAttributeUpdateOperationHandler;
+exports.DOMTextUpdateOperationHandler = DOMTextUpdateOperationHandler;
+exports.DOMTreeMoveOperationHandler = DOMTreeMoveOperationHandler;
 exports.DOMOperationHandlerFactory = DOMOperationHandlerFactory;
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview    Conflict markers for merging XML/DOM documents
+ */
+
+/** @ignore */
+var domhandler = require('./domhandler');
+
+/**
+ * @constant
+ */
+var MERGE_NAMESPACE = 'urn:x-deltajs:merge';
+
+
+/**
+ * Return the DOM nodes currently representing the given tree nodes which are
+ * still attached to the given parent DOM node.
+ */
+function attachedDOMNodes(datamap, pardom, nodes) {
+    return nodes.map(function(node) {
+        return datamap.getCurrentDOMNode(node);
+    }).filter(function(dom) {
+        return dom && dom.parentNode === pardom;
+    });
+}
+
+
+/**
+ * Return the parent and the following node of the location where a
+ * conflicting region below par is marked. The document node can neither
+ * hold text nor a second element, hence regions at the end of the document
+ * are marked at the end of the document element instead. Returns undefined
+ * for other regions of the document node, e.g. conflicting changes of the
+ * document element itself. Those are counted but not marked.
+ */
+function placementOf(par, ours, before) {
+    var dom = par.data;
+
+    if (dom.nodeType !== dom.DOCUMENT_NODE) {
+        return {'par': par, 'before': before};
+    }
+    else if (!ours.length && !before) {
+        return {'par': par.children.filter(function(child) {
+            return child.data.nodeType === child.data.ELEMENT_NODE;
+        })[0]};
+    }
+}
+
+
+/**
+ * Create a new conflict marker surrounding conflicting regions with
+ * processing instructions. The region from ours is preceeded by
+ * ``<?merge-conflict ours?>``, followed by ``<?merge-conflict theirs?>``, a
+ * copy of the region from theirs and ``<?merge-conflict end?>``.
+ *
+ * @param {String} [target] The target of the processing instructions.
+ *         Defaults to ``merge-conflict``.
+ *
+ * @constructor
+ */
+function PIConflictMarker(target) {
+    this.target = target || 'merge-conflict';
+    this.datamap = new domhandler.DOMOperationNodeDataMap();
+}
+
+
+/**
+ * Mark a conflict in the output document.
+ *
+ * @param {tree.Node} par       The parent of the conflicting region in ours.
+ * @param {Array}     ours      The tree nodes of the region in ours.
+ * @param {tree.Node} [before]  The node following the region in ours.
+ * @param {Array}     theirs    The tree nodes of the region in theirs.
+ */
+PIConflictMarker.prototype.mark = function(par, ours, before, theirs) {
+    var placement = placementOf(par, ours, before), pardom, doc, oursdoms,
+        beforedom;
+
+    if (!placement) {
+        return;
+    }
+
+    pardom = this.datamap.getCurrentDOMNode(placement.par);
+    doc = pardom.ownerDocument;
+    oursdoms = attachedDOMNodes(this.datamap, pardom, ours);
+    beforedom = attachedDOMNodes(this.datamap, pardom,
+            placement.before ? [placement.before] : [])[0] || null;
+
+    pardom.insertBefore(doc.createProcessingInstruction(this.target, 'ours'),
+            oursdoms[0] || beforedom);
+    pardom.insertBefore(doc.createProcessingInstruction(this.target,
+                'theirs'), beforedom);
+    theirs.forEach(function(node) {
+        pardom.insertBefore(doc.importNode(node.data, true), beforedom);
+    });
+    pardom.insertBefore(doc.createProcessingInstruction(this.target, 'end'),
+            beforedom);
+};
+
+
+/**
+ * Create a new conflict marker wrapping conflicting regions into elements.
+ * The region from ours is moved into a ``merge:ours`` element, a copy of the
+ * region from theirs is placed into a ``merge:theirs`` element. Both are
+ * wrapped into a ``merge:conflict`` element.
+ *
+ * @param {String} [namespace]  The namespace of the marker elements.
+ * @param {String} [prefix]     The prefix of the marker elements. Defaults
+ *         to ``merge``.
+ *
+ * @constructor
+ */
+function ElementConflictMarker(namespace, prefix) {
+    this.namespace = namespace || MERGE_NAMESPACE;
+    this.prefix = prefix || 'merge';
+    this.datamap = new domhandler.DOMOperationNodeDataMap();
+}
+
+
+/**
+ * Mark a conflict in the output document.
+ *
+ * @param {tree.Node} par       The parent of the conflicting region in ours.
+ * @param {Array}     ours      The tree nodes of the region in ours.
+ * @param {tree.Node} [before]  The node following the region in ours.
+ * @param {Array}     theirs    The tree nodes of the region in theirs.
+ */
+ElementConflictMarker.prototype.mark = function(par, ours, before, theirs) {
+    var placement = placementOf(par, ours, before), pardom, doc, beforedom,
+        conflict, oursdom, theirsdom;
+
+    if (!placement) {
+        return;
+    }
+
+    pardom = this.datamap.getCurrentDOMNode(placement.par);
+    doc = pardom.ownerDocument;
+    beforedom = attachedDOMNodes(this.datamap, pardom,
+            placement.before ? [placement.before] : [])[0] || null;
+    conflict = this.createElement(doc, 'conflict');
+    oursdom = this.createElement(doc, 'ours');
+    theirsdom = this.createElement(doc, 'theirs');
+
+    pardom.insertBefore(conflict, attachedDOMNodes(this.datamap, pardom,
+                ours)[0] || beforedom);
+
+    attachedDOMNodes(this.datamap, pardom, ours).forEach(function(dom) {
+        oursdom.appendChild(dom);
+    });
+    theirs.forEach(function(node) {
+        theirsdom.appendChild(doc.importNode(node.data, true));
+    });
+
+    conflict.appendChild(oursdom);
+    conflict.appendChild(theirsdom);
+};
+
+
+/**
+ * Return a new marker element with the given local name.
+ */
+ElementConflictMarker.prototype.createElement = function(doc, name) {
+    var qname = this.prefix ? this.prefix + ':' + name : name;
+    return doc.createElementNS(this.namespace, qname);
+};
+
+
+exports.PIConflictMarker = PIConflictMarker;
+exports.ElementConflictMarker = ElementConflictMarker;
+exports.MERGE_NAMESPACE = MERGE_NAMESPACE;
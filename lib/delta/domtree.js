@@ -8,6 +8,44 @@
 
 /** @ignore */
 var tree = require('./tree');
+/** @ignore */
+var textdiff = require('./textdiff');
+
+/**
+ * @constant
+ */
+var ADAPTED_NODE_TYPES = [
+    1,  // Element
+    3,  // Text
+    4,  // CDATA section
+    7,  // Processing instruction
+    8   // Comment
+];
+
+/**
+ * @constant
+ */
+var XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+/**
+ * Whitespace policy: Keep all text nodes as they are.
+ * @constant
+ */
+var WHITESPACE_PRESERVE = 'preserve';
+
+/**
+ * Whitespace policy: Skip text nodes consisting of whitespace only.
+ * @constant
+ */
+var WHITESPACE_IGNORE = 'ignore';
+
+/**
+ * Whitespace policy: Skip text nodes consisting of whitespace only and
+ * collapse runs of whitespace within the remaining ones.
+ * @constant
+ */
+var WHITESPACE_NORMALIZE = 'normalize';
+
 
 /**
  * A function that visits every node of a DOM tree in document order. Calls
@@ -36,41 +74,422 @@ function mapdom(node, callback, T, presult) {
 
 
 /**
- * @constructor
+ * Return the qualified name of a DOM element or attribute node, i.e. the
+ * namespace URI followed by the local name.
  */
-function DOMTreeAdapter() {
+function qualifiedName(domnode) {
+    var ns = '';
+    if (domnode.namespaceURI) {
+        ns = domnode.namespaceURI + ':';
+    }
+    return ns + domnode.nodeName.split(':').slice(-1)[0];
 }
 
 
 /**
- * Create node wrappers for the specified element or text node and all its
- * descentants and return toplevel wrapper.
- **/
-DOMTreeAdapter.prototype.adaptElement = function(element) {
-    return mapdom(element, function(node, wrappedParent) {
-        var wrappedNode;
-
-        if (node.nodeType === 1 || node.nodeType === 3) {
-            // Use nodeName as the node value. In order to get proper results
-            // when comparing XML trees, an equality-function based on a
-            // hashing method must be supplied to the xcc instance.
-            wrappedNode = new tree.Node(node.nodeName, node);
-            if (wrappedParent) {
-                wrappedParent.append(wrappedNode);
+ * Return true if the given DOM attribute node is a namespace declaration.
+ */
+function isNamespaceDeclaration(attr) {
+    return attr.name === 'xmlns' || attr.prefix === 'xmlns';
+}
+
+
+/**
+ * Return true if whitespace within the given DOM element must be preserved
+ * due to an ``xml:space="preserve"`` attribute on the element itself or on
+ * the nearest ancestor specifying ``xml:space``.
+ */
+function preservesSpace(domnode) {
+    var value;
+
+    for (; domnode && domnode.nodeType === 1; domnode = domnode.parentNode) {
+        value = domnode.getAttributeNS(XML_NAMESPACE, 'space');
+        if (value === 'preserve') {
+            return true;
+        }
+        else if (value === 'default') {
+            return false;
+        }
+    }
+
+    return false;
+}
+
+
+/**
+ * Return true if the given DOM node is a text node consisting of whitespace
+ * only which is not significant under the given whitespace policy.
+ */
+function isIgnorableWhitespace(domnode, whitespace) {
+    return !!whitespace && whitespace !== WHITESPACE_PRESERVE &&
+        domnode.nodeType === 3 && /^[ \t\r\n]*$/.test(domnode.nodeValue) &&
+        !preservesSpace(domnode.parentNode);
+}
+
+
+/**
+ * Return the given string with leading and trailing whitespace removed and
+ * all other runs of whitespace replaced by a single space.
+ */
+function normalizeSpace(text) {
+    return text.replace(/[ \t\r\n]+/g, ' ').replace(/^ | $/g, '');
+}
+
+
+/**
+ * Return an object mapping the qualified names of the attributes of the given
+ * DOM element to the attribute nodes. Namespace declarations are skipped.
+ */
+function attributeMap(domnode) {
+    var result = {}, i, n;
+
+    for (i = 0; i < domnode.attributes.length; i++) {
+        n = domnode.attributes[i];
+        if (!isNamespaceDeclaration(n)) {
+            result[qualifiedName(n)] = n;
+        }
+    }
+
+    return result;
+}
+
+
+/**
+ * Return an object mapping the prefixes declared on the given DOM element to
+ * their namespace URIs. The default namespace is represented by the empty
+ * string.
+ */
+function namespaceDeclarations(domnode) {
+    var result = {}, i, n;
+
+    for (i = 0; i < domnode.attributes.length; i++) {
+        n = domnode.attributes[i];
+        if (isNamespaceDeclaration(n)) {
+            result[n.prefix ? n.localName : ''] = n.value;
+        }
+    }
+
+    return result;
+}
+
+
+/**
+ * Return an object mapping prefixes to namespace URIs for all the namespaces
+ * declared on the ancestors of the given DOM node, i.e. the namespaces in
+ * scope of the node not counting its own declarations.
+ */
+function inScopeNamespaces(domnode) {
+    var result = {}, decls, prefix;
+
+    for (domnode = domnode.parentNode;
+            domnode && domnode.nodeType === domnode.ELEMENT_NODE;
+            domnode = domnode.parentNode) {
+        decls = namespaceDeclarations(domnode);
+        for (prefix in decls) {
+            if (decls.hasOwnProperty(prefix) &&
+                    !result.hasOwnProperty(prefix)) {
+                result[prefix] = decls[prefix];
             }
         }
+    }
 
-        return wrappedNode;
-    }, this);
+    return result;
+}
+
+
+/**
+ * Return true if both objects map the same keys to the same values.
+ */
+function equalMaps(a, b) {
+    var keys = Object.keys(a);
+
+    return keys.length === Object.keys(b).length && keys.every(function(key) {
+        return b.hasOwnProperty(key) && a[key] === b[key];
+    });
+}
+
+
+/**
+ * Return a shallow copy of the given DOM element retaining only the
+ * attributes with the given qualified names.
+ */
+function copyAttributes(domnode, qns) {
+    var result = domnode.cloneNode(false), attrs = attributeMap(result), qn;
+
+    for (qn in attrs) {
+        if (attrs.hasOwnProperty(qn) && qns.indexOf(qn) < 0) {
+            result.removeAttributeNode(attrs[qn]);
+        }
+    }
+
+    return result;
+}
+
+
+/**
+ * Compare the attributes of the two given DOM elements. Return an array with
+ * two shallow copies of the elements, the first one retaining the original
+ * values of removed and changed attributes, the second one the new values of
+ * added and changed attributes. An attribute is considered changed if its
+ * value or its prefix differs. Returns undefined if the nodes are not
+ * elements with the same name or if their namespace declarations differ.
+ */
+function diffAttributes(a, b) {
+    var olds, news, removed = [], added = [], qn;
+
+    if (a.nodeType !== a.ELEMENT_NODE || b.nodeType !== b.ELEMENT_NODE ||
+            qualifiedName(a) !== qualifiedName(b) ||
+            a.nodeName !== b.nodeName ||
+            !equalMaps(namespaceDeclarations(a), namespaceDeclarations(b))) {
+        return;
+    }
+
+    olds = attributeMap(a);
+    news = attributeMap(b);
+
+    function changed(qn) {
+        return olds[qn].value !== news[qn].value ||
+            olds[qn].name !== news[qn].name;
+    }
+
+    for (qn in olds) {
+        if (olds.hasOwnProperty(qn) && (!news.hasOwnProperty(qn) ||
+                    changed(qn))) {
+            removed.push(qn);
+        }
+    }
+    for (qn in news) {
+        if (news.hasOwnProperty(qn) && (!olds.hasOwnProperty(qn) ||
+                    changed(qn))) {
+            added.push(qn);
+        }
+    }
+
+    return [copyAttributes(a, removed), copyAttributes(b, added)];
+}
+
+
+/**
+ * Return true if the given DOM node is an element with the same qualified
+ * name as pattern carrying all the attributes of pattern with equal values.
+ */
+function matchAttributes(domnode, pattern) {
+    var attrs, qn, n;
+
+    if (domnode.nodeType !== domnode.ELEMENT_NODE ||
+            qualifiedName(domnode) !== qualifiedName(pattern)) {
+        return false;
+    }
+
+    attrs = attributeMap(pattern);
+    for (qn in attrs) {
+        if (attrs.hasOwnProperty(qn)) {
+            n = attrs[qn];
+            if (!domnode.hasAttributeNS(n.namespaceURI, n.localName) ||
+                    domnode.getAttributeNS(n.namespaceURI, n.localName) !==
+                    n.value) {
+                return false;
+            }
+        }
+    }
+
+    return true;
+}
+
+
+/**
+ * Return true if the two given DOM nodes are elements with the same qualified
+ * name and prefix, regardless of their attributes and content.
+ */
+function sameElement(a, b) {
+    return a.nodeType === a.ELEMENT_NODE && b.nodeType === b.ELEMENT_NODE &&
+        qualifiedName(a) === qualifiedName(b) && a.nodeName === b.nodeName;
+}
+
+
+/**
+ * Return true if the given DOM node is a text node or a CDATA section.
+ */
+function isText(domnode) {
+    return domnode.nodeType === domnode.TEXT_NODE ||
+        domnode.nodeType === domnode.CDATA_SECTION_NODE;
+}
+
+
+/**
+ * Return a new ``edit`` element holding one ``hunk`` element for each of the
+ * given text hunks. The offset and the context of a hunk are stored in
+ * attributes, the text of the changed region is the content of the element.
+ */
+function createTextEdit(doc, hunks) {
+    var edit = doc.createElementNS(null, 'edit');
+
+    hunks.forEach(function(hunk) {
+        var element = doc.createElementNS(null, 'hunk');
+        element.setAttribute('offset', hunk.offset);
+        element.setAttribute('head', hunk.head);
+        element.setAttribute('tail', hunk.tail);
+        if (hunk.text) {
+            element.appendChild(doc.createTextNode(hunk.text));
+        }
+        edit.appendChild(element);
+    });
+
+    return edit;
+}
+
+
+/**
+ * Return the text hunks described by the given ``edit`` element.
+ */
+function textHunks(edit) {
+    var result = [], element, text, n;
+
+    for (element = edit.firstChild; element; element = element.nextSibling) {
+        if (element.nodeType === element.ELEMENT_NODE) {
+            text = '';
+            for (n = element.firstChild; n; n = n.nextSibling) {
+                text += isText(n) ? n.nodeValue : '';
+            }
+            result.push(new textdiff.TextHunk(
+                        parseInt(element.getAttribute('offset'), 10),
+                        element.getAttribute('head'), text,
+                        element.getAttribute('tail')));
+        }
+    }
+
+    return result;
+}
+
+
+/**
+ * Return a pair of ``edit`` elements describing the inline changes between
+ * the texts of the DOM nodes a and b. The first one holds the original
+ * regions, the second one the replacements. Return undefined if the nodes are
+ * not texts of the same type or if the edit would not be shorter than
+ * replacing the whole text.
+ *
+ * @param   a           The original text node
+ * @param   b           The changed text node
+ * @param   granularity Either ``word`` or ``char``
+ */
+function diffText(a, b, granularity) {
+    var hunks, size;
+
+    if (!isText(a) || a.nodeType !== b.nodeType) {
+        return;
+    }
+
+    hunks = textdiff.diff(a.nodeValue, b.nodeValue, granularity);
+    size = 0;
+    hunks[0].concat(hunks[1]).forEach(function(hunk) {
+        size += hunk.head.length + hunk.text.length + hunk.tail.length;
+    });
+
+    if (!hunks[0].length || size >= a.nodeValue.length + b.nodeValue.length) {
+        return;
+    }
+
+    return [createTextEdit(a.ownerDocument, hunks[0]),
+           createTextEdit(b.ownerDocument, hunks[1])];
+}
+
+
+/**
+ * Return true if the given DOM node is a text in which all the regions of
+ * the given ``edit`` element can be located.
+ */
+function matchText(domnode, edit) {
+    return isText(domnode) &&
+        !!textdiff.locate(domnode.nodeValue, textHunks(edit));
+}
+
+
+/**
+ * Return the given string with the regions described by the ``edit`` element
+ * remove replaced by the ones of insert. Return undefined if the regions
+ * cannot be located.
+ */
+function patchText(text, remove, insert) {
+    return textdiff.patch(text, textHunks(remove), textHunks(insert));
+}
+
+
+/**
+ * Create a new adapter for DOM documents.
+ *
+ * @param {String} [whitespace] The whitespace policy, one of ``preserve``
+ *         (default), ``ignore`` or ``normalize``. Text nodes consisting of
+ *         whitespace only are not adapted unless whitespace is preserved or
+ *         ``xml:space="preserve"`` is in effect.
+ *
+ * @constructor
+ */
+function DOMTreeAdapter(whitespace) {
+    this.whitespace = whitespace || WHITESPACE_PRESERVE;
+}
+
+
+/**
+ * Create a node wrapper for the given DOM node and append it to the wrapper
+ * of its parent. Used as the callback of mapdom with the tree adapter bound
+ * to this. Return undefined for nodes which are not adapted.
+ */
+function wrapNode(node, wrappedParent) {
+    var wrappedNode;
+
+    if (ADAPTED_NODE_TYPES.indexOf(node.nodeType) >= 0 &&
+            !isIgnorableWhitespace(node, this.whitespace)) {
+        // Use nodeName as the node value. In order to get proper results
+        // when comparing XML trees, an equality-function based on a
+        // hashing method must be supplied to the xcc instance.
+        wrappedNode = new tree.Node(node.nodeName, node);
+        if (wrappedParent) {
+            wrappedParent.append(wrappedNode);
+        }
+    }
+
+    return wrappedNode;
+}
+
+
+/**
+ * Create node wrappers for the specified element, text, CDATA section,
+ * comment or processing instruction node and all its descentants and return
+ * toplevel wrapper.
+ **/
+DOMTreeAdapter.prototype.adaptElement = function(element) {
+    return mapdom(element, wrapNode, this);
 };
 
 
 /**
- * Create node wrappers for all element and text nodes in the specified
- * document and return the root wrapper.
+ * Return true if the given DOM node is adapted when it appears outside of the
+ * document element. The XML declaration, the document type declaration and
+ * whitespace between top-level nodes are not part of the tree.
+ */
+function isTopLevelNode(domnode) {
+    return domnode.nodeType === 1 || domnode.nodeType === 8 ||
+        (domnode.nodeType === 7 && domnode.target !== 'xml');
+}
+
+
+/**
+ * Create node wrappers for the specified document and return the root
+ * wrapper. The root represents the document node itself, its children are
+ * the document element along with the comments and processing instructions
+ * in front of and after it.
  */
 DOMTreeAdapter.prototype.adaptDocument = function(doc) {
-    return this.adaptElement(doc.documentElement);
+    var root = new tree.Node(doc.nodeName, doc), domnode;
+
+    for (domnode = doc.firstChild; domnode; domnode = domnode.nextSibling) {
+        if (isTopLevelNode(domnode)) {
+            mapdom(domnode, wrapNode, this, root);
+        }
+    }
+
+    return root;
 };
 
 
@@ -78,26 +497,37 @@ DOMTreeAdapter.prototype.adaptDocument = function(doc) {
  * Populate the document with the given dom tree.
  */
 DOMTreeAdapter.prototype.createDocument = function(doc, tree) {
-    var root;
-
-    root = doc.importNode(tree.data, true);
-    doc.appendChild(root);
+    tree.children.forEach(function(child) {
+        doc.appendChild(doc.importNode(child.data, true));
+    });
 };
 
 
 /**
+ * Create a new hash function for DOM nodes.
+ *
+ * @param {Function} HashAlgorithm The hash algorithm, e.g. ``fnv132.Hash``.
+ * @param {String}   [whitespace]  The whitespace policy. Under the
+ *         ``normalize`` policy, texts are hashed with whitespace collapsed
+ *         unless ``xml:space="preserve"`` is in effect.
+ *
  * @constructor
  */
-function DOMNodeHash(HashAlgorithm) {
+function DOMNodeHash(HashAlgorithm, whitespace) {
     this.HashAlgorithm = HashAlgorithm;
+    this.whitespace = whitespace || WHITESPACE_PRESERVE;
 }
 
 
-// FIXME: CDATA sections
 DOMNodeHash.prototype.ELEMENT_PREFIX = '\x00\x00\x00\x01';
 DOMNodeHash.prototype.ATTRIBUTE_PREFIX = '\x00\x00\x00\x02';
 DOMNodeHash.prototype.TEXT_PREFIX = '\x00\x00\x00\x03';
+DOMNodeHash.prototype.CDATA_PREFIX = '\x00\x00\x00\x04';
 DOMNodeHash.prototype.PI_PREFIX = '\x00\x00\x00\x07';
+DOMNodeHash.prototype.COMMENT_PREFIX = '\x00\x00\x00\x08';
+DOMNodeHash.prototype.DOCUMENT_PREFIX = '\x00\x00\x00\x09';
+DOMNodeHash.prototype.NSDECL_PREFIX = '\x00\x00\x00\x0d';
+DOMNodeHash.prototype.NSPREFIX_PREFIX = '\x00\x00\x00\x0e';
 DOMNodeHash.prototype.SEPARATOR = '\x00\x00';
 
 DOMNodeHash.prototype.process = function(node, hash) {
@@ -108,6 +538,7 @@ DOMNodeHash.prototype.process = function(node, hash) {
     switch(domnode.nodeType) {
         case (domnode.ELEMENT_NODE):
             this.processElement(domnode, hash);
+            this.processNamespaces(domnode, hash);
             break;
 
         case (domnode.ATTRIBUTE_NODE):
@@ -118,6 +549,22 @@ DOMNodeHash.prototype.process = function(node, hash) {
             this.processText(domnode, hash);
             break;
 
+        case (domnode.CDATA_SECTION_NODE):
+            this.processCDATASection(domnode, hash);
+            break;
+
+        case (domnode.PROCESSING_INSTRUCTION_NODE):
+            this.processProcessingInstruction(domnode, hash);
+            break;
+
+        case (domnode.COMMENT_NODE):
+            this.processComment(domnode, hash);
+            break;
+
+        case (domnode.DOCUMENT_NODE):
+            hash.update(this.DOCUMENT_PREFIX);
+            break;
+
         default:
             console.error('DOMNodeHash: node-type ' + domnode.nodeType + ' not supported');
             break;
@@ -131,11 +578,7 @@ DOMNodeHash.prototype.process = function(node, hash) {
  * Helper method: Return qualified name of a DOM element or attribute node
  */
 DOMNodeHash.prototype.qualifiedName = function(domnode) {
-    var ns = '';
-    if (domnode.namespaceURI) {
-        ns = domnode.namespaceURI + ':';
-    }
-    return ns + domnode.nodeName.split(':').slice(-1)[0];
+    return qualifiedName(domnode);
 };
 
 
@@ -153,7 +596,7 @@ DOMNodeHash.prototype.processElement = function(domnode, hash) {
         attrnodes = {};
         for (i = domnode.attributes.length - 1; i >= 0; i--) {
             n = domnode.attributes[i];
-            if (n.name !== 'xmlns' && n.prefix !== 'xmlns') {
+            if (!isNamespaceDeclaration(n)) {
                 qn = this.qualifiedName(n);
                 attrqns.unshift(qn);
                 attrnodes[qn] = n;
@@ -167,6 +610,39 @@ DOMNodeHash.prototype.processElement = function(domnode, hash) {
 };
 
 
+/**
+ * Process the namespace bindings of an element, i.e. its namespace
+ * declarations and the prefixes of the element and its attributes. Qualified
+ * names do not depend on prefixes, hence without this step, changed
+ * declarations and prefixes would go unnoticed.
+ */
+DOMNodeHash.prototype.processNamespaces = function(domnode, hash) {
+    var decls = namespaceDeclarations(domnode),
+        attrs = attributeMap(domnode);
+
+    Object.keys(decls).sort().forEach(function(prefix) {
+        hash.update(this.NSDECL_PREFIX);
+        hash.update(prefix);
+        hash.update(this.SEPARATOR);
+        hash.update(decls[prefix]);
+    }, this);
+
+    if (domnode.prefix) {
+        hash.update(this.NSPREFIX_PREFIX);
+        hash.update(domnode.prefix);
+    }
+
+    Object.keys(attrs).sort().forEach(function(qn) {
+        if (attrs[qn].prefix) {
+            hash.update(this.NSPREFIX_PREFIX);
+            hash.update(qn);
+            hash.update(this.SEPARATOR);
+            hash.update(attrs[qn].prefix);
+        }
+    }, this);
+};
+
+
 DOMNodeHash.prototype.processAttribute = function(domnode, hash, qn) {
     qn = qn || this.qualifiedName(domnode);
     hash.update(this.ATTRIBUTE_PREFIX);
@@ -177,10 +653,52 @@ DOMNodeHash.prototype.processAttribute = function(domnode, hash, qn) {
 
 
 DOMNodeHash.prototype.processText = function(domnode, hash) {
+    var value = domnode.nodeValue;
+
+    if (this.whitespace === WHITESPACE_NORMALIZE &&
+            !preservesSpace(domnode.parentNode)) {
+        value = normalizeSpace(value);
+    }
+
     hash.update(this.TEXT_PREFIX);
+    hash.update(value);
+};
+
+
+DOMNodeHash.prototype.processCDATASection = function(domnode, hash) {
+    hash.update(this.CDATA_PREFIX);
+    hash.update(domnode.nodeValue);
+};
+
+
+DOMNodeHash.prototype.processProcessingInstruction = function(domnode, hash) {
+    hash.update(this.PI_PREFIX);
+    hash.update(domnode.target);
+    hash.update(this.SEPARATOR);
+    hash.update(domnode.data);
+};
+
+
+DOMNodeHash.prototype.processComment = function(domnode, hash) {
+    hash.update(this.COMMENT_PREFIX);
     hash.update(domnode.nodeValue);
 };
 
 
 exports.DOMTreeAdapter = DOMTreeAdapter;
 exports.DOMNodeHash = DOMNodeHash;
+exports.attributeMap = attributeMap;
+exports.namespaceDeclarations = namespaceDeclarations;
+exports.inScopeNamespaces = inScopeNamespaces;
+exports.diffAttributes = diffAttributes;
+exports.matchAttributes = matchAttributes;
+exports.sameElement = sameElement;
+exports.diffText = diffText;
+exports.matchText = matchText;
+exports.patchText = patchText;
+exports.preservesSpace = preservesSpace;
+exports.isIgnorableWhitespace = isIgnorableWhitespace;
+exports.XML_NAMESPACE = XML_NAMESPACE;
+exports.WHITESPACE_PRESERVE = WHITESPACE_PRESERVE;
+exports.WHITESPACE_IGNORE = WHITESPACE_IGNORE;
+exports.WHITESPACE_NORMALIZE = WHITESPACE_NORMALIZE;
@@ -0,0 +1,491 @@
+/**
+ * @fileoverview    Implementation of a GumTree style hybrid tree matching
+ *                  algorithm.
+ *
+ * The algorithm proceeds in two phases. The greedy top-down phase pairs
+ * isomorphic subtrees, starting with the highest ones. Subtrees occuring more
+ * than once are paired according to the similarity of their parents. The
+ * bottom-up phase then pairs containers of the same type if a large enough
+ * share of their descendants was matched in the first phase. Remaining
+ * children of paired containers are recovered using an LCS over the node
+ * types.
+ *
+ * In contrast to the leaf based algorithms xcc and skelmatch, inner nodes
+ * are matched even if most of the content below them changed. Pairs which
+ * cannot be expressed by the delta format, i.e. nodes whose parents are not
+ * partners and reordered siblings, are left out of the resulting matching.
+ *
+ * @see:
+ * * http://dx.doi.org/10.1145/2642937.2642982
+ */
+
+
+/** @ignore */
+var lcs = require('./lcs');
+/** @ignore */
+var tree = require('./tree');
+
+
+/**
+ * Create a new instance of the GumTree matching algorithm.
+ *
+ * @param {tree.Node} a Root node of original tree
+ * @param {tree.Node} b Root node of changed tree
+ * @param {tree.TreeHashIndex} treehasha    Tree hash index of tree a
+ * @param {tree.TreeHashIndex} treehashb    Tree hash index of tree b
+ * @param {Object} [options] Options. ``minHeight`` specifies the minimum
+ *         height of subtrees paired in the top-down phase (default: 2),
+ *         ``minDice`` the minimum share of matched descendants required in
+ *         order to pair containers in the bottom-up phase (default: 0.5).
+ *
+ * @constructor
+ * @name gumtree.Diff
+ */
+function Diff(a, b, treehasha, treehashb, options) {
+    this.a = a; // Root node of tree a
+    this.b = b; // Root node of tree b
+    this.treehasha = treehasha;
+    this.treehashb = treehashb;
+    this.options = options || {};
+    this.minHeight = this.options.minHeight || 2;
+    this.minDice = (typeof this.options.minDice === 'undefined') ?
+        0.5 : this.options.minDice;
+}
+
+
+/**
+ * Create a matching between the two nodes using the GumTree algorithm.
+ *
+ * @param {tree.Matching} matching A tree matching which will be populated by
+ *         diffing tree a and b.
+ *
+ * @memberOf gumtree.Diff
+ */
+Diff.prototype.matchTrees = function(matching) {
+    var mappings = new tree.Matching('gumtreepartner');
+
+    this.matchTopDown(mappings);
+    this.matchBottomUp(mappings);
+
+    // Associate root nodes
+    matching.put(this.b, this.a);
+
+    this.matchConsistent(matching, mappings, this.a, this.b);
+
+    // Drop the intermediate links from the nodes of both trees.
+    [this.a, this.b].forEach(function(root) {
+        root.forEach(function(node) {
+            delete node[mappings.propname];
+        });
+    });
+};
+
+
+/**
+ * Default equality test. Override this method if you need to test other
+ * node properties instead/beside node value.
+ *
+ * @param {tree.Node} a Candidate node from tree a
+ * @param {tree.Node} b Candidate node from tree b
+ *
+ * @return {boolean} Return true if the value of the two nodes is equal.
+ *
+ * @memberOf gumtree.Diff
+ */
+Diff.prototype.equals = function(a, b) {
+    return (a.value === b.value);
+};
+
+
+/**
+ * Return true if the two nodes are of the same type, i.e. if they may be
+ * paired even if their values differ otherwise. Compares the node values,
+ * e.g. the element names of DOM nodes, by default.
+ *
+ * @param {tree.Node} a Candidate node from tree a
+ * @param {tree.Node} b Candidate node from tree b
+ *
+ * @memberOf gumtree.Diff
+ */
+Diff.prototype.sameType = function(a, b) {
+    return (a.value === b.value);
+};
+
+
+/**
+ * Return true if the subtrees rooted at the given nodes are isomorphic.
+ *
+ * @memberOf gumtree.Diff
+ */
+Diff.prototype.isomorphic = function(a, b) {
+    var i;
+
+    if (this.treehasha.get(a) !== this.treehashb.get(b) ||
+            a.children.length !== b.children.length ||
+            !this.equals(a, b)) {
+        return false;
+    }
+
+    for (i = 0; i < a.children.length; i++) {
+        if (!this.isomorphic(a.children[i], b.children[i])) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+
+/**
+ * Return the height of the subtree rooted at the given node. Leaves have a
+ * height of 1. The value is cached on the node.
+ *
+ * @memberOf gumtree.Diff
+ */
+Diff.prototype.height = function(node) {
+    if (!node.hasOwnProperty('gumtreeheight')) {
+        node.gumtreeheight = 1;
+        node.children.forEach(function(child) {
+            node.gumtreeheight = Math.max(node.gumtreeheight,
+                this.height(child) + 1);
+        }, this);
+    }
+
+    return node.gumtreeheight;
+};
+
+
+/**
+ * Return an object mapping tree hash values to the list of nodes of the
+ * given tree having that hash.
+ *
+ * @memberOf gumtree.Diff
+ */
+Diff.prototype.hashBuckets = function(root, treehash) {
+    var result = {};
+
+    root.forEach(function(node) {
+        var key = '$' + treehash.get(node);
+        result[key] = result[key] || [];
+        result[key].push(node);
+    });
+
+    return result;
+};
+
+
+/**
+ * Pair isomorphic subtrees, starting with the highest ones. Pairs of subtrees
+ * having more than one isomorphic counterpart are resolved afterwards in the
+ * order of the similarity of their parents.
+ *
+ * @param {tree.Matching} mappings  A matching which will be populated with
+ *         pairs of isomorphic subtrees.
+ *
+ * @memberOf gumtree.Diff
+ */
+Diff.prototype.matchTopDown = function(mappings) {
+    var lista = [{'node': this.a, 'height': this.height(this.a)}],
+        listb = [{'node': this.b, 'height': this.height(this.b)}],
+        bucketsa = this.hashBuckets(this.a, this.treehasha),
+        bucketsb = this.hashBuckets(this.b, this.treehashb),
+        candidates = [], paired = [], me = this, ha, hb, heada, headb;
+
+    // Remove and return all entries of the given list with the given height.
+    function pop(list, height) {
+        var result = [];
+        while (list.length && list[list.length - 1].height === height) {
+            result.push(list.pop().node);
+        }
+        return result;
+    }
+
+    // Push the children of the given nodes and keep the list sorted by
+    // height in ascending order.
+    function open(list, nodes) {
+        nodes.forEach(function(node) {
+            node.children.forEach(function(child) {
+                list.push({'node': child, 'height': me.height(child)});
+            });
+        });
+        list.sort(function(x, y) {
+            return x.height - y.height;
+        });
+    }
+
+    // Return the number of subtrees isomorphic to the given one.
+    function count(buckets, node, treehash, isomorphic) {
+        return (buckets['$' + treehash.get(node)] || []).filter(isomorphic).length;
+    }
+
+    while (lista.length && listb.length) {
+        ha = lista[lista.length - 1].height;
+        hb = listb[listb.length - 1].height;
+
+        if (Math.max(ha, hb) < this.minHeight) {
+            break;
+        }
+        else if (ha > hb) {
+            open(lista, pop(lista, ha));
+        }
+        else if (hb > ha) {
+            open(listb, pop(listb, hb));
+        }
+        else {
+            heada = pop(lista, ha);
+            headb = pop(listb, hb);
+
+            heada.forEach(function(a) {
+                headb.forEach(function(b) {
+                    if (!this.isomorphic(a, b)) {
+                        return;
+                    }
+                    paired.push(a, b);
+                    if (count(bucketsa, b, this.treehashb, function(n) {
+                                return me.isomorphic(n, b);
+                            }) > 1 ||
+                            count(bucketsb, a, this.treehasha, function(n) {
+                                return me.isomorphic(a, n);
+                            }) > 1) {
+                        candidates.push([a, b]);
+                    }
+                    else {
+                        this.matchIsomorphic(mappings, a, b);
+                    }
+                }, this);
+            }, this);
+
+            open(lista, heada.filter(function(a) {
+                return paired.indexOf(a) < 0;
+            }));
+            open(listb, headb.filter(function(b) {
+                return paired.indexOf(b) < 0;
+            }));
+        }
+    }
+
+    candidates.map(function(pair) {
+        return {
+            'pair': pair,
+            'dice': (pair[0].par && pair[1].par) ?
+                me.dice(mappings, pair[0].par, pair[1].par) : 0
+        };
+    }).sort(function(x, y) {
+        return y.dice - x.dice;
+    }).forEach(function(candidate) {
+        var a = candidate.pair[0], b = candidate.pair[1];
+        if (!mappings.get(a) && !mappings.get(b)) {
+            this.matchIsomorphic(mappings, a, b);
+        }
+    }, this);
+};
+
+
+/**
+ * Pair all nodes of the isomorphic subtrees rooted at a and b.
+ *
+ * @memberOf gumtree.Diff
+ */
+Diff.prototype.matchIsomorphic = function(mappings, a, b) {
+    var i;
+
+    mappings.put(a, b);
+    for (i = 0; i < a.children.length; i++) {
+        this.matchIsomorphic(mappings, a.children[i], b.children[i]);
+    }
+};
+
+
+/**
+ * Return the Dice coefficient of the given nodes, i.e. the share of the
+ * descendants of a and b which are paired with each other.
+ *
+ * @memberOf gumtree.Diff
+ */
+Diff.prototype.dice = function(mappings, a, b) {
+    var common = 0, counta = 0, countb = 0;
+
+    a.forEachDescendant(function(node) {
+        var partner = mappings.get(node);
+
+        counta++;
+        for (; partner; partner = partner.par) {
+            if (partner.par === b) {
+                common++;
+                break;
+            }
+        }
+    });
+    b.forEachDescendant(function() {
+        countb++;
+    });
+
+    return (counta + countb) ? 2 * common / (counta + countb) : 0;
+};
+
+
+/**
+ * Pair containers of the same type sharing a large enough share of matched
+ * descendants. Visits the nodes of tree a in postorder such that the
+ * children of a container are paired before the container itself.
+ *
+ * @param {tree.Matching} mappings  A matching populated by the top-down
+ *         phase.
+ *
+ * @memberOf gumtree.Diff
+ */
+Diff.prototype.matchBottomUp = function(mappings) {
+    this.a.forEachPostorder(function(a) {
+        var best, bestdice = this.minDice, seen = [];
+
+        if (mappings.get(a) || !a.children.length || a === this.a) {
+            return;
+        }
+
+        // Candidates are unmatched ancestors of partners of descendants.
+        a.forEachDescendant(function(node) {
+            var candidate = mappings.get(node), dice;
+
+            for (; candidate; candidate = candidate.par) {
+                if (seen.indexOf(candidate) >= 0) {
+                    // Ancestors were examined already.
+                    break;
+                }
+                seen.push(candidate);
+                if (mappings.get(candidate) || candidate === this.b ||
+                        !this.sameType(a, candidate)) {
+                    continue;
+                }
+                dice = this.dice(mappings, a, candidate);
+                if (dice > bestdice) {
+                    best = candidate;
+                    bestdice = dice;
+                }
+            }
+        }, this);
+
+        if (best) {
+            mappings.put(a, best);
+            this.recover(mappings, a, best);
+        }
+    }, this);
+
+    if (!mappings.get(this.a) && !mappings.get(this.b)) {
+        mappings.put(this.a, this.b);
+        this.recover(mappings, this.a, this.b);
+    }
+};
+
+
+/**
+ * Pair unmatched children of the partners a and b if they are of the same
+ * type and appear in the same order. Children of unordered nodes are paired
+ * if their keys are equal.
+ *
+ * @memberOf gumtree.Diff
+ */
+Diff.prototype.recover = function(mappings, a, b) {
+    var childrena = a.children.filter(function(node) {
+            return !mappings.get(node);
+        }),
+        childrenb = b.children.filter(function(node) {
+            return !mappings.get(node);
+        }),
+        pairs = [],
+        me = this,
+        seq;
+
+    if (a.unordered && b.unordered) {
+        pairs = this.keyedPairs(childrena, childrenb);
+    }
+    else {
+        seq = new lcs.LCS(childrena, childrenb);
+        seq.equals = function(x, y) {
+            return me.sameType(x, y);
+        };
+        seq.forEachCommonSymbol(function(x, y) {
+            pairs.push([childrena[x], childrenb[y]]);
+        });
+    }
+
+    pairs.forEach(function(pair) {
+        mappings.put(pair[0], pair[1]);
+        this.recover(mappings, pair[0], pair[1]);
+    }, this);
+};
+
+
+/**
+ * Return the pairs of nodes from childrena and childrenb having the same key
+ * (node value). Nodes without a key are not paired.
+ *
+ * @memberOf gumtree.Diff
+ */
+Diff.prototype.keyedPairs = function(childrena, childrenb) {
+    var candidates = {}, result = [];
+
+    childrenb.forEach(function(child) {
+        var key = '$' + child.value;
+        if (typeof child.value !== 'undefined' &&
+                !candidates.hasOwnProperty(key)) {
+            candidates[key] = child;
+        }
+    });
+
+    childrena.forEach(function(child) {
+        var key = '$' + child.value;
+        if (typeof child.value !== 'undefined' &&
+                candidates.hasOwnProperty(key)) {
+            result.push([child, candidates[key]]);
+            delete candidates[key];
+        }
+    });
+
+    return result;
+};
+
+
+/**
+ * Copy pairs from mappings into the matching, starting at the partners a and
+ * b. Only children of partners are considered. Children of unordered nodes
+ * are paired by their key first, regardless of the mappings. Among the
+ * children of ordered nodes, the longest sequence of pairs in ascending order
+ * is retained.
+ *
+ * @memberOf gumtree.Diff
+ */
+Diff.prototype.matchConsistent = function(matching, mappings, a, b) {
+    var childrena = a.children.filter(function(node) {
+            var partner = mappings.get(node);
+            return partner && partner.par === b;
+        }),
+        seq, pairs = [], keyed;
+
+    if (a.unordered && b.unordered) {
+        pairs = this.keyedPairs(a.children, b.children);
+        keyed = Array.prototype.concat.apply([], pairs);
+        childrena.forEach(function(node) {
+            var partner = mappings.get(node);
+            if (keyed.indexOf(node) < 0 && keyed.indexOf(partner) < 0) {
+                pairs.push([node, partner]);
+            }
+        });
+    }
+    else {
+        seq = new lcs.LCS(childrena, b.children);
+        seq.equals = function(x, y) {
+            return mappings.get(x) === y;
+        };
+        seq.forEachCommonSymbol(function(x, y) {
+            pairs.push([childrena[x], b.children[y]]);
+        });
+    }
+
+    pairs.forEach(function(pair) {
+        matching.put(pair[0], pair[1]);
+        this.matchConsistent(matching, mappings, pair[0], pair[1]);
+    }, this);
+};
+
+
+exports.Diff = Diff;
@@ -0,0 +1,274 @@
+/**
+ * @fileoverview    Standalone HTML reports of the changes between two XML
+ *                  documents.
+ *
+ * The report shows the source of the original and the changed document side
+ * by side. Removed nodes are highlighted in the original, inserted nodes in
+ * the changed document and updated nodes in both of them. A list of all the
+ * operations precedes the sources, every entry links to the highlighted
+ * nodes and contains the hunk rendered by ``prettyprint.PrettyPrinter``.
+ */
+
+/** @ignore */
+var deltamod = require('./delta');
+/** @ignore */
+var prettyprint = require('./prettyprint');
+/** @ignore */
+var docannotator = require('./docannotator');
+
+/** @ignore */
+var escapeHTML = docannotator.escapeHTML;
+
+
+/**
+ * Style sheet embedded into every report.
+ */
+var STYLE = [
+    'body { font-family: sans-serif; margin: 1em; }',
+    'ol.operations pre, .sources pre { font-size: 12px; }',
+    'ol.operations pre { background: #f6f8fa; padding: 0.5em; overflow: auto; }',
+    '.sources { display: flex; }',
+    '.sources > div { flex: 1; min-width: 0; margin: 0 0.5em; }',
+    '.sources pre { white-space: pre-wrap; word-wrap: break-word; ' +
+        'border: 1px solid #ddd; padding: 0.5em; }',
+    '.change { border-radius: 2px; }',
+    '.change-remove { background: #ffd7d5; }',
+    '.change-insert { background: #ccffd8; }',
+    '.change-update { background: #fff5b1; }',
+    '.change-move { background: #ddf4ff; }',
+    '.change:target { outline: 2px solid #0969da; }',
+    'span.change:empty::before { content: "\\25B8"; color: #0969da; }'
+].join('\n');
+
+
+/**
+ * Create a new HTML report generator.
+ *
+ * Usage example:
+ *
+ * .. code-block:: javascript
+ *
+ *      var d = new diff.Diff(diffProfile, docProfile, deltaProfile);
+ *      var delta = d.diff(orig, changed);
+ *
+ *      var report = new htmlreport.HTMLReport(docProfile.createNodeFormatter());
+ *      html = report.render(delta, orig, changed, 'orig.xml', 'changed.xml');
+ *
+ * @param {Object} formatter    A node formatter returned by the
+ *         ``createNodeFormatter`` method of the XML document profile.
+ *
+ * @constructor
+ * @name htmlreport.HTMLReport
+ */
+function HTMLReport(formatter) {
+    this.printer = new prettyprint.PrettyPrinter(formatter);
+}
+
+
+/**
+ * Return a standalone HTML page showing the changes recorded in the given
+ * delta document.
+ *
+ * @param {Object} deltadoc         A delta document produced by
+ *         ``diff.Diff.diff``.
+ * @param {Object} doc1             The original document.
+ * @param {Object} doc2             The changed document.
+ * @param {String} [origname]       The name of the original file.
+ * @param {String} [changedname]    The name of the changed file.
+ *
+ * @return {String} The HTML page.
+ *
+ * @memberOf htmlreport.HTMLReport
+ */
+HTMLReport.prototype.render = function(deltadoc, doc1, doc2, origname,
+        changedname) {
+    var origannotator = new docannotator.DocumentAnnotator(doc1.data),
+        changedannotator = new docannotator.DocumentAnnotator(doc2.data),
+        items = [], ops, hunks, title;
+
+    origname = origname || doc1.name || 'original';
+    changedname = changedname || doc2.name || 'changed';
+    title = 'Changes between ' + origname + ' and ' + changedname;
+
+    // Render the hunks before marker comments are inserted into the
+    // documents.
+    ops = deltadoc.attached.filter(function(op) {
+        return op;
+    });
+    hunks = ops.map(this.printer.renderOperation, this.printer);
+
+    ops.forEach(function(op, i) {
+        var id = 'op-' + (i + 1), label = this.describe(op), links = [];
+
+        if (this.annotateOriginal(origannotator, op, id + '-a', label)) {
+            links.push('<a href="#' + id + '-a">original</a>');
+        }
+        if (this.annotateChanged(changedannotator, deltadoc.matching, op,
+                    id + '-b', label)) {
+            links.push('<a href="#' + id + '-b">changed</a>');
+        }
+
+        items.push('<li id="' + id + '">' + escapeHTML(label) +
+                (links.length ? ' (' + links.join(', ') + ')' : '') +
+                '<pre>' + escapeHTML(hunks[i]) + '</pre></li>');
+    }, this);
+
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<title>' + escapeHTML(title) + '</title>',
+        '<style>',
+        STYLE,
+        '</style>',
+        '</head>',
+        '<body>',
+        '<h1>' + escapeHTML(title) + '</h1>',
+        items.length ?
+            '<ol class="operations">\n' + items.join('\n') + '\n</ol>' :
+            '<p>The documents are equal.</p>',
+        '<div class="sources">',
+        '<div><h2>' + escapeHTML(origname) + '</h2><pre>' +
+            origannotator.toHTML() + '</pre></div>',
+        '<div><h2>' + escapeHTML(changedname) + '</h2><pre>' +
+            changedannotator.toHTML() + '</pre></div>',
+        '</div>',
+        '</body>',
+        '</html>'
+    ].join('\n');
+};
+
+
+/**
+ * Return a short description of the given operation, e.g.
+ * ``Remove at /svg/g[2]``.
+ *
+ * @param {Object} op   An attached operation.
+ *
+ * @return {String} The description.
+ *
+ * @memberOf htmlreport.HTMLReport
+ */
+HTMLReport.prototype.describe = function(op) {
+    var base = op.anchor.base, target = op.anchor.target;
+
+    switch (op.type) {
+        case deltamod.UPDATE_FOREST_TYPE:
+            return (op.remove.length && op.insert.length ? 'Replace' :
+                    op.remove.length ? 'Remove' : 'Insert') +
+                ' at ' + this.printer.pathOf(base);
+        case deltamod.UPDATE_ATTRIBUTES_TYPE:
+            return 'Update attributes of ' + this.printer.pathOf(target);
+        case deltamod.UPDATE_TEXT_TYPE:
+            return 'Update text of ' + this.printer.pathOf(base || target);
+        case deltamod.MOVE_TYPE:
+            return 'Move ' + this.printer.pathOf(target) + ' to ' +
+                this.printer.pathOf(op.target.base);
+        default:
+            return 'Update ' + this.printer.pathOf(target);
+    }
+};
+
+
+/**
+ * Internal use. Highlight the nodes affected by the operation in the
+ * original document. Return true if anything was highlighted.
+ */
+HTMLReport.prototype.annotateOriginal = function(annotator, op, id, label) {
+    var base = op.anchor.base, target = op.anchor.target;
+
+    switch (op.type) {
+        case deltamod.UPDATE_FOREST_TYPE:
+            if (op.remove.length) {
+                annotator.wrap(op.remove.map(dataOf),
+                        startTag('remove', id, label), '</span>');
+            }
+            else {
+                annotator.mark(base.data, target && target.data,
+                        startTag('insert', id, label), '</span>');
+            }
+            return true;
+
+        case deltamod.MOVE_TYPE:
+            annotator.wrap([target.data], startTag('move', id, label),
+                    '</span>');
+            target = op.target.base.children[op.target.index];
+            annotator.mark(op.target.base.data, target && target.data,
+                    startTag('move', undefined, label), '</span>');
+            return true;
+
+        default:
+            annotator.wrapStartTag(target.data, startTag('update', id, label),
+                    '</span>');
+            return true;
+    }
+};
+
+
+/**
+ * Internal use. Highlight the nodes affected by the operation in the changed
+ * document. Return true if anything was highlighted.
+ */
+HTMLReport.prototype.annotateChanged = function(annotator, matching, op, id,
+        label) {
+    var base = op.anchor.base, target = op.anchor.target, par, before, i;
+
+    switch (op.type) {
+        case deltamod.UPDATE_FOREST_TYPE:
+            if (op.insert.length) {
+                annotator.wrap(op.insert.map(dataOf),
+                        startTag('insert', id, label), '</span>');
+                return true;
+            }
+
+            // Mark the position of removed nodes next to the partner of the
+            // following sibling.
+            par = matching && matching.get(base);
+            if (!par) {
+                return false;
+            }
+            for (i = op.anchor.index + op.remove.length;
+                    i < base.children.length && !before; i++) {
+                before = matching.get(base.children[i]);
+                before = before && before.par === par ? before : undefined;
+            }
+            annotator.mark(par.data, before && before.data,
+                    startTag('remove', id, label), '</span>');
+            return true;
+
+        case deltamod.MOVE_TYPE:
+            return false;
+
+        default:
+            target = op.type === deltamod.UPDATE_NODE_TYPE ? op.insert[0] :
+                matching && matching.get(target);
+            if (!target) {
+                return false;
+            }
+            annotator.wrapStartTag(target.data, startTag('update', id, label),
+                    '</span>');
+            return true;
+    }
+};
+
+
+/**
+ * Return the DOM node of the given tree node.
+ */
+function dataOf(node) {
+    return node.data;
+}
+
+
+/**
+ * Return the start tag of a span highlighting a change of the given kind.
+ */
+function startTag(kind, id, label) {
+    return '<span class="change change-' + kind + '"' +
+        (id ? ' id="' + id + '"' : '') +
+        ' title="' + escapeHTML(label) + '">';
+}
+
+
+exports.HTMLReport = HTMLReport;
@@ -0,0 +1,437 @@
+/**
+ * @fileoverview    Operation handler classes for JSON documents represented
+ *                  by a tree of JavaScript values.
+ */
+
+/** @ignore */
+var deltamod = require('./delta');
+
+
+/**
+ * Return true if the given JSON value is an object or an array.
+ */
+function isContainer(value) {
+    return value !== null && typeof value === 'object';
+}
+
+
+/**
+ * Return a new empty container of the same type as the given JSON value. For
+ * scalar values, the value itself is returned.
+ */
+function shallowCopy(value) {
+    if (isContainer(value)) {
+        return (value instanceof Array) ? [] : {};
+    }
+    return value;
+}
+
+
+/**
+ * Repair parent, child index and depth properties of all children of the
+ * given tree.Node and replace the contents of the underlying object or array
+ * with the values of the children.
+ */
+function updateChildren(node) {
+    var value = node.data, prop, i, child;
+
+    for (i = 0; i < node.children.length; i++) {
+        child = node.children[i];
+        child.par = node;
+        child.childidx = i;
+        child.forEach(function(n) {
+            n.depth = n.par.depth + 1;
+        });
+    }
+
+    if (value instanceof Array) {
+        value.length = 0;
+        for (i = 0; i < node.children.length; i++) {
+            value.push(node.children[i].data);
+        }
+    }
+    else if (isContainer(value)) {
+        for (prop in value) {
+            if (value.hasOwnProperty(prop)) {
+                delete value[prop];
+            }
+        }
+        for (i = 0; i < node.children.length; i++) {
+            child = node.children[i];
+            value[typeof child.value === 'undefined' ? String(i) : child.value] =
+                child.data;
+        }
+    }
+}
+
+
+/**
+ * Construct a new operation handler capable of replacing the property name
+ * and the value of a tree.Node. The children of the node are left untouched.
+ *
+ * @param   node        The tree.Node which should be updated
+ * @param   origkey     The original property name
+ * @param   origvalue   The original JSON value
+ * @param   newkey      The changed property name
+ * @param   newvalue    The changed JSON value. Objects and arrays should be
+ *                      empty, they get populated from the children of the
+ *                      node.
+ * @constructor
+ */
+function JSObjectNodeReplaceOperationHandler(node, origkey, origvalue, newkey,
+        newvalue) {
+    this.node = node;
+    this.origkey = origkey;
+    this.origvalue = origvalue;
+    this.newkey = newkey;
+    this.newvalue = newvalue;
+
+    this.state = false;
+}
+
+
+/**
+ * Toggle active state of this hunk.
+ */
+JSObjectNodeReplaceOperationHandler.prototype.toggle = function() {
+    this.node.value = this.state ? this.origkey : this.newkey;
+    this.node.data = this.state ? this.origvalue : this.newvalue;
+
+    updateChildren(this.node);
+    if (this.node.par) {
+        updateChildren(this.node.par);
+    }
+
+    this.state = !this.state;
+};
+
+
+/**
+ * Return true if this hunk is active.
+ */
+JSObjectNodeReplaceOperationHandler.prototype.isActive = function() {
+    return this.state;
+};
+
+
+/**
+ * Activate this hunk, replace the original value with the changed one if
+ * necessary.
+ */
+JSObjectNodeReplaceOperationHandler.prototype.activate = function() {
+    if (!this.state) {
+        this.toggle();
+    }
+};
+
+
+/**
+ * Deactivate this hunk, restore the original value if necessary.
+ */
+JSObjectNodeReplaceOperationHandler.prototype.deactivate = function() {
+    if (this.state) {
+        this.toggle();
+    }
+};
+
+
+/**
+ * Construct a new operation handler capable of replacing a sequence of
+ * subtrees.
+ *
+ * @param   par         The tree.Node whose children should be replaced
+ * @param   before      The tree.Node where new nodes should be attached
+ *                      before
+ * @param   oldnodes    An array of the root tree.Nodes of the original
+ *                      subtrees
+ * @param   newnodes    An array of the root tree.Nodes of the changed
+ *                      subtrees
+ * @constructor
+ */
+function JSObjectTreeSequenceOperationHandler(par, before, oldnodes, newnodes) {
+    this.par = par;
+    this.before = before;
+
+    this.oldnodes = oldnodes;
+    this.newnodes = newnodes;
+
+    this.state = false;
+}
+
+
+/**
+ * Toggle active state
+ */
+JSObjectTreeSequenceOperationHandler.prototype.toggle = function() {
+    var remove = this.state ? this.newnodes : this.oldnodes,
+        insert = this.state ? this.oldnodes : this.newnodes,
+        children = this.par.children,
+        i, idx;
+
+    for (i = 0; i < remove.length; i++) {
+        idx = children.indexOf(remove[i]);
+        if (idx >= 0) {
+            children.splice(idx, 1);
+        }
+    }
+
+    idx = this.before ? children.indexOf(this.before) : -1;
+    if (idx < 0) {
+        idx = children.length;
+    }
+    Array.prototype.splice.apply(children, [idx, 0].concat(insert));
+
+    updateChildren(this.par);
+
+    this.state = !this.state;
+};
+
+
+/**
+ * Return true if the hunk is active
+ */
+JSObjectTreeSequenceOperationHandler.prototype.isActive = function() {
+    return this.state;
+};
+
+
+/**
+ * Activate this hunk, inserting new subtrees and removing old subtrees if
+ * necessary.
+ */
+JSObjectTreeSequenceOperationHandler.prototype.activate = function() {
+    if (!this.state) {
+        this.toggle();
+    }
+};
+
+
+/**
+ * Deactivate this hunk, removing inserted nodes and inserting removed
+ * nodes into if necessary.
+ */
+JSObjectTreeSequenceOperationHandler.prototype.deactivate = function() {
+    if (this.state) {
+        this.toggle();
+    }
+};
+
+
+/**
+ * Construct a new operation handler capable of moving a subtree to another
+ * position.
+ *
+ * @param   node        The tree.Node of the root of the moved subtree
+ * @param   par         The tree.Node the subtree should be moved to
+ * @param   before      The tree.Node where the subtree should be inserted
+ *                      before
+ * @constructor
+ */
+function JSObjectTreeMoveOperationHandler(node, par, before) {
+    this.node = node;
+    this.par = par;
+    this.before = before;
+
+    this.state = false;
+}
+
+
+/**
+ * Toggle active state. The original position of the subtree is recorded
+ * when it is moved away and restored when the handler is deactivated.
+ */
+JSObjectTreeMoveOperationHandler.prototype.toggle = function() {
+    var source = this.node.par, target, before, idx;
+
+    if (this.state) {
+        target = this.origpar;
+        before = this.origbefore;
+    }
+    else {
+        this.origpar = source;
+        this.origbefore = source.children[source.children.indexOf(this.node) + 1];
+        target = this.par;
+        before = this.before;
+    }
+
+    source.children.splice(source.children.indexOf(this.node), 1);
+
+    idx = before ? target.children.indexOf(before) : -1;
+    if (idx < 0) {
+        idx = target.children.length;
+    }
+    target.children.splice(idx, 0, this.node);
+
+    updateChildren(source);
+    if (target !== source) {
+        updateChildren(target);
+    }
+
+    this.state = !this.state;
+};
+
+
+/**
+ * Return true if the hunk is active
+ */
+JSObjectTreeMoveOperationHandler.prototype.isActive = function() {
+    return this.state;
+};
+
+
+/**
+ * Activate this hunk, moving the subtree to its new position if necessary.
+ */
+JSObjectTreeMoveOperationHandler.prototype.activate = function() {
+    if (!this.state) {
+        this.toggle();
+    }
+};
+
+
+/**
+ * Deactivate this hunk, moving the subtree back to its original position if
+ * necessary.
+ */
+JSObjectTreeMoveOperationHandler.prototype.deactivate = function() {
+    if (this.state) {
+        this.toggle();
+    }
+};
+
+
+/**
+ * Construct a JSON operation factory.
+ *
+ * @param treeadapter   An instance of JSObjectTreeAdapter used to build the
+ *                      trees of inserted values.
+ * @constructor
+ */
+function JSObjectOperationHandlerFactory(treeadapter) {
+    this.treeadapter = treeadapter;
+}
+
+
+/**
+ * Return a new copy of the given tree.Node. The copy does not share any
+ * objects or arrays with the original value.
+ */
+JSObjectOperationHandlerFactory.prototype.importNode = function(node) {
+    var value = node.data;
+
+    if (isContainer(value)) {
+        value = JSON.parse(JSON.stringify(value));
+    }
+
+    return this.treeadapter.adaptElement(value, node.value);
+};
+
+
+/**
+ * Return a new node update operation on the given node.
+ *
+ * @param anchor    A DeltaJS.tree.Anchor pointing to the node with old values
+ * @param newnode   A DeltaJS.tree.node pointing to the node with the new values
+ */
+JSObjectOperationHandlerFactory.prototype.createNodeUpdateOperationHandler = function(
+        anchor, newnode) {
+    var oldnode;
+    if (!anchor.target) {
+        throw new Error('Parameter error: node update handler needs an anchor with a target');
+    }
+    oldnode = anchor.target;
+    return new JSObjectNodeReplaceOperationHandler(oldnode,
+            oldnode.value, oldnode.data,
+            newnode.value, shallowCopy(newnode.data));
+};
+
+
+/**
+ * Return a new forest update operation for a sequence of children of the given
+ * node. Remove all children from start through length and replace them with
+ * the subtrees given in the replacement array.
+ *
+ * @param anchor    A DeltaJS.tree.Anchor pointing to the first node which
+ *                  should be removed. Should point to the location before
+ *                  which elements should be inserted if no nodes are to be
+ *                  removed.
+ * @param length    Number of tree nodes to be removed
+ * @param replacement   Array of replacement tree nodes
+ */
+JSObjectOperationHandlerFactory.prototype.createForestUpdateOperationHandler = function(
+        anchor, length, replacement) {
+    var oldnodes = [], newnodes = [], i,
+        node = anchor.base,
+        start = anchor.index;
+
+    if (!node) {
+        throw new Error('Parameter error: forest update handler needs an anchor with a base');
+    }
+    else if (typeof start === 'undefined') {
+        throw new Error('Parameter error: forest update handler needs an anchor with an index');
+    }
+    else if (!length && !replacement.length) {
+        throw new Error('Forest update operation requires at least one node');
+    }
+
+    for (i = start; i < start + length; i++) {
+        oldnodes.push(node.children[i]);
+    }
+    for (i = 0; i < replacement.length; i++) {
+        newnodes.push(this.importNode(replacement[i]));
+    }
+
+    return new JSObjectTreeSequenceOperationHandler(node,
+            node.children[start + length], oldnodes, newnodes);
+};
+
+
+/**
+ * Return a new move operation for the subtree at the given anchor.
+ *
+ * @param anchor    A DeltaJS.tree.Anchor pointing to the root of the moved
+ *                  subtree
+ * @param target    A DeltaJS.tree.Anchor pointing to the location before
+ *                  which the subtree should be inserted
+ */
+JSObjectOperationHandlerFactory.prototype.createMoveOperationHandler = function(
+        anchor, target) {
+    if (!anchor.target) {
+        throw new Error('Parameter error: move handler needs an anchor with a target');
+    }
+    else if (!target || !target.base) {
+        throw new Error('Parameter error: move handler needs a target anchor with a base');
+    }
+    return new JSObjectTreeMoveOperationHandler(anchor.target, target.base,
+            target.target);
+};
+
+
+/**
+ * Return a new operation handler for the given operation at the anchor.
+ *
+ * @param anchor    A DeltaJS.tree.Anchor
+ * @param op        The operation to create a handler for
+ */
+JSObjectOperationHandlerFactory.prototype.createOperationHandler = function(anchor, type, path, remove, insert, target) {
+    switch (type) {
+        case deltamod.UPDATE_FOREST_TYPE:
+            return this.createForestUpdateOperationHandler(anchor,
+                    remove.length, insert);
+
+        case deltamod.UPDATE_NODE_TYPE:
+            return this.createNodeUpdateOperationHandler(anchor,
+                    insert[0]);
+
+        case deltamod.MOVE_TYPE:
+            return this.createMoveOperationHandler(anchor, target);
+    }
+
+    throw new Error('Operation type not supported by this factory');
+};
+
+
+exports.JSObjectNodeReplaceOperationHandler = JSObjectNodeReplaceOperationHandler;
+exports.JSObjectTreeSequenceOperationHandler = JSObjectTreeSequenceOperationHandler;
+exports.JSObjectTreeMoveOperationHandler = JSObjectTreeMoveOperationHandler;
+exports.JSObjectOperationHandlerFactory = JSObjectOperationHandlerFactory;
@@ -1,7 +1,17 @@
 /**
- * @file:   Adapter class converting an XML DOM document into a simple tree
- *          structure suitable for comparison using the XCC tree diff
- *          algorithm.
+ * @file:   Adapter class converting a JSON value into a simple tree structure
+ *          suitable for comparison using the XCC tree diff algorithm.
+ *
+ * Every JSON value is represented by one tree node. Objects and arrays are
+ * internal nodes (or leaves if they are empty), strings, numbers, booleans and
+ * null are always leaves. The JSON value is stored in the data property of the
+ * node.
+ *
+ * Object members are keyed nodes: their property name is used as the node
+ * value. Array elements are positional nodes: their node value is undefined
+ * and their index is implied by the position in the children list of the
+ * parent. The root node does not have a key either. Nodes representing objects
+ * are marked as unordered, the order of their members is not significant.
  *
  * @module  jsobjectree
  */
@@ -9,6 +19,24 @@
 /** @ignore */
 var tree = require('./tree');
 
+
+/**
+ * Return the JSON type name of the given value. One of 'object', 'array',
+ * 'string', 'number', 'boolean' or 'null'.
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    else if (value instanceof Array) {
+        return 'array';
+    }
+    else {
+        return typeof value;
+    }
+}
+
+
 /**
  * A function that visits every value of a JSON object tree in preorder.
  * Calls a callback with the visited value and the result of the callback
@@ -19,20 +47,30 @@ var tree = require('./tree');
  *
  * @param value     A JSON value representing the starting point for the
  *                  mapping operation
- * @param callback  function(value, parents_result)
+ * @param key       The property name of the value in its parent object or
+ *                  undefined for array elements and the root value.
+ * @param callback  function(key, value, parents_result)
  * @param T         context parameter bound to "this" when invoking the
- *                  callback 
+ *                  callback
  * @param presult   Internal use.
  */
 function mapvalue(value, key, callback, T, presult) {
-    var prop, result = callback.call(T, key, value, presult);
+    var prop, i, result = callback.call(T, key, value, presult);
 
-    if (typeof value === 'object') {
-        for (prop in value) {
-            if (value.hasOwnProperty(prop)) {
-                mapvalue(value[prop], key, callback, T, result);
+    switch (typeOf(value)) {
+        case 'array':
+            for (i = 0; i < value.length; i++) {
+                mapvalue(value[i], undefined, callback, T, result);
             }
-        }
+            break;
+
+        case 'object':
+            for (prop in value) {
+                if (value.hasOwnProperty(prop)) {
+                    mapvalue(value[prop], prop, callback, T, result);
+                }
+            }
+            break;
     }
 
     return result;
@@ -49,16 +87,19 @@ function JSObjectTreeAdapter() {
 /**
  * Create value wrappers for the specified element or text value and all its
  * descentants and return toplevel wrapper.
+ *
+ * The property name is used as the node value, the JSON value itself is
+ * stored in the data property of the wrapper. Node values therefore are not
+ * suitable for comparison, use JSObjectNodeHash for that purpose.
  **/
 JSObjectTreeAdapter.prototype.adaptElement = function(element, key) {
     return mapvalue(element, key, function(key, value, wrappedParent) {
         var wrappedNode;
 
-        if (typeof value !== 'object') {
-            key = value;
-        }
-
         wrappedNode = new tree.Node(key, value);
+        if (typeOf(value) === 'object') {
+            wrappedNode.unordered = true;
+        }
 
         if (wrappedParent) {
             wrappedParent.append(wrappedNode);
@@ -78,4 +119,89 @@ JSObjectTreeAdapter.prototype.adaptDocument = function(doc) {
 };
 
 
+/**
+ * Return the JSON type name of the value wrapped by the given node.
+ */
+JSObjectTreeAdapter.prototype.typeOf = function(node) {
+    return typeOf(node.data);
+};
+
+
+/**
+ * @constructor
+ */
+function JSObjectNodeHash(HashAlgorithm) {
+    this.HashAlgorithm = HashAlgorithm;
+}
+
+
+JSObjectNodeHash.prototype.MEMBER_PREFIX = '\x00\x00\x00\x01';
+JSObjectNodeHash.prototype.OBJECT_PREFIX = '\x00\x00\x00\x02';
+JSObjectNodeHash.prototype.ARRAY_PREFIX = '\x00\x00\x00\x03';
+JSObjectNodeHash.prototype.STRING_PREFIX = '\x00\x00\x00\x04';
+JSObjectNodeHash.prototype.NUMBER_PREFIX = '\x00\x00\x00\x05';
+JSObjectNodeHash.prototype.BOOLEAN_PREFIX = '\x00\x00\x00\x06';
+JSObjectNodeHash.prototype.NULL_PREFIX = '\x00\x00\x00\x07';
+JSObjectNodeHash.prototype.SEPARATOR = '\x00\x00';
+
+
+/**
+ * Calculate the hash value of a single node. Only the property name and the
+ * type and value of the node itself are taken into account. The hash value of
+ * objects and arrays does not depend on their contents.
+ */
+JSObjectNodeHash.prototype.process = function(node, hash) {
+    var value = node.data;
+
+    hash = hash || new this.HashAlgorithm();
+
+    if (typeof node.value === 'string') {
+        this.processMember(node.value, hash);
+    }
+
+    switch (typeOf(value)) {
+        case 'object':
+            hash.update(this.OBJECT_PREFIX);
+            break;
+
+        case 'array':
+            hash.update(this.ARRAY_PREFIX);
+            break;
+
+        case 'string':
+            hash.update(this.STRING_PREFIX);
+            hash.update(value);
+            break;
+
+        case 'number':
+            hash.update(this.NUMBER_PREFIX);
+            hash.update(JSON.stringify(value));
+            break;
+
+        case 'boolean':
+            hash.update(this.BOOLEAN_PREFIX);
+            hash.update(value ? 'true' : 'false');
+            break;
+
+        case 'null':
+            hash.update(this.NULL_PREFIX);
+            break;
+
+        default:
+            console.error('JSObjectNodeHash: value-type ' + typeof value + ' not supported');
+            break;
+    }
+
+    return hash.get();
+};
+
+
+JSObjectNodeHash.prototype.processMember = function(key, hash) {
+    hash.update(this.MEMBER_PREFIX);
+    hash.update(key);
+    hash.update(this.SEPARATOR);
+};
+
+
 exports.JSObjectTreeAdapter = JSObjectTreeAdapter;
+exports.JSObjectNodeHash = JSObjectNodeHash;
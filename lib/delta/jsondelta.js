@@ -1,18 +1,77 @@
 /**
  * @file:   Adapter class for JSON delta format
  *
+ * A JSON delta document is an object with one property ``delta`` holding an
+ * array of operations. Every operation is represented by an object with the
+ * following properties:
+ *
+ * type
+ *      The operation type, either ``node`` (update of a single node),
+ *      ``forest`` (replacement of a sequence of subtrees), ``attributes``
+ *      (update of some attributes of a single XML element), ``text``
+ *      (inline update of some regions of a single XML text node) or ``move``
+ *      (relocation of an unchanged subtree).
+ *
+ * path
+ *      An array of integers representing the top-down path from the root node
+ *      to the anchor of the operation.
+ *
+ * head, tail
+ *      The leading and trailing context. An array of fingerprint values
+ *      formatted as hexadecimal strings. Positions outside of the document
+ *      are represented by null.
+ *
+ * remove, insert
+ *      The removed and inserted fragments as produced by the fragment adapter
+ *      of the document factory. Depending on the payload type this is either
+ *      an array of JSON values or a string containing serialized XML. For
+ *      attribute updates, the removed element carries the original values of
+ *      removed and changed attributes, the inserted one the new values of
+ *      added and changed attributes. For moves, the removed fragment holds
+ *      the root node of the moved subtree without its descendants and the
+ *      inserted fragment is empty.
+ *
+ * target
+ *      Only present for moves. An object with the properties ``path``,
+ *      ``head`` and ``tail`` describing the position the subtree is moved
+ *      to.
+ *
+ * Example:
+ *
+ * .. code-block:: javascript
+ *
+ *      {"delta": [
+ *          {
+ *              "type": "forest",
+ *              "path": [2, 0],
+ *              "head": ["60961659", "853ac6d7", "9f6eaead", "2b5d0b60"],
+ *              "remove": [{"key": "host", "value": "localhost"}],
+ *              "insert": [{"key": "host", "value": "example.com"}],
+ *              "tail": ["a20552b8", "98f047ff", null, null]
+ *          }
+ *      ]}
+ *
  * @module  jsondelta
  */
 
 /** @ignore */
 var deltamod = require('./delta');
 
+/** @ignore */
+var contextdelta = require('./contextdelta');
+
 /** @constant */
 var TYPE_STRINGS = {};
 TYPE_STRINGS[deltamod.UPDATE_NODE_TYPE] = 'node';
 TYPE_STRINGS[deltamod.UPDATE_FOREST_TYPE] = 'forest';
+TYPE_STRINGS[deltamod.UPDATE_ATTRIBUTES_TYPE] = 'attributes';
+TYPE_STRINGS[deltamod.UPDATE_TEXT_TYPE] = 'text';
+TYPE_STRINGS[deltamod.MOVE_TYPE] = 'move';
 TYPE_STRINGS.node = deltamod.UPDATE_NODE_TYPE;
 TYPE_STRINGS.forest = deltamod.UPDATE_FOREST_TYPE;
+TYPE_STRINGS.attributes = deltamod.UPDATE_ATTRIBUTES_TYPE;
+TYPE_STRINGS.text = deltamod.UPDATE_TEXT_TYPE;
+TYPE_STRINGS.move = deltamod.MOVE_TYPE;
 
 /**
  * @constructor
@@ -21,53 +80,111 @@ function JSONDeltaAdapter(fragmentadapter) {
     this.fragmentadapter = fragmentadapter;
 }
 
+
 JSONDeltaAdapter.prototype.adaptDocument = function(doc) {
-    var operations = [];
+    var operations = [], entries = doc.delta || [], i;
+
+    for (i = 0; i < entries.length; i++) {
+        operations.push(this.adaptOperation(entries[i],
+                    TYPE_STRINGS[entries[i].type]));
+    }
 
-    // FIXME: loop through children and add documents and options to delta
-    // class
     return operations;
 };
 
 
-JSONDeltaAdapter.prototype.adaptOperation = function(element) {
+JSONDeltaAdapter.prototype.adaptOperation = function(element, type) {
+    var path = element.path || [], remove, insert, head, tail, target;
+
+    switch (type) {
+        case deltamod.UPDATE_NODE_TYPE:
+        case deltamod.UPDATE_FOREST_TYPE:
+        case deltamod.UPDATE_ATTRIBUTES_TYPE:
+        case deltamod.UPDATE_TEXT_TYPE:
+        case deltamod.MOVE_TYPE:
+            break;
+        default:
+            throw new Error('Encountered unsupported change type');
+    }
+
+    head = this.parseContext(element.head);
+    remove = this.fragmentadapter.importFragment(element.remove || []);
+    insert = this.fragmentadapter.importFragment(element.insert || []);
+    tail = this.parseContext(element.tail);
+
+    if (type === deltamod.MOVE_TYPE) {
+        target = element.target || {};
+        return new contextdelta.DetachedContextOperation(type, path.slice(),
+                remove, insert, head, tail, (target.path || []).slice(),
+                this.parseContext(target.head), this.parseContext(target.tail));
+    }
 
+    return new contextdelta.DetachedContextOperation(type, path.slice(),
+            remove, insert, head, tail);
+};
+
+
+JSONDeltaAdapter.prototype.parseContext = function(parts) {
+    return (parts || []).map(function(component) {
+        if (typeof component === 'string' && component.length) {
+            return parseInt(component, 16);
+        }
+    });
 };
 
 
 /**
  * Populate the document with settings and operations from delta.
  */
-JSONDeltaAdapter.prototype.createDocument = function(doc, delta) {
+JSONDeltaAdapter.prototype.populateDocument = function(doc, operations) {
     var i, root, element;
-    // Loop through delta.operations and append them to the given document
+    // Loop through operations and append them to the given document
 
     root = doc.delta = [];
 
-    for (i = 0; i < delta.operations.length; i++) {
-        element = this.constructOperationElement(doc, delta.operations[i]);
+    for (i = 0; i < operations.length; i++) {
+        element = this.constructOperationElement(doc, operations[i]);
         root.push(element);
     }
 };
 
 
 JSONDeltaAdapter.prototype.constructOperationElement = function(doc, op) {
-    var deep = (op.type !== deltamod.UPDATE_NODE_TYPE),
+    var deep = (op.type === deltamod.UPDATE_FOREST_TYPE ||
+            op.type === deltamod.UPDATE_TEXT_TYPE),
         element = {
             type: TYPE_STRINGS[op.type],
-            fingerprint: op.fingerprint,
-            path: op.path
+            path: op.path.slice(),
+            head: this.formatFingerprint(op.head)
         };
 
     if (op.remove) {
-        element.remove = this.fragmentadapter.adapt(op.remove, deep);
+        element.remove = this.fragmentadapter.adapt(doc, op.remove, deep);
     }
 
     if (op.insert) {
-        element.insert = this.fragmentadapter.adapt(op.insert, deep);
+        element.insert = this.fragmentadapter.adapt(doc, op.insert, deep);
+    }
+
+    element.tail = this.formatFingerprint(op.tail);
+
+    if (op.type === deltamod.MOVE_TYPE) {
+        element.target = {
+            path: op.targetpath.slice(),
+            head: this.formatFingerprint(op.targethead),
+            tail: this.formatFingerprint(op.targettail)
+        };
     }
 
     return element;
 };
 
+
+JSONDeltaAdapter.prototype.formatFingerprint = function(parts) {
+    return parts.map(function(n) {
+        return n ? n.toString(16) : null;
+    });
+};
+
+
 exports.JSONDeltaAdapter = JSONDeltaAdapter;
@@ -0,0 +1,883 @@
+/**
+ * @file:   Adapter classes for RFC 6902 JSON Patch documents
+ *
+ * A JSON Patch document is an array of operation objects. Every operation
+ * has an ``op`` member (one of ``add``, ``remove``, ``replace``, ``move``,
+ * ``copy`` or ``test``) and a ``path`` member holding a JSON Pointer (RFC
+ * 6901) to the target location. ``move`` and ``copy`` operations specify the
+ * source location in the ``from`` member, ``add``, ``replace`` and ``test``
+ * operations carry a ``value``.
+ *
+ * Attached operations are converted into JSON Patch operations as follows:
+ *
+ * * A forest update results in one ``remove`` operation for each removed
+ *   subtree and one ``add`` operation for each inserted subtree.
+ * * A node update results in a ``move`` operation if the property name
+ *   changed and a ``replace`` operation if the value changed.
+ * * If the type of a value changes (e.g. from a number to an object), the
+ *   whole value is replaced and changes to its descendants are skipped.
+ *
+ * Object members are addressed by their key. An operation never adds or
+ * moves a value onto a key which is present in the original object, the
+ * existing member is replaced instead. Likewise members are not removed if
+ * their key is present in the changed object, because another operation
+ * sets the new value. Renamed members whose old or new key is in use are
+ * replaced as a whole.
+ *
+ * Instead of fingerprint values, the context of an operation is expressed
+ * using ``test`` operations. Every removed or replaced value is tested before
+ * it is modified. When elements are inserted into an array, the element
+ * preceeding the insert position is tested as well. Operations are written
+ * in reverse document order, such that JSON Pointers built from the paths in
+ * the original tree are still valid when the operations are applied one after
+ * another.
+ *
+ * Example:
+ *
+ * .. code-block:: javascript
+ *
+ *      [
+ *          {"op": "test", "path": "/db/host", "value": "localhost"},
+ *          {"op": "remove", "path": "/db/host"},
+ *          {"op": "add", "path": "/db/host", "value": "example.com"}
+ *      ]
+ *
+ * When loading a JSON Patch document, the operations are resolved one after
+ * another against the document and applied atomically: if one operation
+ * fails (e.g. because a ``test`` operation detected a difference), none of
+ * the operations is applied.
+ *
+ * @module  jsonpatch
+ */
+
+/** @ignore */
+var tree = require('./tree');
+
+/** @ignore */
+var deltamod = require('./delta');
+
+/** @ignore */
+var jsobjecthandler = require('./jsobjecthandler');
+
+/** @constant */
+var OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+
+/**
+ * Return true if the given JSON value is an object or an array.
+ */
+function isContainer(value) {
+    return value !== null && typeof value === 'object';
+}
+
+
+/**
+ * Return a new empty container of the same type as the given JSON value. For
+ * scalar values, the value itself is returned.
+ */
+function shallowCopy(value) {
+    if (isContainer(value)) {
+        return (value instanceof Array) ? [] : {};
+    }
+    return value;
+}
+
+
+/**
+ * Return true if the two JSON values are structurally equal.
+ */
+function equalValues(a, b) {
+    var keys, i;
+
+    if (!isContainer(a) || !isContainer(b)) {
+        return a === b;
+    }
+    else if ((a instanceof Array) !== (b instanceof Array)) {
+        return false;
+    }
+
+    keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+        return false;
+    }
+    for (i = 0; i < keys.length; i++) {
+        if (!b.hasOwnProperty(keys[i]) || !equalValues(a[keys[i]], b[keys[i]])) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+
+/**
+ * Return true if the two JSON values are of the same shallow type, i.e. both
+ * are arrays, both are objects or both are scalars.
+ */
+function equalTypes(a, b) {
+    return isContainer(a) === isContainer(b) &&
+        (a instanceof Array) === (b instanceof Array);
+}
+
+
+/**
+ * Return true if the given JSON value is an object with a member of the
+ * given name.
+ */
+function hasMember(value, key) {
+    return isContainer(value) && !(value instanceof Array) &&
+        Object.prototype.hasOwnProperty.call(value, key);
+}
+
+
+/**
+ * Return a JSON Pointer string for the given array of reference tokens.
+ */
+function formatPointer(tokens) {
+    return tokens.map(function(token) {
+        return '/' + String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+    }).join('');
+}
+
+
+/**
+ * Return the array of reference tokens of the given JSON Pointer string.
+ */
+function parsePointer(pointer) {
+    if (typeof pointer !== 'string' ||
+            (pointer.length > 0 && pointer.charAt(0) !== '/')) {
+        throw new Error('Invalid JSON pointer: ' + pointer);
+    }
+
+    return pointer.split('/').slice(1).map(function(token) {
+        return token.replace(/~1/g, '/').replace(/~0/g, '~');
+    });
+}
+
+
+/**
+ * Return the reference tokens leading from the root of the tree to the given
+ * node.
+ */
+function tokensOf(node) {
+    var result = [];
+
+    while (node.par) {
+        result.unshift((node.par.data instanceof Array) ?
+                String(node.childidx) : node.value);
+        node = node.par;
+    }
+
+    return result;
+}
+
+
+/**
+ * Construct a new JSON Patch operation. This is a pure data object, the
+ * ``path`` and ``from`` properties are arrays of reference tokens.
+ *
+ * @param {String}  op      The operation name, e.g. ``add`` or ``test``.
+ * @param {Array}   path    The reference tokens of the target location.
+ * @param {Object}  [value] The value for ``add``, ``replace`` and ``test``.
+ * @param {Array}   [from]  The reference tokens of the source location for
+ *         ``move`` and ``copy``.
+ *
+ * @constructor
+ */
+function JSONPatchOperation(op, path, value, from) {
+    this.op = op;
+    this.path = path;
+    this.value = value;
+    this.from = from;
+}
+
+
+/**
+ * Return a string representation of the operation
+ */
+JSONPatchOperation.prototype.toString = function() {
+    var result = this.op.charAt(0).toUpperCase() + this.op.slice(1) + ' ' +
+        formatPointer(this.path);
+
+    if (this.from) {
+        result += ' from ' + formatPointer(this.from);
+    }
+
+    return result;
+};
+
+
+/**
+ * Create a new detacher converting attached operations into a sequence of
+ * JSON Patch operations. Operations must be detached in document order.
+ *
+ * @param {tree.Matching} [matching]    The matching the operations were
+ *         derived from. Used to look up the keys of changed objects when
+ *         members are removed.
+ *
+ * @constructor
+ */
+function JSONPatchDetacher(matching) {
+    this.matching = matching;
+
+    // Nodes of the original tree whose value is replaced as a whole.
+    // Operations on their descendants are skipped.
+    this.replaced = [];
+}
+
+
+/**
+ * Return an array of JSONPatchOperation instances for the given attached
+ * operation.
+ */
+JSONPatchDetacher.prototype.detach = function(op) {
+    switch (op.type) {
+        case deltamod.UPDATE_NODE_TYPE:
+            if (this.isReplaced(op.remove[0].par)) {
+                return [];
+            }
+            return this.detachNodeUpdate(op.remove[0], op.insert[0]);
+
+        case deltamod.UPDATE_FOREST_TYPE:
+            if (this.isReplaced(op.anchor.base)) {
+                return [];
+            }
+            return this.detachForestUpdate(op.anchor.base, op.anchor.index,
+                    op.remove, op.insert);
+    }
+
+    throw new Error('Operation type not supported by JSON Patch');
+};
+
+
+/**
+ * Return true if the value of the given node or one of its ancestors is
+ * replaced as a whole by a previously detached operation.
+ */
+JSONPatchDetacher.prototype.isReplaced = function(node) {
+    for (; node; node = node.par) {
+        if (this.replaced.indexOf(node) >= 0) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+
+/**
+ * Return the value of the partner of the given node in the changed tree.
+ * Falls back to the parent of the inserted nodes and finally to the original
+ * value if no matching is available.
+ */
+JSONPatchDetacher.prototype.changedValueOf = function(node, insert) {
+    var partner = this.matching && this.matching.get(node);
+
+    if (partner) {
+        return partner.data;
+    }
+    else if (insert.length) {
+        return insert[0].par.data;
+    }
+    else {
+        return node.data;
+    }
+};
+
+
+/**
+ * Return the JSON Patch operations replacing the property name and/or the
+ * value of the given node.
+ */
+JSONPatchDetacher.prototype.detachNodeUpdate = function(node, newnode) {
+    var result = [], tokens = tokensOf(node), newtokens, stale, taken,
+        retyped = !equalTypes(node.data, newnode.data);
+
+    if (!node.par || node.value === newnode.value) {
+        // The contents of containers may already have been changed by
+        // preceeding operations. Only test scalar values.
+        if (!isContainer(node.data)) {
+            result.push(new JSONPatchOperation('test', tokens, node.data));
+        }
+
+        if (retyped) {
+            result.push(new JSONPatchOperation('replace', tokens,
+                        newnode.data));
+            this.replaced.push(node);
+        }
+        else if (!equalValues(shallowCopy(node.data),
+                    shallowCopy(newnode.data))) {
+            result.push(new JSONPatchOperation('replace', tokens,
+                        newnode.data));
+        }
+
+        return result;
+    }
+
+    // Renamed object member. The old key is stale if it is still in use in
+    // the changed object, the new key is taken if it is already in use in
+    // the original object. Other operations set those members.
+    newtokens = tokens.slice(0, -1).concat([newnode.value]);
+    stale = hasMember(newnode.par.data, node.value);
+    taken = hasMember(node.par.data, newnode.value);
+
+    if (!stale && !isContainer(node.data)) {
+        result.push(new JSONPatchOperation('test', tokens, node.data));
+    }
+
+    if (stale || taken || retyped) {
+        result.push(new JSONPatchOperation(taken ? 'replace' : 'add',
+                    newtokens, newnode.data));
+        if (!stale) {
+            result.push(new JSONPatchOperation('remove', tokens));
+        }
+        this.replaced.push(node);
+    }
+    else {
+        result.push(new JSONPatchOperation('move', newtokens, undefined,
+                    tokens));
+        if (!equalValues(shallowCopy(node.data), shallowCopy(newnode.data))) {
+            result.push(new JSONPatchOperation('replace', newtokens,
+                        newnode.data));
+        }
+    }
+
+    return result;
+};
+
+
+/**
+ * Return the JSON Patch operations replacing a sequence of children of the
+ * given parent node.
+ */
+JSONPatchDetacher.prototype.detachForestUpdate = function(par, start, remove,
+        insert) {
+    var result = [], tokens = tokensOf(par),
+        changed = this.changedValueOf(par, insert), positional, i;
+
+    // The type of the parent is the same in both trees, otherwise the
+    // operation was skipped.
+    positional = (changed instanceof Array);
+
+    function childTokens(node, index) {
+        return tokens.concat([positional ? String(index) : node.value]);
+    }
+
+    // Members whose key is still in use in the changed object are replaced
+    // by the operation setting the new value.
+    if (!positional) {
+        remove = remove.filter(function(node) {
+            return !hasMember(changed, node.value);
+        });
+    }
+
+    // Test the element preceeding the insert position.
+    if (positional && remove.length === 0 && start > 0) {
+        result.push(new JSONPatchOperation('test',
+                    childTokens(par.children[start - 1], start - 1),
+                    par.children[start - 1].data));
+    }
+
+    for (i = 0; i < remove.length; i++) {
+        result.push(new JSONPatchOperation('test',
+                    childTokens(remove[i], start + i), remove[i].data));
+    }
+
+    for (i = remove.length - 1; i >= 0; i--) {
+        result.push(new JSONPatchOperation('remove',
+                    childTokens(remove[i], start + i)));
+    }
+
+    for (i = 0; i < insert.length; i++) {
+        result.push(new JSONPatchOperation(
+                    !positional && hasMember(par.data, insert[i].value) ?
+                    'replace' : 'add',
+                    childTokens(insert[i], start + i), insert[i].data));
+    }
+
+    return result;
+};
+
+
+/**
+ * Create a new JSON Patch document adapter.
+ *
+ * @constructor
+ */
+function JSONPatchDeltaAdapter(fragmentadapter) {
+    this.fragmentadapter = fragmentadapter;
+}
+
+
+/**
+ * Return an array of JSONPatchOperation instances for the given JSON Patch
+ * document.
+ */
+JSONPatchDeltaAdapter.prototype.adaptDocument = function(doc) {
+    if (!(doc instanceof Array)) {
+        throw new Error('A JSON Patch document must be an array of operations');
+    }
+
+    return doc.map(this.adaptOperation, this);
+};
+
+
+JSONPatchDeltaAdapter.prototype.adaptOperation = function(element) {
+    var from;
+
+    if (!element || OPERATIONS.indexOf(element.op) < 0) {
+        throw new Error('Encountered unsupported JSON Patch operation');
+    }
+
+    if (element.op === 'move' || element.op === 'copy') {
+        from = parsePointer(element.from);
+    }
+    else if (element.op !== 'remove' && !element.hasOwnProperty('value')) {
+        throw new Error('JSON Patch operation "' + element.op +
+                '" requires a value');
+    }
+
+    return new JSONPatchOperation(element.op, parsePointer(element.path),
+            element.value, from);
+};
+
+
+/**
+ * Populate the document with the operations produced by JSONPatchDetacher.
+ * The sequences of operations are appended in reverse order.
+ */
+JSONPatchDeltaAdapter.prototype.populateDocument = function(doc, operations) {
+    var i, k;
+
+    for (i = operations.length - 1; i >= 0; i--) {
+        for (k = 0; k < operations[i].length; k++) {
+            doc.push(this.constructOperationElement(operations[i][k]));
+        }
+    }
+};
+
+
+JSONPatchDeltaAdapter.prototype.constructOperationElement = function(op) {
+    var element = {'op': op.op};
+
+    if (op.from) {
+        element.from = formatPointer(op.from);
+    }
+
+    element.path = formatPointer(op.path);
+
+    if (op.op !== 'remove' && op.op !== 'move' && op.op !== 'copy') {
+        element.value = op.value;
+    }
+
+    return element;
+};
+
+
+/**
+ * Create a new operation handler toggling the given handlers in sequence. The
+ * handlers are only activated if the attacher did not fail on any operation.
+ *
+ * @param {Object}     attacher    The attacher which resolved the operation.
+ *         Either a JSONPatchAttacher or an XMLPatchAttacher.
+ * @param {Array}      handlers    The handlers implementing the operation.
+ * @constructor
+ */
+function JSONPatchOperationHandler(attacher, handlers) {
+    this.attacher = attacher;
+    this.handlers = handlers;
+
+    this.state = false;
+}
+
+
+/**
+ * Toggle active state of this hunk.
+ */
+JSONPatchOperationHandler.prototype.toggle = function() {
+    var i;
+
+    if (this.attacher.failed) {
+        return;
+    }
+
+    if (this.state) {
+        for (i = this.handlers.length - 1; i >= 0; i--) {
+            this.handlers[i].toggle();
+        }
+    }
+    else {
+        for (i = 0; i < this.handlers.length; i++) {
+            this.handlers[i].toggle();
+        }
+    }
+
+    this.state = !this.state;
+};
+
+
+/**
+ * Return true if this hunk is active.
+ */
+JSONPatchOperationHandler.prototype.isActive = function() {
+    return this.state;
+};
+
+
+/**
+ * Activate this hunk if necessary.
+ */
+JSONPatchOperationHandler.prototype.activate = function() {
+    if (!this.state) {
+        this.toggle();
+    }
+};
+
+
+/**
+ * Deactivate this hunk if necessary.
+ */
+JSONPatchOperationHandler.prototype.deactivate = function() {
+    if (this.state) {
+        this.toggle();
+    }
+};
+
+
+/**
+ * Create a new attacher resolving JSON Patch operations against the given
+ * tree. Operations must be attached in sequence. Every operation is resolved
+ * against the state of the document after all previous operations.
+ *
+ * @param {tree.Node}   root        The root node of the document tree.
+ * @param {Object}      treeadapter An instance of JSObjectTreeAdapter used to
+ *         build the trees of inserted values.
+ *
+ * @constructor
+ */
+function JSONPatchAttacher(root, treeadapter) {
+    this.root = root;
+    this.treeadapter = treeadapter;
+
+    // Nodes modified by previous operations along with their current
+    // children and values.
+    this.states = [];
+
+    this.failed = false;
+}
+
+
+/**
+ * Resolve one JSON Patch operation and return a new attached operation
+ * instance. Returns undefined for ``test`` operations. Throws an error if
+ * the operation cannot be applied or if any previous operation failed.
+ */
+JSONPatchAttacher.prototype.attach = function(op) {
+    if (this.failed) {
+        throw new Error('Previous JSON Patch operation failed');
+    }
+
+    try {
+        return this.attachOperation(op);
+    }
+    catch (err) {
+        this.failed = true;
+        throw err;
+    }
+};
+
+
+JSONPatchAttacher.prototype.attachOperation = function(op) {
+    var node, removed;
+
+    switch (op.op) {
+        case 'test':
+            if (!equalValues(this.valueOf(this.locate(op.path)), op.value)) {
+                throw new Error('JSON Patch test failed at ' +
+                        formatPointer(op.path));
+            }
+            return;
+
+        case 'add':
+            return this.insert(op, [], this.createNode(op.value));
+
+        case 'remove':
+            return this.remove(op, []);
+
+        case 'replace':
+            return this.insert(op, [], this.createNode(op.value));
+
+        case 'copy':
+            node = this.createNode(this.valueOf(this.locate(op.from)));
+            return this.insert(op, [], node);
+
+        case 'move':
+            if (formatPointer(op.path).indexOf(formatPointer(op.from) + '/') === 0) {
+                throw new Error('Cannot move a value into one of its children');
+            }
+            node = this.createNode(this.valueOf(this.locate(op.from)));
+            removed = [this.detachChild(op.from)];
+            return this.insert(op, removed, node);
+    }
+
+    throw new Error('Encountered unsupported JSON Patch operation');
+};
+
+
+/**
+ * Return the current state of the given node. An object with the properties
+ * ``children`` and ``data``.
+ */
+JSONPatchAttacher.prototype.stateOf = function(node) {
+    var i;
+
+    for (i = 0; i < this.states.length; i++) {
+        if (this.states[i].node === node) {
+            return this.states[i];
+        }
+    }
+
+    return {'node': node, 'children': node.children, 'data': node.data};
+};
+
+
+/**
+ * Record the new children and the new value of the given node.
+ */
+JSONPatchAttacher.prototype.updateState = function(node, children, data) {
+    var state = this.stateOf(node);
+
+    if (this.states.indexOf(state) < 0) {
+        this.states.push(state);
+    }
+
+    state.children = children;
+    state.data = data;
+};
+
+
+/**
+ * Return the current JSON value of the given node.
+ */
+JSONPatchAttacher.prototype.valueOf = function(node) {
+    var state = this.stateOf(node), result, i;
+
+    if (!isContainer(state.data)) {
+        result = state.data;
+    }
+    else if (state.data instanceof Array) {
+        result = state.children.map(this.valueOf, this);
+    }
+    else {
+        result = {};
+        for (i = 0; i < state.children.length; i++) {
+            result[state.children[i].value] = this.valueOf(state.children[i]);
+        }
+    }
+
+    return result;
+};
+
+
+/**
+ * Return the index of the child referenced by the given token in the current
+ * children of the node. Returns -1 if there is no such child.
+ *
+ * @param {tree.Node}   node    The parent node.
+ * @param {String}      token   A reference token.
+ * @param {Boolean}     [insert] True if the token is used as an insert
+ *         position, i.e. the array index may point after the last element.
+ */
+JSONPatchAttacher.prototype.indexOf = function(node, token, insert) {
+    var state = this.stateOf(node), index, i;
+
+    if (!isContainer(state.data)) {
+        throw new Error('Cannot resolve "' + token + '" on a scalar value');
+    }
+    else if (state.data instanceof Array) {
+        if (insert && token === '-') {
+            return state.children.length;
+        }
+        else if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+            throw new Error('Invalid array index "' + token + '"');
+        }
+
+        index = parseInt(token, 10);
+        if (index > state.children.length ||
+                (!insert && index === state.children.length)) {
+            throw new Error('Array index "' + token + '" out of bounds');
+        }
+        return index;
+    }
+    else {
+        for (i = 0; i < state.children.length; i++) {
+            if (state.children[i].value === token) {
+                return i;
+            }
+        }
+        return -1;
+    }
+};
+
+
+/**
+ * Return the node at the given location.
+ */
+JSONPatchAttacher.prototype.locate = function(tokens) {
+    var node = this.root, i, index;
+
+    for (i = 0; i < tokens.length; i++) {
+        index = this.indexOf(node, tokens[i]);
+        if (index < 0) {
+            throw new Error('No value found at ' +
+                    formatPointer(tokens.slice(0, i + 1)));
+        }
+        node = this.stateOf(node).children[index];
+    }
+
+    return node;
+};
+
+
+/**
+ * Return a new tree for the given JSON value.
+ */
+JSONPatchAttacher.prototype.createNode = function(value, key) {
+    return this.treeadapter.adaptElement(JSON.parse(JSON.stringify(value)),
+            key);
+};
+
+
+/**
+ * Remove the node at the given location from the current state of its parent
+ * and return it.
+ */
+JSONPatchAttacher.prototype.detachChild = function(tokens) {
+    var par, state, index, children, node;
+
+    if (tokens.length === 0) {
+        throw new Error('Cannot remove the document root');
+    }
+
+    par = this.locate(tokens.slice(0, -1));
+    state = this.stateOf(par);
+    index = this.indexOf(par, tokens[tokens.length - 1]);
+    if (index < 0) {
+        throw new Error('No value found at ' + formatPointer(tokens));
+    }
+
+    children = state.children.slice();
+    node = children.splice(index, 1)[0];
+    this.updateState(par, children, state.data);
+
+    return {
+        'node': node,
+        'handler': new jsobjecthandler.JSObjectTreeSequenceOperationHandler(
+                par, undefined, [node], [])
+    };
+};
+
+
+/**
+ * Return an attached operation removing the value at the target location.
+ */
+JSONPatchAttacher.prototype.remove = function(op, handlers) {
+    var removed = this.detachChild(op.path);
+
+    return new deltamod.AttachedOperation(
+            new tree.Anchor(this.root, removed.node.par),
+            deltamod.UPDATE_FOREST_TYPE, op.path.slice(), [removed.node], [],
+            new JSONPatchOperationHandler(this, handlers.concat([
+                    removed.handler])));
+};
+
+
+/**
+ * Return an attached operation adding the given node at the target location
+ * of the operation. Existing object members are replaced. The array of
+ * removed values holds the results of detachChild for a preceeding removal.
+ */
+JSONPatchAttacher.prototype.insert = function(op, removed, node) {
+    var par, state, token, index, children, old = [], handler, key;
+
+    if (op.path.length === 0 && removed.length > 0) {
+        throw new Error('Cannot move a value to the document root');
+    }
+    else if (op.path.length === 0) {
+        return this.replaceRoot(op, node);
+    }
+
+    par = this.locate(op.path.slice(0, -1));
+    state = this.stateOf(par);
+    token = op.path[op.path.length - 1];
+    index = this.indexOf(par, token, op.op !== 'replace');
+
+    if (op.op === 'replace' && index < 0) {
+        throw new Error('No value found at ' + formatPointer(op.path));
+    }
+
+    children = state.children.slice();
+    if (state.data instanceof Array) {
+        if (op.op === 'replace') {
+            old = children.splice(index, 1);
+        }
+    }
+    else {
+        key = token;
+        if (index < 0) {
+            index = children.length;
+        }
+        else {
+            old = children.splice(index, 1);
+        }
+    }
+
+    // Property names of the replacement must correspond to the parent.
+    node.value = key;
+    children.splice(index, 0, node);
+
+    handler = new jsobjecthandler.JSObjectTreeSequenceOperationHandler(
+            par, children[index + 1], old, [node]);
+    this.updateState(par, children, state.data);
+
+    return new deltamod.AttachedOperation(
+            new tree.Anchor(this.root, par), deltamod.UPDATE_FOREST_TYPE,
+            op.path.slice(),
+            removed.map(function(r) {return r.node;}).concat(old), [node],
+            new JSONPatchOperationHandler(this, removed.map(function(r) {
+                return r.handler;
+            }).concat([handler])));
+};
+
+
+/**
+ * Return an attached operation replacing the whole document with the given
+ * node.
+ */
+JSONPatchAttacher.prototype.replaceRoot = function(op, node) {
+    var state = this.stateOf(this.root), handlers = [],
+        data = shallowCopy(node.data);
+
+    handlers.push(new jsobjecthandler.JSObjectNodeReplaceOperationHandler(
+                this.root, this.root.value, state.data, this.root.value,
+                data));
+    handlers.push(new jsobjecthandler.JSObjectTreeSequenceOperationHandler(
+                this.root, undefined, state.children.slice(),
+                node.children.slice()));
+
+    this.updateState(this.root, node.children.slice(), data);
+
+    return new deltamod.AttachedOperation(
+            new tree.Anchor(this.root, this.root), deltamod.UPDATE_NODE_TYPE,
+            op.path.slice(), [this.root], [node],
+            new JSONPatchOperationHandler(this, handlers));
+};
+
+
+exports.JSONPatchOperation = JSONPatchOperation;
+exports.JSONPatchDetacher = JSONPatchDetacher;
+exports.JSONPatchDeltaAdapter = JSONPatchDeltaAdapter;
+exports.JSONPatchOperationHandler = JSONPatchOperationHandler;
+exports.JSONPatchAttacher = JSONPatchAttacher;
+exports.formatPointer = formatPointer;
+exports.parsePointer = parsePointer;
@@ -22,37 +22,59 @@ JSONPayloadHandler.prototype.createDocument = function() {
     return {};
 };
 
-JSONPayloadHandler.prototype.createTreeFragmentAdapter = function(doc, type) {
+JSONPayloadHandler.prototype.createTreeFragmentAdapter = function(docadapter, type) {
     if (type === 'json') {
-        return new exports.JSONFragmentAdapter();
+        return new exports.JSONFragmentAdapter(docadapter);
     }
     else {
-        return new exports.SerializedJSONFragmentAdapter();
+        return new exports.SerializedJSONFragmentAdapter(docadapter);
     }
 };
 
 
 /**
+ * Create a new fragment adapter converting between sequences of tree nodes
+ * and plain JSON values. Every node is represented by an object holding the
+ * property name in ``key`` and the JSON value in ``value``.
+ *
+ * @param docadapter    An instance of JSObjectTreeAdapter
+ *
  * @constructor
  */
-function JSONFragmentAdapter() {
+function JSONFragmentAdapter(docadapter) {
+    this.docadapter = docadapter;
 }
 
-JSONFragmentAdapter.prototype.adapt = function(nodes, deep) {
+JSONFragmentAdapter.prototype.adapt = function(doc, nodes, deep) {
     var value, result = [], i;
 
     for (i = 0; i < nodes.length; i++) {
-        if (deep) {
-            value = {
-                'key': nodes[i].value,
-                'value': nodes[i].data,
-            };
-        }
-        else {
-            value = nodes[i].value;
+        value = nodes[i].data;
+
+        // Only keep the container type of objects and arrays if the
+        // children are not requested.
+        if (!deep && value !== null && typeof value === 'object') {
+            value = (value instanceof Array) ? [] : {};
         }
 
-        result.push(value);
+        result.push({
+            'key': nodes[i].value,
+            'value': value
+        });
+    }
+
+    return result;
+};
+
+
+JSONFragmentAdapter.prototype.importFragment = function(values, deep) {
+    var result = [], node, i;
+
+    for (i = 0; i < values.length; i++) {
+        node = this.docadapter.adaptElement(values[i].value, values[i].key);
+        if (node) {
+            result.push(node);
+        }
     }
 
     return result;
@@ -60,15 +82,94 @@ JSONFragmentAdapter.prototype.adapt = function(nodes, deep) {
 
 
 /**
+ * Create a new fragment adapter serializing sequences of tree nodes into a
+ * string. Use this adapter when JSON payload is embedded into a delta
+ * document of another type, e.g. an XML delta.
+ *
+ * @param docadapter    An instance of JSObjectTreeAdapter
+ *
  * @constructor
  */
-function SerializedJSONFragmentAdapter() {
+function SerializedJSONFragmentAdapter(docadapter) {
+    JSONFragmentAdapter.call(this, docadapter);
 }
 
-SerializedJSONFragmentAdapter.prototype.adapt = function(nodes, deep) {
-    var object = JSONFragmentAdapter.prototype.adapt.call(this, nodes, deep);
+SerializedJSONFragmentAdapter.prototype.adapt = function(doc, nodes, deep) {
+    var object = JSONFragmentAdapter.prototype.adapt.call(this, doc, nodes, deep);
     return JSON.stringify(object);
 };
 
+
+/**
+ * Import the serialized fragment from the given string or from the text and
+ * CDATA nodes of a DOM node list.
+ */
+SerializedJSONFragmentAdapter.prototype.importFragment = function(domnodes, deep) {
+    var src = '', i;
+
+    if (typeof domnodes === 'string') {
+        src = domnodes;
+    }
+    else {
+        for (i = 0; i < domnodes.length; i++) {
+            if (domnodes[i].nodeType === 3 || domnodes[i].nodeType === 4) {
+                src += domnodes[i].nodeValue;
+            }
+        }
+    }
+
+    return JSONFragmentAdapter.prototype.importFragment.call(this,
+            JSON.parse(src), deep);
+};
+
+
+/**
+ * Create a new node formatter rendering tree nodes of JSON documents for
+ * human readers. Used by ``prettyprint.PrettyPrinter``.
+ *
+ * @constructor
+ */
+function JSONNodeFormatter() {
+}
+
+
+/**
+ * Return the JSON Pointer reference token of the given node, i.e. the
+ * property name or the array index. The root value has no token.
+ */
+JSONNodeFormatter.prototype.step = function(node) {
+    if (!node.par) {
+        return;
+    }
+
+    return String(typeof node.value === 'undefined' ? node.childidx :
+            node.value).replace(/~/g, '~0').replace(/\//g, '~1');
+};
+
+
+/**
+ * Return the given node as JSON, preceeded by the property name for members
+ * of objects. The members of objects and arrays are left out unless deep is
+ * set.
+ */
+JSONNodeFormatter.prototype.serialize = function(node, deep) {
+    var value = node.data, src;
+
+    if (!deep && value !== null && typeof value === 'object') {
+        src = (value instanceof Array) ? '[...]' : '{...}';
+    }
+    else {
+        src = JSON.stringify(value, null, 2);
+    }
+
+    if (typeof node.value !== 'undefined') {
+        src = JSON.stringify(node.value) + ': ' + src;
+    }
+
+    return src;
+};
+
 exports.JSONPayloadHandler = JSONPayloadHandler;
 exports.JSONFragmentAdapter = JSONFragmentAdapter;
+exports.SerializedJSONFragmentAdapter = SerializedJSONFragmentAdapter;
+exports.JSONNodeFormatter = JSONNodeFormatter;
@@ -11,14 +11,42 @@
 /**
  * Create a new instance of the LCS implementation.
  *
- * @param a     The first sequence
- * @param b     The second sequence
+ * The search for the longest common subsequence may get very expensive for
+ * long sequences with many differences. Two options allow to trade the
+ * quality of the result for speed:
+ *
+ * maxCost
+ *      The maximum number of edit operations examined while searching a
+ *      middle snake. If exceeded, the sequences are split at the furthest
+ *      reaching point found so far, similar to the "too expensive" heuristic
+ *      of GNU diff. The result is a common subsequence, but not necessarily
+ *      the longest one.
+ *
+ * budget
+ *      A time budget in milliseconds for forEachCommonSymbol. Once the budget
+ *      is exhausted, the search of each middle snake is abandoned after the
+ *      second round and the sequences are split like with maxCost.
+ *
+ * @param a         The first sequence
+ * @param b         The second sequence
+ * @param [options] An object with the optional properties maxCost and budget
  *
  * @constructor
  */
-function LCS(a, b) {
+function LCS(a, b, options) {
     this.a = a;
     this.b = b;
+    this.options = options || {};
+
+    // Optional functions returning a key for members of sequence a and b
+    // respectively. Members considered equal must share the same key. If
+    // both are set, members without any counterpart are discarded before the
+    // search.
+    this.hasha = undefined;
+    this.hashb = undefined;
+
+    // Point in time when the budget is exhausted.
+    this.deadline = undefined;
 }
 
 
@@ -148,6 +176,10 @@ LCS.prototype.compute = function(callback, T, limit) {
  * equality-test, just override the equals(a, b) method on the LCS
  * object.
  *
+ * Common prefix and suffix are stripped before the search. If the functions
+ * hasha and hashb are set, symbols without any counterpart in the other
+ * sequence are discarded as well.
+ *
  * Usage:
  * <code>
  * var lcs = [];
@@ -165,11 +197,92 @@ LCS.prototype.compute = function(callback, T, limit) {
  *                  taking part in the LCS.
  * @param T         Context object bound to "this" when the callback is
  *                  invoked.
+ *
+ * @returns         The number of symbols not taking part in the common
+ *                  subsequence.
  */
 LCS.prototype.forEachCommonSymbol = function(callback, T) {
-    return this.compute(function(left, right) {
-        this.forEachPositionInSnake(left, right, callback, T);
+    var n = this.a.length, m = this.b.length, prefix = 0, suffix = 0,
+        xs = [], ys = [], common = 0, inner, i;
+
+    if (this.options.budget) {
+        this.deadline = Date.now() + this.options.budget;
+    }
+
+    // Strip common prefix and suffix.
+    while (prefix < n && prefix < m &&
+            this.equals(this.a[prefix], this.b[prefix])) {
+        prefix++;
+    }
+    while (suffix < n - prefix && suffix < m - prefix &&
+            this.equals(this.a[n - suffix - 1], this.b[m - suffix - 1])) {
+        suffix++;
+    }
+
+    for (i = prefix; i < n - suffix; i++) {
+        xs.push(i);
+    }
+    for (i = prefix; i < m - suffix; i++) {
+        ys.push(i);
+    }
+    if (this.hasha && this.hashb) {
+        this.discardUnmatched(xs, ys);
+    }
+
+    for (i = 0; i < prefix; i++) {
+        callback.call(T, i, i);
+    }
+
+    // Run the search over the remaining members.
+    inner = new LCS(xs.map(function(x) {
+        return this.a[x];
+    }, this), ys.map(function(y) {
+        return this.b[y];
+    }, this), this.options);
+    inner.equals = this.equals;
+    inner.deadline = this.deadline;
+    inner.compute(function(left, right) {
+        inner.forEachPositionInSnake(left, right, function(x, y) {
+            common++;
+            callback.call(T, xs[x], ys[y]);
+        });
+    });
+
+    for (i = suffix; i > 0; i--) {
+        callback.call(T, n - i, m - i);
+    }
+
+    return n + m - 2 * (prefix + common + suffix);
+};
+
+
+/**
+ * Internal use. Remove the indices of members without any counterpart in the
+ * other sequence from the arrays xs and ys. Members are compared using the
+ * keys returned by hasha and hashb.
+ *
+ * @param xs    (In-/Out) Array of indices into sequence a
+ * @param ys    (In-/Out) Array of indices into sequence b
+ */
+LCS.prototype.discardUnmatched = function(xs, ys) {
+    var keysa = {}, keysb = {}, keep;
+
+    xs.forEach(function(x) {
+        keysa['$' + this.hasha(this.a[x])] = true;
+    }, this);
+    ys.forEach(function(y) {
+        keysb['$' + this.hashb(this.b[y])] = true;
+    }, this);
+
+    keep = xs.filter(function(x) {
+        return keysb.hasOwnProperty('$' + this.hasha(this.a[x]));
+    }, this);
+    xs.splice.apply(xs, [0, xs.length].concat(keep));
+
+    keep = ys.filter(function(y) {
+        return keysa.hasOwnProperty('$' + this.hashb(this.b[y]));
     }, this);
+    ys.splice.apply(ys, [0, ys.length].concat(keep));
 };
 
 
@@ -288,7 +401,7 @@ LCS.prototype.nextSnakeHeadBackward = function(head, k, kmin, kmax, limit, V) {
  * @param limit     (In) Current lcs search limits (left, right, N, M, delta, dmax)
  *
  * @returns         d, number of edit script operations encountered within
- *                  the given limit
+ *                  the given limit.
  */
 LCS.prototype.middleSnake = function (lefthead, righthead, limit) {
     var d, k, head, k0;
@@ -301,6 +414,14 @@ LCS.prototype.middleSnake = function (lefthead, righthead, limit) {
     Vf[1] = 0;
     Vb[delta-1] = limit.N;
     for (d = 0; d <= dmax; d++) {
+        // Split at the furthest reaching point if the search gets too
+        // expensive or if the budget is exhausted.
+        if (d > 1 && (this.options.maxCost && 2 * d > this.options.maxCost ||
+                    this.deadline && Date.now() > this.deadline) &&
+                this.furthestForward(lefthead, righthead, d - 1, limit, Vf)) {
+            return 2 * d;
+        }
+
         for (k = -d; k <= d; k+=2) {
             k0 = this.nextSnakeHeadForward(righthead, k, -d, d, limit, Vf);
 
@@ -334,6 +455,42 @@ LCS.prototype.middleSnake = function (lefthead, righthead, limit) {
 };
 
 
+/**
+ * Internal use. Too expensive, pick the point reached in forward direction
+ * after d rounds which advanced furthest along the diagonal and set both,
+ * lefthead and righthead to it. Return false if no point inside the limit
+ * was found.
+ *
+ * @param lefthead  (Output) A reference to a KPoint
+ * @param righthead (Output) A reference to a KPoint
+ * @param d         (In) The last round of the forward search
+ * @param limit     (In) Current lcs search limits
+ * @param Vf        (In) Vector containing the results of the forward search
+ */
+LCS.prototype.furthestForward = function(lefthead, righthead, d, limit, Vf) {
+    var k, x, y, best;
+
+    for (k = -d; k <= d; k+=2) {
+        x = Vf[k];
+        y = x - k;
+        if (x >= 0 && x <= limit.N && y >= 0 && y <= limit.M &&
+                (x < limit.N || y < limit.M) &&
+                (typeof best === 'undefined' || x + y > Vf[best] * 2 - best)) {
+            best = k;
+        }
+    }
+
+    if (typeof best === 'undefined' || Vf[best] === 0 && best === 0) {
+        return false;
+    }
+
+    lefthead.set(Vf[best], best).translate(limit.left);
+    righthead.set(Vf[best], best).translate(limit.left);
+
+    return true;
+};
+
+
 /**
  * Return the default limit spanning the whole input
  */
@@ -0,0 +1,508 @@
+/**
+ * @fileoverview    High-Level interface for three-way merging
+ */
+
+/** @ignore */
+var tree = require('./tree');
+
+/** @ignore */
+var deltamod = require('./delta');
+
+/** @ignore */
+var diffmod = require('./diff');
+
+/** @ignore */
+var patchmod = require('./patch');
+
+
+/**
+ * Return the qualified names of the attributes touched by the given attribute
+ * update. The attribute accessor is supplied by the document profile.
+ */
+function attributesOf(op, attributeNames) {
+    var result = attributeNames(op.remove[0]);
+
+    attributeNames(op.insert[0]).forEach(function(qn) {
+        if (result.indexOf(qn) < 0) {
+            result.push(qn);
+        }
+    });
+
+    return result;
+}
+
+
+/**
+ * Return an object describing the region of the base document touched by the
+ * given attached operation. Node, attribute and text updates touch exactly
+ * one node, forest updates a (possibly empty) sequence of children.
+ */
+function spanOf(op, side, attributeNames) {
+    var anchor = op.anchor;
+
+    if (op.type === deltamod.UPDATE_NODE_TYPE ||
+            op.type === deltamod.UPDATE_ATTRIBUTES_TYPE ||
+            op.type === deltamod.UPDATE_TEXT_TYPE) {
+        return {
+            'op': op,
+            'side': side,
+            'node': true,
+            'attributes': op.type === deltamod.UPDATE_ATTRIBUTES_TYPE ?
+                attributesOf(op, attributeNames) : undefined,
+            'par': anchor.base,
+            'start': anchor.index,
+            'end': anchor.base ? anchor.index + 1 : undefined
+        };
+    }
+
+    return {
+        'op': op,
+        'side': side,
+        'node': false,
+        'par': anchor.base,
+        'start': anchor.index,
+        'end': anchor.index + op.remove.length
+    };
+}
+
+
+/**
+ * Return true if the given node or one of its ancestors is removed or updated
+ * by the given forest update span.
+ */
+function encloses(span, node) {
+    if (span.node) {
+        return false;
+    }
+
+    for (; node && node.par; node = node.par) {
+        if (node.par === span.par) {
+            return span.start <= node.childidx && node.childidx < span.end;
+        }
+    }
+
+    return false;
+}
+
+
+/**
+ * Return true if the regions of the two spans overlap. Insertions at the
+ * boundary of a removed or updated sequence are considered to overlap as
+ * well, because the order of the resulting nodes is ambiguous. Attribute
+ * updates only overlap if they touch the same attribute.
+ */
+function overlaps(a, b) {
+    if (a.attributes && b.attributes && !a.attributes.some(function(qn) {
+                return b.attributes.indexOf(qn) >= 0;
+            })) {
+        return false;
+    }
+
+    if (!a.par || !b.par) {
+        // Only updates of the root node have no parent.
+        return !a.par && !b.par;
+    }
+
+    if (a.par === b.par) {
+        if (a.node && b.node) {
+            return a.start === b.start;
+        }
+        else if (a.node) {
+            return b.start <= a.start && a.start < b.end;
+        }
+        else if (b.node) {
+            return a.start <= b.start && b.start < a.end;
+        }
+        else if (a.start === a.end || b.start === b.end) {
+            return a.start <= b.end && b.start <= a.end;
+        }
+        else {
+            return a.start < b.end && b.start < a.end;
+        }
+    }
+
+    return encloses(a, b.node ? b.par.children[b.start] : b.par) ||
+        encloses(b, a.node ? a.par.children[a.start] : a.par);
+}
+
+
+/**
+ * Return the deepest common ancestor of the two given nodes.
+ */
+function commonAncestor(a, b) {
+    while (a.depth > b.depth) {
+        a = a.par;
+    }
+    while (b.depth > a.depth) {
+        b = b.par;
+    }
+    while (a !== b) {
+        a = a.par;
+        b = b.par;
+    }
+
+    return a;
+}
+
+
+/**
+ * Create a new instance of a merge command based on the given factory
+ * objects. Changes from base to theirs are applied onto ours using the fuzzy
+ * context resolver. Changes touching the same region of the base document in
+ * both versions are not applied, instead the conflicting region is marked in
+ * the output document.
+ *
+ * @param {Object} diffFactory      A reference to a diff algorithm profile.
+ * @param {Object} docFactory       A reference to a document profile.
+ * @param {Object} deltaFactory     A reference to a context delta profile.
+ * @param {Object} resolverFactory  A reference to a resolver profile.
+ * @param {Object} marker           A conflict marker, e.g. an instance of
+ *                                  dommerge.PIConflictMarker.
+ *
+ * Usage example:
+ *
+ * .. code-block:: javascript
+ *
+ *      var diffProfile = require('./lib/profiles/algo-diff-skelmatch');
+ *      var docProfile = require('./lib/profiles/doc-tree-xml');
+ *      var deltaProfile = require('./lib/profiles/delta-tree-xml');
+ *      var resolverProfile = require('./lib/profiles/algo-resolve-xcc');
+ *      var dommerge = require('./lib/delta/dommerge');
+ *      var merge = require('./lib/delta/merge');
+ *
+ *      var m = new merge.Merge(diffProfile, docProfile, deltaProfile,
+ *          resolverProfile, new dommerge.PIConflictMarker());
+ *
+ *      var base = docProfile.loadOriginalDocument(base_content);
+ *      var ours = docProfile.loadOriginalDocument(ours_content);
+ *      var theirs = docProfile.loadInputDocument(theirs_content);
+ *
+ *      var conflicts = m.merge(base, ours, theirs);
+ *
+ *      var result = docProfile.serializeDocument(ours);
+ *
+ * @constructor
+ * @name merge.Merge
+ */
+function Merge(diffFactory, docFactory, deltaFactory, resolverFactory,
+        marker) {
+    this.diffFactory = diffFactory;
+    this.docFactory = docFactory;
+    this.deltaFactory = deltaFactory;
+    this.resolverFactory = resolverFactory;
+    this.marker = marker;
+
+    /**
+     * The patch.PatchReport of the last merge.
+     */
+    this.report = undefined;
+}
+
+
+/**
+ * Merge the changes between base and theirs into ours. The ours document is
+ * modified in place. Conflicts on the root node are counted but not marked.
+ * Changes which cannot be resolved in ours are marked at the end of the
+ * document element, along with the content they would have inserted.
+ *
+ * @param {Object} base     The common ancestor. An instance returned by the
+ *                          document profile loadOriginalDocument method.
+ * @param {Object} ours     Our version. An instance returned by the document
+ *                          profile loadOriginalDocument method.
+ * @param {Object} theirs   Their version. An instance returned by the
+ *                          document profile loadInputDocument method.
+ *
+ * @return {Number} The number of conflicts.
+ * @memberOf merge.Merge
+ */
+Merge.prototype.merge = function(base, ours, theirs) {
+    var oursdelta = this.collect(base, ours, 'mergeOursPartner'),
+        theirsdelta = this.collect(base, theirs, 'mergeTheirsPartner'),
+        oursspans, theirsspans, groups, applicable, conflicts, marks,
+        attributeNames;
+
+    // Only documents supporting attribute updates provide an accessor.
+    if (this.docFactory.createAttributeAccessor) {
+        attributeNames = this.docFactory.createAttributeAccessor(base);
+    }
+
+    oursspans = oursdelta.attached.map(function(op) {
+        return spanOf(op, oursdelta.matching, attributeNames);
+    });
+    theirsspans = theirsdelta.attached.map(function(op) {
+        return spanOf(op, theirsdelta.matching, attributeNames);
+    });
+
+    groups = this.findConflicts(ours, theirs, oursspans, theirsspans);
+
+    // Changes from theirs which neither conflict with ours nor are
+    // contained in ours already.
+    applicable = theirsspans.filter(function(span) {
+        return !span.duplicate && !groups.some(function(group) {
+            return group.indexOf(span) >= 0;
+        });
+    });
+
+    // Locate conflicting regions while the trees still reflect the
+    // original documents.
+    marks = groups.map(function(group) {
+        return this.markOf(group, oursdelta.matching, theirsdelta.matching);
+    }, this);
+
+    conflicts = groups.length + this.apply(base, ours, applicable);
+
+    marks.forEach(function(mark) {
+        if (mark) {
+            this.marker.mark(mark.par, mark.ours, mark.before, mark.theirs);
+        }
+    }, this);
+
+    this.report.filter('failed').forEach(function(entry) {
+        this.marker.mark(ours.tree, [], undefined,
+                applicable[entry.index].op.insert);
+    }, this);
+
+    return conflicts;
+};
+
+
+/**
+ * Return a delta document containing the attached operations necessary to
+ * transform base into doc. The matching is stored in the given property of
+ * the tree nodes, such that base may take part in more than one matching.
+ *
+ * @param {Object} base     The common ancestor.
+ * @param {Object} doc      The changed document.
+ * @param {String} propname The property used to store the partners.
+ *
+ * @return {Object} Delta document.
+ * @memberOf merge.Merge
+ */
+Merge.prototype.collect = function(base, doc, propname) {
+    var matching = new tree.Matching(propname),
+        d = new diffmod.Diff(this.diffFactory, this.docFactory,
+                this.deltaFactory),
+        equals = this.docFactory.createNodeEqualityTest(base, doc),
+        algo = this.diffFactory.createDiffAlgorithm(base, doc, equals,
+                d.createNodeIdentityTest(base, doc));
+
+    algo.matchTrees(matching);
+
+    return d.collect(base, doc, matching);
+};
+
+
+/**
+ * Return an array of conflict groups. Each group is an array of spans from
+ * ours and theirs which touch overlapping regions of the base document. Spans
+ * from theirs which are equivalent to a span from ours are flagged as
+ * duplicates and never take part in a conflict.
+ *
+ * @memberOf merge.Merge
+ */
+Merge.prototype.findConflicts = function(ours, theirs, oursspans,
+        theirsspans) {
+    var groups = [],
+        equalNode = this.docFactory.createNodeEqualityTest(ours, theirs),
+        equalTree = this.docFactory.createTreeEqualityTest(ours, theirs);
+
+    function equivalent(a, b) {
+        if (a.op.type !== b.op.type || a.par !== b.par ||
+                a.start !== b.start || a.end !== b.end) {
+            return false;
+        }
+        else if (a.attributes) {
+            return equalNode(a.op.remove[0], b.op.remove[0]) &&
+                equalNode(a.op.insert[0], b.op.insert[0]);
+        }
+        else if (a.op.type === deltamod.UPDATE_TEXT_TYPE) {
+            return equalTree(a.op.remove[0], b.op.remove[0]) &&
+                equalTree(a.op.insert[0], b.op.insert[0]);
+        }
+        else if (a.node) {
+            return equalNode(a.op.insert[0], b.op.insert[0]);
+        }
+        else {
+            return a.op.insert.length === b.op.insert.length &&
+                a.op.insert.every(function(node, i) {
+                    return equalTree(node, b.op.insert[i]);
+                });
+        }
+    }
+
+    theirsspans.forEach(function(span) {
+        var members, merged = [];
+
+        if (oursspans.some(function(other) {
+                    return equivalent(other, span);
+                })) {
+            span.duplicate = true;
+            return;
+        }
+
+        members = [span].concat(oursspans.filter(function(other) {
+            return overlaps(other, span);
+        }));
+        if (members.length === 1) {
+            return;
+        }
+
+        // Join groups sharing a span from ours.
+        groups = groups.filter(function(group) {
+            if (group.some(function(other) {
+                        return members.indexOf(other) >= 0;
+                    })) {
+                merged.push(group);
+                return false;
+            }
+            return true;
+        });
+        merged.forEach(function(group) {
+            group.forEach(function(other) {
+                if (members.indexOf(other) < 0) {
+                    members.push(other);
+                }
+            });
+        });
+
+        groups.push(members);
+    });
+
+    return groups;
+};
+
+
+/**
+ * Return the location of the conflict marks for the given group. The result
+ * is an object with the following properties: ``par`` the parent node in
+ * ours, ``ours`` the conflicting children in ours, ``before`` the node
+ * following the region in ours and ``theirs`` the conflicting nodes from
+ * theirs. Returns undefined for conflicts on the root node.
+ *
+ * @memberOf merge.Merge
+ */
+Merge.prototype.markOf = function(group, oursmatching, theirsmatching) {
+    var par, start, end, oursrange, theirsrange;
+
+    if (group.some(function(span) { return !span.par; })) {
+        return;
+    }
+
+    // Find the deepest node containing all spans and lift the spans to the
+    // children of that node.
+    par = group.map(function(span) {
+        return span.par;
+    }).reduce(commonAncestor);
+
+    group.forEach(function(span) {
+        var s = span.start, e = span.end, node;
+
+        if (span.par !== par) {
+            for (node = span.par; node.par !== par; node = node.par);
+            s = node.childidx;
+            e = s + 1;
+        }
+
+        start = typeof start === 'undefined' ? s : Math.min(start, s);
+        end = typeof end === 'undefined' ? e : Math.max(end, e);
+    });
+
+    oursrange = this.rangeOf(group, par, start, end, oursmatching);
+    theirsrange = this.rangeOf(group, par, start, end, theirsmatching);
+
+    return {
+        'par': oursrange.par,
+        'ours': oursrange.par.children.slice(oursrange.start, oursrange.end),
+        'before': oursrange.par.children[oursrange.end],
+        'theirs': theirsrange.par.children.slice(theirsrange.start,
+                theirsrange.end)
+    };
+};
+
+
+/**
+ * Return the sequence of children in ours or theirs corresponding to the
+ * given range of children of par in the base document. The range covers the
+ * partners of the base nodes as well as the nodes inserted by the spans of
+ * the conflict group.
+ *
+ * @memberOf merge.Merge
+ */
+Merge.prototype.rangeOf = function(group, par, start, end, matching) {
+    var partner = matching.get(par), indices = [], i, node;
+
+    for (i = start; i < end; i++) {
+        node = matching.get(par.children[i]);
+        if (node && node.par === partner) {
+            indices.push(node.childidx);
+        }
+    }
+
+    group.forEach(function(span) {
+        if (span.side === matching && span.par === par && !span.node) {
+            span.op.insert.forEach(function(node) {
+                indices.push(node.childidx);
+            });
+        }
+    });
+
+    if (indices.length) {
+        return {
+            'par': partner,
+            'start': Math.min.apply(Math, indices),
+            'end': Math.max.apply(Math, indices) + 1
+        };
+    }
+
+    // The region is empty, find the insertion point.
+    for (i = end; i < par.children.length; i++) {
+        node = matching.get(par.children[i]);
+        if (node && node.par === partner) {
+            return {'par': partner, 'start': node.childidx, 'end': node.childidx};
+        }
+    }
+    for (i = start - 1; i >= 0; i--) {
+        node = matching.get(par.children[i]);
+        if (node && node.par === partner) {
+            return {'par': partner, 'start': node.childidx + 1, 'end': node.childidx + 1};
+        }
+    }
+
+    return {'par': partner, 'start': 0, 'end': 0};
+};
+
+
+/**
+ * Apply the operations of the given spans onto ours using the context
+ * resolver. Return the number of operations which could not be resolved.
+ *
+ * @memberOf merge.Merge
+ */
+Merge.prototype.apply = function(base, ours, spans) {
+    var deltadoc = this.deltaFactory.createEmptyDocument(),
+        detacher = this.deltaFactory.createDetacher(base),
+        p = new patchmod.Patch(this.resolverFactory, this.docFactory,
+                this.deltaFactory),
+        fails;
+
+    deltadoc.detached = spans.map(function(span) {
+        var op = detacher.detach(span.op);
+
+        // Node updates only carry the node itself, just like operations
+        // loaded from a delta document.
+        if (op.type === deltamod.UPDATE_NODE_TYPE) {
+            op.remove = [new tree.Node(op.remove[0].value, op.remove[0].data)];
+            op.insert = [new tree.Node(op.insert[0].value, op.insert[0].data)];
+        }
+
+        return op;
+    });
+
+    fails = p.patch(ours, deltadoc);
+    this.report = deltadoc.report;
+
+    return fails;
+};
+
+
+exports.Merge = Merge;
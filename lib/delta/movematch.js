@@ -0,0 +1,156 @@
+/**
+ * @fileoverview    Detection of moved subtrees.
+ *
+ * Tree matching algorithms like skelmatch and xcc require matched nodes to
+ * keep their ancestor chain. A subtree which was relocated to another parent
+ * or to another position among its siblings therefore remains unmatched and
+ * shows up as a removal in tree a and an insertion in tree b. This pass runs
+ * after the tree matching and pairs identical unmatched subtrees using their
+ * tree hash values.
+ */
+
+
+/**
+ * Create a new move matcher for the trees a and b.
+ *
+ * @param {tree.Node} a             Root node of original tree
+ * @param {tree.Node} b             Root node of changed tree
+ * @param {tree.TreeHashIndex} treehasha    Tree hash index of tree a
+ * @param {tree.TreeHashIndex} treehashb    Tree hash index of tree b
+ * @param {Number} [minsize]        The minimum number of nodes of a moved
+ *         subtree. Smaller subtrees are left unmatched. Defaults to 2, i.e.
+ *         moved leaf nodes are not detected.
+ *
+ * @constructor
+ * @name movematch.MoveMatcher
+ */
+function MoveMatcher(a, b, treehasha, treehashb, minsize) {
+    this.a = a;
+    this.b = b;
+    this.treehasha = treehasha;
+    this.treehashb = treehashb;
+    this.minsize = (typeof minsize === 'undefined') ? 2 : minsize;
+}
+
+
+/**
+ * Pair unmatched subtrees of tree a with identical unmatched subtrees of
+ * tree b. Only the topmost unmatched node of each subtree takes part, its
+ * parent is part of the matching. Subtrees are paired in document order.
+ *
+ * @param {tree.Matching} matching  The matching produced by the tree
+ *         matching algorithm.
+ * @param {tree.Matching} moves     A matching which will be populated with
+ *         the roots of moved subtrees.
+ *
+ * @memberOf movematch.MoveMatcher
+ */
+MoveMatcher.prototype.matchMoves = function(matching, moves) {
+    var candidates = {}, hash;
+
+    this.unmatchedSubtrees(this.b, matching).forEach(function(node) {
+        hash = this.treehashb.get(node);
+        candidates[hash] = candidates[hash] || [];
+        candidates[hash].push(node);
+    }, this);
+
+    this.unmatchedSubtrees(this.a, matching).forEach(function(node) {
+        var list = candidates[this.treehasha.get(node)], i;
+
+        if (!list || this.size(node) < this.minsize) {
+            return;
+        }
+
+        for (i = 0; i < list.length; i++) {
+            if (this.equalTrees(node, list[i])) {
+                moves.put(node, list.splice(i, 1)[0]);
+                break;
+            }
+        }
+    }, this);
+};
+
+
+/**
+ * Return the roots of all unmatched subtrees below the given node in document
+ * order. Subtrees containing matched descendants are skipped.
+ *
+ * @memberOf movematch.MoveMatcher
+ */
+MoveMatcher.prototype.unmatchedSubtrees = function(root, matching) {
+    var result = [], me = this;
+
+    (function collect(node) {
+        node.children.forEach(function(child) {
+            if (matching.get(child)) {
+                collect(child);
+            }
+            else if (me.isUnmatched(child, matching)) {
+                result.push(child);
+            }
+        });
+    }(root));
+
+    return result;
+};
+
+
+/**
+ * Return true if the subtrees rooted at the given nodes are identical. The
+ * tree hash of a subtree does not capture its shape, therefore the number of
+ * children is compared on each level as well.
+ *
+ * @memberOf movematch.MoveMatcher
+ */
+MoveMatcher.prototype.equalTrees = function(a, b) {
+    var i;
+
+    if (this.treehasha.get(a) !== this.treehashb.get(b) ||
+            a.children.length !== b.children.length) {
+        return false;
+    }
+
+    for (i = 0; i < a.children.length; i++) {
+        if (!this.equalTrees(a.children[i], b.children[i])) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+
+/**
+ * Return true if no node of the subtree rooted at the given node is part of
+ * the matching.
+ *
+ * @memberOf movematch.MoveMatcher
+ */
+MoveMatcher.prototype.isUnmatched = function(node, matching) {
+    var result = true;
+
+    node.forEach(function(n) {
+        result = result && !matching.get(n);
+    });
+
+    return result;
+};
+
+
+/**
+ * Return the number of nodes in the subtree rooted at the given node.
+ *
+ * @memberOf movematch.MoveMatcher
+ */
+MoveMatcher.prototype.size = function(node) {
+    var result = 0;
+
+    node.forEach(function() {
+        result++;
+    });
+
+    return result;
+};
+
+
+exports.MoveMatcher = MoveMatcher;
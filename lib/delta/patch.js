@@ -2,6 +2,189 @@
  * @fileoverview High-level interface for the patching process
  */
 
+/**
+ * Return the top-down path of the location an attached operation was
+ * resolved to.
+ */
+function anchorPath(anchor) {
+    var result = [], node = anchor.base || anchor.target;
+
+    for (; node && node.par; node = node.par) {
+        result.unshift(node.childidx);
+    }
+
+    if (anchor.base) {
+        result.push(anchor.index);
+    }
+
+    return result;
+}
+
+
+/**
+ * Return the original location of a detached operation. Context delta and
+ * JSON Patch operations carry a path, XML Patch and XUpdate operations a
+ * selector.
+ */
+function originalPath(op) {
+    if (typeof op.path !== 'undefined') {
+        return op.path;
+    }
+    else if (typeof op.sel !== 'undefined') {
+        return op.sel;
+    }
+    else {
+        return op.select;
+    }
+}
+
+
+/**
+ * Return true if the given top-down paths address the same location.
+ */
+function samePath(a, b) {
+    return a instanceof Array && b instanceof Array &&
+        a.join('/') === b.join('/');
+}
+
+
+/**
+ * Create a new patch report. A report lists the outcome of resolving each
+ * operation of a delta document. Every entry has the following properties:
+ *
+ * * ``index``: The position of the operation in the delta document.
+ * * ``operation``: A string representation of the operation.
+ * * ``status``: One of ``applied``, ``fuzzy`` (resolved to a different
+ *   location than recorded or with a quality below 1) or ``failed``.
+ * * ``path``: The path or selector of the operation in the delta document.
+ * * ``resolved``: The top-down path of the location the operation was
+ *   resolved to. Undefined for failed operations.
+ * * ``offset`` and ``quality``: The offset and quality reported by the
+ *   context resolver. Undefined for formats which do not use fuzzy matching.
+ * * ``reason``: The reason of a failure.
+ *
+ * @constructor
+ * @name patch.PatchReport
+ */
+function PatchReport() {
+    /**
+     * An array of report entries, one for each operation.
+     */
+    this.entries = [];
+
+    /**
+     * The number of operations which were not resolved properly. Operations
+     * of a rejected patch are not counted.
+     */
+    this.fails = 0;
+}
+
+
+/**
+ * Add an entry for a detached operation and the resulting attached
+ * operation. Pass an error if the operation could not be resolved. Operations
+ * which do not modify the document (e.g. JSON Patch ``test``) do not result in
+ * an attached operation and are reported as applied.
+ *
+ * @memberOf patch.PatchReport
+ */
+PatchReport.prototype.add = function(index, detached, attached, err) {
+    var entry = {
+        'index': index,
+        'operation': detached.toString(),
+        'path': originalPath(detached)
+    }, resolution;
+
+    if (err) {
+        entry.status = 'failed';
+        entry.reason = err.message;
+        this.fails++;
+    }
+    else if (!attached) {
+        entry.status = 'applied';
+    }
+    else {
+        resolution = attached.resolution;
+        if (resolution) {
+            entry.resolved = anchorPath(attached.anchor);
+            entry.status = (!samePath(entry.resolved, entry.path) ||
+                    resolution.quality < 1) ? 'fuzzy' : 'applied';
+            entry.offset = resolution.offset;
+            entry.quality = resolution.quality;
+        }
+        else {
+            entry.status = 'applied';
+            entry.resolved = attached.path;
+        }
+    }
+
+    this.entries.push(entry);
+};
+
+
+/**
+ * Mark all operations which were resolved as failed. Used for formats where
+ * the whole patch is rejected if one of its operations fails.
+ *
+ * @memberOf patch.PatchReport
+ */
+PatchReport.prototype.reject = function(reason) {
+    this.entries.forEach(function(entry) {
+        if (entry.status !== 'failed') {
+            entry.status = 'failed';
+            entry.reason = reason;
+        }
+    });
+};
+
+
+/**
+ * Return the entries with the given status.
+ *
+ * @memberOf patch.PatchReport
+ */
+PatchReport.prototype.filter = function(status) {
+    return this.entries.filter(function(entry) {
+        return entry.status === status;
+    });
+};
+
+
+/**
+ * Return the entries of operations which failed or were resolved with a
+ * quality below the given minimum. Operations of formats which do not use
+ * fuzzy matching are resolved exactly or not at all.
+ *
+ * @param {Number} [minquality]   The minimal acceptable quality, defaults
+ *         to 0.
+ *
+ * @memberOf patch.PatchReport
+ */
+PatchReport.prototype.problems = function(minquality) {
+    minquality = minquality || 0;
+
+    return this.entries.filter(function(entry) {
+        return entry.status === 'failed' ||
+            (typeof entry.quality === 'number' && entry.quality < minquality);
+    });
+};
+
+
+/**
+ * Return a summary and the list of entries suitable for JSON serialization.
+ *
+ * @memberOf patch.PatchReport
+ */
+PatchReport.prototype.toJSON = function() {
+    return {
+        'applied': this.filter('applied').length,
+        'fuzzy': this.filter('fuzzy').length,
+        'failed': this.filter('failed').length,
+        'operations': this.entries
+    };
+};
+
+
 /**
  * Create a new instance of a patch command based on the given factory objects.
  *
@@ -69,7 +252,8 @@ Patch.prototype.patch = function(doc, deltadoc) {
 
 /**
  * Resolve all operations in the given delta document and create an attached
- * operation for each of them.
+ * operation for each of them. The outcome of each operation is recorded in a
+ * patch.PatchReport stored in the ``report`` property of the delta document.
  *
  * @param {Object}  deltadoc    An instance returned from the delta factory
  *                              loadDocument method.
@@ -81,26 +265,76 @@ Patch.prototype.resolve = function(doc, deltadoc) {
     var equalValue = this.docFactory.createValueTest(doc),
         equalNode = this.docFactory.createNodeEqualityTest(doc, doc),
         equalTree = this.docFactory.createTreeEqualityTest(doc, doc),
+        equalAttributes = this.docFactory.createAttributeEqualityTest &&
+            this.docFactory.createAttributeEqualityTest(doc),
+        equalText = this.docFactory.createTextEqualityTest &&
+            this.docFactory.createTextEqualityTest(doc),
         resolver = this.resolverFactory.createResolver(doc, equalValue,
-            equalNode, equalTree),
+            equalNode, equalTree, equalAttributes, equalText),
         attacher = this.deltaFactory.createAttacher(resolver),
-        i, fails = 0;
+        report = new PatchReport(), i, error;
 
     // Resolve all anchor nodes
     for (i = 0; i < deltadoc.detached.length; i++) {
+        error = undefined;
         try {
             deltadoc.attached[i] = attacher.attach(deltadoc.detached[i]);
         }
         catch (err) {
             deltadoc.attached[i] = undefined;
-            // FIXME: collect messages somewhere into deltadoc
-            fails++;
-            console.warn("Failed to apply change number " + i + ": " + deltadoc.detached[i].toString());
+            error = err;
         }
+        report.add(i, deltadoc.detached[i], deltadoc.attached[i], error);
     }
 
-    return fails;
+    // Attachers of atomic formats (JSON Patch, XML Patch) do not apply any
+    // operation if one of them failed.
+    if (attacher.failed) {
+        report.reject('Patch rejected because another operation failed');
+    }
+
+    deltadoc.report = report;
+
+    return report.fails;
+}
+
+
+/**
+ * Return a new delta document reverting the changes of deltadoc. The given
+ * document must be the result of applying deltadoc, i.e. the changed
+ * document. Patching the changed document with the returned delta document
+ * restores the original one.
+ *
+ * @param {Object}  doc         The changed document. An instance returned
+ *                              by the document factory loadOriginalDocument
+ *                              method.
+ * @param {Object}  deltadoc    An instance returned from the delta factory
+ *                              loadDocument method.
+ *
+ * @return {Object} The inverted delta document.
+ * @memberOf patch.Patch
+ */
+Patch.prototype.invert = function(doc, deltadoc) {
+    var result, inverter, fragadapter, deltaadapter;
+
+    if (!this.deltaFactory.createInverter) {
+        throw new Error('Delta documents of type "' + deltadoc.type +
+                '" cannot be inverted');
+    }
+
+    result = this.deltaFactory.createEmptyDocument();
+    inverter = this.deltaFactory.createInverter(doc);
+    fragadapter = this.docFactory.createFragmentAdapter(result.type);
+    deltaadapter = this.deltaFactory.createDeltaAdapter(fragadapter);
+
+    result.detached = inverter.invert(deltadoc.detached);
+
+    // Populate DOM of delta document
+    deltaadapter.populateDocument(result.data, result.detached);
+
+    return result;
 }
 
 
 exports.Patch = Patch;
+exports.PatchReport = PatchReport;
@@ -0,0 +1,322 @@
+/**
+ * @fileoverview    Human readable rendering of delta documents.
+ *
+ * Every attached operation is rendered as a hunk resembling the ones of a
+ * unified diff. The header names the path of the affected node, removed and
+ * inserted nodes follow line by line prefixed with ``-`` and ``+``,
+ * surrounded by a few lines of context taken from the neighbouring nodes in
+ * the original document:
+ *
+ * .. code-block:: none
+ *
+ *      @@ /svg/g[2] @@
+ *       <path id="a"/>
+ *      -<path id="b"/>
+ *      +<path id="c"/>
+ *       <path id="d"/>
+ *
+ * Nodes are serialized by a node formatter obtained from the
+ * ``createNodeFormatter`` method of the document profile.
+ */
+
+/** @ignore */
+var deltamod = require('./delta');
+
+
+/**
+ * ANSI escape sequences used when colors are enabled.
+ */
+var COLORS = {
+    'file': '\x1b[1m',
+    'header': '\x1b[36m',
+    'remove': '\x1b[31m',
+    'insert': '\x1b[32m'
+};
+
+
+/**
+ * ANSI escape sequence resetting the color.
+ */
+var COLOR_RESET = '\x1b[0m';
+
+
+/**
+ * Matches nodes consisting of whitespace only rendered as quoted strings.
+ */
+var BLANK_PATTERN = /^"(\\[nrt]|\s)*"$/;
+
+
+/**
+ * Create a new pretty printer.
+ *
+ * The following options are recognized:
+ *
+ * context
+ *      The number of lines of context preceeding and following each change,
+ *      defaults to 3.
+ *
+ * color
+ *      Highlight headers, removed and inserted lines using ANSI escape
+ *      sequences if set.
+ *
+ * Usage example:
+ *
+ * .. code-block:: javascript
+ *
+ *      var d = new diff.Diff(diffProfile, docProfile, deltaProfile);
+ *      var delta = d.diff(orig, changed);
+ *
+ *      var printer = new prettyprint.PrettyPrinter(
+ *              docProfile.createNodeFormatter(), {'color': true});
+ *      console.log(printer.render(delta, 'orig.xml', 'changed.xml'));
+ *
+ * @param {Object} formatter    A node formatter returned by the
+ *         ``createNodeFormatter`` method of a document profile.
+ * @param {Object} [options]    Options
+ *
+ * @constructor
+ * @name prettyprint.PrettyPrinter
+ */
+function PrettyPrinter(formatter, options) {
+    this.formatter = formatter;
+    this.options = options || {};
+    this.context = (typeof this.options.context === 'number') ?
+        this.options.context : 3;
+}
+
+
+/**
+ * Return the rendered hunks of all the attached operations of the given delta
+ * document. If the names of the original and the changed file are given, a
+ * file header is rendered first.
+ *
+ * @param {Object} deltadoc         A delta document.
+ * @param {String} [origname]       The name of the original file.
+ * @param {String} [changedname]    The name of the changed file.
+ *
+ * @return {String} The rendered delta.
+ *
+ * @memberOf prettyprint.PrettyPrinter
+ */
+PrettyPrinter.prototype.render = function(deltadoc, origname, changedname) {
+    var result = [];
+
+    if (origname || changedname) {
+        result.push(this.paint('file', '--- ' + (origname || changedname)));
+        result.push(this.paint('file', '+++ ' + (changedname || origname)));
+    }
+
+    deltadoc.attached.forEach(function(op) {
+        if (op) {
+            result.push(this.renderOperation(op));
+        }
+    }, this);
+
+    return result.join('\n');
+};
+
+
+/**
+ * Return the rendered hunk of the given attached operation.
+ *
+ * @param {Object} op   An attached operation.
+ *
+ * @return {String} The rendered hunk.
+ *
+ * @memberOf prettyprint.PrettyPrinter
+ */
+PrettyPrinter.prototype.renderOperation = function(op) {
+    var base = op.anchor.base, target = op.anchor.target, header, start, end,
+        removed, inserted, before = [], after = [], update, indent, result;
+
+    switch (op.type) {
+        case deltamod.UPDATE_FOREST_TYPE:
+            header = this.pathOf(base);
+            start = op.anchor.index;
+            end = start + op.remove.length;
+            removed = this.changedLinesOf(op.remove, true);
+            inserted = this.changedLinesOf(op.insert, true);
+            break;
+
+        case deltamod.UPDATE_ATTRIBUTES_TYPE:
+        case deltamod.UPDATE_TEXT_TYPE:
+            update = this.formatter.serializeUpdate(op);
+            removed = splitLines(update[0]);
+            inserted = splitLines(update[1]);
+            break;
+
+        case deltamod.MOVE_TYPE:
+            header = this.pathOf(target) + ' moved to ' +
+                this.pathOf(op.target.base);
+            removed = this.linesOf([target], true);
+            inserted = [];
+            break;
+
+        default:
+            removed = this.changedLinesOf(op.remove, false);
+            inserted = this.changedLinesOf(op.insert, false);
+            break;
+    }
+
+    if (op.type !== deltamod.UPDATE_FOREST_TYPE) {
+        // Texts are located by their enclosing element.
+        header = header || this.pathOf(
+                op.type === deltamod.UPDATE_TEXT_TYPE && base || target);
+        start = target.childidx;
+        end = start + 1;
+    }
+
+    if (base) {
+        before = this.contextBefore(base, start);
+        after = this.contextAfter(base, end);
+    }
+
+    // Strip the indentation common to all the lines of the hunk. Quoted
+    // whitespace is not indented.
+    indent = before.concat(removed, inserted, after).filter(function(line) {
+        return !BLANK_PATTERN.test(line);
+    }).reduce(function(min, line) {
+        return Math.min(min, /^[ \t]*/.exec(line)[0].length);
+    }, Infinity);
+    indent = new RegExp('^[ \\t]{0,' + (isFinite(indent) ? indent : 0) + '}');
+
+    function strip(line) {
+        return line.replace(indent, '');
+    }
+
+    result = [this.paint('header', '@@ ' + header + ' @@')];
+    before.map(strip).forEach(function(line) {
+        result.push(' ' + line);
+    });
+    removed.map(strip).forEach(function(line) {
+        result.push(this.paint('remove', '-' + line));
+    }, this);
+    inserted.map(strip).forEach(function(line) {
+        result.push(this.paint('insert', '+' + line));
+    }, this);
+    after.map(strip).forEach(function(line) {
+        result.push(' ' + line);
+    });
+
+    return result.join('\n');
+};
+
+
+/**
+ * Return the path of the given node, e.g. ``/svg/g[2]/path[5]``, made up of
+ * the location steps returned by the node formatter.
+ *
+ * @param {tree.Node} node  A node of the original tree.
+ *
+ * @return {String} The path of the node.
+ *
+ * @memberOf prettyprint.PrettyPrinter
+ */
+PrettyPrinter.prototype.pathOf = function(node) {
+    var result = '', step;
+
+    for (; node; node = node.par) {
+        step = this.formatter.step(node);
+        if (typeof step !== 'undefined') {
+            result = '/' + step + result;
+        }
+    }
+
+    return result || '/';
+};
+
+
+/**
+ * Return the non-blank lines of the serialized nodes.
+ *
+ * @param {Array} nodes     The tree nodes to serialize.
+ * @param {Boolean} deep    Serialize the descendants of the nodes as well.
+ *
+ * @return {Array} An array of lines.
+ *
+ * @memberOf prettyprint.PrettyPrinter
+ */
+PrettyPrinter.prototype.linesOf = function(nodes, deep) {
+    var result = [];
+
+    nodes.forEach(function(node) {
+        result = result.concat(splitLines(this.formatter.serialize(node, deep)));
+    }, this);
+
+    return result;
+};
+
+
+/**
+ * Internal use. Return the lines of the removed or inserted nodes. Nodes
+ * consisting of whitespace only are rendered as quoted strings, otherwise
+ * changes to them would not be visible.
+ */
+PrettyPrinter.prototype.changedLinesOf = function(nodes, deep) {
+    var result = [];
+
+    nodes.forEach(function(node) {
+        var src = this.formatter.serialize(node, deep),
+            lines = splitLines(src);
+
+        result = result.concat(lines.length ? lines : [JSON.stringify(src)]);
+    }, this);
+
+    return result;
+};
+
+
+/**
+ * Internal use. Return the context lines preceeding the child at the given
+ * index of base.
+ */
+PrettyPrinter.prototype.contextBefore = function(base, index) {
+    var result = [], i;
+
+    for (i = index - 1; i >= 0 && result.length < this.context; i--) {
+        result = this.linesOf([base.children[i]], true).concat(result);
+    }
+
+    return result.slice(Math.max(0, result.length - this.context));
+};
+
+
+/**
+ * Internal use. Return the context lines following the children of base
+ * starting at the given index.
+ */
+PrettyPrinter.prototype.contextAfter = function(base, index) {
+    var result = [], i;
+
+    for (i = index; i < base.children.length && result.length < this.context;
+            i++) {
+        result = result.concat(this.linesOf([base.children[i]], true));
+    }
+
+    return result.slice(0, this.context);
+};
+
+
+/**
+ * Internal use. Wrap the line into the ANSI escape sequences of the given
+ * kind if colors are enabled.
+ */
+PrettyPrinter.prototype.paint = function(kind, line) {
+    return this.options.color ? COLORS[kind] + line + COLOR_RESET : line;
+};
+
+
+/**
+ * Return the non-blank lines of the given string without trailing
+ * whitespace.
+ */
+function splitLines(text) {
+    return text.split('\n').filter(function(line) {
+        return /\S/.test(line);
+    }).map(function(line) {
+        return line.replace(/\s+$/, '');
+    });
+}
+
+
+exports.PrettyPrinter = PrettyPrinter;
@@ -49,10 +49,19 @@ function ResolveXCCFactory(options) {
  * @param {function} [equalTree]    The equality test-function used when
  *         comparing two subtrees. Use the method ``createNodeEqualityTest`` of
  *         the document factory to create a suitable function.
+ * @param {function} [equalAttributes]  The equality test-function used when
+ *         comparing a node against an attribute update. Use the method
+ *         ``createAttributeEqualityTest`` of the document factory to create a
+ *         suitable function.
+ * @param {function} [equalText]    The equality test-function used when
+ *         comparing a node against a text update. Use the method
+ *         ``createTextEqualityTest`` of the document factory to create a
+ *         suitable function.
  *
  * @return {ContextResolver} An initialized context aware resolver instance.
  */
-ResolveXCCFactory.prototype.createResolver = function(doc, equalValue, equalNode, equalTree) {
+ResolveXCCFactory.prototype.createResolver = function(doc, equalValue, equalNode, equalTree,
+        equalAttributes, equalText) {
     if (!doc.tree) {
         throw new Error('Parameter error: Document objects must have tree property');
     }
@@ -68,9 +77,17 @@ ResolveXCCFactory.prototype.createResolver = function(doc, equalValue, equalNode
             if (type === deltamod.UPDATE_FOREST_TYPE) {
                 return equalTree(docnode, patchnode);
             }
-            else if (type === deltamod.UPDATE_NODE_TYPE) {
+            else if (type === deltamod.UPDATE_NODE_TYPE ||
+                    type === deltamod.MOVE_TYPE) {
                 return equalNode(docnode, patchnode);
             }
+            else if (type === deltamod.UPDATE_ATTRIBUTES_TYPE &&
+                    equalAttributes) {
+                return equalAttributes(docnode, patchnode);
+            }
+            else if (type === deltamod.UPDATE_TEXT_TYPE && equalText) {
+                return equalText(docnode, patchnode);
+            }
             else {
                 throw new Error('Got unknown operation type in equalContent cb: ' + type);
             }
@@ -18,6 +18,8 @@
 
 /** @ignore */
 var lcs = require('./lcs');
+/** @ignore */
+var anchoredlcs = require('./anchoredlcs');
 
 
 /**
@@ -25,13 +27,30 @@ var lcs = require('./lcs');
  *
  * @param {tree.Node} a Root node of original tree
  * @param {tree.Node} b Root node of changed tree
+ * @param {Object} [options] Options. Use the property ``lcs`` in order to
+ *         pass ``maxCost`` and ``budget`` limits to the LCS runs. The
+ *         ``algorithm`` (``myers``, ``patience`` or ``histogram``) is used
+ *         for the LCS over content nodes.
  *
  * @constructor
  * @name skelmatch.Diff
  */
-function Diff(a, b) {
+function Diff(a, b, options) {
     this.a = a; // Root node of tree a
     this.b = b; // Root node of tree b
+    this.options = options || {};
+
+    // Optional functions returning a hash of the given content node of tree
+    // a and b respectively. Content considered equal must share the same
+    // hash.
+    this.hasha = undefined;
+    this.hashb = undefined;
+
+    // Optional function returning true if the given content nodes of tree a
+    // and b represent the same entity, e.g. elements with the same name.
+    // Unmatched content nodes passing the test are paired during the second
+    // pass such that updates of their value are detected.
+    this.identical = undefined;
 }
 
 
@@ -47,8 +66,98 @@ Diff.prototype.matchTrees = function(matching) {
     // Associate root nodes
     matching.put(this.b, this.a);
 
-    this.matchContent(matching);
-    this.matchStructure(matching);
+    this.matchSubtrees(matching, this.a, this.b);
+};
+
+
+/**
+ * Match the descendants of the partners a and b. Children of unordered nodes
+ * are paired by their key, remaining descendants are matched by examining
+ * content and structure of both subtrees.
+ *
+ * @param {tree.Matching} matching A tree matching which will be populated by
+ *         diffing tree a and b.
+ * @param {tree.Node} a A node from tree a which already takes part in the
+ *         matching.
+ * @param {tree.Node} b The partner of a from tree b.
+ *
+ * @memberOf skelmatch.Diff
+ */
+Diff.prototype.matchSubtrees = function(matching, a, b) {
+    if (!a.unordered || !b.unordered) {
+        this.matchContent(matching, a, b);
+        this.matchStructure(matching, a, b);
+    }
+    this.matchKeyedDescendants(matching, a, b);
+};
+
+
+/**
+ * Traverse the pairs beneath the partners a and b top-down and pair the
+ * children of unordered nodes by their key. The subtrees of all children of
+ * unordered pairs are matched recursively, the sequence alignment of the
+ * enclosing subtree may have missed nodes whose ancestors got reordered.
+ *
+ * @param {tree.Matching} matching A tree matching which will be populated by
+ *         diffing tree a and b.
+ * @param {tree.Node} a A node from tree a which already takes part in the
+ *         matching.
+ * @param {tree.Node} b The partner of a from tree b.
+ *
+ * @memberOf skelmatch.Diff
+ */
+Diff.prototype.matchKeyedDescendants = function(matching, a, b) {
+    var unordered = a.unordered && b.unordered;
+
+    if (unordered) {
+        this.matchKeyedChildren(matching, a, b);
+    }
+
+    a.children.forEach(function(child) {
+        var partner = matching.get(child);
+        if (partner && unordered) {
+            this.matchSubtrees(matching, child, partner);
+        }
+        else if (partner) {
+            this.matchKeyedDescendants(matching, child, partner);
+        }
+    }, this);
+};
+
+
+/**
+ * Pair unmatched children of the unordered partners a and b if their keys
+ * (node values) are equal.
+ *
+ * @param {tree.Matching} matching A tree matching which will be populated by
+ *         diffing tree a and b.
+ * @param {tree.Node} a An unordered node from tree a which already takes
+ *         part in the matching.
+ * @param {tree.Node} b The unordered partner of a from tree b.
+ *
+ * @memberOf skelmatch.Diff
+ */
+Diff.prototype.matchKeyedChildren = function(matching, a, b) {
+    var candidates = {};
+
+    b.children.forEach(function(child) {
+        var key = '$' + child.value;
+        if (typeof child.value !== 'undefined' && !matching.get(child) &&
+                !candidates.hasOwnProperty(key)) {
+            candidates[key] = child;
+        }
+    });
+
+    a.children.forEach(function(child) {
+        var key = '$' + child.value, partner;
+        if (typeof child.value !== 'undefined' && !matching.get(child) &&
+                candidates.hasOwnProperty(key)) {
+            partner = candidates[key];
+            delete candidates[key];
+
+            matching.put(child, partner);
+        }
+    }, this);
 };
 
 
@@ -208,13 +317,20 @@ Diff.prototype.matchingPutAncestors = function(matching, a, b) {
  *
  * @param {tree.Matching} matching A tree matching which will be populated by
  *         diffing tree a and b.
+ * @param {tree.Node} [a] Root of the subtree in tree a. Defaults to the root
+ *         node of tree a.
+ * @param {tree.Node} [b] Root of the subtree in tree b. Defaults to the root
+ *         node of tree b.
  *
  * @memberOf skelmatch.Diff
  */
-Diff.prototype.matchContent = function(matching) {
+Diff.prototype.matchContent = function(matching, a, b) {
     var a_content = [],
         b_content = [],
-        lcsinst = new lcs.LCS(a_content, b_content);
+        lcsinst = anchoredlcs.createLCS(a_content, b_content, this.options.lcs);
+
+    a = a || this.a;
+    b = b || this.b;
 
     // Leaves are considered equal if their values match and if they have
     // the same tree depth. Need to wrap the equality-test function into
@@ -226,11 +342,25 @@ Diff.prototype.matchContent = function(matching) {
         };
     }(this));
 
+    // Content without any counterpart is discarded before running the lcs.
+    if (this.hasha && this.hashb) {
+        lcsinst.hasha = (function(that){
+            return function(n) {
+                return n.depth + ':' + that.hasha(n);
+            };
+        }(this));
+        lcsinst.hashb = (function(that){
+            return function(n) {
+                return n.depth + ':' + that.hashb(n);
+            };
+        }(this));
+    }
+
     // Populate leave-node arrays.
-    this.a.forEachDescendant(function(n) {
+    a.forEachDescendant(function(n) {
         if (this.isContent(n)) a_content.push(n);
     }, this);
-    this.b.forEachDescendant(function(n) {
+    b.forEachDescendant(function(n) {
         if (this.isContent(n)) b_content.push(n);
     }, this);
 
@@ -328,7 +458,7 @@ Diff.prototype.forEachUnmatchedSequenceOfSiblings = function(matching,
             b_xmatch = [];
 
             // Recurse, both candidates are in the matching
-            this.forEachUnmatchedSequenceOfSiblings(matching, a.children, b.children, callback, T);
+            this.forEachUnmatchedSequenceOfChildren(matching, a, b, callback, T);
             i++;
             k++;
         }
@@ -345,36 +475,117 @@ Diff.prototype.forEachUnmatchedSequenceOfSiblings = function(matching,
 }
 
 
+/**
+ * Invoke the given callback with each sequence of unmatched descendants of the
+ * partners a and b. Unmatched children of unordered nodes are reported as one
+ * sequence regardless of their position.
+ *
+ * @param {tree.Matching}   matching  A partial matching
+ * @param {tree.Node}       a         A node from tree a
+ * @param {tree.Node}       b         The partner of a from tree b
+ * @param {function}        callback  A function (a_nodes, b_nodes, a_parent, b_parent)
+ *         called for every sequence of unmatched nodes.
+ * @param {Object}          T         Context object bound to "this" when the
+ *         callback is invoked.
+ *
+ * @memberOf skelmatch.Diff
+ */
+Diff.prototype.forEachUnmatchedSequenceOfChildren = function(matching, a, b,
+        callback, T)
+{
+    var a_xmatch, b_xmatch;
+
+    if (a.unordered && b.unordered) {
+        a_xmatch = a.children.filter(function(n) {
+            return !matching.get(n);
+        });
+        b_xmatch = b.children.filter(function(n) {
+            return !matching.get(n);
+        });
+        if (a_xmatch.length > 0 || b_xmatch.length > 0) {
+            callback.call(T, a_xmatch, b_xmatch);
+        }
+
+        a.children.forEach(function(n) {
+            var partner = matching.get(n);
+            if (partner) {
+                this.forEachUnmatchedSequenceOfChildren(matching, n, partner,
+                    callback, T);
+            }
+        }, this);
+    }
+    else {
+        this.forEachUnmatchedSequenceOfSiblings(matching, a.children,
+                b.children, callback, T);
+    }
+};
+
+
+/**
+ * Return true if the given nodes are equal structure-type nodes or
+ * identical content nodes.
+ *
+ * @param {tree.Matching} matching A partial matching
+ * @param {tree.Node} a Candidate node from tree a
+ * @param {tree.Node} b Candidate node from tree b
+ *
+ * @memberOf skelmatch.Diff
+ */
+Diff.prototype.equalBones = function(matching, a, b) {
+    if (this.isStructure(a) && this.isStructure(b)) {
+        return this.equalStructure(matching, a, b);
+    }
+    else if (this.isContent(a) && this.isContent(b)) {
+        return this.identical(a, b);
+    }
+
+    return false;
+};
+
+
 /**
  * Traverse a partial matching and detect equal structure-type nodes between
- * matched content nodes.
+ * matched content nodes. Unmatched content nodes passing the identity test
+ * are aligned along with them.
  *
  * @param {tree.Matching}   matching  A partial matching
+ * @param {tree.Node}       [a]       Root of the subtree in tree a. Defaults
+ *         to the root node of tree a.
+ * @param {tree.Node}       [b]       Root of the subtree in tree b. Defaults
+ *         to the root node of tree b.
  *
  * @memberOf skelmatch.Diff
  */
-Diff.prototype.matchStructure = function(matching) {
+Diff.prototype.matchStructure = function(matching, a, b) {
     // Collect unmatched sequences of siblings from tree a and b. Run lcs over
     // bones for each.
-    this.forEachUnmatchedSequenceOfSiblings(matching, this.a.children,
-            this.b.children, function(a_nodes, b_nodes) {
+    this.forEachUnmatchedSequenceOfChildren(matching, a || this.a,
+            b || this.b, function(a_nodes, b_nodes) {
         var a_bones = [],
             b_bones = [],
-            lcsinst = new lcs.LCS(a_bones, b_bones);
+            pairs = [],
+            lcsinst = new lcs.LCS(a_bones, b_bones, this.options.lcs);
 
         // Override equality test.
         lcsinst.equals = (function(that){
             return function(a, b) {
-                return that.equalStructure(matching, a, b);
+                return that.equalBones(matching, a, b);
             };
         }(this));
 
-        // Populate bone array
+        // Populate bone array. Content nodes are only considered if they
+        // may be paired by identity.
         a_nodes.forEach(function(n) {
             Array.prototype.push.apply(a_bones, this.collectBones(n));
+            if (this.identical && this.isContent(n)) {
+                a_bones.push(n);
+            }
         }, this);
         b_nodes.forEach(function(n) {
             Array.prototype.push.apply(b_bones, this.collectBones(n));
+            if (this.identical && this.isContent(n)) {
+                b_bones.push(n);
+            }
         }, this);
 
         // Identify structure-preserving changes. Run lcs over lower bone ends
@@ -389,8 +600,14 @@ Diff.prototype.matchStructure = function(matching) {
                 // matching if and only if the nearest matched ancestors are
                 // partners.
                 this.matchingPutAncestors(matching, a, b);
+                pairs.push([a, b]);
             }
         }, this);
+
+        // The traversal does not descend into nodes matched right now.
+        pairs.forEach(function(pair) {
+            this.matchStructure(matching, pair[0], pair[1]);
+        }, this);
     }, this);
 };
 
@@ -0,0 +1,365 @@
+/**
+ * @fileoverview    Implementation of the Zhang-Shasha tree edit distance
+ *                  algorithm.
+ *
+ * In contrast to the heuristics implemented by xcc and skelmatch, this
+ * algorithm computes a mapping between two ordered trees which minimizes the
+ * total cost of removing, inserting and renaming nodes. Runtime and memory
+ * grow at least quadratically with the number of nodes, therefore it is only
+ * suitable for small documents. Children of unordered nodes are paired by
+ * their key before the edit mapping is taken into account.
+ *
+ * @see:
+ * * http://dx.doi.org/10.1137/0218082
+ */
+
+
+/**
+ * Create a new instance of the tree edit distance algorithm.
+ *
+ * @param {tree.Node} a Root node of original tree
+ * @param {tree.Node} b Root node of changed tree
+ * @param {Object} [options] Options. The following cost functions may be
+ *         supplied in order to replace the default costs:
+ *         ``deleteCost(node)``, the cost of removing a node from tree a
+ *         (default: 1), ``insertCost(node)``, the cost of inserting a node
+ *         of tree b (default: 1) and ``renameCost(a, b)``, the cost of
+ *         replacing the value of node a with the value of node b (default:
+ *         0 for equal nodes, 1 otherwise. Leaf nodes are never renamed into
+ *         internal nodes and vice versa).
+ *
+ * @constructor
+ * @name ted.Diff
+ */
+function Diff(a, b, options) {
+    this.a = a; // Root node of tree a
+    this.b = b; // Root node of tree b
+    this.options = options || {};
+}
+
+
+/**
+ * Create a matching between the two nodes using the Zhang-Shasha algorithm.
+ *
+ * The edit mapping may pair a node with a descendant of the partner of its
+ * parent. Those pairs cannot be expressed by the delta format and are
+ * therefore left out of the matching.
+ *
+ * @param {tree.Matching} matching A tree matching which will be populated by
+ *         diffing tree a and b.
+ *
+ * @memberOf ted.Diff
+ */
+Diff.prototype.matchTrees = function(matching) {
+    // Associate root nodes
+    matching.put(this.b, this.a);
+
+    this.matchSubtrees(matching, this.a, this.b);
+};
+
+
+/**
+ * Match the descendants of the partners a and b according to the edit
+ * mapping between their subtrees. The edit mapping is computed for ordered
+ * trees, therefore children of unordered nodes are paired by their key
+ * first, at every level of the subtrees. The subtrees of keyed pairs which
+ * deviate from the edit mapping are matched recursively.
+ *
+ * @param {tree.Matching} matching A tree matching which will be populated by
+ *         diffing tree a and b.
+ * @param {tree.Node} a A node from tree a which already takes part in the
+ *         matching.
+ * @param {tree.Node} b The partner of a from tree b.
+ *
+ * @memberOf ted.Diff
+ */
+Diff.prototype.matchSubtrees = function(matching, a, b) {
+    var ta = this.postorder(a),
+        tb = this.postorder(b),
+        treedist = this.treeDistances(ta, tb),
+        mapping = this.editMapping(ta, tb, treedist),
+        pending = [], i, node, partner;
+
+    this.matchKeyedChildren(matching, a, b);
+
+    // Parents precede their children in reverse postorder.
+    for (i = ta.nodes.length - 2; i >= 0; i--) {
+        node = ta.nodes[i];
+        partner = tb.nodes[mapping[i]];
+        if (matching.get(node)) {
+            if (matching.get(node) !== partner) {
+                pending.push(node);
+            }
+            else {
+                this.matchKeyedChildren(matching, node, partner);
+            }
+        }
+        else if (partner && !matching.get(partner) &&
+                matching.get(node.par) === partner.par) {
+            matching.put(node, partner);
+            this.matchKeyedChildren(matching, node, partner);
+        }
+    }
+
+    pending.forEach(function(node) {
+        this.matchSubtrees(matching, node, matching.get(node));
+    }, this);
+};
+
+
+/**
+ * Pair the children of the partners a and b by their key (node value) if
+ * both of them are unordered.
+ *
+ * @param {tree.Matching} matching A tree matching which will be populated by
+ *         diffing tree a and b.
+ * @param {tree.Node} a A node from tree a which already takes part in the
+ *         matching.
+ * @param {tree.Node} b The partner of a from tree b.
+ *
+ * @memberOf ted.Diff
+ */
+Diff.prototype.matchKeyedChildren = function(matching, a, b) {
+    var candidates = {};
+
+    if (!a.unordered || !b.unordered) {
+        return;
+    }
+
+    b.children.forEach(function(child) {
+        var key = '$' + child.value;
+        if (typeof child.value !== 'undefined' && !matching.get(child) &&
+                !candidates.hasOwnProperty(key)) {
+            candidates[key] = child;
+        }
+    });
+
+    a.children.forEach(function(child) {
+        var key = '$' + child.value;
+        if (typeof child.value !== 'undefined' && !matching.get(child) &&
+                candidates.hasOwnProperty(key)) {
+            matching.put(child, candidates[key]);
+            delete candidates[key];
+        }
+    });
+};
+
+
+/**
+ * Default equality test. Override this method if you need to test other
+ * node properties instead/beside node value.
+ *
+ * @param {tree.Node} a Candidate node from tree a
+ * @param {tree.Node} b Candidate node from tree b
+ *
+ * @return {boolean} Return true if the value of the two nodes is equal.
+ *
+ * @memberOf ted.Diff
+ */
+Diff.prototype.equals = function(a, b) {
+    return (a.value === b.value);
+};
+
+
+/**
+ * Return the cost of removing the given node of tree a.
+ *
+ * @memberOf ted.Diff
+ */
+Diff.prototype.deleteCost = function(node) {
+    return this.options.deleteCost ? this.options.deleteCost(node) : 1;
+};
+
+
+/**
+ * Return the cost of inserting the given node of tree b.
+ *
+ * @memberOf ted.Diff
+ */
+Diff.prototype.insertCost = function(node) {
+    return this.options.insertCost ? this.options.insertCost(node) : 1;
+};
+
+
+/**
+ * Return the cost of turning node a into node b. By default leaf nodes may
+ * not be renamed into internal nodes and vice versa.
+ *
+ * @memberOf ted.Diff
+ */
+Diff.prototype.renameCost = function(a, b) {
+    if (this.options.renameCost) {
+        return this.options.renameCost(a, b);
+    }
+    else if (this.equals(a, b)) {
+        return 0;
+    }
+    else if (!a.children.length !== !b.children.length) {
+        return Infinity;
+    }
+    else {
+        return 1;
+    }
+};
+
+
+/**
+ * Return an object holding the nodes of the given tree in postorder, the
+ * index of the leftmost leaf descendant of each node and the key roots in
+ * ascending order.
+ *
+ * @memberOf ted.Diff
+ */
+Diff.prototype.postorder = function(root) {
+    var result = {'nodes': [], 'lml': [], 'keyroots': []}, seen = {}, i;
+
+    (function visit(node) {
+        var first;
+
+        node.children.forEach(function(child) {
+            var lml = visit(child);
+            if (typeof first === 'undefined') {
+                first = lml;
+            }
+        });
+
+        result.nodes.push(node);
+        result.lml.push(typeof first === 'undefined' ?
+                result.nodes.length - 1 : first);
+
+        return result.lml[result.lml.length - 1];
+    }(root));
+
+    // A key root is the highest node sharing a given leftmost leaf.
+    for (i = result.nodes.length - 1; i >= 0; i--) {
+        if (!seen.hasOwnProperty(result.lml[i])) {
+            seen[result.lml[i]] = true;
+            result.keyroots.unshift(i);
+        }
+    }
+
+    return result;
+};
+
+
+/**
+ * Compute the forest distances between the subtree of tree a rooted at the
+ * postorder index i and the subtree of tree b rooted at j. Distances between
+ * subtrees sharing the leftmost leaf with i and j are stored in treedist.
+ * Returns the table of forest distances.
+ *
+ * @memberOf ted.Diff
+ */
+Diff.prototype.forestDistances = function(ta, tb, i, j, treedist) {
+    var li = ta.lml[i], lj = tb.lml[j],
+        forestdist = [[0]], x, y, ix, jy;
+
+    for (x = 1; x <= i - li + 1; x++) {
+        forestdist[x] = [forestdist[x - 1][0] +
+            this.deleteCost(ta.nodes[li + x - 1])];
+    }
+    for (y = 1; y <= j - lj + 1; y++) {
+        forestdist[0][y] = forestdist[0][y - 1] +
+            this.insertCost(tb.nodes[lj + y - 1]);
+    }
+
+    for (x = 1; x <= i - li + 1; x++) {
+        ix = li + x - 1;
+        for (y = 1; y <= j - lj + 1; y++) {
+            jy = lj + y - 1;
+            if (ta.lml[ix] === li && tb.lml[jy] === lj) {
+                forestdist[x][y] = Math.min(
+                        forestdist[x - 1][y] + this.deleteCost(ta.nodes[ix]),
+                        forestdist[x][y - 1] + this.insertCost(tb.nodes[jy]),
+                        forestdist[x - 1][y - 1] +
+                            this.renameCost(ta.nodes[ix], tb.nodes[jy]));
+                treedist[ix][jy] = forestdist[x][y];
+            }
+            else {
+                forestdist[x][y] = Math.min(
+                        forestdist[x - 1][y] + this.deleteCost(ta.nodes[ix]),
+                        forestdist[x][y - 1] + this.insertCost(tb.nodes[jy]),
+                        forestdist[ta.lml[ix] - li][tb.lml[jy] - lj] +
+                            treedist[ix][jy]);
+            }
+        }
+    }
+
+    return forestdist;
+};
+
+
+/**
+ * Return the table of distances between all pairs of subtrees.
+ *
+ * @memberOf ted.Diff
+ */
+Diff.prototype.treeDistances = function(ta, tb) {
+    var treedist = [], i;
+
+    for (i = 0; i < ta.nodes.length; i++) {
+        treedist.push([]);
+    }
+
+    ta.keyroots.forEach(function(i) {
+        tb.keyroots.forEach(function(j) {
+            this.forestDistances(ta, tb, i, j, treedist);
+        }, this);
+    }, this);
+
+    return treedist;
+};
+
+
+/**
+ * Trace back the optimal edit script and return an array mapping postorder
+ * indices of tree a to postorder indices of tree b.
+ *
+ * @memberOf ted.Diff
+ */
+Diff.prototype.editMapping = function(ta, tb, treedist) {
+    var result = [],
+        pending = [[ta.nodes.length - 1, tb.nodes.length - 1]],
+        forestdist, i, j, li, lj, x, y, ix, jy;
+
+    while (pending.length) {
+        i = pending[pending.length - 1][0];
+        j = pending.pop()[1];
+        li = ta.lml[i];
+        lj = tb.lml[j];
+        forestdist = this.forestDistances(ta, tb, i, j, treedist);
+
+        x = i - li + 1;
+        y = j - lj + 1;
+        while (x > 0 && y > 0) {
+            ix = li + x - 1;
+            jy = lj + y - 1;
+            if (ta.lml[ix] === li && tb.lml[jy] === lj &&
+                    forestdist[x][y] === forestdist[x - 1][y - 1] +
+                    this.renameCost(ta.nodes[ix], tb.nodes[jy])) {
+                result[ix] = jy;
+                x--;
+                y--;
+            }
+            else if ((ta.lml[ix] !== li || tb.lml[jy] !== lj) &&
+                    forestdist[x][y] === forestdist[ta.lml[ix] - li][tb.lml[jy] - lj] +
+                    treedist[ix][jy]) {
+                pending.push([ix, jy]);
+                x = ta.lml[ix] - li;
+                y = tb.lml[jy] - lj;
+            }
+            else if (forestdist[x][y] === forestdist[x - 1][y] +
+                    this.deleteCost(ta.nodes[ix])) {
+                x--;
+            }
+            else {
+                y--;
+            }
+        }
+    }
+
+    return result;
+};
+
+
+exports.Diff = Diff;
@@ -0,0 +1,248 @@
+/**
+ * @file:   Inline differences between two strings. The strings are split
+ *          into word or character tokens and compared using the Myers LCS
+ *          implementation. Changed regions are recorded as hunks carrying a
+ *          few tokens of context such that they can be located again in a
+ *          text which has drifted in the meantime.
+ * @module  textdiff
+ */
+
+/** @ignore */
+var lcs = require('./lcs');
+
+/**
+ * Regular expressions splitting a string into tokens. Words are runs of
+ * characters other than whitespace and ASCII punctuation. Whitespace runs and
+ * punctuation characters form tokens of their own.
+ *
+ * @constant
+ */
+var TOKEN_PATTERNS = {
+    'word': /\s+|[^\s!-\/:-@\[-`{-~]+|[\s\S]/g,
+    'char': /[\s\S]/g
+};
+
+/**
+ * The number of context tokens recorded before and after each hunk.
+ *
+ * @constant
+ */
+var CONTEXT_TOKENS = {
+    'word': 4,
+    'char': 8
+};
+
+
+/**
+ * Create a new hunk.
+ *
+ * @param {Number} offset   The character offset of the changed region.
+ * @param {String} head     The text preceeding the changed region.
+ * @param {String} text     The text of the changed region. Empty for pure
+ *         insertions or removals.
+ * @param {String} tail     The text following the changed region.
+ *
+ * @constructor
+ */
+function TextHunk(offset, head, text, tail) {
+    this.offset = offset;
+    this.head = head;
+    this.text = text;
+    this.tail = tail;
+}
+
+
+/**
+ * Return the given string split into tokens of the given granularity.
+ *
+ * @param {String} text         The string to tokenize.
+ * @param {String} granularity  Either ``word`` or ``char``.
+ */
+function tokenize(text, granularity) {
+    var pattern = TOKEN_PATTERNS[granularity];
+
+    if (!pattern) {
+        throw new Error('Text diff granularity "' + granularity + '" is not supported');
+    }
+
+    return text.match(pattern) || [];
+}
+
+
+/**
+ * Return an array containing the character offset of each token followed by
+ * the total length.
+ */
+function tokenOffsets(tokens) {
+    var result = [0], i;
+
+    for (i = 0; i < tokens.length; i++) {
+        result.push(result[i] + tokens[i].length);
+    }
+
+    return result;
+}
+
+
+/**
+ * Return the changed regions between the token sequences a and b. Regions
+ * separated by less than the given number of common tokens are combined.
+ */
+function changedRegions(a, b, context) {
+    var pairs = [], result = [], ax = 0, by = 0, last;
+
+    (new lcs.LCS(a, b)).forEachCommonSymbol(function(x, y) {
+        pairs.push([x, y]);
+    });
+    pairs.sort(function(p, q) {
+        return p[0] - q[0];
+    });
+    pairs.push([a.length, b.length]);
+
+    pairs.forEach(function(pair) {
+        if (pair[0] > ax || pair[1] > by) {
+            last = result[result.length - 1];
+            if (last && ax - last.a1 < context) {
+                last.a1 = pair[0];
+                last.b1 = pair[1];
+            }
+            else {
+                result.push({'a0': ax, 'a1': pair[0], 'b0': by, 'b1': pair[1]});
+            }
+        }
+        ax = pair[0] + 1;
+        by = pair[1] + 1;
+    });
+
+    return result;
+}
+
+
+/**
+ * Compute the inline differences between the strings a and b. Return a pair
+ * of arrays of hunks, the first one describing the regions of a which are
+ * replaced by the corresponding regions of b described by the second one.
+ * Both arrays are empty if the strings are equal.
+ *
+ * @param {String} a            The original string.
+ * @param {String} b            The changed string.
+ * @param {String} granularity  Either ``word`` or ``char``.
+ */
+function diff(a, b, granularity) {
+    var atokens = tokenize(a, granularity),
+        btokens = tokenize(b, granularity),
+        aoffsets = tokenOffsets(atokens),
+        boffsets = tokenOffsets(btokens),
+        context = CONTEXT_TOKENS[granularity],
+        result = [[], []];
+
+    function hunk(tokens, offsets, start, end) {
+        return new TextHunk(offsets[start],
+                tokens.slice(Math.max(0, start - context), start).join(''),
+                tokens.slice(start, end).join(''),
+                tokens.slice(end, end + context).join(''));
+    }
+
+    changedRegions(atokens, btokens, context).forEach(function(region) {
+        result[0].push(hunk(atokens, aoffsets, region.a0, region.a1));
+        result[1].push(hunk(btokens, boffsets, region.b0, region.b1));
+    });
+
+    return result;
+}
+
+
+/**
+ * Return the position of the region described by the hunk in the given
+ * text, starting the search at the given offset. If the text has drifted,
+ * the occurence nearest to the expected position is choosen and the context
+ * is reduced to either the head or the tail if necessary. Return -1 if the
+ * hunk cannot be located.
+ */
+function locateHunk(text, hunk, start, expected) {
+    var candidates = [
+            [hunk.head + hunk.text + hunk.tail, hunk.head.length],
+            [hunk.head + hunk.text, hunk.head.length],
+            [hunk.text + hunk.tail, 0]
+        ], i, needle, shift, pos, best;
+
+    for (i = 0; i < candidates.length; i++) {
+        needle = candidates[i][0];
+        shift = candidates[i][1];
+        if (!needle.length) {
+            continue;
+        }
+
+        best = -1;
+        pos = text.indexOf(needle, Math.max(0, start - shift));
+        while (pos >= 0) {
+            if (best < 0 || Math.abs(pos + shift - expected) <
+                    Math.abs(best - expected)) {
+                best = pos + shift;
+            }
+            pos = text.indexOf(needle, pos + 1);
+        }
+
+        if (best >= 0) {
+            return best;
+        }
+    }
+
+    return -1;
+}
+
+
+/**
+ * Return an array with the position of each hunk in the given text or
+ * undefined if one of them cannot be located.
+ *
+ * @param {String} text     The text the hunks are applied to.
+ * @param {Array}  hunks    The hunks describing the original regions.
+ */
+function locate(text, hunks) {
+    var result = [], start = 0, drift = 0, i, pos;
+
+    for (i = 0; i < hunks.length; i++) {
+        pos = locateHunk(text, hunks[i], start, hunks[i].offset + drift);
+        if (pos < 0) {
+            return;
+        }
+        result.push(pos);
+        drift = pos - hunks[i].offset;
+        start = pos + hunks[i].text.length;
+    }
+
+    return result;
+}
+
+
+/**
+ * Return the given text with the regions described by the first array of
+ * hunks replaced by the texts of the second one. Return undefined if one of
+ * the hunks cannot be located.
+ *
+ * @param {String} text     The text to patch.
+ * @param {Array}  remove   The hunks describing the original regions.
+ * @param {Array}  insert   The hunks holding the replacement texts.
+ */
+function patch(text, remove, insert) {
+    var positions = locate(text, remove), result = '', last = 0, i;
+
+    if (!positions || remove.length !== insert.length) {
+        return;
+    }
+
+    for (i = 0; i < positions.length; i++) {
+        result += text.slice(last, positions[i]) + insert[i].text;
+        last = positions[i] + remove[i].text.length;
+    }
+
+    return result + text.slice(last);
+}
+
+
+exports.TextHunk = TextHunk;
+exports.tokenize = tokenize;
+exports.diff = diff;
+exports.locate = locate;
+exports.patch = patch;
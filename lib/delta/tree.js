@@ -6,6 +6,11 @@
 /**
  * Create a new tree node and set its value and optionally user data.
  *
+ * Tree adapters may set the ``unordered`` property to true if the position of
+ * the children of a node is not significant (e.g. the members of a JSON
+ * object). Children of such a node form a set and are identified by their
+ * value (the key) instead of their position.
+ *
  * @param {String} [value]  The node value.
  * @param {object} [data]   User data for this tree node. You may store a
  *         reference to the corresponding object in the underlying document
@@ -20,6 +25,7 @@ function Node(value, data) {
 
     // this.par = undefined;
     // this.childidx = undefined;
+    // this.unordered = undefined;
     this.children = [];
 }
 
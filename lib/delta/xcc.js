@@ -7,14 +7,17 @@
  */
 
 /** @ignore */
-var lcs = require('./lcs');
+var anchoredlcs = require('./anchoredlcs');
 
 /**
  * Create a new instance of the XCC diff implementation.
  *
  * @param {tree.Node} a Root node of original tree
  * @param {tree.Node} b Root node of changed tree
- * @param {Object} options Options
+ * @param {Object} options Options. Use the property ``lcs`` in order to
+ *         pass ``maxCost`` and ``budget`` limits as well as the
+ *         ``algorithm`` (``myers``, ``patience`` or ``histogram``) to the
+ *         LCS over the leaves.
  *
  * @constructor
  * @name xcc.Diff
@@ -26,6 +29,11 @@ function Diff(a, b, options) {
         'ludRejectCallbacks': undefined,
             'detectLeafUpdates': true
     };
+
+    // Optional functions returning a hash of the given node of tree a and b
+    // respectively. Nodes considered equal must share the same hash.
+    this.hasha = undefined;
+    this.hashb = undefined;
 }
 
 /**
@@ -40,7 +48,7 @@ Diff.prototype.matchTrees = function(matching) {
     // Associate root nodes
     matching.put(this.b, this.a);
 
-    this.matchLeafLCS(matching);
+    this.matchSubtrees(matching, this.a, this.b);
     if (this.options.detectLeafUpdates) {
         this.matchLeafUpdates(matching);
     }
@@ -63,19 +71,116 @@ Diff.prototype.equals = function(a, b) {
 };
 
 
+/**
+ * Match the descendants of the partners a and b. Children of unordered nodes
+ * are paired by their key, remaining descendants are matched by running the
+ * LCS over the leaves of both subtrees.
+ *
+ * @param {tree.Matching} matching A tree matching which will be populated by
+ *         diffing tree a and b.
+ * @param {tree.Node} a A node from tree a which already takes part in the
+ *         matching.
+ * @param {tree.Node} b The partner of a from tree b.
+ *
+ * @memberOf xcc.Diff
+ */
+Diff.prototype.matchSubtrees = function(matching, a, b) {
+    if (!a.unordered || !b.unordered) {
+        this.matchLeafLCS(matching, a, b);
+    }
+    this.matchKeyedDescendants(matching, a, b);
+};
+
+
+/**
+ * Traverse the pairs beneath the partners a and b top-down and pair the
+ * children of unordered nodes by their key. The subtrees of all children of
+ * unordered pairs are matched recursively, the sequence alignment of the
+ * enclosing subtree may have missed nodes whose ancestors got reordered.
+ *
+ * @param {tree.Matching} matching A tree matching which will be populated by
+ *         diffing tree a and b.
+ * @param {tree.Node} a A node from tree a which already takes part in the
+ *         matching.
+ * @param {tree.Node} b The partner of a from tree b.
+ *
+ * @memberOf xcc.Diff
+ */
+Diff.prototype.matchKeyedDescendants = function(matching, a, b) {
+    var unordered = a.unordered && b.unordered;
+
+    if (unordered) {
+        this.matchKeyedChildren(matching, a, b);
+    }
+
+    a.children.forEach(function(child) {
+        var partner = matching.get(child);
+        if (partner && unordered) {
+            this.matchSubtrees(matching, child, partner);
+        }
+        else if (partner) {
+            this.matchKeyedDescendants(matching, child, partner);
+        }
+    }, this);
+};
+
+
+/**
+ * Pair unmatched children of the unordered partners a and b if their keys
+ * (node values) are equal.
+ *
+ * @param {tree.Matching} matching A tree matching which will be populated by
+ *         diffing tree a and b.
+ * @param {tree.Node} a An unordered node from tree a which already takes
+ *         part in the matching.
+ * @param {tree.Node} b The unordered partner of a from tree b.
+ *
+ * @memberOf xcc.Diff
+ */
+Diff.prototype.matchKeyedChildren = function(matching, a, b) {
+    var candidates = {};
+
+    b.children.forEach(function(child) {
+        var key = '$' + child.value;
+        if (typeof child.value !== 'undefined' && !matching.get(child) &&
+                !candidates.hasOwnProperty(key)) {
+            candidates[key] = child;
+        }
+    });
+
+    a.children.forEach(function(child) {
+        var key = '$' + child.value, partner;
+        if (typeof child.value !== 'undefined' && !matching.get(child) &&
+                candidates.hasOwnProperty(key)) {
+            partner = candidates[key];
+            delete candidates[key];
+
+            matching.put(child, partner);
+        }
+    }, this);
+};
+
+
 /**
  * Identify unchanged leaves by comparing them using myers longest common
  * subsequence algorithm.
  *
  * @param {tree.Matching} matching A tree matching which will be populated by
  *         diffing tree a and b.
+ * @param {tree.Node} [a] Root of the subtree in tree a. Defaults to the root
+ *         node of tree a.
+ * @param {tree.Node} [b] Root of the subtree in tree b. Defaults to the root
+ *         node of tree b.
  *
  * @memberOf xcc.Diff
  */
-Diff.prototype.matchLeafLCS = function(matching) {
+Diff.prototype.matchLeafLCS = function(matching, a, b) {
     var a_leaves = [],
         b_leaves = [],
-        lcsinst = new lcs.LCS(a_leaves, b_leaves);
+        lcsinst = anchoredlcs.createLCS(a_leaves, b_leaves, this.options.lcs);
+
+    a = a || this.a;
+    b = b || this.b;
 
     // Leaves are considered equal if their values match and if they have
     // the same tree depth. Need to wrap the equality-test function into
@@ -87,13 +192,27 @@ Diff.prototype.matchLeafLCS = function(matching) {
         };
     }(this));
 
+    // Leaves without any counterpart are discarded before running the lcs.
+    if (this.hasha && this.hashb) {
+        lcsinst.hasha = (function(that){
+            return function(n) {
+                return n.depth + ':' + that.hasha(n);
+            };
+        }(this));
+        lcsinst.hashb = (function(that){
+            return function(n) {
+                return n.depth + ':' + that.hashb(n);
+            };
+        }(this));
+    }
+
     // Populate leave-node arrays.
-    this.a.forEachDescendant(function(n) {
+    a.forEachDescendant(function(n) {
         if (n.children.length === 0) {
             a_leaves.push(n);
         }
     });
-    this.b.forEachDescendant(function(n) {
+    b.forEachDescendant(function(n) {
         if (n.children.length === 0) {
             b_leaves.push(n);
         }
@@ -151,6 +270,18 @@ Diff.prototype.matchLeafUpdatesOnDescendants = function(matching, a_node, reject
         a,          // Current candidate node in a_nodes
         b;          // Current candidate node in b_nodes
 
+    if (a_node.unordered && matching.get(a_node).unordered) {
+        // The position of children of unordered nodes is not significant.
+        // They were already paired by key in matchTrees, descend into all
+        // pairs.
+        a_nodes.forEach(function(child) {
+            if (matching.get(child)) {
+                this.matchLeafUpdatesOnDescendants(matching, child, reject);
+            }
+        }, this);
+        return;
+    }
+
     // Loop through a_nodes and b_nodes simultaneously
     while (a_nodes[i] && b_nodes[k]) {
         a = a_nodes[i];
@@ -0,0 +1,1221 @@
+/**
+ * @file:   Adapter classes for RFC 5261 XML Patch documents
+ *
+ * An XML Patch document consists of a root element (``diff``) containing a
+ * sequence of ``add``, ``replace`` and ``remove`` elements. Every operation
+ * locates its target node using an XPath expression in the ``sel`` attribute.
+ * ``add`` operations insert their content as the last child of the target
+ * element, or at the position given by the ``pos`` attribute (``prepend``,
+ * ``before`` or ``after``). An ``add`` operation with a ``type`` attribute
+ * of the form ``@name`` adds an attribute instead. ``replace`` operations
+ * substitute the target element, text node or attribute with their content.
+ *
+ * Attached operations are converted into XML Patch operations as follows:
+ *
+ * * A forest update results in one ``remove`` operation for each removed
+ *   subtree and one ``add`` operation inserting all new subtrees after the
+ *   preceeding sibling (or at the beginning of the parent element).
+ * * A node update on a text node results in a ``replace`` operation. A node
+ *   update on an element results in one ``add``, ``replace`` or ``remove``
+ *   operation for each changed attribute. If the name of the element changed,
+ *   the whole element is replaced. If the type of the node changed (e.g. from
+ *   a comment to a text node), the node is removed and the new one is added
+ *   in its place.
+ *
+ * Selectors are built from the location of the node in the original tree.
+ * Every location step is qualified by the value of its ``id`` attribute if it
+ * is unique among the siblings with the same name in the original as well as
+ * in the changed tree, and by a positional predicate otherwise. Operations
+ * are written in reverse document order, such that the selectors are still
+ * valid when the operations are applied one after another.
+ *
+ * Example:
+ *
+ * .. code-block:: xml
+ *
+ *      <diff>
+ *          <replace sel="/config/db[@id='main']/host/text()[1]">example.com</replace>
+ *          <remove sel="/config/log[2]"/>
+ *          <add sel="/config/db[@id='main']" type="@port">5432</add>
+ *      </diff>
+ *
+ * Elements from namespaces are selected using the prefixes declared on the
+ * root element of the patch document. Unprefixed element names in selectors
+ * refer to the default namespace in scope of the operation element.
+ *
+ * When loading an XML Patch document, the operations are resolved one after
+ * another against the document and applied atomically: if one operation
+ * fails, none of the operations is applied. Only the subset of XPath
+ * produced by the detacher is supported: absolute location paths built from
+ * child steps (element names, ``*``, ``text()``, ``comment()`` and
+ * ``processing-instruction()``) with positional and attribute value
+ * predicates, optionally followed by an attribute step.
+ *
+ * @module  xmlpatch
+ */
+
+/** @ignore */
+var tree = require('./tree');
+
+/** @ignore */
+var deltamod = require('./delta');
+
+/** @ignore */
+var domhandler = require('./domhandler');
+
+/** @ignore */
+var jsonpatch = require('./jsonpatch');
+
+/** @constant */
+var OPERATIONS = ['add', 'replace', 'remove'];
+
+/** @constant */
+var POSITIONS = ['before', 'after', 'prepend'];
+
+/** @constant */
+var XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+/** @constant */
+var NAME = '(?:[^\\s/\\[\\]@:()\'"=*]+:)?(?:[^\\s/\\[\\]@:()\'"=*]+)';
+
+/** @constant */
+var PREDICATE = '\\[\\s*(?:([0-9]+)|@(' + NAME + ')\\s*=\\s*(?:\'([^\']*)\'|"([^"]*)"))\\s*\\]';
+
+/** @constant */
+var NODE_TEST = '(text|comment|processing-instruction)\\(\\s*(?:\'([^\']*)\'|"([^"]*)")?\\s*\\)';
+
+/** @constant */
+var STEP_PATTERN = new RegExp('^(?:' + NODE_TEST + '|(@)?(' + NAME + '|\\*))((?:' +
+        PREDICATE + ')*)');
+
+/** @constant */
+var PREDICATE_PATTERN = new RegExp(PREDICATE, 'g');
+
+
+/**
+ * Return the local name of the given DOM element or attribute node.
+ */
+function localNameOf(domnode) {
+    return domnode.localName || domnode.nodeName.split(':').slice(-1)[0];
+}
+
+
+/**
+ * Return the namespace URI of the given DOM element or attribute node or null
+ * if the node is not in a namespace.
+ */
+function namespaceOf(domnode) {
+    return domnode.namespaceURI || null;
+}
+
+
+/**
+ * Return the attribute nodes of the given element, excluding namespace
+ * declarations.
+ */
+function attributesOf(domnode) {
+    var result = [], i, attr;
+
+    for (i = 0; i < domnode.attributes.length; i++) {
+        attr = domnode.attributes[i];
+        if (attr.name !== 'xmlns' && attr.prefix !== 'xmlns') {
+            result.push(attr);
+        }
+    }
+
+    return result;
+}
+
+
+/**
+ * Return the attribute node with the given namespace and local name.
+ */
+function findAttribute(domnode, ns, local) {
+    return attributesOf(domnode).filter(function(attr) {
+        return namespaceOf(attr) === ns && localNameOf(attr) === local;
+    })[0];
+}
+
+
+/**
+ * Return the kind of location step selecting the given DOM node. One of
+ * ``element``, ``text``, ``comment`` or ``processing-instruction``. CDATA
+ * sections are selected as text nodes.
+ */
+function kindOf(domnode) {
+    switch (domnode.nodeType) {
+        case domnode.ELEMENT_NODE:
+            return 'element';
+
+        case domnode.TEXT_NODE:
+        case domnode.CDATA_SECTION_NODE:
+            return 'text';
+
+        case domnode.COMMENT_NODE:
+            return 'comment';
+
+        case domnode.PROCESSING_INSTRUCTION_NODE:
+            return 'processing-instruction';
+    }
+}
+
+
+/**
+ * Return the node test selecting the given text, CDATA section, comment or
+ * processing instruction node.
+ */
+function nodeTestOf(domnode) {
+    var kind = kindOf(domnode);
+
+    if (!kind || kind === 'element') {
+        return;
+    }
+    else if (kind === 'processing-instruction') {
+        return kind + '(' + quote(domnode.target) + ')';
+    }
+
+    return kind + '()';
+}
+
+
+/**
+ * Throw an error unless the given DOM nodes may form the children of a
+ * document node, i.e. exactly one element along with any number of comments
+ * and processing instructions.
+ */
+function checkDocumentChildren(domnodes) {
+    var elements = domnodes.filter(function(domnode) {
+        return kindOf(domnode) === 'element';
+    });
+
+    if (elements.length !== 1 || domnodes.some(function(domnode) {
+                return kindOf(domnode) === 'text';
+            })) {
+        throw new Error('The document must consist of exactly one element ' +
+                'along with comments and processing instructions');
+    }
+}
+
+
+/**
+ * Return the given string as an XPath string literal.
+ */
+function quote(value) {
+    return (value.indexOf('\'') < 0) ? '\'' + value + '\'' : '"' + value + '"';
+}
+
+
+/**
+ * Return the result of resolving the qualified name using the given map of
+ * namespace prefixes. The default namespace is only applied if the
+ * ``isElement`` flag is set.
+ */
+function resolveName(qname, namespaces, isElement) {
+    var parts = qname.split(':'), ns = null;
+
+    if (parts.length > 1) {
+        if (!namespaces.hasOwnProperty(parts[0])) {
+            throw new Error('Undeclared namespace prefix "' + parts[0] + '"');
+        }
+        ns = namespaces[parts[0]];
+    }
+    else if (isElement) {
+        ns = namespaces[''] || null;
+    }
+
+    return {'ns': ns, 'local': parts[parts.length - 1]};
+}
+
+
+/**
+ * Return an array of location steps for the given XPath selector. Every step
+ * is an object with the properties ``kind`` (one of ``element``, ``text``,
+ * ``comment``, ``processing-instruction`` or ``attribute``), ``ns`` and
+ * ``local`` (``*`` matches any element) and ``predicates``, an array of
+ * objects having either a ``position`` or the ``ns``, ``local`` and ``value``
+ * of an attribute. Processing instruction steps have a ``target`` property if
+ * the node test specifies one.
+ *
+ * @param {String}  sel         The XPath selector.
+ * @param {Object}  namespaces  A map of namespace prefixes to URIs. The
+ *         default namespace is stored using the empty string as the key.
+ */
+function parseSelector(sel, namespaces) {
+    var rest = sel || '', steps = [], match, step, predicate, name;
+
+    namespaces = namespaces || {};
+
+    if (rest.charAt(0) === '/') {
+        rest = rest.slice(1);
+    }
+
+    // The root location path selects the document node itself.
+    if (sel === '/') {
+        return steps;
+    }
+
+    while (true) {
+        match = STEP_PATTERN.exec(rest);
+        if (!match || steps.length && steps[steps.length - 1].kind === 'attribute') {
+            throw new Error('Unsupported XPath selector: ' + sel);
+        }
+
+        if (match[1]) {
+            step = {'kind': match[1]};
+            name = (typeof match[2] === 'string') ? match[2] : match[3];
+            if (typeof name === 'string') {
+                if (match[1] !== 'processing-instruction') {
+                    throw new Error('Unsupported XPath selector: ' + sel);
+                }
+                step.target = name;
+            }
+        }
+        else if (match[4]) {
+            if (match[6] || match[5] === '*') {
+                throw new Error('Unsupported XPath selector: ' + sel);
+            }
+            step = resolveName(match[5], namespaces, false);
+            step.kind = 'attribute';
+        }
+        else if (match[5] === '*') {
+            step = {'kind': 'element', 'ns': undefined, 'local': '*'};
+        }
+        else {
+            step = resolveName(match[5], namespaces, true);
+            step.kind = 'element';
+        }
+
+        step.predicates = [];
+        PREDICATE_PATTERN.lastIndex = 0;
+        while ((predicate = PREDICATE_PATTERN.exec(match[6])) !== null) {
+            if (predicate[1]) {
+                step.predicates.push({'position': parseInt(predicate[1], 10)});
+            }
+            else {
+                name = resolveName(predicate[2], namespaces, false);
+                name.value = (typeof predicate[3] === 'string') ?
+                    predicate[3] : predicate[4];
+                step.predicates.push(name);
+            }
+        }
+
+        steps.push(step);
+        rest = rest.slice(match[0].length);
+
+        if (!rest.length) {
+            break;
+        }
+        else if (rest.charAt(0) !== '/') {
+            throw new Error('Unsupported XPath selector: ' + sel);
+        }
+        rest = rest.slice(1);
+    }
+
+    return steps;
+}
+
+
+/**
+ * Construct a new XML Patch operation. This is a pure data object.
+ *
+ * @param {String}  op      The operation name, one of ``add``, ``replace`` or
+ *         ``remove``.
+ * @param {String}  sel     The XPath selector of the target node.
+ * @param {Array|String} [content]  An array of tree.Nodes for operations on
+ *         elements and text nodes, a string for operations on attributes.
+ * @param {String}  [pos]   The position of added nodes relative to the
+ *         target, one of ``before``, ``after`` or ``prepend``.
+ * @param {String}  [type]  ``@name`` when adding an attribute.
+ * @param {Object}  [namespaces]    A map of the namespace prefixes used in
+ *         the selector to their URIs.
+ *
+ * @constructor
+ */
+function XMLPatchOperation(op, sel, content, pos, type, namespaces) {
+    this.op = op;
+    this.sel = sel;
+    this.content = content;
+    this.pos = pos;
+    this.type = type;
+    this.namespaces = namespaces || {};
+}
+
+
+/**
+ * Return a string representation of the operation
+ */
+XMLPatchOperation.prototype.toString = function() {
+    var result = this.op.charAt(0).toUpperCase() + this.op.slice(1) + ' ' +
+        this.sel;
+
+    if (this.pos) {
+        result += ' pos=' + this.pos;
+    }
+    if (this.type) {
+        result += ' type=' + this.type;
+    }
+
+    return result;
+};
+
+
+/**
+ * Create a new detacher converting attached operations into a sequence of
+ * XML Patch operations.
+ *
+ * @param {tree.Matching} [matching]    The matching the operations were
+ *         derived from. Used to look up the siblings of a node in the changed
+ *         tree when qualifying location steps by ``id``.
+ *
+ * @constructor
+ */
+function XMLPatchDetacher(matching) {
+    this.matching = matching;
+
+    // Map of namespace URIs to the prefixes used in selectors.
+    this.prefixes = {};
+
+    // The namespace of unprefixed elements in the document. Declared as the
+    // default namespace of the patch document.
+    this.defaultNamespace = undefined;
+}
+
+
+/**
+ * Return an array of XMLPatchOperation instances for the given attached
+ * operation.
+ */
+XMLPatchDetacher.prototype.detach = function(op) {
+    switch (op.type) {
+        case deltamod.UPDATE_NODE_TYPE:
+            return this.detachNodeUpdate(op.remove[0], op.insert[0]);
+
+        case deltamod.UPDATE_FOREST_TYPE:
+            return this.detachForestUpdate(op.anchor.base, op.anchor.index,
+                    op.remove, op.insert);
+    }
+
+    throw new Error('Operation type not supported by XML Patch');
+};
+
+
+/**
+ * Return the XML Patch operations replacing the given text node, CDATA
+ * section, comment or processing instruction, the attributes of the given
+ * element or the whole element if its name changed.
+ */
+XMLPatchDetacher.prototype.detachNodeUpdate = function(node, newnode) {
+    var result = [], namespaces = {}, sel, dom = node.data,
+        newdom = newnode.data, attrs, newattrs, last = [];
+
+    // Nodes may only be replaced by nodes of the same type.
+    if (node.par && kindOf(dom) !== kindOf(newdom)) {
+        return this.detachForestUpdate(node.par, node.childidx, [node],
+                [newnode]);
+    }
+
+    sel = this.selectorOf(node, namespaces);
+
+    if (dom.nodeType !== dom.ELEMENT_NODE ||
+            namespaceOf(dom) !== namespaceOf(newdom) ||
+            localNameOf(dom) !== localNameOf(newdom)) {
+        return [new XMLPatchOperation('replace', sel, [newnode], undefined,
+                    undefined, namespaces)];
+    }
+
+    attrs = attributesOf(dom);
+    newattrs = attributesOf(newdom);
+
+    attrs.forEach(function(attr) {
+        var newattr = findAttribute(newdom, namespaceOf(attr),
+                localNameOf(attr)),
+            ns = {}, attrsel = sel + '/@' + this.qualifiedName(attr, ns),
+            ops = result;
+
+        // The id attribute may be part of the selector, change it last.
+        if (!namespaceOf(attr) && localNameOf(attr) === 'id') {
+            ops = last;
+        }
+
+        if (!newattr) {
+            ops.push(new XMLPatchOperation('remove', attrsel, undefined,
+                        undefined, undefined, this.merge(ns, namespaces)));
+        }
+        else if (newattr.value !== attr.value) {
+            ops.push(new XMLPatchOperation('replace', attrsel, newattr.value,
+                        undefined, undefined, this.merge(ns, namespaces)));
+        }
+    }, this);
+
+    newattrs.forEach(function(newattr) {
+        var ns = {}, type;
+
+        if (!findAttribute(dom, namespaceOf(newattr), localNameOf(newattr))) {
+            type = '@' + this.qualifiedName(newattr, ns);
+            result.push(new XMLPatchOperation('add', sel, newattr.value,
+                        undefined, type, this.merge(ns, namespaces)));
+        }
+    }, this);
+
+    return result.concat(last);
+};
+
+
+/**
+ * Return the XML Patch operations replacing a sequence of children of the
+ * given parent node.
+ */
+XMLPatchDetacher.prototype.detachForestUpdate = function(par, start, remove,
+        insert) {
+    var result = [], namespaces, i;
+
+    for (i = remove.length - 1; i >= 0; i--) {
+        namespaces = {};
+        result.push(new XMLPatchOperation('remove',
+                    this.selectorOf(remove[i], namespaces), undefined,
+                    undefined, undefined, namespaces));
+    }
+
+    if (insert.length) {
+        namespaces = {};
+        if (start > 0) {
+            result.push(new XMLPatchOperation('add',
+                        this.selectorOf(par.children[start - 1], namespaces),
+                        insert, 'after', undefined, namespaces));
+        }
+        else {
+            result.push(new XMLPatchOperation('add',
+                        this.selectorOf(par, namespaces), insert, 'prepend',
+                        undefined, namespaces));
+        }
+    }
+
+    return result;
+};
+
+
+/**
+ * Return the absolute XPath selector of the given tree.Node. Namespace
+ * prefixes used in the selector are recorded in the given object. If the
+ * element ``named`` is given, its name is used for the last location step
+ * instead of the name of the node. Use this to select a renamed node.
+ */
+XMLPatchDetacher.prototype.selectorOf = function(node, namespaces, named) {
+    var steps = [];
+
+    // The document node is selected by the root location path.
+    for (; node.par; node = node.par) {
+        steps.unshift(this.stepOf(node, namespaces, named));
+        named = undefined;
+    }
+
+    return '/' + steps.join('/');
+};
+
+
+/**
+ * Return the location step selecting the given tree.Node from its parent.
+ */
+XMLPatchDetacher.prototype.stepOf = function(node, namespaces, named) {
+    var dom = node.data, siblings, name, id, position;
+
+    named = named || dom;
+
+    if (!node.par.par && dom.nodeType === dom.ELEMENT_NODE) {
+        if (typeof this.defaultNamespace === 'undefined') {
+            this.defaultNamespace = dom.prefix ? null : namespaceOf(dom);
+        }
+        return this.qualifiedName(named, namespaces);
+    }
+
+    if (dom.nodeType !== dom.ELEMENT_NODE) {
+        name = nodeTestOf(dom);
+        siblings = node.par.children.filter(function(sibling) {
+            return nodeTestOf(sibling.data) === name;
+        });
+        return name + '[' + (siblings.indexOf(node) + 1) + ']';
+    }
+
+    name = this.qualifiedName(named, namespaces);
+    siblings = node.par.children.filter(function(sibling) {
+        return sibling === node || (sibling.data.nodeType === dom.ELEMENT_NODE &&
+            namespaceOf(sibling.data) === namespaceOf(named) &&
+            localNameOf(sibling.data) === localNameOf(named));
+    });
+
+    id = dom.getAttribute('id');
+    if (id && (id.indexOf('\'') < 0 || id.indexOf('"') < 0) &&
+            siblings.filter(function(sibling) {
+                return sibling.data.getAttribute('id') === id;
+            }).length === 1 && !this.changedSiblingWithId(node, named, id)) {
+        return name + '[@id=' + quote(id) + ']';
+    }
+
+    position = siblings.indexOf(node) + 1;
+    return name + '[' + position + ']';
+};
+
+
+/**
+ * Return true if an element with the given name and id other than the
+ * partner of node is among the children of the partner of its parent. Such
+ * an element may be inserted next to node by one of the preceeding
+ * operations.
+ */
+XMLPatchDetacher.prototype.changedSiblingWithId = function(node, named, id) {
+    var par = this.matching && this.matching.get(node.par),
+        partner = this.matching && this.matching.get(node);
+
+    return !!par && par.children.some(function(sibling) {
+        return sibling !== partner &&
+            sibling.data.nodeType === sibling.data.ELEMENT_NODE &&
+            namespaceOf(sibling.data) === namespaceOf(named) &&
+            localNameOf(sibling.data) === localNameOf(named) &&
+            sibling.data.getAttribute('id') === id;
+    });
+};
+
+
+/**
+ * Return the qualified name of a DOM element or attribute for use in a
+ * selector. Namespace prefixes are recorded in the given object.
+ */
+XMLPatchDetacher.prototype.qualifiedName = function(domnode, namespaces) {
+    var ns = namespaceOf(domnode), prefix, base, i, used,
+        isElement = (domnode.nodeType === domnode.ELEMENT_NODE);
+
+    if (isElement && this.defaultNamespace && ns === this.defaultNamespace) {
+        namespaces[''] = ns;
+        return localNameOf(domnode);
+    }
+    else if (isElement && this.defaultNamespace && !ns) {
+        throw new Error('Cannot select elements without a namespace in a document with a default namespace');
+    }
+    else if (!ns) {
+        return localNameOf(domnode);
+    }
+
+    prefix = this.prefixes[ns];
+    if (!prefix) {
+        used = Object.keys(this.prefixes).map(function(uri) {
+            return this.prefixes[uri];
+        }, this);
+
+        base = prefix = domnode.prefix || 'ns';
+        for (i = 1; used.indexOf(prefix) >= 0 || prefix === 'xml' ||
+                prefix === 'xmlns'; i++) {
+            prefix = base + i;
+        }
+        this.prefixes[ns] = prefix;
+    }
+
+    namespaces[prefix] = ns;
+    return prefix + ':' + localNameOf(domnode);
+};
+
+
+/**
+ * Copy the namespace prefixes from source into target and return target.
+ */
+XMLPatchDetacher.prototype.merge = function(source, target) {
+    var result = {}, prefix;
+
+    for (prefix in target) {
+        result[prefix] = target[prefix];
+    }
+    for (prefix in source) {
+        result[prefix] = source[prefix];
+    }
+
+    return result;
+};
+
+
+/**
+ * Create a new XML Patch document adapter.
+ *
+ * @constructor
+ */
+function XMLPatchDeltaAdapter(fragmentadapter) {
+    this.fragmentadapter = fragmentadapter;
+}
+
+
+/**
+ * Return an array of XMLPatchOperation instances for the given XML Patch
+ * document.
+ */
+XMLPatchDeltaAdapter.prototype.adaptDocument = function(doc) {
+    var operations = [], root = doc.documentElement, nodes, i;
+
+    if (!root) {
+        throw new Error('An XML Patch document must have a root element');
+    }
+
+    nodes = Array.prototype.slice.call(root.childNodes);
+    for (i = 0; i < nodes.length; i++) {
+        if (nodes[i].nodeType === nodes[i].ELEMENT_NODE) {
+            operations.push(this.adaptOperation(nodes[i]));
+        }
+    }
+
+    return operations;
+};
+
+
+XMLPatchDeltaAdapter.prototype.adaptOperation = function(element) {
+    var op = localNameOf(element), namespaces = {}, pos, type, content;
+
+    if (OPERATIONS.indexOf(op) < 0) {
+        throw new Error('Encountered unsupported XML Patch operation');
+    }
+    else if (!element.hasAttribute('sel')) {
+        throw new Error('XML Patch operation "' + op + '" requires a selector');
+    }
+
+    if (op === 'add') {
+        pos = element.getAttribute('pos') || undefined;
+        type = element.getAttribute('type') || undefined;
+        if (pos && POSITIONS.indexOf(pos) < 0) {
+            throw new Error('Invalid position "' + pos + '"');
+        }
+        else if (type && !/^@[^@]+$/.test(type)) {
+            throw new Error('Unsupported type "' + type + '"');
+        }
+    }
+
+    this.collectNamespaces(element, namespaces);
+
+    if (type || (op === 'replace' &&
+                /\/@[^\/]+$/.test(element.getAttribute('sel')))) {
+        content = element.textContent || '';
+    }
+    else if (op !== 'remove') {
+        content = this.fragmentadapter.importFragment(element.childNodes,
+                true);
+    }
+
+    return new XMLPatchOperation(op, element.getAttribute('sel'), content,
+            pos, type, namespaces);
+};
+
+
+/**
+ * Record all namespace declarations in scope of the given element.
+ */
+XMLPatchDeltaAdapter.prototype.collectNamespaces = function(element,
+        namespaces) {
+    var i, attr, prefix;
+
+    for (; element && element.attributes; element = element.parentNode) {
+        for (i = 0; i < element.attributes.length; i++) {
+            attr = element.attributes[i];
+            if (attr.name === 'xmlns') {
+                prefix = '';
+            }
+            else if (attr.prefix === 'xmlns') {
+                prefix = localNameOf(attr);
+            }
+            else {
+                continue;
+            }
+
+            if (!namespaces.hasOwnProperty(prefix)) {
+                namespaces[prefix] = attr.value;
+            }
+        }
+    }
+};
+
+
+/**
+ * Add the prefixed namespaces of the given map to namespaces unless the
+ * prefix is bound already.
+ */
+XMLPatchDeltaAdapter.prototype.mergeNamespaces = function(namespaces, other) {
+    var prefix;
+
+    for (prefix in other) {
+        if (prefix && other.hasOwnProperty(prefix) &&
+                !namespaces.hasOwnProperty(prefix)) {
+            namespaces[prefix] = other[prefix];
+        }
+    }
+};
+
+
+/**
+ * Populate the document with the operations produced by XMLPatchDetacher.
+ * The sequences of operations are appended in reverse order.
+ */
+XMLPatchDeltaAdapter.prototype.populateDocument = function(doc, operations) {
+    var i, k, root, prefix, namespaces = {};
+
+    for (i = 0; i < operations.length; i++) {
+        for (k = 0; k < operations[i].length; k++) {
+            for (prefix in operations[i][k].namespaces) {
+                namespaces[prefix] = operations[i][k].namespaces[prefix];
+            }
+        }
+    }
+
+    // Also declare the prefixes used by the content of the operations.
+    // Otherwise the serializer adds the declarations to the content nodes
+    // and they end up in the patched document. The default namespace is
+    // reserved for the selectors.
+    if (this.fragmentadapter.namespacesOf) {
+        for (i = 0; i < operations.length; i++) {
+            for (k = 0; k < operations[i].length; k++) {
+                if (operations[i][k].content &&
+                        typeof operations[i][k].content !== 'string') {
+                    this.mergeNamespaces(namespaces,
+                            this.fragmentadapter.namespacesOf(
+                                operations[i][k].content));
+                }
+            }
+        }
+    }
+
+    // Unprefixed names in selectors refer to the default namespace of the
+    // patch document. Therefore the operation elements are placed into it.
+    root = doc.createElementNS(namespaces[''] || null, 'diff');
+
+    for (prefix in namespaces) {
+        root.setAttributeNS(XMLNS_NAMESPACE,
+                prefix ? 'xmlns:' + prefix : 'xmlns', namespaces[prefix]);
+    }
+
+    for (i = operations.length - 1; i >= 0; i--) {
+        for (k = 0; k < operations[i].length; k++) {
+            root.appendChild(this.constructOperationElement(doc,
+                        operations[i][k], namespaces['']));
+        }
+    }
+
+    doc.appendChild(root);
+};
+
+
+XMLPatchDeltaAdapter.prototype.constructOperationElement = function(doc, op,
+        ns) {
+    var element = doc.createElementNS(ns || null, op.op);
+
+    element.setAttribute('sel', op.sel);
+    if (op.pos) {
+        element.setAttribute('pos', op.pos);
+    }
+    if (op.type) {
+        element.setAttribute('type', op.type);
+    }
+
+    if (typeof op.content === 'string') {
+        if (op.content.length) {
+            element.appendChild(doc.createTextNode(op.content));
+        }
+    }
+    else if (op.content) {
+        element.appendChild(this.fragmentadapter.adapt(doc, op.content, true));
+    }
+
+    return element;
+};
+
+
+/**
+ * Create a new attacher resolving XML Patch operations against the given
+ * tree. Operations must be attached in sequence. Every operation is resolved
+ * against the state of the document after all previous operations. The
+ * resulting handlers are only activated if all operations could be resolved.
+ *
+ * @param {tree.Node}   root        The root node of the document tree.
+ * @param {Object}      treeadapter An instance of DOMTreeAdapter used to
+ *         build the trees of inserted nodes.
+ *
+ * @constructor
+ */
+function XMLPatchAttacher(root, treeadapter) {
+    this.root = root;
+    this.treeadapter = treeadapter;
+    this.datamap = new domhandler.DOMOperationNodeDataMap();
+
+    // Nodes modified by previous operations along with their current
+    // parent, children and DOM node.
+    this.states = [];
+
+    this.failed = false;
+}
+
+
+/**
+ * Resolve one XML Patch operation and return a new attached operation
+ * instance. Throws an error if the operation cannot be applied or if any
+ * previous operation failed.
+ */
+XMLPatchAttacher.prototype.attach = function(op) {
+    if (this.failed) {
+        throw new Error('Previous XML Patch operation failed');
+    }
+
+    try {
+        return this.attachOperation(op);
+    }
+    catch (err) {
+        this.failed = true;
+        throw err;
+    }
+};
+
+
+XMLPatchAttacher.prototype.attachOperation = function(op) {
+    var steps = parseSelector(op.sel, op.namespaces),
+        last = steps[steps.length - 1], node;
+
+    if (last && last.kind === 'attribute') {
+        node = this.select(op.sel, steps.slice(0, -1));
+        if (op.op === 'add') {
+            throw new Error('Cannot add nodes to an attribute');
+        }
+        return this.updateAttribute(node, last, op.op, op.content);
+    }
+
+    node = this.select(op.sel, steps);
+
+    switch (op.op) {
+        case 'add':
+            if (op.type) {
+                last = resolveName(op.type.slice(1), op.namespaces, false);
+                return this.updateAttribute(node, last, op.op, op.content);
+            }
+            return this.add(node, op.pos, this.createNodes(op.content));
+
+        case 'replace':
+            return this.replace(node, this.createNodes(op.content));
+
+        case 'remove':
+            return this.remove(node);
+    }
+
+    throw new Error('Encountered unsupported XML Patch operation');
+};
+
+
+/**
+ * Return the current state of the given node. An object with the properties
+ * ``par``, ``children`` and ``dom``.
+ */
+XMLPatchAttacher.prototype.stateOf = function(node) {
+    var i;
+
+    for (i = 0; i < this.states.length; i++) {
+        if (this.states[i].node === node) {
+            return this.states[i];
+        }
+    }
+
+    return {'node': node, 'par': node.par, 'children': node.children,
+        'dom': node.data};
+};
+
+
+/**
+ * Record the new parent, children and DOM node of the given node.
+ */
+XMLPatchAttacher.prototype.updateState = function(node, par, children, dom) {
+    var state = this.stateOf(node);
+
+    if (this.states.indexOf(state) < 0) {
+        this.states.push(state);
+    }
+
+    state.par = par;
+    state.children = children;
+    state.dom = dom;
+};
+
+
+/**
+ * Return the current path of the given node as an array of child indices.
+ */
+XMLPatchAttacher.prototype.pathOf = function(node) {
+    var result = [], par;
+
+    for (par = this.stateOf(node).par; par; par = this.stateOf(par).par) {
+        result.unshift(this.stateOf(par).children.indexOf(node));
+        node = par;
+    }
+
+    return result;
+};
+
+
+/**
+ * Return true if the current DOM node of the given tree.Node passes the node
+ * test of the location step.
+ */
+XMLPatchAttacher.prototype.test = function(node, step) {
+    var dom = this.stateOf(node).dom;
+
+    switch (step.kind) {
+        case 'text':
+            return dom.nodeType === dom.TEXT_NODE ||
+                dom.nodeType === dom.CDATA_SECTION_NODE;
+
+        case 'comment':
+            return dom.nodeType === dom.COMMENT_NODE;
+
+        case 'processing-instruction':
+            return dom.nodeType === dom.PROCESSING_INSTRUCTION_NODE &&
+                (typeof step.target === 'undefined' ||
+                 dom.target === step.target);
+    }
+
+    return dom.nodeType === dom.ELEMENT_NODE && (step.local === '*' ||
+            (namespaceOf(dom) === step.ns && localNameOf(dom) === step.local));
+};
+
+
+/**
+ * Return the tree.Node selected by the given location steps. Throws an error
+ * unless exactly one node matches.
+ */
+XMLPatchAttacher.prototype.select = function(sel, steps) {
+    var context = [this.root], i;
+
+    for (i = 0; i < steps.length; i++) {
+        context = context.reduce(function(result, node) {
+            var candidates = this.stateOf(node).children;
+
+            candidates = candidates.filter(function(candidate) {
+                return this.test(candidate, steps[i]);
+            }, this);
+
+            steps[i].predicates.forEach(function(predicate) {
+                if (predicate.position) {
+                    candidates = candidates.slice(predicate.position - 1,
+                            predicate.position);
+                }
+                else {
+                    candidates = candidates.filter(function(candidate) {
+                        var attr = findAttribute(this.stateOf(candidate).dom,
+                                predicate.ns, predicate.local);
+                        return attr && attr.value === predicate.value;
+                    }, this);
+                }
+            }, this);
+
+            return result.concat(candidates);
+        }.bind(this), []);
+    }
+
+    if (context.length !== 1) {
+        throw new Error('Selector ' + sel + ' matches ' + context.length +
+                ' nodes, expected exactly one');
+    }
+
+    return context[0];
+};
+
+
+/**
+ * Return new trees for the given content of an operation.
+ */
+XMLPatchAttacher.prototype.createNodes = function(content) {
+    var doc = this.root.data;
+
+    if (typeof content === 'string') {
+        content = content.length ? [doc.createTextNode(content)] : [];
+    }
+    else {
+        content = (content || []).map(function(node) {
+            return doc.importNode(node.data, true);
+        });
+    }
+
+    return content.map(function(dom) {
+        return this.treeadapter.adaptElement(dom);
+    }, this);
+};
+
+
+/**
+ * Return an attached operation replacing a sequence of children of the given
+ * node.
+ */
+XMLPatchAttacher.prototype.splice = function(par, index, length, nodes) {
+    var state = this.stateOf(par), children = state.children.slice(), old,
+        handler;
+
+    if (state.dom.nodeType !== state.dom.ELEMENT_NODE &&
+            state.dom.nodeType !== state.dom.DOCUMENT_NODE) {
+        throw new Error('Cannot add nodes to a text node');
+    }
+
+    old = children.splice.apply(children, [index, length].concat(nodes));
+
+    if (state.dom.nodeType === state.dom.DOCUMENT_NODE) {
+        checkDocumentChildren(children.map(function(node) {
+            return this.stateOf(node).dom;
+        }, this));
+    }
+
+    handler = new domhandler.DOMTreeSequenceOperationHandler(par,
+            children[index + nodes.length], this.datamap,
+            old.map(function(node) {
+                return this.stateOf(node).dom;
+            }, this),
+            nodes.map(function(node) {
+                return node.data;
+            }));
+
+    this.updateState(par, state.par, children, state.dom);
+    nodes.forEach(function(node) {
+        this.updateState(node, par, node.children, node.data);
+    }, this);
+
+    return new deltamod.AttachedOperation(
+            new tree.Anchor(this.root, par, index), deltamod.UPDATE_FOREST_TYPE,
+            this.pathOf(par).concat([index]), old, nodes,
+            new jsonpatch.JSONPatchOperationHandler(this, [handler]));
+};
+
+
+/**
+ * Return an attached operation inserting nodes relative to the given node.
+ */
+XMLPatchAttacher.prototype.add = function(node, pos, nodes) {
+    var state = this.stateOf(node), siblings;
+
+    if (!pos || pos === 'prepend') {
+        return this.splice(node, pos ? 0 : state.children.length, 0, nodes);
+    }
+    else if (!state.par) {
+        throw new Error('Cannot add siblings to the document node');
+    }
+
+    siblings = this.stateOf(state.par).children;
+    return this.splice(state.par,
+            siblings.indexOf(node) + (pos === 'after' ? 1 : 0), 0, nodes);
+};
+
+
+/**
+ * Return an attached operation removing the given node.
+ */
+XMLPatchAttacher.prototype.remove = function(node) {
+    var state = this.stateOf(node);
+
+    if (!state.par) {
+        throw new Error('Cannot remove the document node');
+    }
+
+    return this.splice(state.par,
+            this.stateOf(state.par).children.indexOf(node), 1, []);
+};
+
+
+/**
+ * Return an attached operation replacing the given element, text, comment or
+ * processing instruction node.
+ */
+XMLPatchAttacher.prototype.replace = function(node, nodes) {
+    var state = this.stateOf(node), type = state.dom.nodeType;
+
+    if (!state.par) {
+        throw new Error('Cannot replace the document node');
+    }
+
+    // Ignore whitespace surrounding a replacement element.
+    if (type === state.dom.ELEMENT_NODE) {
+        nodes = nodes.filter(function(n) {
+            return n.data.nodeType !== n.data.TEXT_NODE ||
+                /\S/.test(n.data.nodeValue);
+        });
+    }
+
+    if (nodes.length !== 1 || kindOf(nodes[0].data) !== kindOf(state.dom)) {
+        throw new Error('Replacement must be exactly one node of the same type');
+    }
+
+    return this.splice(state.par,
+            this.stateOf(state.par).children.indexOf(node), 1, nodes);
+};
+
+
+/**
+ * Return an attached operation adding, replacing or removing an attribute of
+ * the given element.
+ *
+ * @param {tree.Node}   node    The element.
+ * @param {Object}      name    An object with the ``ns`` and ``local`` name
+ *         of the attribute.
+ * @param {String}      op      The operation name.
+ * @param {String}      [value] The new attribute value.
+ */
+XMLPatchAttacher.prototype.updateAttribute = function(node, name, op, value) {
+    var state = this.stateOf(node), dom, attr, qname, handler;
+
+    if (state.dom.nodeType !== state.dom.ELEMENT_NODE) {
+        throw new Error('Cannot update attributes of a text node');
+    }
+
+    attr = findAttribute(state.dom, name.ns, name.local);
+    if (op === 'add' && attr) {
+        throw new Error('Attribute "' + name.local + '" already exists');
+    }
+    else if (op !== 'add' && !attr) {
+        throw new Error('No attribute "' + name.local + '" found');
+    }
+
+    dom = state.dom.cloneNode(false);
+    if (op === 'remove') {
+        dom.removeAttributeNode(findAttribute(dom, name.ns, name.local));
+    }
+    else if (attr) {
+        findAttribute(dom, name.ns, name.local).value = value || '';
+    }
+    else {
+        qname = name.ns ? this.prefixFor(node, name.ns) + name.local :
+            name.local;
+        dom.setAttributeNS(name.ns, qname, value || '');
+    }
+
+    handler = new domhandler.DOMNodeReplaceOperationHandler(node,
+            this.datamap, state.dom, dom);
+    this.updateState(node, state.par, state.children, dom);
+
+    return new deltamod.AttachedOperation(
+            new tree.Anchor(this.root, node), deltamod.UPDATE_NODE_TYPE,
+            this.pathOf(node), [node], [node],
+            new jsonpatch.JSONPatchOperationHandler(this, [handler]));
+};
+
+
+/**
+ * Return the prefix (including the colon) for a new attribute in the given
+ * namespace on the given node. Prefers prefixes declared on the node or one
+ * of its ancestors.
+ */
+XMLPatchAttacher.prototype.prefixFor = function(node, ns) {
+    var prefix, n, i;
+
+    for (n = node; n && !prefix; n = this.stateOf(n).par) {
+        prefix = this.stateOf(n).dom.lookupPrefix(ns);
+    }
+
+    for (i = 1; !prefix; i++) {
+        if (!this.stateOf(node).dom.lookupNamespaceURI('ns' + i)) {
+            prefix = 'ns' + i;
+        }
+    }
+
+    return prefix + ':';
+};
+
+
+exports.XMLPatchOperation = XMLPatchOperation;
+exports.XMLPatchDetacher = XMLPatchDetacher;
+exports.XMLPatchDeltaAdapter = XMLPatchDeltaAdapter;
+exports.XMLPatchAttacher = XMLPatchAttacher;
+exports.parseSelector = parseSelector;
+exports.checkDocumentChildren = checkDocumentChildren;
+exports.nodeTestOf = nodeTestOf;
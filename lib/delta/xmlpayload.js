@@ -6,6 +6,17 @@
 /** @ignore */
 var xmlshim = require('xmlshim');
 
+/** @ignore */
+var domtree = require('./domtree');
+
+/** @ignore */
+var deltamod = require('./delta');
+
+/**
+ * @constant
+ */
+var XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
 
 /**
  * @constructor
@@ -53,6 +64,80 @@ XMLFragmentAdapter.prototype.adapt = function(doc, nodes, deep) {
 };
 
 
+/**
+ * Return an object mapping the prefixes used within the given nodes to the
+ * namespace URIs in scope of the nodes. Namespaces declared by the nodes
+ * themselves are not included.
+ */
+XMLFragmentAdapter.prototype.namespacesOf = function(nodes) {
+    var namespaces = {};
+
+    nodes.forEach(function(node) {
+        var scope = domtree.inScopeNamespaces(node.data);
+
+        function usePrefix(prefix) {
+            if (scope.hasOwnProperty(prefix) &&
+                    !namespaces.hasOwnProperty(prefix)) {
+                namespaces[prefix] = scope[prefix];
+            }
+        }
+
+        node.forEach(function(n) {
+            var domnode = n.data, attrs, qn;
+
+            if (domnode.nodeType !== domnode.ELEMENT_NODE) {
+                return;
+            }
+
+            usePrefix(domnode.prefix || '');
+            attrs = domtree.attributeMap(domnode);
+            for (qn in attrs) {
+                if (attrs.hasOwnProperty(qn) && attrs[qn].prefix) {
+                    usePrefix(attrs[qn].prefix);
+                }
+            }
+        });
+    });
+
+    return namespaces;
+};
+
+
+/**
+ * Declare the namespaces in scope of the given nodes on the element which is
+ * going to contain the adapted fragment. Thus the serialized fragment only
+ * carries the namespace declarations of the nodes themselves and those are
+ * restored faithfully when the fragment is imported again.
+ */
+XMLFragmentAdapter.prototype.declareNamespaces = function(element, nodes) {
+    var namespaces = XMLFragmentAdapter.prototype.namespacesOf.call(this,
+            nodes);
+
+    Object.keys(namespaces).forEach(function(prefix) {
+        element.setAttributeNS(XMLNS_NAMESPACE,
+                prefix ? 'xmlns:' + prefix : 'xmlns', namespaces[prefix]);
+    });
+};
+
+
+/**
+ * Mark the element which is going to contain the adapted fragment with
+ * ``xml:space="preserve"`` if this is in effect for the given nodes. Thus
+ * texts are compared the same way when the fragment is imported again.
+ */
+XMLFragmentAdapter.prototype.declareSpace = function(element, nodes) {
+    if (nodes.length && domtree.preservesSpace(nodes[0].data.parentNode)) {
+        element.setAttributeNS(domtree.XML_NAMESPACE, 'xml:space', 'preserve');
+    }
+};
+
+
+/**
+ * Return an array of tree nodes for the given DOM nodes. The DOM nodes are
+ * not copied, hence prefixes declared on the containing element remain in
+ * scope and are declared again when the nodes are adapted into another
+ * fragment.
+ */
 XMLFragmentAdapter.prototype.importFragment = function(domnodes, deep) {
     var result = [], node, i;
 
@@ -75,17 +160,180 @@ function SerializedXMLFragmentAdapter(docadapter) {
 }
 
 SerializedXMLFragmentAdapter.prototype.adapt = function(doc, nodes, deep) {
-    mydoc = xmlshim.implementation.createDocument('', '', null);
+    var mydoc = xmlshim.implementation.createDocument('', '', null);
 
     var frag = XMLFragmentAdapter.prototype.adapt.call(this, mydoc, nodes, deep);
     var root = mydoc.createElement('values');
 
+    XMLFragmentAdapter.prototype.declareNamespaces.call(this, root, nodes);
+    XMLFragmentAdapter.prototype.declareSpace.call(this, root, nodes);
     root.appendChild(frag);
     mydoc.appendChild(root);
 
     return (new xmlshim.XMLSerializer).serializeToString(mydoc);
 };
 
+
+/**
+ * Parse the given string and import the children of the values element.
+ */
+SerializedXMLFragmentAdapter.prototype.importFragment = function(src, deep) {
+    var mydoc = (new xmlshim.DOMParser).parseFromString(src, 'text/xml');
+
+    return XMLFragmentAdapter.prototype.importFragment.call(this,
+            mydoc.documentElement.childNodes, deep);
+};
+
+
+/**
+ * Create a new node formatter rendering tree nodes of DOM documents as XML
+ * markup for human readers. Used by ``prettyprint.PrettyPrinter``.
+ *
+ * @constructor
+ */
+function XMLNodeFormatter() {
+}
+
+
+/**
+ * Return the XPath location step of the given node, e.g. ``g[2]`` for the
+ * second ``g`` element among its siblings. The position is omitted if there
+ * are no other siblings of the same kind. The document node has no step.
+ */
+XMLNodeFormatter.prototype.step = function(node) {
+    var name, count = 0, position, i;
+
+    if (!node.par) {
+        return;
+    }
+
+    name = stepName(node.data);
+    for (i = 0; i < node.par.children.length; i++) {
+        if (stepName(node.par.children[i].data) === name) {
+            count++;
+            if (node.par.children[i] === node) {
+                position = count;
+            }
+        }
+    }
+
+    return count > 1 ? name + '[' + position + ']' : name;
+};
+
+
+/**
+ * Return the markup of the given node. Only the start tag of an element is
+ * returned unless deep is set. The first line is indented like the node in
+ * its document.
+ */
+XMLNodeFormatter.prototype.serialize = function(node, deep) {
+    return indentationOf(node.data) +
+        markupOf(node.data, deep, domtree.inScopeNamespaces(node.data));
+};
+
+
+/**
+ * Return the markup of the node affected by an attribute or text update
+ * before and after the operation.
+ */
+XMLNodeFormatter.prototype.serializeUpdate = function(op) {
+    var domnode = op.anchor.target.data, updated = domnode.cloneNode(false),
+        indent = indentationOf(domnode),
+        scope = domtree.inScopeNamespaces(domnode), remove, insert, qn, n,
+        old;
+
+    if (op.type === deltamod.UPDATE_TEXT_TYPE) {
+        updated.replaceData(0, updated.nodeValue.length, domtree.patchText(
+                    domnode.nodeValue, op.remove[0].data, op.insert[0].data));
+    }
+    else {
+        remove = domtree.attributeMap(op.remove[0].data);
+        insert = domtree.attributeMap(op.insert[0].data);
+        for (qn in remove) {
+            if (remove.hasOwnProperty(qn) && !insert.hasOwnProperty(qn)) {
+                n = remove[qn];
+                updated.removeAttributeNS(n.namespaceURI, n.localName);
+            }
+        }
+        for (qn in insert) {
+            if (insert.hasOwnProperty(qn)) {
+                n = insert[qn];
+                old = updated.getAttributeNodeNS(n.namespaceURI, n.localName);
+                if (old && old.name !== n.name) {
+                    updated.removeAttributeNode(old);
+                }
+                updated.setAttributeNS(n.namespaceURI, n.name, n.value);
+            }
+        }
+    }
+
+    return [
+        indent + markupOf(domnode, false, scope),
+        indent + markupOf(updated, false, scope, domnode.hasChildNodes())
+    ];
+};
+
+
+/**
+ * Return the name used in location steps for the given DOM node.
+ */
+function stepName(domnode) {
+    switch (domnode.nodeType) {
+        case domnode.ELEMENT_NODE:
+            return domnode.nodeName;
+        case domnode.COMMENT_NODE:
+            return 'comment()';
+        case domnode.PROCESSING_INSTRUCTION_NODE:
+            return 'processing-instruction()';
+        default:
+            return 'text()';
+    }
+}
+
+
+/**
+ * Return the whitespace following the last line break in the text preceeding
+ * the given DOM node.
+ */
+function indentationOf(domnode) {
+    var prev = domnode.previousSibling,
+        match = prev && prev.nodeType === prev.TEXT_NODE &&
+            /\n([ \t]*)$/.exec(prev.nodeValue);
+
+    return match ? match[1] : '';
+}
+
+
+/**
+ * Return the markup of the given DOM node. If deep is not set, elements are
+ * represented by their start tag only if they have children. Declarations of
+ * the namespaces already in scope are left out.
+ */
+function markupOf(domnode, deep, scope, haschildren) {
+    var serializer = new xmlshim.XMLSerializer(), result, prefix;
+
+    if (deep || domnode.nodeType !== domnode.ELEMENT_NODE) {
+        result = serializer.serializeToString(domnode);
+    }
+    else if (haschildren || domnode.hasChildNodes()) {
+        result = serializer.serializeToString(domnode.cloneNode(false))
+            .replace(/\s*\/>$/, '>');
+    }
+    else {
+        result = serializer.serializeToString(domnode);
+    }
+
+    for (prefix in scope) {
+        if (scope.hasOwnProperty(prefix)) {
+            result = result.split(' xmlns' + (prefix ? ':' + prefix : '') +
+                    '="' + scope[prefix] + '"').join('');
+        }
+    }
+
+    return result;
+}
+
 exports.XMLPayloadHandler = XMLPayloadHandler;
 exports.XMLFragmentAdapter = XMLFragmentAdapter;
 exports.SerializedXMLFragmentAdapter = SerializedXMLFragmentAdapter;
+exports.XMLNodeFormatter = XMLNodeFormatter;
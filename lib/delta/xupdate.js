@@ -0,0 +1,998 @@
+/**
+ * @file:   Adapter classes for XUpdate modification documents
+ *
+ * An XUpdate document consists of an ``xupdate:modifications`` root element
+ * containing a sequence of ``xupdate:insert-before``,
+ * ``xupdate:insert-after``, ``xupdate:append``, ``xupdate:update``,
+ * ``xupdate:remove`` and ``xupdate:rename`` elements. Every operation locates
+ * its target node using an XPath expression in the ``select`` attribute. New
+ * nodes are specified using the ``xupdate:element``, ``xupdate:attribute``,
+ * ``xupdate:text``, ``xupdate:comment`` and
+ * ``xupdate:processing-instruction`` constructors. An ``xupdate:text``
+ * constructor containing only CDATA sections creates a CDATA section.
+ *
+ * Attached operations are converted into XUpdate operations as follows:
+ *
+ * * A forest update results in one ``xupdate:remove`` operation for each
+ *   removed subtree and one ``xupdate:insert-after`` operation inserting all
+ *   new subtrees after the preceeding sibling (or an ``xupdate:append``
+ *   operation inserting them as the first children of the parent element).
+ * * A node update on an element results in an ``xupdate:rename`` operation
+ *   if the name of the element changed. Changed attributes are set using
+ *   ``xupdate:update``, new attributes are added using ``xupdate:append``
+ *   and attributes not present anymore are removed using ``xupdate:remove``.
+ * * A node update on a text node results in an ``xupdate:update`` operation
+ *   on the parent element if the text node is its only child in the original
+ *   and in the changed document. Otherwise the new text is inserted before
+ *   the original text node which then gets removed. CDATA sections, comments and processing instructions are
+ *   updated using an ``xupdate:update`` operation selecting the node itself.
+ * * A node update replacing an element by another kind of node or vice versa
+ *   is converted like a forest update.
+ *
+ * Selectors are built the same way as for RFC 5261 XML Patch documents.
+ * Elements in namespaces are always selected using a prefix declared on the
+ * root element of the modifications document.
+ *
+ * Example:
+ *
+ * .. code-block:: xml
+ *
+ *      <xupdate:modifications version="1.0" xmlns:xupdate="http://www.xmldb.org/xupdate">
+ *          <xupdate:update select="/config/db[@id='main']/host">example.com</xupdate:update>
+ *          <xupdate:rename select="/config/log[2]">trace</xupdate:rename>
+ *          <xupdate:append select="/config/db[@id='main']">
+ *              <xupdate:attribute name="port">5432</xupdate:attribute>
+ *          </xupdate:append>
+ *      </xupdate:modifications>
+ *
+ * When loading an XUpdate document, the operations are interpreted one after
+ * another against the document. Handlers are created using the
+ * DOMOperationHandlerFactory. Variables (``xupdate:variable`` and
+ * ``xupdate:value-of``) are not supported.
+ *
+ * @module  xupdate
+ */
+
+/** @ignore */
+var tree = require('./tree');
+
+/** @ignore */
+var deltamod = require('./delta');
+
+/** @ignore */
+var domhandler = require('./domhandler');
+
+/** @ignore */
+var xmlpatch = require('./xmlpatch');
+
+/** @constant */
+var XUPDATE_NAMESPACE = 'http://www.xmldb.org/xupdate';
+
+/** @constant */
+var XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+/** @constant */
+var OPERATIONS = ['insert-before', 'insert-after', 'append', 'update',
+    'remove', 'rename'];
+
+
+/**
+ * Return the attribute nodes of the given element, excluding namespace
+ * declarations.
+ */
+function attributesOf(domnode) {
+    return Array.prototype.filter.call(domnode.attributes, function(attr) {
+        return attr.name !== 'xmlns' && attr.prefix !== 'xmlns';
+    });
+}
+
+
+/**
+ * Return the attribute node with the same namespace and local name as the
+ * given one.
+ */
+function findAttribute(domnode, attr) {
+    return attributesOf(domnode).filter(function(candidate) {
+        return (candidate.namespaceURI || null) === (attr.namespaceURI || null) &&
+            candidate.localName === attr.localName;
+    })[0];
+}
+
+
+/**
+ * Repair parent, child index and depth properties of all children of the
+ * given tree.Node.
+ */
+function updateChildren(node) {
+    var i, child;
+
+    for (i = 0; i < node.children.length; i++) {
+        child = node.children[i];
+        child.par = node;
+        child.childidx = i;
+        child.forEach(function(n) {
+            n.depth = n.par.depth + 1;
+        });
+    }
+}
+
+
+/**
+ * Construct a new XUpdate operation. This is a pure data object.
+ *
+ * @param {String}  op      The operation name without the prefix, e.g.
+ *         ``insert-after`` or ``rename``.
+ * @param {String}  select  The XPath selector of the target node.
+ * @param {Array|String} [content] An array of tree.Nodes for operations
+ *         inserting nodes, a string for ``update`` and ``rename``.
+ * @param {Array}   [attributes]    An array of attribute nodes to be added
+ *         by an ``append`` operation.
+ * @param {Number}  [child] The position of nodes inserted by an ``append``
+ *         operation.
+ * @param {Object}  [namespaces]    A map of the namespace prefixes used in
+ *         the selector and the new name to their URIs.
+ *
+ * @constructor
+ */
+function XUpdateOperation(op, select, content, attributes, child, namespaces) {
+    this.op = op;
+    this.select = select;
+    this.content = content;
+    this.attributes = attributes || [];
+    this.child = child;
+    this.namespaces = namespaces || {};
+}
+
+
+/**
+ * Return a string representation of the operation
+ */
+XUpdateOperation.prototype.toString = function() {
+    var result = this.op.charAt(0).toUpperCase() + this.op.slice(1) + ' ' +
+        this.select;
+
+    if (this.child) {
+        result += ' child=' + this.child;
+    }
+
+    return result;
+};
+
+
+/**
+ * Create a new detacher converting attached operations into a sequence of
+ * XUpdate operations.
+ *
+ * @param {tree.Matching} [matching]    The matching the operations were
+ *         derived from.
+ *
+ * @constructor
+ */
+function XUpdateDetacher(matching) {
+    xmlpatch.XMLPatchDetacher.call(this, matching);
+
+    // XUpdate selectors are plain XPath expressions, unprefixed names never
+    // refer to a namespace.
+    this.defaultNamespace = null;
+}
+
+
+/**
+ * Return an array of XUpdateOperation instances for the given attached
+ * operation.
+ */
+XUpdateDetacher.prototype.detach = function(op) {
+    switch (op.type) {
+        case deltamod.UPDATE_NODE_TYPE:
+            return this.detachNodeUpdate(op.remove[0], op.insert[0]);
+
+        case deltamod.UPDATE_FOREST_TYPE:
+            return this.detachForestUpdate(op.anchor.base, op.anchor.index,
+                    op.remove, op.insert);
+    }
+
+    throw new Error('Operation type not supported by XUpdate');
+};
+
+
+/**
+ * Return the XUpdate operations renaming the given element and changing its
+ * attributes or replacing the text of a text node.
+ */
+XUpdateDetacher.prototype.detachNodeUpdate = function(node, newnode) {
+    var result = [], namespaces = {}, select, dom = node.data,
+        newdom = newnode.data, last = [], added = [];
+
+    // Elements may only be replaced by elements and vice versa.
+    if (node.par && (dom.nodeType === dom.ELEMENT_NODE) !==
+            (newdom.nodeType === newdom.ELEMENT_NODE)) {
+        return this.detachForestUpdate(node.par, node.childidx, [node],
+                [newnode]);
+    }
+
+    if (dom.nodeType !== dom.ELEMENT_NODE) {
+        return this.detachTextUpdate(node, newnode);
+    }
+
+    select = this.selectorOf(node, namespaces);
+
+    if ((dom.namespaceURI || null) !== (newdom.namespaceURI || null) ||
+            dom.localName !== newdom.localName) {
+        result.push(new XUpdateOperation('rename', select,
+                    this.qualifiedName(newdom, namespaces), undefined,
+                    undefined, namespaces));
+
+        // Subsequent operations need to select the renamed element.
+        namespaces = {};
+        select = this.selectorOf(node, namespaces, newdom);
+    }
+
+    attributesOf(dom).forEach(function(attr) {
+        var newattr = findAttribute(newdom, attr),
+            ns = this.merge(namespaces, {}),
+            attrselect = select + '/@' + this.qualifiedName(attr, ns),
+            ops = result;
+
+        // The id attribute may be part of the selector, change it last.
+        if (!attr.namespaceURI && attr.localName === 'id') {
+            ops = last;
+        }
+
+        if (!newattr) {
+            ops.push(new XUpdateOperation('remove', attrselect, undefined,
+                        undefined, undefined, ns));
+        }
+        else if (newattr.value !== attr.value) {
+            ops.push(new XUpdateOperation('update', attrselect, newattr.value,
+                        undefined, undefined, ns));
+        }
+    }, this);
+
+    attributesOf(newdom).forEach(function(newattr) {
+        if (!findAttribute(dom, newattr)) {
+            added.push(newattr);
+        }
+    });
+
+    if (added.length) {
+        result.push(new XUpdateOperation('append', select, [], added,
+                    undefined, namespaces));
+    }
+
+    return result.concat(last);
+};
+
+
+/**
+ * Return the XUpdate operations replacing the value of the given text node,
+ * CDATA section, comment or processing instruction.
+ */
+XUpdateDetacher.prototype.detachTextUpdate = function(node, newnode) {
+    var namespaces = {}, select, position;
+
+    // Siblings inserted by preceeding operations would be replaced as well.
+    if (node.par && node.par.children.length === 1 &&
+            newnode.par && newnode.par.children.length === 1 &&
+            node.data.nodeType === node.data.TEXT_NODE &&
+            newnode.data.nodeType === newnode.data.TEXT_NODE) {
+        return [new XUpdateOperation('update',
+                this.selectorOf(node.par, namespaces), newnode.data.nodeValue,
+                undefined, undefined, namespaces)];
+    }
+
+    select = this.selectorOf(node, namespaces);
+
+    if (node.data.nodeType !== node.data.TEXT_NODE &&
+            node.data.nodeType === newnode.data.nodeType &&
+            node.data.nodeName === newnode.data.nodeName) {
+        return [new XUpdateOperation('update', select,
+                newnode.data.nodeValue, undefined, undefined, namespaces)];
+    }
+
+    position = parseInt(/\[([0-9]+)\]$/.exec(select)[1], 10);
+
+    // The inserted node only shifts the position of the original node if it
+    // is selected by the same node test.
+    if (xmlpatch.nodeTestOf(newnode.data) === xmlpatch.nodeTestOf(node.data)) {
+        position++;
+    }
+
+    return [
+        new XUpdateOperation('insert-before', select, [newnode], undefined,
+                undefined, namespaces),
+        new XUpdateOperation('remove',
+                select.replace(/\[[0-9]+\]$/, '[' + position + ']'),
+                undefined, undefined, undefined, namespaces)
+    ];
+};
+
+
+/**
+ * Return the XUpdate operations replacing a sequence of children of the
+ * given parent node.
+ */
+XUpdateDetacher.prototype.detachForestUpdate = function(par, start, remove,
+        insert) {
+    var result = [], namespaces, i;
+
+    for (i = remove.length - 1; i >= 0; i--) {
+        namespaces = {};
+        result.push(new XUpdateOperation('remove',
+                    this.selectorOf(remove[i], namespaces), undefined,
+                    undefined, undefined, namespaces));
+    }
+
+    if (insert.length) {
+        namespaces = {};
+        if (start > 0) {
+            result.push(new XUpdateOperation('insert-after',
+                        this.selectorOf(par.children[start - 1], namespaces),
+                        insert, undefined, undefined, namespaces));
+        }
+        else {
+            result.push(new XUpdateOperation('append',
+                        this.selectorOf(par, namespaces), insert, undefined,
+                        1, namespaces));
+        }
+    }
+
+    return result;
+};
+
+
+XUpdateDetacher.prototype.selectorOf = function(node, namespaces, named) {
+    return xmlpatch.XMLPatchDetacher.prototype.selectorOf.call(this, node,
+            namespaces, named);
+};
+
+
+XUpdateDetacher.prototype.stepOf = function(node, namespaces, named) {
+    return xmlpatch.XMLPatchDetacher.prototype.stepOf.call(this, node,
+            namespaces, named);
+};
+
+
+XUpdateDetacher.prototype.changedSiblingWithId = function(node, named, id) {
+    return xmlpatch.XMLPatchDetacher.prototype.changedSiblingWithId.call(this,
+            node, named, id);
+};
+
+
+XUpdateDetacher.prototype.qualifiedName = function(domnode, namespaces) {
+    return xmlpatch.XMLPatchDetacher.prototype.qualifiedName.call(this,
+            domnode, namespaces);
+};
+
+
+XUpdateDetacher.prototype.merge = function(source, target) {
+    return xmlpatch.XMLPatchDetacher.prototype.merge.call(this, source,
+            target);
+};
+
+
+/**
+ * Create a new XUpdate document adapter.
+ *
+ * @constructor
+ */
+function XUpdateDeltaAdapter(fragmentadapter) {
+    this.fragmentadapter = fragmentadapter;
+}
+
+
+/**
+ * Return an array of XUpdateOperation instances for the given XUpdate
+ * document.
+ */
+XUpdateDeltaAdapter.prototype.adaptDocument = function(doc) {
+    var operations = [], root = doc.documentElement, nodes, i;
+
+    if (!root || root.namespaceURI !== XUPDATE_NAMESPACE ||
+            root.localName !== 'modifications') {
+        throw new Error('An XUpdate document must have an xupdate:modifications root element');
+    }
+
+    nodes = Array.prototype.slice.call(root.childNodes);
+    for (i = 0; i < nodes.length; i++) {
+        if (nodes[i].nodeType === nodes[i].ELEMENT_NODE) {
+            operations.push(this.adaptOperation(nodes[i]));
+        }
+    }
+
+    return operations;
+};
+
+
+XUpdateDeltaAdapter.prototype.adaptOperation = function(element) {
+    var op = element.localName, namespaces = {}, content, attributes = [],
+        child, nodes;
+
+    if (element.namespaceURI !== XUPDATE_NAMESPACE ||
+            OPERATIONS.indexOf(op) < 0) {
+        throw new Error('Encountered unsupported XUpdate operation');
+    }
+    else if (!element.hasAttribute('select')) {
+        throw new Error('XUpdate operation "' + op + '" requires a selector');
+    }
+
+    xmlpatch.XMLPatchDeltaAdapter.prototype.collectNamespaces.call(this,
+            element, namespaces);
+    delete namespaces[''];
+
+    if (op === 'update') {
+        content = element.textContent || '';
+    }
+    else if (op === 'rename') {
+        content = (element.textContent || '').trim();
+    }
+    else if (op !== 'remove') {
+        nodes = this.constructNodes(element, namespaces);
+        attributes = nodes.filter(function(n) {
+            return n.nodeType === n.ATTRIBUTE_NODE;
+        });
+        content = this.fragmentadapter.importFragment(nodes.filter(function(n) {
+            return n.nodeType !== n.ATTRIBUTE_NODE;
+        }), true);
+    }
+
+    if (op === 'append' && element.hasAttribute('child')) {
+        child = parseInt(element.getAttribute('child'), 10);
+        if (!(child > 0)) {
+            throw new Error('Invalid child position "' +
+                    element.getAttribute('child') + '"');
+        }
+    }
+
+    return new XUpdateOperation(op, element.getAttribute('select'), content,
+            attributes, child, namespaces);
+};
+
+
+/**
+ * Return the DOM nodes constructed by the children of the given XUpdate
+ * element. Literal elements are copied, whitespace-only text and literal
+ * comments are ignored.
+ */
+XUpdateDeltaAdapter.prototype.constructNodes = function(element, namespaces) {
+    var doc = element.ownerDocument, result = [], nodes, i, n, name, ns,
+        parts;
+
+    nodes = Array.prototype.slice.call(element.childNodes);
+    for (i = 0; i < nodes.length; i++) {
+        n = nodes[i];
+
+        if (n.nodeType === n.TEXT_NODE || n.nodeType === n.CDATA_SECTION_NODE) {
+            if (/\S/.test(n.nodeValue)) {
+                result.push(doc.createTextNode(n.nodeValue));
+            }
+        }
+        else if (n.nodeType !== n.ELEMENT_NODE) {
+            continue;
+        }
+        else if (n.namespaceURI !== XUPDATE_NAMESPACE) {
+            result.push(n.cloneNode(true));
+        }
+        else if (n.localName === 'text') {
+            result.push(this.constructText(doc, n));
+        }
+        else if (n.localName === 'comment') {
+            result.push(doc.createComment(n.textContent || ''));
+        }
+        else if (n.localName === 'processing-instruction') {
+            result.push(doc.createProcessingInstruction(n.getAttribute('name'),
+                        n.textContent || ''));
+        }
+        else if (n.localName === 'element' || n.localName === 'attribute') {
+            name = n.getAttribute('name');
+            parts = name.split(':');
+            if (n.hasAttribute('namespace')) {
+                ns = n.getAttribute('namespace') || null;
+            }
+            else if (parts.length > 1) {
+                ns = namespaces[parts[0]];
+                if (!ns) {
+                    throw new Error('Undeclared namespace prefix "' +
+                            parts[0] + '"');
+                }
+            }
+            else {
+                ns = null;
+            }
+
+            if (n.localName === 'attribute') {
+                result.push(this.constructAttribute(doc, ns, name,
+                            n.textContent || ''));
+            }
+            else {
+                result.push(this.constructElement(doc, ns, name,
+                            this.constructNodes(n, namespaces)));
+            }
+        }
+        else {
+            throw new Error('Unsupported XUpdate constructor "' +
+                    n.localName + '"');
+        }
+    }
+
+    return result;
+};
+
+
+/**
+ * Return the text node or CDATA section constructed by the given
+ * ``xupdate:text`` element.
+ */
+XUpdateDeltaAdapter.prototype.constructText = function(doc, element) {
+    var cdata = element.firstChild && Array.prototype.every.call(
+            element.childNodes, function(n) {
+                return n.nodeType === n.CDATA_SECTION_NODE;
+            });
+
+    if (cdata) {
+        return doc.createCDATASection(element.textContent);
+    }
+
+    return doc.createTextNode(element.textContent || '');
+};
+
+
+XUpdateDeltaAdapter.prototype.constructAttribute = function(doc, ns, name,
+        value) {
+    var attr = doc.createAttributeNS(ns, name);
+    attr.value = value;
+    return attr;
+};
+
+
+XUpdateDeltaAdapter.prototype.constructElement = function(doc, ns, name,
+        nodes) {
+    var element = doc.createElementNS(ns, name);
+
+    nodes.forEach(function(n) {
+        if (n.nodeType === n.ATTRIBUTE_NODE) {
+            element.setAttributeNS(n.namespaceURI || null, n.name, n.value);
+        }
+        else {
+            element.appendChild(n);
+        }
+    });
+
+    return element;
+};
+
+
+/**
+ * Populate the document with the operations produced by XUpdateDetacher.
+ * The sequences of operations are appended in reverse order.
+ */
+XUpdateDeltaAdapter.prototype.populateDocument = function(doc, operations) {
+    var i, k, root, prefix, namespaces = {};
+
+    root = doc.createElementNS(XUPDATE_NAMESPACE, 'xupdate:modifications');
+    root.setAttribute('version', '1.0');
+    root.setAttributeNS(XMLNS_NAMESPACE, 'xmlns:xupdate', XUPDATE_NAMESPACE);
+
+    for (i = 0; i < operations.length; i++) {
+        for (k = 0; k < operations[i].length; k++) {
+            for (prefix in operations[i][k].namespaces) {
+                namespaces[prefix] = operations[i][k].namespaces[prefix];
+            }
+        }
+    }
+
+    for (prefix in namespaces) {
+        root.setAttributeNS(XMLNS_NAMESPACE, 'xmlns:' + prefix,
+                namespaces[prefix]);
+    }
+
+    for (i = operations.length - 1; i >= 0; i--) {
+        for (k = 0; k < operations[i].length; k++) {
+            root.appendChild(this.constructOperationElement(doc,
+                        operations[i][k]));
+        }
+    }
+
+    doc.appendChild(root);
+};
+
+
+XUpdateDeltaAdapter.prototype.constructOperationElement = function(doc, op) {
+    var element = doc.createElementNS(XUPDATE_NAMESPACE, 'xupdate:' + op.op);
+
+    element.setAttribute('select', op.select);
+    if (op.child) {
+        element.setAttribute('child', String(op.child));
+    }
+
+    if (typeof op.content === 'string') {
+        if (op.content.length) {
+            element.appendChild(doc.createTextNode(op.content));
+        }
+    }
+    else if (op.content) {
+        op.attributes.forEach(function(attr) {
+            element.appendChild(this.constructAttributeElement(doc, attr));
+        }, this);
+        op.content.forEach(function(node) {
+            element.appendChild(this.constructNodeElement(doc, node.data));
+        }, this);
+    }
+
+    return element;
+};
+
+
+/**
+ * Return an ``xupdate:attribute`` constructor for the given attribute node.
+ */
+XUpdateDeltaAdapter.prototype.constructAttributeElement = function(doc, attr) {
+    var element = doc.createElementNS(XUPDATE_NAMESPACE, 'xupdate:attribute');
+
+    element.setAttribute('name', attr.name);
+    if (attr.namespaceURI) {
+        element.setAttribute('namespace', attr.namespaceURI);
+    }
+    element.appendChild(doc.createTextNode(attr.value));
+
+    return element;
+};
+
+
+/**
+ * Return an ``xupdate:element``, ``xupdate:text``, ``xupdate:comment`` or
+ * ``xupdate:processing-instruction`` constructor for the given DOM node.
+ */
+XUpdateDeltaAdapter.prototype.constructNodeElement = function(doc, domnode) {
+    var element, child;
+
+    switch (domnode.nodeType) {
+        case domnode.TEXT_NODE:
+            element = doc.createElementNS(XUPDATE_NAMESPACE, 'xupdate:text');
+            element.appendChild(doc.createTextNode(domnode.nodeValue));
+            return element;
+
+        case domnode.CDATA_SECTION_NODE:
+            element = doc.createElementNS(XUPDATE_NAMESPACE, 'xupdate:text');
+            element.appendChild(doc.createCDATASection(domnode.nodeValue));
+            return element;
+
+        case domnode.COMMENT_NODE:
+            element = doc.createElementNS(XUPDATE_NAMESPACE,
+                    'xupdate:comment');
+            element.appendChild(doc.createTextNode(domnode.nodeValue));
+            return element;
+
+        case domnode.PROCESSING_INSTRUCTION_NODE:
+            element = doc.createElementNS(XUPDATE_NAMESPACE,
+                    'xupdate:processing-instruction');
+            element.setAttribute('name', domnode.target);
+            element.appendChild(doc.createTextNode(domnode.data));
+            return element;
+    }
+
+    element = doc.createElementNS(XUPDATE_NAMESPACE, 'xupdate:element');
+    element.setAttribute('name', domnode.nodeName);
+    if (domnode.namespaceURI) {
+        element.setAttribute('namespace', domnode.namespaceURI);
+    }
+
+    attributesOf(domnode).forEach(function(attr) {
+        element.appendChild(this.constructAttributeElement(doc, attr));
+    }, this);
+
+    for (child = domnode.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === child.ELEMENT_NODE || xmlpatch.nodeTestOf(child)) {
+            element.appendChild(this.constructNodeElement(doc, child));
+        }
+    }
+
+    return element;
+};
+
+
+/**
+ * Create a new XUpdate interpreter resolving operations against the given
+ * tree. Operations must be attached in sequence. The children of the tree
+ * nodes are updated immediately and the DOM node which replaces an element
+ * is recorded, such that every operation is resolved against the state of the
+ * document after all previous operations. The DOM is only modified when the
+ * handlers are toggled.
+ *
+ * @param {tree.Node}   root        The root node of the document tree.
+ * @param {Object}      treeadapter An instance of DOMTreeAdapter used to
+ *         build the trees of inserted nodes.
+ *
+ * @constructor
+ */
+function XUpdateAttacher(root, treeadapter) {
+    this.root = root;
+    this.treeadapter = treeadapter;
+    this.handlerfactory = new domhandler.DOMOperationHandlerFactory();
+
+    // The DOM node of a tree.Node after all operations attached so far.
+    this.datamap = new domhandler.DOMOperationNodeDataMap('xupdateDOMNode');
+}
+
+
+/**
+ * Resolve one XUpdate operation and return a new attached operation
+ * instance. Throws an error if the operation cannot be applied.
+ */
+XUpdateAttacher.prototype.attach = function(op) {
+    var steps = xmlpatch.parseSelector(op.select, op.namespaces),
+        last = steps[steps.length - 1], node;
+
+    if (last && last.kind === 'attribute') {
+        node = this.select(op.select, steps.slice(0, -1));
+        return this.updateAttribute(node, last, op.op, op.content);
+    }
+
+    node = this.select(op.select, steps);
+
+    switch (op.op) {
+        case 'insert-before':
+        case 'insert-after':
+            if (!node.par) {
+                throw new Error('Cannot insert siblings of the document node');
+            }
+            return this.splice(node.par,
+                    node.childidx + (op.op === 'insert-after' ? 1 : 0), 0,
+                    op.content);
+
+        case 'append':
+            return this.append(node, op);
+
+        case 'update':
+            if (!node.par) {
+                throw new Error('Cannot update the document node');
+            }
+            else if (node.data.nodeType === node.data.ELEMENT_NODE) {
+                return this.splice(node, 0, node.children.length,
+                        this.createText(op.content));
+            }
+            return this.splice(node.par, node.childidx, 1,
+                    this.createValue(node.data, op.content));
+
+        case 'remove':
+            if (!node.par) {
+                throw new Error('Cannot remove the document node');
+            }
+            return this.splice(node.par, node.childidx, 1, []);
+
+        case 'rename':
+            return this.rename(node, op);
+    }
+
+    throw new Error('Encountered unsupported XUpdate operation');
+};
+
+
+/**
+ * Return the current state of the given node. The tree is kept up to date,
+ * only the DOM node needs to be looked up.
+ */
+XUpdateAttacher.prototype.stateOf = function(node) {
+    return {'node': node, 'par': node.par, 'children': node.children,
+        'dom': this.datamap.getCurrentDOMNode(node)};
+};
+
+
+XUpdateAttacher.prototype.test = function(node, step) {
+    return xmlpatch.XMLPatchAttacher.prototype.test.call(this, node, step);
+};
+
+
+XUpdateAttacher.prototype.select = function(select, steps) {
+    return xmlpatch.XMLPatchAttacher.prototype.select.call(this, select,
+            steps);
+};
+
+
+/**
+ * Return the path of the given node as an array of child indices.
+ */
+XUpdateAttacher.prototype.pathOf = function(node) {
+    var result = [];
+
+    for (; node.par; node = node.par) {
+        result.unshift(node.childidx);
+    }
+
+    return result;
+};
+
+
+/**
+ * Return an array with a tree.Node wrapping a new text node.
+ */
+XUpdateAttacher.prototype.createText = function(value) {
+    var doc = this.root.data;
+    return value ? [this.treeadapter.adaptElement(doc.createTextNode(value))] : [];
+};
+
+
+/**
+ * Return an array with a tree.Node wrapping a new node of the same type as
+ * the given text node, CDATA section, comment or processing instruction.
+ */
+XUpdateAttacher.prototype.createValue = function(domnode, value) {
+    var doc = this.root.data;
+
+    switch (domnode.nodeType) {
+        case domnode.CDATA_SECTION_NODE:
+            return [this.treeadapter.adaptElement(
+                    doc.createCDATASection(value || ''))];
+
+        case domnode.COMMENT_NODE:
+            return [this.treeadapter.adaptElement(
+                    doc.createComment(value || ''))];
+
+        case domnode.PROCESSING_INSTRUCTION_NODE:
+            return [this.treeadapter.adaptElement(
+                    doc.createProcessingInstruction(domnode.target,
+                        value || ''))];
+    }
+
+    return this.createText(value);
+};
+
+
+/**
+ * Return an attached operation inserting the content of an ``append``
+ * operation into the given element.
+ */
+XUpdateAttacher.prototype.append = function(node, op) {
+    var index = node.children.length;
+
+    if (op.attributes.length && op.content.length) {
+        throw new Error('Cannot append attributes and nodes in one operation');
+    }
+    else if (op.attributes.length) {
+        return this.updateAttributes(node, function(dom) {
+            op.attributes.forEach(function(attr) {
+                if (findAttribute(dom, attr)) {
+                    throw new Error('Attribute "' + attr.name + '" already exists');
+                }
+                dom.setAttributeNS(attr.namespaceURI || null, attr.name,
+                    attr.value);
+            });
+        });
+    }
+
+    if (op.child) {
+        index = op.child - 1;
+        if (index > node.children.length) {
+            throw new Error('Child position ' + op.child + ' out of bounds');
+        }
+    }
+
+    return this.splice(node, index, 0, op.content);
+};
+
+
+/**
+ * Return an attached operation replacing a sequence of children of the given
+ * node. The tree is updated accordingly.
+ */
+XUpdateAttacher.prototype.splice = function(par, index, length, nodes) {
+    var anchor = new tree.Anchor(this.root, par, index), handler, old,
+        inserted, path = this.pathOf(par).concat([index]);
+
+    if (par.data.nodeType !== par.data.ELEMENT_NODE &&
+            par.data.nodeType !== par.data.DOCUMENT_NODE) {
+        throw new Error('Cannot insert nodes into a text node');
+    }
+
+    handler = this.handlerfactory.createForestUpdateOperationHandler(anchor,
+            length, nodes);
+
+    if (par.data.nodeType === par.data.DOCUMENT_NODE) {
+        xmlpatch.checkDocumentChildren(par.children.slice(0, index).concat(
+                    nodes, par.children.slice(index + length)).map(function(node) {
+            return this.datamap.getCurrentDOMNode(node);
+        }, this));
+    }
+
+    inserted = handler.newnodes.map(function(dom) {
+        return this.treeadapter.adaptElement(dom);
+    }, this);
+    old = par.children.splice.apply(par.children,
+            [index, length].concat(inserted));
+    updateChildren(par);
+
+    return new deltamod.AttachedOperation(anchor,
+            deltamod.UPDATE_FOREST_TYPE, path, old, inserted, handler);
+};
+
+
+/**
+ * Return an attached operation replacing the given element with a copy
+ * modified by the callback. The tree is updated accordingly.
+ */
+XUpdateAttacher.prototype.updateAttributes = function(node, callback) {
+    return this.updateNode(node,
+            this.datamap.getCurrentDOMNode(node).cloneNode(false), callback);
+};
+
+
+/**
+ * Return an attached operation replacing the given element with the given
+ * new element after passing it to the callback. The handler is constructed
+ * directly instead of using the factory because the element may already have
+ * been replaced by a previous operation.
+ */
+XUpdateAttacher.prototype.updateNode = function(node, dom, callback) {
+    var anchor = new tree.Anchor(this.root, node), handler, newnode;
+
+    if (node.data.nodeType !== node.data.ELEMENT_NODE) {
+        throw new Error('Cannot update attributes of a text node');
+    }
+
+    if (callback) {
+        callback.call(this, dom);
+    }
+
+    newnode = new tree.Node(dom.nodeName, dom);
+    handler = new domhandler.DOMNodeReplaceOperationHandler(node,
+            this.handlerfactory.dataMap, this.datamap.getCurrentDOMNode(node),
+            dom);
+    this.datamap.setCurrentDOMNode(node, dom);
+
+    return new deltamod.AttachedOperation(anchor, deltamod.UPDATE_NODE_TYPE,
+            this.pathOf(node), [node], [newnode], handler);
+};
+
+
+/**
+ * Return an attached operation updating or removing an attribute of the
+ * given element.
+ */
+XUpdateAttacher.prototype.updateAttribute = function(node, name, op, value) {
+    return this.updateAttributes(node, function(dom) {
+        var attr = dom.getAttributeNodeNS(name.ns, name.local);
+
+        if (!attr) {
+            throw new Error('No attribute "' + name.local + '" found');
+        }
+
+        switch (op) {
+            case 'update':
+                attr.value = value || '';
+                break;
+
+            case 'remove':
+                dom.removeAttributeNode(attr);
+                break;
+
+            default:
+                throw new Error('XUpdate operation "' + op +
+                        '" not supported on attributes');
+        }
+    });
+};
+
+
+/**
+ * Return an attached operation renaming the given element.
+ */
+XUpdateAttacher.prototype.rename = function(node, op) {
+    var name = xmlpatch.parseSelector(op.content, op.namespaces)[0],
+        qname = op.content, dom;
+
+    if (node.data.nodeType !== node.data.ELEMENT_NODE) {
+        throw new Error('Cannot rename a text node');
+    }
+
+    dom = node.data.ownerDocument.createElementNS(name.ns, qname);
+    attributesOf(this.datamap.getCurrentDOMNode(node)).forEach(function(attr) {
+        dom.setAttributeNS(attr.namespaceURI || null, attr.name, attr.value);
+    });
+
+    return this.updateNode(node, dom);
+};
+
+
+exports.XUpdateOperation = XUpdateOperation;
+exports.XUpdateDetacher = XUpdateDetacher;
+exports.XUpdateDeltaAdapter = XUpdateDeltaAdapter;
+exports.XUpdateAttacher = XUpdateAttacher;
@@ -1,7 +1,12 @@
 var fs  = require('fs');
+var path = require('path');
 var mime = require('mime');
 
 exports.checkfile = checkfile;
+exports.checkdir = checkdir;
+exports.listFiles = listFiles;
+exports.makeDirectories = makeDirectories;
+exports.removeEmptyDirectories = removeEmptyDirectories;
 
 /**
  * Ensure that the filepath is accessible and check its mime type.
@@ -36,3 +41,84 @@ function checkfile(description, filepath, wantmime, onError) {
 
     return filemime;
 }
+
+
+/**
+ * Ensure that the dirpath points to a directory.
+ *
+ * The callback `onError` is yield with an error message if the check fails.
+ * Default callback logs the message and exits the process.
+ *
+ * @param  {string}    description  directory description to use in error messages
+ * @param  {string}    dirpath      path to the directory to check
+ * @param  {function}  onError      optional, callback called when the check fails
+ */
+function checkdir(description, dirpath, onError) {
+    if (onError === undefined) {
+        onError = function(msg){
+            console.error(msg);
+            process.exit(1);
+        };
+    }
+
+    if (!dirpath || !fs.existsSync(dirpath) ||
+            !fs.statSync(dirpath).isDirectory()) {
+        return onError('Path to ' + description + ' missing or not a directory. Use the -h switch for help.');
+    }
+}
+
+
+/**
+ * Return the paths of all files below the given directory, relative to it and
+ * sorted. Path components are separated by slashes regardless of platform.
+ *
+ * @param  {string}    dirpath      path to the directory
+ * @return {Array} sorted list of relative file paths.
+ */
+function listFiles(dirpath) {
+    var result = [];
+
+    (function walk(relpath) {
+        fs.readdirSync(path.join(dirpath, relpath)).forEach(function(name) {
+            var child = relpath ? relpath + '/' + name : name;
+            if (fs.statSync(path.join(dirpath, child)).isDirectory()) {
+                walk(child);
+            }
+            else {
+                result.push(child);
+            }
+        });
+    }(''));
+
+    return result.sort();
+}
+
+
+/**
+ * Create the given directory including any missing parent directories.
+ *
+ * @param  {string}    dirpath      path to the directory
+ */
+function makeDirectories(dirpath) {
+    if (!fs.existsSync(dirpath)) {
+        makeDirectories(path.dirname(dirpath));
+        fs.mkdirSync(dirpath);
+    }
+}
+
+
+/**
+ * Remove the given directory and its parents as long as they are empty. The
+ * directory stop and its parents are never removed.
+ *
+ * @param  {string}    dirpath      path to the directory
+ * @param  {string}    stop         path to the topmost directory to keep
+ */
+function removeEmptyDirectories(dirpath, stop) {
+    if (path.resolve(dirpath) !== path.resolve(stop) &&
+            path.resolve(dirpath).indexOf(path.resolve(stop) + path.sep) === 0 &&
+            fs.readdirSync(dirpath).length === 0) {
+        fs.rmdirSync(dirpath);
+        removeEmptyDirectories(path.dirname(dirpath), stop);
+    }
+}
@@ -0,0 +1,218 @@
+var fs  = require('fs');
+var mime = require('mime');
+var child_process = require('child_process');
+var diff = require('../delta/diff');
+var merge = require('../delta/merge');
+var dommerge = require('../delta/dommerge');
+var profiles = require('../profiles');
+
+exports.indentOf = indentOf;
+exports.runGit = runGit;
+exports.diffCommand = diffCommand;
+exports.mergeCommand = mergeCommand;
+
+/**
+ * Git passes /dev/null for the missing side of added and removed files.
+ */
+var NULL_FILE = '/dev/null';
+exports.NULL_FILE = NULL_FILE;
+
+
+/**
+ * Return the payload type for the given path or undefined if the file type is
+ * not supported.
+ *
+ * @param  {string}    filepath     path of the file
+ * @param  {object}    options      command options
+ * @return {string} the payload type, e.g. ``xml`` or ``json``.
+ */
+function payloadTypeOf(filepath, options) {
+    return options.filetype || profiles.getPayloadType(mime.lookup(filepath));
+}
+
+
+/**
+ * Return the indentation used in the given JSON text or undefined if it is
+ * written on a single line.
+ *
+ * @param  {string}    text         a serialized JSON document
+ * @return {string} the whitespace preceeding the first indented line.
+ */
+function indentOf(text) {
+    var m = /\n([ \t]+)\S/.exec(text);
+    return m ? m[1] : undefined;
+}
+
+
+/**
+ * Run git with the given arguments, passing through its output.
+ *
+ * @param  {Array}     args         command line arguments
+ * @return {number} the exit status of git.
+ * @throws {Error} if git cannot be run at all.
+ */
+function runGit(args) {
+    var result = child_process.spawnSync('git', args, {'stdio': 'inherit'});
+
+    if (result.error) {
+        throw new Error('Failed to run git: ' + result.error.message);
+    }
+
+    return result.status;
+}
+
+
+/**
+ * Fill in the defaults of the functions used for running git and for
+ * writing output.
+ */
+function withDefaults(options) {
+    return {
+        'git': options.git || runGit,
+        'puts': options.puts || console.log,
+        'warn': options.warn || console.warn
+    };
+}
+
+
+/**
+ * Implements the external diff protocol of git. Invoked with the arguments
+ * ``path old-file old-hex old-mode new-file new-hex new-mode``, or only with
+ * ``path`` for unmerged paths. Added, removed and unsupported files are
+ * compared by git itself.
+ *
+ * Besides ``diffProfile``, ``patchtype``, ``filetype`` and ``whitespace``,
+ * the options may supply the functions ``git(args)``, ``puts(text)`` and
+ * ``warn(text)`` replacing runGit, console.log and console.warn.
+ *
+ * @param  {Array}     args         command line arguments
+ * @param  {object}    options      command options
+ * @return {number} the exit status, 0 on success and 2 on usage errors.
+ */
+function diffCommand(args, options) {
+    var filepath = args[0], oldfile = args[1], newfile = args[4],
+        io = withDefaults(options), payloadType, documentProfile,
+        deltaProfile, doc1, doc2, d;
+
+    if (args.length === 1) {
+        io.puts('* Unmerged path ' + filepath);
+        return 0;
+    }
+    else if (args.length !== 7) {
+        io.warn('djgit diff expects 7 arguments, use it as GIT_EXTERNAL_DIFF or diff driver');
+        return 2;
+    }
+
+    payloadType = payloadTypeOf(filepath, options);
+    if (!payloadType || oldfile === NULL_FILE || newfile === NULL_FILE) {
+        // Git aborts if an external diff exits with a non-zero status
+        io.git(['diff', '--no-index', '--no-ext-diff', '--', oldfile, newfile]);
+        return 0;
+    }
+
+    documentProfile = profiles.getDocumentProfile(payloadType, {
+        'whitespace': options.whitespace
+    });
+    deltaProfile = profiles.getDeltaProfile(options.patchtype);
+
+    doc1 = documentProfile.loadOriginalDocument(
+            fs.readFileSync(oldfile, 'UTF-8'), oldfile);
+    doc2 = documentProfile.loadInputDocument(
+            fs.readFileSync(newfile, 'UTF-8'), newfile);
+
+    d = new diff.Diff(options.diffProfile, documentProfile, deltaProfile);
+
+    io.puts('diff --deltajs a/' + filepath + ' b/' + filepath);
+    io.puts('index ' + args[2].slice(0, 7) + '..' + args[5].slice(0, 7) +
+            (args[3] === args[6] ? ' ' + args[6] : ''));
+    io.puts(deltaProfile.serializeDocument(d.diff(doc1, doc2)));
+
+    return 0;
+}
+
+
+/**
+ * Implements the merge driver protocol of git. Invoked with the arguments
+ * ``%O %A %B %L %P``, i.e. the common ancestor, our version, their version,
+ * the size of conflict markers and the path of the file. The result is
+ * written to our version. Changes from base to theirs are applied onto ours,
+ * conflicting and unresolved changes are marked in XML documents. JSON
+ * documents with conflicts and unsupported files are merged by git line by
+ * line.
+ *
+ * Accepts the same options as diffCommand and in addition ``markers``.
+ *
+ * @param  {Array}     args         command line arguments
+ * @param  {object}    options      command options
+ * @return {number} the exit status, 0 on success, 1 if conflicts remain and
+ *         2 on usage errors.
+ */
+function mergeCommand(args, options) {
+    var basefile = args[0], oursfile = args[1], theirsfile = args[2],
+        markersize = args[3] || '7', filepath = args[4] || oursfile,
+        io = withDefaults(options), payloadType, documentProfile,
+        deltaProfile, marker, oursText, base, ours, theirs, m, conflicts,
+        result, indent, mergeFile;
+
+    if (args.length < 3) {
+        io.warn('djgit merge expects the arguments %O %A %B %L %P');
+        return 2;
+    }
+
+    mergeFile = function() {
+        return io.git(['merge-file', '--marker-size=' + markersize,
+                '-L', 'ours', '-L', 'base', '-L', 'theirs',
+                oursfile, basefile, theirsfile]) ? 1 : 0;
+    };
+
+    payloadType = payloadTypeOf(filepath, options);
+    if (!payloadType) {
+        return mergeFile();
+    }
+
+    documentProfile = profiles.getDocumentProfile(payloadType, {
+        'whitespace': options.whitespace
+    });
+    deltaProfile = profiles.getDeltaProfile(payloadType);
+
+    if (payloadType === 'xml') {
+        marker = options.markers === 'element' ?
+            new dommerge.ElementConflictMarker() :
+            new dommerge.PIConflictMarker();
+    }
+    else {
+        // Conflicts are not marked within JSON documents.
+        marker = {'mark': function() {}};
+    }
+
+    oursText = fs.readFileSync(oursfile, 'UTF-8');
+    base = documentProfile.loadOriginalDocument(
+            fs.readFileSync(basefile, 'UTF-8'), basefile);
+    ours = documentProfile.loadOriginalDocument(oursText, oursfile);
+    theirs = documentProfile.loadInputDocument(
+            fs.readFileSync(theirsfile, 'UTF-8'), theirsfile);
+
+    m = new merge.Merge(options.diffProfile, documentProfile, deltaProfile,
+            profiles.getResolverProfile(), marker);
+    conflicts = m.merge(base, ours, theirs);
+
+    if (conflicts && payloadType !== 'xml') {
+        io.warn(filepath + ': ' + conflicts +
+                ' conflict(s) found, falling back to line based merge');
+        return mergeFile();
+    }
+
+    result = documentProfile.serializeDocument(ours);
+    indent = payloadType === 'json' && indentOf(oursText);
+    if (indent) {
+        result = JSON.stringify(JSON.parse(result), null, indent);
+    }
+    fs.writeFileSync(oursfile, result + '\n', 'UTF-8');
+
+    if (conflicts) {
+        io.warn(filepath + ': ' + conflicts + ' conflict(s) found');
+        return 1;
+    }
+
+    return 0;
+}
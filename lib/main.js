@@ -9,6 +9,12 @@ module.exports.domtree = require('./delta/domtree');
 module.exports.jsobjecttree = require('./delta/jsobjecttree');
 module.exports.domdelta = require('./delta/domdelta');
 module.exports.jsondelta= require('./delta/jsondelta');
+module.exports.jsonpatch = require('./delta/jsonpatch');
+module.exports.xmlpatch = require('./delta/xmlpatch');
+module.exports.xupdate = require('./delta/xupdate');
 module.exports.xmlpayload = require('./delta/xmlpayload');
 module.exports.jsonpayload = require('./delta/jsonpayload');
 module.exports.delta = require('./delta/delta');
+module.exports.prettyprint = require('./delta/prettyprint');
+module.exports.docannotator = require('./delta/docannotator');
+module.exports.htmlreport = require('./delta/htmlreport');
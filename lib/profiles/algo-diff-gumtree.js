@@ -0,0 +1,2 @@
+var factory = require('../delta/diff-gumtree-factory.js');
+module.exports = new factory.DiffGumtreeFactory();
@@ -0,0 +1,2 @@
+var factory = require('../delta/diff-ted-factory.js');
+module.exports = new factory.DiffTEDFactory();
@@ -0,0 +1,2 @@
+var factory = require('../delta/delta-jsonpatch-factory');
+module.exports = new factory.DeltaJSONPatchFactory();
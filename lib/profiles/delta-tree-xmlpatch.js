@@ -0,0 +1,2 @@
+var factory = require('../delta/delta-xmlpatch-factory');
+module.exports = new factory.DeltaXMLPatchFactory();
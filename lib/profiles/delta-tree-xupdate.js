@@ -0,0 +1,2 @@
+var factory = require('../delta/delta-xupdate-factory');
+module.exports = new factory.DeltaXUpdateFactory();
@@ -0,0 +1,2 @@
+var factory = require('../delta/doc-json-factory.js');
+module.exports = new factory.DocumentJSONFactory();
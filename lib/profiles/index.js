@@ -12,16 +12,48 @@ exports.getPayloadType = function(mimetype) {
 
 
 /**
- * Return proper diff profile
+ * Return proper diff profile. The following options are recognized:
+ *
+ * - maxNodes: The number of nodes a document may have at most in order to
+ *   be compared using the ``ted`` algorithm. Larger documents are compared
+ *   using skelmatch.
+ * - lcs: Options passed to the LCS runs of the ``skelmatch`` and ``xcc``
+ *   algorithms, an object with the properties ``maxCost`` (maximum number
+ *   of edit operations examined), ``budget`` (time in milliseconds) and
+ *   ``algorithm`` (``myers``, ``patience`` or ``histogram``).
  */
-exports.getDiffProfile = function(type) {
-    var result;
+exports.getDiffProfile = function(type, options) {
+    var result, factory;
     switch(type) {
         case 'skelmatch':
             result = require('./algo-diff-skelmatch');
+            if (options && options.lcs) {
+                factory = require('../delta/diff-skelmatch-factory.js');
+                result = new factory.DiffSkelmatchFactory({
+                    'lcs': options.lcs
+                });
+            }
             break;
         case 'xcc':
             result = require('./algo-diff-xcc');
+            if (options && options.lcs) {
+                factory = require('../delta/diff-xcc-factory.js');
+                result = new factory.DiffXCCFactory({
+                    'ludRejectCallbacks': undefined,
+                    'detectLeafUpdates': true,
+                    'lcs': options.lcs
+                });
+            }
+            break;
+        case 'gumtree':
+            result = require('./algo-diff-gumtree');
+            break;
+        case 'ted':
+            result = require('./algo-diff-ted');
+            if (options && options.maxNodes) {
+                factory = require('../delta/diff-ted-factory.js');
+                result = new factory.DiffTEDFactory(options);
+            }
             break;
     }
 
@@ -38,16 +70,25 @@ exports.getResolverProfile = function() {
 
 
 /**
- * Return proper document profile
+ * Return proper document profile. The following options are recognized:
+ *
+ * - whitespace: The whitespace policy for XML documents, one of
+ *   ``preserve`` (default), ``ignore`` or ``normalize``.
+ * - textdiff: Record changes of XML texts inline using ``word`` or ``char``
+ *   tokens.
  */
-exports.getDocumentProfile = function(type) {
-    var result;
+exports.getDocumentProfile = function(type, options) {
+    var result, factory;
     switch(type) {
         case 'json':
             result = require('./doc-tree-json');
             break;
         case 'xml':
             result = require('./doc-tree-xml');
+            if (options && (options.whitespace || options.textdiff)) {
+                factory = require('../delta/doc-xml-factory.js');
+                result = new factory.DocumentXMLFactory(options);
+            }
             break;
     }
 
@@ -64,9 +105,18 @@ exports.getDeltaProfile = function(type) {
         case 'json':
             result = require('./delta-tree-json');
             break;
+        case 'jsonpatch':
+            result = require('./delta-tree-jsonpatch');
+            break;
         case 'xml':
             result = require('./delta-tree-xml');
             break;
+        case 'xmlpatch':
+            result = require('./delta-tree-xmlpatch');
+            break;
+        case 'xupdate':
+            result = require('./delta-tree-xupdate');
+            break;
     }
 
     return result;
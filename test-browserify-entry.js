@@ -1,4 +1,6 @@
 DELTAJS_ALLTESTS = {
+    "Anchored LCS Test"                 : require("./test/anchoredlcsTest.js"),
+    "Bundle Test"                       : require("./test/bundleTest.js"),
     "Context Generator Test"            : require("./test/ContextGeneratorTest"),
     "Context Resolver Test"             : require("./test/contextResolverTest.js"),
     "Context Window Test"               : require("./test/contextWindowTest.js"),
@@ -8,12 +10,26 @@ DELTAJS_ALLTESTS = {
     "DOM Node Hash Test"                : require("./test/DOMNodeHashTest.js"),
     "FNV-1 32 Test"                     : require("./test/fnv132Test.js"),
     "Generation Index Test"             : require("./test/generationIndexTest.js"),
+    "GumTree Test"                      : require("./test/gumtreeTest.js"),
+    "HTML Report Test"                  : require("./test/htmlreportTest.js"),
+    "JS Object Tree Test"               : require("./test/jsobjecttreeTest.js"),
+    "JSON Diff/Patch Roundtrip Test"    : require("./test/jsonRoundtripTest.js"),
+    "JSON Patch Test"                   : require("./test/jsonpatchTest.js"),
     "LCS Test"                          : require("./test/lcsTest.js"),
+    "Merge Test"                        : require("./test/mergeTest.js"),
+    "Move Match Test"                   : require("./test/movematchTest.js"),
+    "Patch Report Test"                 : require("./test/patchReportTest.js"),
+    "Pretty Print Test"                 : require("./test/prettyprintTest.js"),
     "Resolver Test"                     : require("./test/resolverTest.js"),
+    "Reverse Patch Test"                : require("./test/reverseTest.js"),
     "Skel-match Test"                   : require("./test/skelmatchTest.js"),
+    "Text Diff Test"                    : require("./test/textdiffTest.js"),
     "Top-Down Path Resolver Test"       : require("./test/TopDownPathResolverTest.js"),
+    "Tree Edit Distance Test"           : require("./test/tedTest.js"),
     "Tree test"                         : require("./test/treeTest.js"),
     "Weighted Context Matcher Test"     : require("./test/WeightedContextMatcherTest.js"),
     "XCC Test"                          : require("./test/xccTest.js"),
     "XML Diff/Patch Roundtrip Test"     : require("./test/xmlRoundtripTest.js"),
+    "XML Patch Test"                    : require("./test/xmlpatchTest.js"),
+    "XUpdate Test"                      : require("./test/xupdateTest.js"),
 };
@@ -186,3 +186,97 @@ exports['should return different hash for non-equal texts'] = function(test) {
 
     test.done();
 }
+
+
+exports['should distinguish texts, CDATA sections and comments'] = function(test) {
+    var domhash = new domtree.DOMNodeHash(fnv132.Hash);
+    var text = new tree.Node('#text', doc.createTextNode('fish'));
+    var cdata = new tree.Node('#cdata-section', doc.createCDATASection('fish'));
+    var comment = new tree.Node('#comment', doc.createComment('fish'));
+
+    test.notEqual(domhash.process(text), domhash.process(cdata));
+    test.notEqual(domhash.process(text), domhash.process(comment));
+    test.notEqual(domhash.process(cdata), domhash.process(comment));
+
+    test.done();
+}
+
+
+exports['should consider target and data of processing instructions'] = function(test) {
+    var domhash = new domtree.DOMNodeHash(fnv132.Hash);
+    var pi1 = new tree.Node('a', doc.createProcessingInstruction('a', 'bc'));
+    var pi2 = new tree.Node('a', doc.createProcessingInstruction('a', 'bc'));
+    var pi3 = new tree.Node('a', doc.createProcessingInstruction('a', 'bd'));
+    var pi4 = new tree.Node('ab', doc.createProcessingInstruction('ab', 'c'));
+
+    test.equals(domhash.process(pi1), domhash.process(pi2));
+    test.notEqual(domhash.process(pi1), domhash.process(pi3));
+    test.notEqual(domhash.process(pi1), domhash.process(pi4));
+
+    test.done();
+}
+
+
+exports['should consider namespace declarations'] = function(test) {
+    var domhash = new domtree.DOMNodeHash(fnv132.Hash);
+    var XMLNS = 'http://www.w3.org/2000/xmlns/';
+    var c1 = new tree.Node('c', doc.createElementNS(null, 'c'));
+    var c2 = new tree.Node('c', doc.createElementNS(null, 'c'));
+    var c3 = new tree.Node('c', doc.createElementNS(null, 'c'));
+    var c4 = new tree.Node('c', doc.createElementNS(null, 'c'));
+
+    c2.data.setAttributeNS(XMLNS, 'xmlns:x', 'urn:x');
+    c3.data.setAttributeNS(XMLNS, 'xmlns:x', 'urn:y');
+    c4.data.setAttributeNS(XMLNS, 'xmlns:x', 'urn:x');
+
+    test.notEqual(domhash.process(c1), domhash.process(c2));
+    test.notEqual(domhash.process(c2), domhash.process(c3));
+    test.equals(domhash.process(c2), domhash.process(c4));
+
+    test.done();
+}
+
+
+exports['should consider prefixes of elements and attributes'] = function(test) {
+    var domhash = new domtree.DOMNodeHash(fnv132.Hash);
+    var c1 = new tree.Node('c', doc.createElementNS('urn:test', 'pfx1:c'));
+    var c2 = new tree.Node('c', doc.createElementNS('urn:test', 'pfx2:c'));
+    var c3 = new tree.Node('c', doc.createElementNS(null, 'c'));
+    var c4 = new tree.Node('c', doc.createElementNS(null, 'c'));
+
+    c3.data.setAttributeNS('urn:test', 'pfx1:a', '1');
+    c4.data.setAttributeNS('urn:test', 'pfx2:a', '1');
+
+    test.notEqual(domhash.process(c1), domhash.process(c2));
+    test.notEqual(domhash.process(c3), domhash.process(c4));
+
+    test.done();
+}
+
+
+exports['should normalize whitespace of texts if requested'] = function(test) {
+    var plain = new domtree.DOMNodeHash(fnv132.Hash);
+    var normalize = new domtree.DOMNodeHash(fnv132.Hash, 'normalize');
+    var t1 = new tree.Node('#text', doc.createTextNode('fish  and\n chips'));
+    var t2 = new tree.Node('#text', doc.createTextNode(' fish and chips\n'));
+
+    test.notEqual(plain.process(t1), plain.process(t2));
+    test.equals(normalize.process(t1), normalize.process(t2));
+
+    test.done();
+}
+
+
+exports['should not normalize whitespace of texts with xml:space preserve'] = function(test) {
+    var normalize = new domtree.DOMNodeHash(fnv132.Hash, 'normalize');
+    var pre = doc.createElementNS(null, 'pre');
+    var t1 = new tree.Node('#text', doc.createTextNode('fish  and chips'));
+    var t2 = new tree.Node('#text', doc.createTextNode('fish and chips'));
+
+    pre.setAttributeNS(domtree.XML_NAMESPACE, 'xml:space', 'preserve');
+    pre.appendChild(t1.data);
+
+    test.notEqual(normalize.process(t1), normalize.process(t2));
+
+    test.done();
+}
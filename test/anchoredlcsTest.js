@@ -0,0 +1,114 @@
+var anchoredlcs = require('../lib/delta/anchoredlcs');
+var lcs = require('../lib/delta/lcs');
+
+/**
+ * Collect the common symbols and ensure that they form a common subsequence.
+ */
+function commonSubsequence(test, lcsinst) {
+    var result = [], lastx = -1, lasty = -1;
+
+    lcsinst.forEachCommonSymbol(function(x, y) {
+        test.ok(x > lastx && y > lasty);
+        test.ok(lcsinst.equals(lcsinst.a[x], lcsinst.b[y]));
+        lastx = x;
+        lasty = y;
+        result.push(lcsinst.a[x]);
+    });
+
+    return result.join('');
+}
+
+/**
+ * Myers algorithm aligns the frequent dashes, patience diff anchors on the
+ * symbol c which occurs exactly once in both sequences.
+ */
+exports.testPatienceAnchorsOnUniqueSymbols = function(test) {
+    var A = '-----ca';
+    var B = '--c-aa-';
+
+    test.equal(commonSubsequence(test, new lcs.LCS(A, B)), '----');
+    test.equal(commonSubsequence(test, new anchoredlcs.AnchoredLCS(A, B, {
+        'algorithm': 'patience'
+    })), '--ca');
+
+    test.done();
+};
+
+/**
+ * Histogram diff anchors on the least frequent symbol b even though it is
+ * not unique in sequence a.
+ */
+exports.testHistogramAnchorsOnRareSymbols = function(test) {
+    var A = 'xa-a-a-bb';
+    var B = 'a-a-b-y';
+
+    test.equal(commonSubsequence(test, new lcs.LCS(A, B)), 'a-a--');
+    test.equal(commonSubsequence(test, new anchoredlcs.AnchoredLCS(A, B, {
+        'algorithm': 'histogram'
+    })), 'a-a-b');
+
+    test.done();
+};
+
+/**
+ * Without any unique symbols, Myers algorithm is used.
+ */
+exports.testFallbackToMyers = function(test) {
+    var A = 'x--y--';
+    var B = '-z-';
+    var lcsinst = new anchoredlcs.AnchoredLCS(A, B);
+
+    test.equal(commonSubsequence(test, lcsinst), '--');
+    test.equal(lcsinst.forEachCommonSymbol(function() {}), 5);
+
+    test.done();
+};
+
+/**
+ * Hash functions are required in order to anchor on other symbols than
+ * strings and numbers.
+ */
+exports.testHashFunctions = function(test) {
+    var A = '-----ca'.split('').map(function(v) {
+        return {'v': v};
+    });
+    var B = '--c-aa-'.split('').map(function(v) {
+        return {'v': v};
+    });
+    var lcsinst = new anchoredlcs.AnchoredLCS(A, B);
+    var result = [];
+
+    lcsinst.equals = function(a, b) {
+        return a.v === b.v;
+    };
+    lcsinst.forEachCommonSymbol(function(x, y) {
+        result.push(A[x].v);
+    });
+    test.equal(result.join(''), '----');
+
+    lcsinst.hasha = lcsinst.hashb = function(symbol) {
+        return symbol.v;
+    };
+    result = [];
+    lcsinst.forEachCommonSymbol(function(x, y) {
+        result.push(A[x].v);
+    });
+    test.equal(result.join(''), '--ca');
+
+    test.done();
+};
+
+/**
+ * Ensure that createLCS returns the requested variant.
+ */
+exports.testCreateLCS = function(test) {
+    test.ok(anchoredlcs.createLCS('a', 'b') instanceof lcs.LCS);
+    test.ok(anchoredlcs.createLCS('a', 'b', {'algorithm': 'myers'}) instanceof lcs.LCS);
+    test.ok(anchoredlcs.createLCS('a', 'b', {'algorithm': 'patience'}) instanceof anchoredlcs.AnchoredLCS);
+    test.ok(anchoredlcs.createLCS('a', 'b', {'algorithm': 'histogram'}) instanceof anchoredlcs.AnchoredLCS);
+    test.throws(function() {
+        anchoredlcs.createLCS('a', 'b', {'algorithm': 'unknown'});
+    });
+
+    test.done();
+};
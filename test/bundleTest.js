@@ -0,0 +1,55 @@
+var bundle = require('../lib/delta/bundle');
+
+/**
+ * A serialized bundle is loaded back with all of its entries.
+ */
+exports.testSerializeAndLoad = function(test) {
+    var b = new bundle.Bundle('xml'), loaded;
+
+    b.modifyFile('a.xml', 'xml', '<delta/>');
+    b.addFile('b/c.json', '{"x": 1}');
+    b.removeFile('d.xml', '<d/>');
+
+    loaded = bundle.loadBundle(b.serialize());
+
+    test.equals(loaded.patchtype, 'xml');
+    test.deepEqual(loaded.files, [
+        {'path': 'a.xml', 'status': 'modified', 'payload': 'xml', 'delta': '<delta/>'},
+        {'path': 'b/c.json', 'status': 'added', 'content': '{"x": 1}'},
+        {'path': 'd.xml', 'status': 'removed', 'content': '<d/>'}
+    ]);
+
+    test.done();
+};
+
+/**
+ * Documents which are not bundles are rejected.
+ */
+exports.testRejectInvalidDocuments = function(test) {
+    test.throws(function() {
+        bundle.loadBundle('<delta/>');
+    });
+    test.throws(function() {
+        bundle.loadBundle('{"files": []}');
+    });
+    test.throws(function() {
+        bundle.loadBundle('{"bundle": 1, "files": [{"path": "a.xml", "status": "renamed"}]}');
+    });
+
+    test.done();
+};
+
+/**
+ * Entries must not point outside of the patched directory.
+ */
+exports.testRejectPathsOutsideDirectory = function(test) {
+    ['', '/etc/passwd', '../a.xml', 'a/../../b.xml'].forEach(function(path) {
+        test.throws(function() {
+            bundle.loadBundle(JSON.stringify({'bundle': 1, 'files': [
+                {'path': path, 'status': 'added', 'content': ''}
+            ]}));
+        });
+    });
+
+    test.done();
+};
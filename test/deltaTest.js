@@ -196,7 +196,7 @@ exports['should attach one handler for each operation in delta'] = function(test
     };
 
     var attacher = new deltamod.Attacher(dummyresolver);
-    var actual_op;
+    var actual_op, expected_op;
 
     // Manually build up tree
     a.append(a1);
@@ -209,8 +209,10 @@ exports['should attach one handler for each operation in delta'] = function(test
         'remove': [a],
         'insert': [b]
     });
-    test.deepEqual(actual_op, new deltamod.AttachedOperation(
-                new tree.Anchor(a), deltamod.UPDATE_NODE_TYPE, [], [a], [b]));
+    expected_op = new deltamod.AttachedOperation(
+                new tree.Anchor(a), deltamod.UPDATE_NODE_TYPE, [], [a], [b]);
+    expected_op.resolution = new resolver.ResolverResult(new tree.Anchor(a));
+    test.deepEqual(actual_op, expected_op);
 
     actual_op = attacher.attach({
         'type': deltamod.UPDATE_FOREST_TYPE,
@@ -218,8 +220,57 @@ exports['should attach one handler for each operation in delta'] = function(test
         'remove': [a2],
         'insert': [b21, b22]
     });
-    test.deepEqual(actual_op, new deltamod.AttachedOperation(
-                new tree.Anchor(a, a2), deltamod.UPDATE_FOREST_TYPE, [1], [a2], [b21, b22]));
+    expected_op = new deltamod.AttachedOperation(
+                new tree.Anchor(a, a2), deltamod.UPDATE_FOREST_TYPE, [1], [a2], [b21, b22]);
+    expected_op.resolution = new resolver.ResolverResult(new tree.Anchor(a, a2));
+    test.deepEqual(actual_op, expected_op);
+
+    test.done();
+};
+
+exports['should not generate operations for reordered children of unordered nodes'] = function(test) {
+    var a = new tree.Node('r');     // match
+    var a1 = new tree.Node('a');    // match
+    var a2 = new tree.Node('b');    // match
+    var a3 = new tree.Node('c');    // no match
+
+    var b = new tree.Node('r');     // match
+    var b1 = new tree.Node('d');    // no match
+    var b2 = new tree.Node('b');    // match
+    var b3 = new tree.Node('a');    // match
+
+    var matching = new tree.Matching();
+    var collector = new deltamod.DeltaCollector(matching, a, b);
+
+    // Manually build tree
+    a.unordered = true;
+    a.append(a1);
+    a.append(a2);
+    a.append(a3);
+
+    b.unordered = true;
+    b.append(b1);
+    b.append(b2);
+    b.append(b3);
+
+    // Manually match trees, pairs are in reverse order.
+    matching.put(a, b);
+    matching.put(a1, b3);
+    matching.put(a2, b2);
+
+    // Unmatched node from tree b is inserted after the last child.
+    var expect_operations = [
+        new deltamod.AttachedOperation(new tree.Anchor(a, a, 2),
+                deltamod.UPDATE_FOREST_TYPE, [2], [a3], [b1])
+        ];
+    var actual_operations = [];
+
+    // Generate patch
+    collector.forEachChange(function(op) {
+        actual_operations.push(op);
+    });
+
+    test.deepEqual(actual_operations, expect_operations);
 
     test.done();
 };
@@ -120,13 +120,46 @@ exports['Simple node replace operation'] = function(test) {
     test.done();
 }
 
+exports['Attribute update operation using operation factory'] = function(test) {
+    var original_doc = dp.parseFromString('<n id="1" name="test" value="3"><a/></n>', 'text/xml');
+    var treeAdapter = new domtree.DOMTreeAdapter();
+    var original_tree = treeAdapter.adaptDocument(original_doc).children[0];
+
+    var attrs_doc = dp.parseFromString('<attrs><n name="test" value="3"/><n value="2" extra="x"/></attrs>', 'text/xml');
+    var attrs_tree = treeAdapter.adaptDocument(attrs_doc).children[0];
+
+    var factory = new domhandler.DOMOperationHandlerFactory();
+    var anchor = new tree.Anchor(original_tree, original_tree);
+    var op = factory.createAttributeUpdateOperationHandler(anchor,
+            attrs_tree.children[0], attrs_tree.children[1]);
+
+    var n = original_doc.firstChild;
+    var a = n.firstChild;
+
+    // remove name, replace value in place and append extra
+    op.toggle();
+    test.deepEqual(attributesArray(n).map(function(attr) {
+        return attr.name + '=' + attr.value;
+    }), ['id=1', 'value=2', 'extra=x']);
+    test.strictEqual(n.firstChild, a);
+
+    // switch back to the original attributes
+    op.toggle();
+    test.equals(n.getAttribute('name'), 'test');
+    test.equals(n.getAttribute('value'), '3');
+    test.ok(!n.hasAttribute('extra'));
+    test.strictEqual(original_doc.firstChild, n);
+
+    test.done();
+}
+
 exports['Insert operation using operation factory'] = function(test) {
     var original_doc = dp.parseFromString('<r><c1/><c2/><c3/><c4/></r>', 'text/xml');
     var treeAdapter = new domtree.DOMTreeAdapter();
-    var original_tree = treeAdapter.adaptDocument(original_doc);
+    var original_tree = treeAdapter.adaptDocument(original_doc).children[0];
 
     var replacement_doc = dp.parseFromString('<insert><c2x/></insert>', 'text/xml');
-    var replacement_tree = treeAdapter.adaptDocument(replacement_doc);
+    var replacement_tree = treeAdapter.adaptDocument(replacement_doc).children[0];
 
     var factory = new domhandler.DOMOperationHandlerFactory();
     var anchor = new tree.Anchor(original_tree, original_tree, 3);
@@ -157,7 +190,7 @@ exports['Insert operation using operation factory'] = function(test) {
 exports['Remove operation using operation factory'] = function(test) {
     var original_doc = dp.parseFromString('<r><c1/><c2/><c3/><c4/></r>', 'text/xml');
     var treeAdapter = new domtree.DOMTreeAdapter();
-    var original_tree = treeAdapter.adaptDocument(original_doc);
+    var original_tree = treeAdapter.adaptDocument(original_doc).children[0];
 
     var factory = new domhandler.DOMOperationHandlerFactory();
     var anchor = new tree.Anchor(original_tree, original_tree, 1);
@@ -184,3 +217,57 @@ exports['Remove operation using operation factory'] = function(test) {
 
     test.done();
 }
+
+exports['Remove operation on tree without whitespace'] = function(test) {
+    var original_doc = dp.parseFromString('<r> <c1/> <c2/> <c3/> <c4/> </r>', 'text/xml');
+    var treeAdapter = new domtree.DOMTreeAdapter('ignore');
+    var original_tree = treeAdapter.adaptDocument(original_doc).children[0];
+
+    var factory = new domhandler.DOMOperationHandlerFactory();
+    var anchor = new tree.Anchor(original_tree, original_tree, 1);
+    var remove_op = factory.createForestUpdateOperationHandler(
+            anchor, 2, []);
+
+    var r = original_doc.firstChild;
+
+    test.equals(original_tree.children.length, 4);
+
+    // remove c2, c3 and the whitespace between them
+    remove_op.toggle();
+    test.equals(new xmlshim.XMLSerializer().serializeToString(r),
+            '<r> <c1/>  <c4/> </r>');
+
+    // switch back to the original nodes, whitespace outside the removed
+    // sequence is left alone
+    remove_op.toggle();
+    test.equals(new xmlshim.XMLSerializer().serializeToString(r),
+            '<r> <c1/>  <c2/> <c3/><c4/> </r>');
+
+    test.done();
+}
+
+exports['Move operation using operation factory'] = function(test) {
+    var original_doc = dp.parseFromString('<r><c1><c2/></c1><c3/><c4/></r>', 'text/xml');
+    var treeAdapter = new domtree.DOMTreeAdapter();
+    var original_tree = treeAdapter.adaptDocument(original_doc).children[0];
+
+    var factory = new domhandler.DOMOperationHandlerFactory();
+    var anchor = new tree.Anchor(original_tree, original_tree.children[0].children[0]);
+    var target = new tree.Anchor(original_tree, original_tree, 2);
+    var move_op = factory.createMoveOperationHandler(anchor, target);
+
+    var serializer = new xmlshim.XMLSerializer();
+    var r = original_doc.firstChild;
+
+    // move c2 before c4
+    move_op.toggle();
+    test.equals(serializer.serializeToString(r),
+            '<r><c1/><c3/><c2/><c4/></r>');
+
+    // switch back to the original position
+    move_op.toggle();
+    test.equals(serializer.serializeToString(r),
+            '<r><c1><c2/></c1><c3/><c4/></r>');
+
+    test.done();
+}
@@ -0,0 +1,182 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var profiles = require('../lib/profiles');
+var gitdriver = require('../lib/extra/gitdriver');
+
+/**
+ * Write the given files into a new temporary directory and return options
+ * recording the invocations of git and the output.
+ */
+function setup(files) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'djgit-')),
+        options = {
+            'dir': dir,
+            'diffProfile': profiles.getDiffProfile('skelmatch'),
+            'patchtype': 'xml',
+            'markers': 'pi',
+            'gitStatus': 0,
+            'gitCalls': [],
+            'output': [],
+            'warnings': []
+        };
+
+    Object.keys(files).forEach(function(name) {
+        fs.writeFileSync(path.join(dir, name), files[name]);
+    });
+
+    options.git = function(args) {
+        options.gitCalls.push(args);
+        return options.gitStatus;
+    };
+    options.puts = function(text) {
+        options.output.push(text);
+    };
+    options.warn = function(text) {
+        options.warnings.push(text);
+    };
+
+    return options;
+}
+
+function teardown(options) {
+    fs.readdirSync(options.dir).forEach(function(name) {
+        fs.unlinkSync(path.join(options.dir, name));
+    });
+    fs.rmdirSync(options.dir);
+}
+
+function file(options, name) {
+    return path.join(options.dir, name);
+}
+
+exports['should detect the indentation of JSON texts'] = function(test) {
+    test.equals(gitdriver.indentOf('{\n  "a": 1\n}'), '  ');
+    test.equals(gitdriver.indentOf('{\n\t"a": [\n\t\t1\n\t]\n}'), '\t');
+    test.equals(gitdriver.indentOf('{"a": 1}\n'), undefined);
+
+    test.done();
+};
+
+exports['should report unmerged paths and reject wrong arguments'] = function(test) {
+    var options = setup({});
+
+    test.equals(gitdriver.diffCommand(['a.xml'], options), 0);
+    test.deepEqual(options.output, ['* Unmerged path a.xml']);
+
+    test.equals(gitdriver.diffCommand(['a.xml', 'x', 'y'], options), 2);
+    test.equals(options.warnings.length, 1);
+
+    test.equals(gitdriver.mergeCommand(['x', 'y'], options), 2);
+    test.equals(options.warnings.length, 2);
+    test.deepEqual(options.gitCalls, []);
+
+    teardown(options);
+    test.done();
+};
+
+exports['should print the delta of changed documents'] = function(test) {
+    var options = setup({'a': '<r><a/></r>', 'b': '<r><a/><b/></r>'});
+    var status = gitdriver.diffCommand(['doc.xml',
+            file(options, 'a'), '1234567890', '100644',
+            file(options, 'b'), 'abcdefabcd', '100644'], options);
+
+    test.equals(status, 0);
+    test.equals(options.output[0], 'diff --deltajs a/doc.xml b/doc.xml');
+    test.equals(options.output[1], 'index 1234567..abcdefa 100644');
+    test.ok(/^<delta>.*<insert/.test(options.output[2]));
+    test.deepEqual(options.gitCalls, []);
+
+    teardown(options);
+    test.done();
+};
+
+exports['should let git compare added and unsupported files'] = function(test) {
+    var options = setup({'a': 'x', 'b': 'y'});
+
+    // Git aborts on non-zero exit status of external diff programs.
+    options.gitStatus = 1;
+
+    test.equals(gitdriver.diffCommand(['doc.txt',
+                file(options, 'a'), '1234567', '100644',
+                file(options, 'b'), '89abcde', '100644'], options), 0);
+    test.equals(gitdriver.diffCommand(['doc.xml',
+                gitdriver.NULL_FILE, '0000000', '.',
+                file(options, 'b'), '89abcde', '100644'], options), 0);
+
+    test.deepEqual(options.gitCalls, [
+        ['diff', '--no-index', '--no-ext-diff', '--', file(options, 'a'), file(options, 'b')],
+        ['diff', '--no-index', '--no-ext-diff', '--', gitdriver.NULL_FILE, file(options, 'b')]
+    ]);
+    test.deepEqual(options.output, []);
+
+    teardown(options);
+    test.done();
+};
+
+exports['should merge JSON documents keeping their indentation'] = function(test) {
+    var options = setup({
+        'base': '{\n    "a": 1,\n    "b": 1\n}\n',
+        'ours': '{\n    "a": 2,\n    "b": 1\n}\n',
+        'theirs': '{"a": 1, "b": 3}'
+    });
+
+    test.equals(gitdriver.mergeCommand([file(options, 'base'),
+                file(options, 'ours'), file(options, 'theirs'), '7',
+                'doc.json'], options), 0);
+    test.equals(fs.readFileSync(file(options, 'ours'), 'UTF-8'),
+            '{\n    "a": 2,\n    "b": 3\n}\n');
+    test.deepEqual(options.gitCalls, []);
+
+    teardown(options);
+    test.done();
+};
+
+exports['should fall back to git merge-file'] = function(test) {
+    var options = setup({
+        'base': '{"a": 1}',
+        'ours': '{"a": 2}',
+        'theirs': '{"a": 3}'
+    });
+    var expected = ['merge-file', '--marker-size=9',
+        '-L', 'ours', '-L', 'base', '-L', 'theirs',
+        file(options, 'ours'), file(options, 'base'), file(options, 'theirs')];
+
+    // JSON documents with conflicts
+    options.gitStatus = 1;
+    test.equals(gitdriver.mergeCommand([file(options, 'base'),
+                file(options, 'ours'), file(options, 'theirs'), '9',
+                'doc.json'], options), 1);
+    test.deepEqual(options.gitCalls, [expected]);
+    test.equals(options.warnings.length, 1);
+    test.equals(fs.readFileSync(file(options, 'ours'), 'UTF-8'), '{"a": 2}');
+
+    // Unsupported files
+    options.gitStatus = 0;
+    test.equals(gitdriver.mergeCommand([file(options, 'base'),
+                file(options, 'ours'), file(options, 'theirs'), '9',
+                'doc.txt'], options), 0);
+    test.deepEqual(options.gitCalls, [expected, expected]);
+
+    teardown(options);
+    test.done();
+};
+
+exports['should mark conflicts in XML documents'] = function(test) {
+    var options = setup({
+        'base': '<r><s>Hello</s></r>',
+        'ours': '<r><s>Hallo</s></r>',
+        'theirs': '<r><s>Ciao</s></r>'
+    });
+
+    test.equals(gitdriver.mergeCommand([file(options, 'base'),
+                file(options, 'ours'), file(options, 'theirs'), '7',
+                'doc.xml'], options), 1);
+    test.equals(fs.readFileSync(file(options, 'ours'), 'UTF-8'),
+            '<r><s><?merge-conflict ours?>Hallo<?merge-conflict theirs?>Ciao<?merge-conflict end?></s></r>\n');
+    test.equals(options.warnings.length, 1);
+    test.deepEqual(options.gitCalls, []);
+
+    teardown(options);
+    test.done();
+};
@@ -0,0 +1,149 @@
+var gumtree = require('../lib/delta/gumtree');
+var tree = require('../lib/delta/tree');
+var fnv132 = require('../lib/delta/fnv132');
+
+function NodeValueHash(HashAlgorithm) {
+    this.process = function(node) {
+        var hash = new HashAlgorithm();
+        hash.update(String(node.value));
+        return hash.get();
+    };
+}
+
+function treeHashIndex() {
+    return new tree.TreeHashIndex(new tree.SimpleTreeHash(fnv132.Hash,
+                new tree.NodeHashIndex(new NodeValueHash(fnv132.Hash))));
+}
+
+/**
+ * Build a tree from nested arrays of the form [value, child, child, ...].
+ */
+function build(spec) {
+    var node = new tree.Node(spec[0]);
+
+    spec.slice(1).forEach(function(child) {
+        node.append(build(child));
+    });
+
+    return node;
+}
+
+function createDiff(a, b, options) {
+    return new gumtree.Diff(a, b, treeHashIndex(), treeHashIndex(), options);
+}
+
+/**
+ * Test two trees consisting of only one node each. Node values are not
+ * equal. Nevertheless roots must be matched as partners.
+ */
+exports.testMatchRootOnlyModified = function(test) {
+    var a = new tree.Node('x');
+    var b = new tree.Node('y');
+    var matching = new tree.Matching();
+
+    createDiff(a, b).matchTrees(matching);
+
+    test.equals(matching.get(b), a);
+
+    test.done();
+};
+
+/**
+ * Isomorphic subtrees are paired in the top-down phase, their container is
+ * paired in the bottom-up phase even though one of its children changed.
+ */
+exports.testMatchContainerByDice = function(test) {
+    var a = build(['r', ['p', ['s', ['t1'], ['t2']], ['s', ['t3'], ['t4']], ['u']]]);
+    var b = build(['r', ['p', ['s', ['t1'], ['t2']], ['s', ['t3'], ['t4']], ['v']]]);
+    var matching = new tree.Matching();
+
+    createDiff(a, b).matchTrees(matching);
+
+    test.equals(matching.get(a.children[0]), b.children[0]);
+    test.equals(matching.get(a.children[0].children[0]), b.children[0].children[0]);
+    test.equals(matching.get(a.children[0].children[1].children[1]),
+            b.children[0].children[1].children[1]);
+    test.equals(matching.get(a.children[0].children[2]), undefined);
+
+    test.done();
+};
+
+/**
+ * Containers sharing too few matched descendants are not paired.
+ */
+exports.testNoMatchForDissimilarContainers = function(test) {
+    var a = build(['r', ['g', ['p', ['s', ['t1'], ['t2']], ['u', ['w1']], ['u', ['w2']]]]]);
+    var b = build(['r', ['h', ['p', ['s', ['t1'], ['t2']], ['v', ['w3']], ['v', ['w4']]]]]);
+    var mappings = new tree.Matching('gumtreepartner');
+    var diff = createDiff(a, b, {'minDice': 0.6});
+
+    diff.matchTopDown(mappings);
+    diff.matchBottomUp(mappings);
+    test.equals(mappings.get(a.children[0].children[0]), undefined);
+
+    a = build(['r', ['g', ['p', ['s', ['t1'], ['t2']], ['u', ['w1']], ['u', ['w2']]]]]);
+    b = build(['r', ['h', ['p', ['s', ['t1'], ['t2']], ['v', ['w3']], ['v', ['w4']]]]]);
+    mappings = new tree.Matching('gumtreepartner');
+    diff = createDiff(a, b, {'minDice': 0.4});
+
+    diff.matchTopDown(mappings);
+    diff.matchBottomUp(mappings);
+    test.equals(mappings.get(a.children[0].children[0]), b.children[0].children[0]);
+
+    test.done();
+};
+
+/**
+ * Subtrees occuring more than once are paired according to the similarity of
+ * their parents.
+ */
+exports.testMatchAmbiguousSubtreesByParent = function(test) {
+    var a = build(['r', ['p', ['s', ['k']], ['x']], ['q', ['s', ['k']], ['m', ['n']]]]);
+    var b = build(['R', ['p', ['s', ['k']], ['y']], ['q', ['s', ['k']], ['m', ['n']], ['o']]]);
+    var mappings = new tree.Matching('gumtreepartner');
+
+    createDiff(a, b).matchTopDown(mappings);
+
+    test.equals(mappings.get(a.children[1].children[1]), b.children[1].children[1]);
+    test.equals(mappings.get(a.children[1].children[0]), b.children[1].children[0]);
+    test.equals(mappings.get(a.children[0].children[0]), b.children[0].children[0]);
+
+    test.done();
+};
+
+/**
+ * Reordered siblings are paired by the algorithm, but only the longest
+ * sequence of pairs in ascending order is retained in the matching.
+ */
+exports.testMatchingIsConsistent = function(test) {
+    var a = build(['r', ['x', ['1'], ['2']], ['y', ['3'], ['4']]]);
+    var b = build(['r', ['y', ['3'], ['4']], ['x', ['1'], ['2']]]);
+    var matching = new tree.Matching();
+
+    createDiff(a, b).matchTrees(matching);
+
+    test.equals(matching.get(a), b);
+    test.ok(!matching.get(a.children[0]) !== !matching.get(a.children[1]));
+
+    test.done();
+};
+
+/**
+ * Children of unordered nodes are paired by their key, even if their values
+ * suggest otherwise.
+ */
+exports.testMatchUnorderedChildrenByKey = function(test) {
+    var a = build(['r', ['x', ['1']], ['y', ['2']]]);
+    var b = build(['r', ['y', ['1']], ['x', ['2']]]);
+    var matching = new tree.Matching();
+
+    a.unordered = true;
+    b.unordered = true;
+
+    createDiff(a, b).matchTrees(matching);
+
+    test.equals(matching.get(a.children[0]), b.children[1]);
+    test.equals(matching.get(a.children[1]), b.children[0]);
+
+    test.done();
+};
@@ -0,0 +1,66 @@
+var xmlshim = require('xmlshim');
+var profiles = require('../lib/profiles');
+var diff = require('../lib/delta/diff');
+var docannotator = require('../lib/delta/docannotator');
+var htmlreport = require('../lib/delta/htmlreport');
+
+var docProfile = profiles.getDocumentProfile('xml');
+
+function parse(src) {
+    return (new xmlshim.DOMParser()).parseFromString(src, 'text/xml');
+}
+
+function serialize(doc) {
+    return (new xmlshim.XMLSerializer()).serializeToString(doc);
+}
+
+exports['annotator should escape the source and insert markup'] = function(test) {
+    var doc = parse('<a><b>1 &amp; 2</b><c><d/></c></a>');
+    var annotator = new docannotator.DocumentAnnotator(doc, 'x');
+    var a = doc.documentElement;
+
+    annotator.wrap([a.firstChild], '<em>', '</em>');
+    annotator.wrapStartTag(a.lastChild, '<i>', '</i>');
+    annotator.mark(a, null, '<u>', '</u>');
+
+    test.equals(annotator.toHTML(),
+        '&lt;a&gt;<em>&lt;b&gt;1 &amp;amp; 2&lt;/b&gt;</em>' +
+        '<i>&lt;c&gt;</i>&lt;d/&gt;&lt;/c&gt;<u></u>&lt;/a&gt;');
+
+    // Marker comments are removed from the document afterwards.
+    test.equals(serialize(doc), '<a><b>1 &amp; 2</b><c><d/></c></a>');
+
+    test.done();
+};
+
+exports['report should highlight changes in both documents'] = function(test) {
+    var orig = '<r><a x="1"><t>A</t></a><b>B</b><c>C</c></r>';
+    var changed = '<r><a x="2"><t>A</t></a><c>C</c><d>D</d></r>';
+    var doc1 = docProfile.loadOriginalDocument(orig);
+    var doc2 = docProfile.loadInputDocument(changed);
+    var d = new diff.Diff(profiles.getDiffProfile('skelmatch'), docProfile,
+            profiles.getDeltaProfile('xml'));
+    var delta = d.diff(doc1, doc2);
+    var report = new htmlreport.HTMLReport(docProfile.createNodeFormatter());
+    var html = report.render(delta, doc1, doc2, 'orig.xml', 'changed.xml');
+
+    test.ok(html.indexOf('<title>Changes between orig.xml and changed.xml</title>') > 0);
+    test.ok(html.indexOf('<li id="op-1">Update attributes of /r/a ' +
+                '(<a href="#op-1-a">original</a>, <a href="#op-1-b">changed</a>)') > 0);
+    test.ok(html.indexOf('<span class="change change-update" id="op-1-a" ' +
+                'title="Update attributes of /r/a">&lt;a x=&quot;1&quot;&gt;</span>') > 0);
+    test.ok(html.indexOf('<span class="change change-update" id="op-1-b" ' +
+                'title="Update attributes of /r/a">&lt;a x=&quot;2&quot;&gt;</span>') > 0);
+    test.ok(html.indexOf('<span class="change change-remove" id="op-2-a" ' +
+                'title="Remove at /r">&lt;b&gt;B&lt;/b&gt;</span>') > 0);
+    test.ok(html.indexOf('<span class="change change-remove" id="op-2-b" ' +
+                'title="Remove at /r"></span>&lt;c&gt;') > 0);
+    test.ok(html.indexOf('<span class="change change-insert" id="op-3-b" ' +
+                'title="Insert at /r">&lt;d&gt;D&lt;/d&gt;</span>') > 0);
+
+    // The documents are not modified.
+    test.equals(docProfile.serializeDocument(doc1), orig);
+    test.equals(docProfile.serializeDocument(doc2), changed);
+
+    test.done();
+};
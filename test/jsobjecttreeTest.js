@@ -0,0 +1,220 @@
+var tree = require('../lib/delta/tree');
+var jsobjecttree = require('../lib/delta/jsobjecttree');
+var fnv132 = require('../lib/delta/fnv132');
+var skelmatch = require('../lib/delta/skelmatch');
+var xcc = require('../lib/delta/xcc');
+var deltamod = require('../lib/delta/delta');
+
+var adapter = new jsobjecttree.JSObjectTreeAdapter();
+
+function hashOf(node) {
+    return (new jsobjecttree.JSObjectNodeHash(fnv132.Hash)).process(node);
+}
+
+function treeHashOf(root) {
+    var valueindex = new tree.NodeHashIndex(
+            new jsobjecttree.JSObjectNodeHash(fnv132.Hash));
+    var treehash = new tree.SimpleTreeHash(fnv132.Hash, valueindex);
+    return treehash.process(root);
+}
+
+exports['should use property names as keys of object members'] = function(test) {
+    var root = adapter.adaptDocument({'a': 1, 'b': {'c': true}});
+
+    test.equals(root.value, undefined);
+    test.equals(root.children.length, 2);
+    test.equals(root.children[0].value, 'a');
+    test.equals(root.children[0].data, 1);
+    test.equals(root.children[1].value, 'b');
+    test.equals(root.children[1].children[0].value, 'c');
+    test.equals(root.children[1].children[0].data, true);
+
+    test.done();
+};
+
+exports['should represent array elements as positional nodes'] = function(test) {
+    var root = adapter.adaptDocument({'list': ['x', ['y']]});
+    var list = root.children[0];
+
+    test.equals(list.value, 'list');
+    test.equals(list.children.length, 2);
+    test.equals(list.children[0].value, undefined);
+    test.equals(list.children[0].data, 'x');
+    test.equals(list.children[1].value, undefined);
+    test.equals(list.children[1].children[0].value, undefined);
+    test.equals(list.children[1].children[0].data, 'y');
+
+    test.done();
+};
+
+exports['should report JSON type of nodes'] = function(test) {
+    var root = adapter.adaptDocument([{}, [], 's', 1, false, null]);
+    var types = root.children.map(function(n) {
+        return adapter.typeOf(n);
+    });
+
+    test.equals(adapter.typeOf(root), 'array');
+    test.deepEqual(types, ['object', 'array', 'string', 'number', 'boolean', 'null']);
+
+    test.done();
+};
+
+exports['should distinguish objects, arrays and scalars'] = function(test) {
+    var obj = adapter.adaptDocument({'a': 1});
+    var arr = adapter.adaptDocument(['a', 1]);
+    var str = adapter.adaptDocument('1');
+    var num = adapter.adaptDocument(1);
+
+    test.notEqual(treeHashOf(obj), treeHashOf(arr));
+    test.notEqual(treeHashOf(obj), treeHashOf(str));
+    test.notEqual(treeHashOf(arr), treeHashOf(str));
+    test.notEqual(hashOf(str), hashOf(num));
+
+    test.done();
+};
+
+exports['should distinguish typed scalar values'] = function(test) {
+    var values = ['null', null, 'true', true, '0', 0, '', '[]', [], '{}', {}];
+    var hashes = values.map(function(v) {
+        return hashOf(new tree.Node(undefined, v));
+    });
+    var i, k;
+
+    for (i = 0; i < hashes.length; i++) {
+        for (k = i + 1; k < hashes.length; k++) {
+            test.notEqual(hashes[i], hashes[k], 'Hash collision between ' +
+                    JSON.stringify(values[i]) + ' and ' + JSON.stringify(values[k]));
+        }
+    }
+
+    test.done();
+};
+
+exports['should consider property names but not array positions'] = function(test) {
+    test.notEqual(hashOf(new tree.Node('a', 1)), hashOf(new tree.Node('b', 1)));
+    test.notEqual(hashOf(new tree.Node('a', 1)), hashOf(new tree.Node(undefined, 1)));
+
+    var a = adapter.adaptDocument(['x', 'y']);
+    var b = adapter.adaptDocument(['y']);
+    test.equals(hashOf(a.children[1]), hashOf(b.children[0]));
+
+    test.done();
+};
+
+exports['should not consider contents of containers'] = function(test) {
+    test.equals(hashOf(new tree.Node('a', {'b': 1})), hashOf(new tree.Node('a', {})));
+    test.equals(hashOf(new tree.Node('a', [1, 2])), hashOf(new tree.Node('a', [])));
+
+    test.done();
+};
+
+function collect(Diff, value1, value2) {
+    var valueindex = new tree.NodeHashIndex(
+            new jsobjecttree.JSObjectNodeHash(fnv132.Hash));
+    var equals = function(a, b) {
+        return valueindex.get(a) === valueindex.get(b);
+    };
+    var a = adapter.adaptDocument(value1);
+    var b = adapter.adaptDocument(value2);
+    var matching = new tree.Matching();
+    var diff = new Diff(a, b);
+    var collector, result = [];
+
+    diff.equals = equals;
+    diff.matchTrees(matching);
+
+    collector = new deltamod.DeltaCollector(matching, a, b);
+    collector.equals = equals;
+    collector.forEachChange(function(op) {
+        result.push(op);
+    });
+
+    return result;
+}
+
+exports['should produce one operation when inserting into an array'] = function(test) {
+    [skelmatch.Diff, xcc.Diff].forEach(function(Diff) {
+        var ops = collect(Diff,
+            {'list': [{'n': 1}, {'n': 2}, {'n': 3}]},
+            {'list': [{'n': 0}, {'n': 1}, {'n': 2}, {'n': 3}]});
+
+        test.equals(ops.length, 1);
+        test.equals(ops[0].type, deltamod.UPDATE_FOREST_TYPE);
+        test.deepEqual(ops[0].path, [0, 0]);
+        test.equals(ops[0].remove.length, 0);
+        test.equals(ops[0].insert.length, 1);
+    });
+
+    test.done();
+};
+
+exports['should produce one operation when changing a member'] = function(test) {
+    [skelmatch.Diff, xcc.Diff].forEach(function(Diff) {
+        var ops = collect(Diff,
+            {'a': 1, 'b': '1', 'c': [1]},
+            {'a': 1, 'b': 1, 'c': [1]});
+
+        test.equals(ops.length, 1);
+        test.deepEqual(ops[0].path, [1]);
+    });
+
+    test.done();
+};
+
+exports['should mark objects as unordered'] = function(test) {
+    var root = adapter.adaptDocument({'a': {}, 'b': [{}], 'c': 1});
+
+    test.ok(root.unordered);
+    test.ok(root.children[0].unordered);
+    test.ok(!root.children[1].unordered);
+    test.ok(root.children[1].children[0].unordered);
+    test.ok(!root.children[2].unordered);
+
+    test.done();
+};
+
+exports['should not produce any operation when reordering members'] = function(test) {
+    [skelmatch.Diff, xcc.Diff].forEach(function(Diff) {
+        var ops = collect(Diff,
+            {'a': 1, 'b': [1, 2], 'c': {'x': true, 'y': null}},
+            {'c': {'y': null, 'x': true}, 'b': [1, 2], 'a': 1});
+
+        test.equals(ops.length, 0);
+    });
+
+    test.done();
+};
+
+exports['should not produce any operation when reordering members of array elements'] = function(test) {
+    [skelmatch.Diff, xcc.Diff].forEach(function(Diff) {
+        var ops = collect(Diff,
+            {'list': [{'a': [1], 'b': [2]}, {'a': [3], 'b': [4]}]},
+            {'list': [{'b': [2], 'a': [1]}, {'b': [4], 'a': [3]}]});
+
+        test.equals(ops.length, 0);
+    });
+
+    test.done();
+};
+
+exports['should pair members by key when reordering and changing members'] = function(test) {
+    [skelmatch.Diff, xcc.Diff].forEach(function(Diff) {
+        var ops = collect(Diff,
+            {'a': 1, 'b': [1, 2], 'c': 'x'},
+            {'c': 'x', 'b': [1, 3], 'd': 0, 'a': 1});
+
+        test.equals(ops.length, 2);
+
+        // Skel-Match does not detect leaf updates, a forest update replacing
+        // the changed array element is expected in this case.
+        test.deepEqual(ops[0].path, [1, 1]);
+
+        test.equals(ops[1].type, deltamod.UPDATE_FOREST_TYPE);
+        test.deepEqual(ops[1].path, [3]);
+        test.equals(ops[1].remove.length, 0);
+        test.equals(ops[1].insert.length, 1);
+        test.equals(ops[1].insert[0].value, 'd');
+    });
+
+    test.done();
+};
@@ -0,0 +1,238 @@
+var profiles = require('../lib/profiles');
+var diffcmd = require('../lib/delta/diff');
+var patchcmd = require('../lib/delta/patch');
+var deltamod = require('../lib/delta/delta');
+
+var xccDiffProfile = profiles.getDiffProfile('xcc');
+var skelmatchDiffProfile = profiles.getDiffProfile('skelmatch');
+var docProfile = profiles.getDocumentProfile('json');
+var deltaProfile = profiles.getDeltaProfile('xml');
+var jsonDeltaProfile = profiles.getDeltaProfile('json');
+var resolverProfile = profiles.getResolverProfile();
+
+function roundtrip(test, diffProfile, deltaProfile) {
+    // generate patch within an immediately invoked function expression in
+    // order to keep all those vars from bleeding over into following test
+    // parts. A string containing the serialized representation of a delta
+    // will be assigned to the variable patch.
+    var patch = (function() {
+        // load tree1 and tree2
+        var doc1 = docProfile.loadOriginalDocument(require('./fixtures/config-1'));
+        var doc2 = docProfile.loadInputDocument(require('./fixtures/config-2'));
+
+        var d = new diffcmd.Diff(diffProfile, docProfile, deltaProfile);
+        var deltadoc = d.diff(doc1, doc2);
+
+        test.ok(deltadoc.attached.length > 0);
+        test.equal(deltadoc.detached.length, deltadoc.attached.length);
+
+        return deltaProfile.serializeDocument(deltadoc);
+    }());
+
+    test.ok(typeof patch === 'string');
+    test.ok(patch.length > 0);
+
+    // Apply the generated patch to config-1 fixture.
+    var config1patched = (function(){
+        // Load tree1 and delta
+        var doc = docProfile.loadOriginalDocument(require('./fixtures/config-1'));
+        var fragadapter = docProfile.createFragmentAdapter(
+            deltaProfile.createEmptyDocument().type);
+        var deltadoc = deltaProfile.loadDocument(patch, fragadapter);
+
+        var p = new patchcmd.Patch(resolverProfile, docProfile, deltaProfile);
+        var fails = p.patch(doc, deltadoc);
+
+        test.equal(fails, 0);
+
+        return docProfile.serializeDocument(doc);
+    }());
+
+    test.ok(typeof config1patched === 'string');
+    test.deepEqual(JSON.parse(config1patched),
+            JSON.parse(require('./fixtures/config-2')));
+
+    // Compare tree hash values of config-2 and config-1-patched. They should
+    // be equal now.
+    (function(){
+        var doc1 = docProfile.loadOriginalDocument(require('./fixtures/config-1'));
+        var doc1patched = docProfile.loadInputDocument(config1patched);
+        var doc2 = docProfile.loadInputDocument(require('./fixtures/config-2'));
+
+        var hash1 = doc1.treevalueindex.get(doc1.tree);
+        var hash1patched = doc1patched.treevalueindex.get(doc1patched.tree);
+        var hash2 = doc2.treevalueindex.get(doc2.tree);
+
+        test.notEqual(hash1, hash1patched);
+        test.notEqual(hash1, hash2);
+        test.equal(hash2, hash1patched);
+    }());
+
+    // Compute diff between config-2 and config-1-patched. It should not
+    // contain any operation.
+    (function(){
+        // load tree1 and tree2
+        var doc1patched = docProfile.loadOriginalDocument(config1patched);
+        var doc2 = docProfile.loadInputDocument(require('./fixtures/config-2'));
+
+        var d = new diffcmd.Diff(diffProfile, docProfile, deltaProfile);
+        var deltadoc = d.diff(doc1patched, doc2);
+
+        test.equal(deltadoc.attached.length, 0);
+        test.equal(deltadoc.detached.length, 0);
+    }());
+}
+
+function identity(test, diffProfile) {
+    // load tree1 and tree2
+    var doc1 = docProfile.loadOriginalDocument(require('./fixtures/config-1'));
+    var doc2 = docProfile.loadInputDocument(require('./fixtures/config-1'));
+
+    var d = new diffcmd.Diff(diffProfile, docProfile, deltaProfile);
+    var deltadoc = d.diff(doc1, doc2);
+
+    test.equal(deltadoc.attached.length, 0);
+    test.equal(deltadoc.detached.length, 0);
+}
+
+exports['JSON roundtrip (XCC)'] = function(test) {
+    roundtrip(test, xccDiffProfile, deltaProfile);
+    test.done();
+};
+
+exports['JSON roundtrip with JSON delta (XCC)'] = function(test) {
+    roundtrip(test, xccDiffProfile, jsonDeltaProfile);
+    test.done();
+};
+
+exports['JSON identity (XCC)'] = function(test) {
+    identity(test, xccDiffProfile);
+    test.done();
+};
+
+exports['JSON roundtrip (Skel-Match)'] = function(test) {
+    roundtrip(test, skelmatchDiffProfile, deltaProfile);
+    test.done();
+};
+
+exports['JSON roundtrip with JSON delta (Skel-Match)'] = function(test) {
+    roundtrip(test, skelmatchDiffProfile, jsonDeltaProfile);
+    test.done();
+};
+
+exports['JSON identity (Skel-Match)'] = function(test) {
+    identity(test, skelmatchDiffProfile);
+    test.done();
+};
+
+exports['should replace the root value'] = function(test) {
+    var doc1 = docProfile.loadOriginalDocument('{"a": 1}');
+    var doc2 = docProfile.loadInputDocument('[1]');
+
+    var d = new diffcmd.Diff(xccDiffProfile, docProfile, deltaProfile);
+    var patch = deltaProfile.serializeDocument(d.diff(doc1, doc2));
+
+    var doc = docProfile.loadOriginalDocument('{"a": 1}');
+    var fragadapter = docProfile.createFragmentAdapter('xml');
+    var deltadoc = deltaProfile.loadDocument(patch, fragadapter);
+    var p = new patchcmd.Patch(resolverProfile, docProfile, deltaProfile);
+
+    test.equal(p.patch(doc, deltadoc), 0);
+    test.deepEqual(JSON.parse(docProfile.serializeDocument(doc)), [1]);
+
+    test.done();
+};
+
+exports['should move array elements between containers'] = function(test) {
+    var orig = '{"a": [{"x": 1, "y": [1, 2]}, {"x": 2}], "b": {"m": []}}';
+    var changed = '{"a": [{"x": 2}], "b": {"m": [{"x": 1, "y": [1, 2]}]}}';
+
+    [deltaProfile, jsonDeltaProfile].forEach(function(profile) {
+        var doc1 = docProfile.loadOriginalDocument(orig);
+        var doc2 = docProfile.loadInputDocument(changed);
+
+        var d = new diffcmd.Diff(xccDiffProfile, docProfile, profile);
+        var deltadoc = d.diff(doc1, doc2);
+        var patch = profile.serializeDocument(deltadoc);
+
+        test.equal(deltadoc.attached.length, 1);
+        test.equal(deltadoc.attached[0].type, deltamod.MOVE_TYPE);
+
+        var doc = docProfile.loadOriginalDocument(orig);
+        var fragadapter = docProfile.createFragmentAdapter(
+            profile.createEmptyDocument().type);
+        var p = new patchcmd.Patch(resolverProfile, docProfile, profile);
+
+        test.equal(p.patch(doc, profile.loadDocument(patch, fragadapter)), 0);
+        test.deepEqual(JSON.parse(docProfile.serializeDocument(doc)),
+                JSON.parse(changed));
+    });
+
+    test.done();
+};
+
+exports['should diff reordered keyed array elements (XCC)'] = function(test) {
+    var orig = '{"a": [{"id": 1}, {"id": 2}]}';
+    var changed = '{"a": [{"id": 2}, {"id": 1}, {"id": 3}]}';
+
+    var doc1 = docProfile.loadOriginalDocument(orig);
+    var doc2 = docProfile.loadInputDocument(changed);
+    var d = new diffcmd.Diff(xccDiffProfile, docProfile, deltaProfile);
+    var patch = deltaProfile.serializeDocument(d.diff(doc1, doc2));
+
+    var doc = docProfile.loadOriginalDocument(orig);
+    var fragadapter = docProfile.createFragmentAdapter('xml');
+    var deltadoc = deltaProfile.loadDocument(patch, fragadapter);
+    var p = new patchcmd.Patch(resolverProfile, docProfile, deltaProfile);
+
+    test.equal(p.patch(doc, deltadoc), 0);
+    test.deepEqual(JSON.parse(docProfile.serializeDocument(doc)),
+            JSON.parse(changed));
+
+    test.done();
+};
+
+['ted', 'gumtree'].forEach(function(algo) {
+    exports['should not report reordered members (' + algo + ')'] = function(test) {
+        var doc1 = docProfile.loadOriginalDocument('[{"x":1,"y":1,"z":3}]');
+        var doc2 = docProfile.loadInputDocument('[{"z":3,"y":1,"x":1}]');
+        var d = new diffcmd.Diff(profiles.getDiffProfile(algo), docProfile,
+                deltaProfile);
+        var deltadoc = d.diff(doc1, doc2);
+
+        test.equal(deltadoc.attached.length, 0);
+        test.equal(deltadoc.detached.length, 0);
+
+        test.done();
+    };
+
+    exports['should not report nested reordered members (' + algo + ')'] = function(test) {
+        var doc1 = docProfile.loadOriginalDocument(
+                '{"a":1,"b":{"x":[1,2],"y":2},"c":3}');
+        var doc2 = docProfile.loadInputDocument(
+                '{"c":3,"b":{"y":2,"x":[1,2]},"a":1}');
+        var d = new diffcmd.Diff(profiles.getDiffProfile(algo), docProfile,
+                deltaProfile);
+        var deltadoc = d.diff(doc1, doc2);
+
+        test.equal(deltadoc.attached.length, 0);
+        test.equal(deltadoc.detached.length, 0);
+
+        test.done();
+    };
+
+    exports['should pair swapped values by key (' + algo + ')'] = function(test) {
+        var doc1 = docProfile.loadOriginalDocument('{"x":1,"y":2}');
+        var doc2 = docProfile.loadInputDocument('{"y":1,"x":2}');
+        var diffProfile = profiles.getDiffProfile(algo);
+        var matching = diffProfile.createMatching();
+        var equals = docProfile.createNodeEqualityTest(doc1, doc2);
+
+        diffProfile.createDiffAlgorithm(doc1, doc2, equals).matchTrees(matching);
+
+        test.equal(matching.get(doc1.tree.children[0]), doc2.tree.children[1]);
+        test.equal(matching.get(doc1.tree.children[1]), doc2.tree.children[0]);
+
+        test.done();
+    };
+});
@@ -0,0 +1,294 @@
+var profiles = require('../lib/profiles');
+var diffcmd = require('../lib/delta/diff');
+var patchcmd = require('../lib/delta/patch');
+var jsonpatch = require('../lib/delta/jsonpatch');
+var jsobjecttree = require('../lib/delta/jsobjecttree');
+var deltamod = require('../lib/delta/delta');
+var tree = require('../lib/delta/tree');
+
+var docProfile = profiles.getDocumentProfile('json');
+var deltaProfile = profiles.getDeltaProfile('jsonpatch');
+var resolverProfile = profiles.getResolverProfile();
+
+function diff(diffProfile, orig, changed) {
+    var doc1 = docProfile.loadOriginalDocument(JSON.stringify(orig));
+    var doc2 = docProfile.loadInputDocument(JSON.stringify(changed));
+    var d = new diffcmd.Diff(diffProfile, docProfile, deltaProfile);
+    var deltadoc = d.diff(doc1, doc2);
+
+    return JSON.parse(deltaProfile.serializeDocument(deltadoc));
+}
+
+function patch(orig, operations) {
+    var doc = docProfile.loadOriginalDocument(JSON.stringify(orig));
+    var fragadapter = docProfile.createFragmentAdapter('jsonpatch');
+    var deltadoc = deltaProfile.loadDocument(JSON.stringify(operations),
+            fragadapter);
+    var p = new patchcmd.Patch(resolverProfile, docProfile, deltaProfile);
+    var fails = p.patch(doc, deltadoc);
+
+    return {
+        'fails': fails,
+        'result': JSON.parse(docProfile.serializeDocument(doc))
+    };
+}
+
+exports['should escape and unescape JSON pointers'] = function(test) {
+    test.equals(jsonpatch.formatPointer([]), '');
+    test.equals(jsonpatch.formatPointer(['a/b', 'm~n', '0']), '/a~1b/m~0n/0');
+    test.deepEqual(jsonpatch.parsePointer('/a~1b/m~0n/0'), ['a/b', 'm~n', '0']);
+    test.deepEqual(jsonpatch.parsePointer('/~01'), ['~1']);
+    test.deepEqual(jsonpatch.parsePointer(''), []);
+    test.deepEqual(jsonpatch.parsePointer('/'), ['']);
+    test.throws(function() {
+        jsonpatch.parsePointer('a/b');
+    });
+
+    test.done();
+};
+
+exports['should apply RFC 6902 example operations'] = function(test) {
+    test.deepEqual(patch({'foo': 'bar'},
+            [{'op': 'add', 'path': '/baz', 'value': 'qux'}]),
+            {'fails': 0, 'result': {'foo': 'bar', 'baz': 'qux'}});
+
+    test.deepEqual(patch({'foo': ['bar', 'baz']},
+            [{'op': 'add', 'path': '/foo/1', 'value': 'qux'}]),
+            {'fails': 0, 'result': {'foo': ['bar', 'qux', 'baz']}});
+
+    test.deepEqual(patch({'baz': 'qux', 'foo': 'bar'},
+            [{'op': 'remove', 'path': '/baz'}]),
+            {'fails': 0, 'result': {'foo': 'bar'}});
+
+    test.deepEqual(patch({'foo': ['bar', 'qux', 'baz']},
+            [{'op': 'remove', 'path': '/foo/1'}]),
+            {'fails': 0, 'result': {'foo': ['bar', 'baz']}});
+
+    test.deepEqual(patch({'baz': 'qux', 'foo': 'bar'},
+            [{'op': 'replace', 'path': '/baz', 'value': 'boo'}]),
+            {'fails': 0, 'result': {'baz': 'boo', 'foo': 'bar'}});
+
+    test.deepEqual(patch({'foo': {'bar': 'baz', 'waldo': 'fred'}, 'qux': {'corge': 'grault'}},
+            [{'op': 'move', 'from': '/foo/waldo', 'path': '/qux/thud'}]),
+            {'fails': 0, 'result': {'foo': {'bar': 'baz'}, 'qux': {'corge': 'grault', 'thud': 'fred'}}});
+
+    test.deepEqual(patch({'foo': ['all', 'grass', 'cows', 'eat']},
+            [{'op': 'move', 'from': '/foo/1', 'path': '/foo/3'}]),
+            {'fails': 0, 'result': {'foo': ['all', 'cows', 'eat', 'grass']}});
+
+    test.deepEqual(patch({'baz': 'qux', 'foo': ['a', 2, 'c']}, [
+                {'op': 'test', 'path': '/baz', 'value': 'qux'},
+                {'op': 'test', 'path': '/foo/1', 'value': 2}]),
+            {'fails': 0, 'result': {'baz': 'qux', 'foo': ['a', 2, 'c']}});
+
+    test.deepEqual(patch({'foo': 'bar'},
+            [{'op': 'add', 'path': '/child', 'value': {'grandchild': {}}}]),
+            {'fails': 0, 'result': {'foo': 'bar', 'child': {'grandchild': {}}}});
+
+    test.deepEqual(patch({'foo': ['bar']},
+            [{'op': 'add', 'path': '/foo/-', 'value': ['abc', 'def']}]),
+            {'fails': 0, 'result': {'foo': ['bar', ['abc', 'def']]}});
+
+    test.deepEqual(patch({'foo': {'bar': [1]}},
+            [{'op': 'copy', 'from': '/foo/bar', 'path': '/baz'}]),
+            {'fails': 0, 'result': {'foo': {'bar': [1]}, 'baz': [1]}});
+
+    test.deepEqual(patch({'foo': 'bar'},
+            [{'op': 'replace', 'path': '', 'value': [1, {'x': 2}]}]),
+            {'fails': 0, 'result': [1, {'x': 2}]});
+
+    test.done();
+};
+
+exports['should resolve operations against the result of previous operations'] = function(test) {
+    test.deepEqual(patch({'list': [1]}, [
+                {'op': 'add', 'path': '/list/0', 'value': 'x'},
+                {'op': 'add', 'path': '/list/0', 'value': 'y'},
+                {'op': 'add', 'path': '/list/3', 'value': 'z'},
+                {'op': 'test', 'path': '/list/1', 'value': 'x'},
+                {'op': 'add', 'path': '/list/1/-', 'value': 'error'}]).fails, 1);
+
+    test.deepEqual(patch({'list': [1]}, [
+                {'op': 'add', 'path': '/list/0', 'value': 'x'},
+                {'op': 'add', 'path': '/list/0', 'value': 'y'},
+                {'op': 'add', 'path': '/list/3', 'value': {}},
+                {'op': 'add', 'path': '/list/3/a', 'value': 'z'},
+                {'op': 'move', 'from': '/list/1', 'path': '/list/2/b'}]),
+            {'fails': 0, 'result': {'list': ['y', 1, {'a': 'z', 'b': 'x'}]}});
+
+    test.done();
+};
+
+exports['should reject the whole patch if one operation fails'] = function(test) {
+    var orig = {'baz': 'qux', 'foo': ['a', 2, 'c']};
+
+    test.deepEqual(patch(orig, [
+                {'op': 'remove', 'path': '/baz'},
+                {'op': 'test', 'path': '/foo/1', 'value': '2'},
+                {'op': 'add', 'path': '/foo/-', 'value': 'd'}]),
+            {'fails': 2, 'result': orig});
+
+    test.deepEqual(patch(orig, [{'op': 'remove', 'path': '/missing'}]),
+            {'fails': 1, 'result': orig});
+
+    test.deepEqual(patch(orig, [{'op': 'add', 'path': '/foo/4', 'value': 0}]),
+            {'fails': 1, 'result': orig});
+
+    test.deepEqual(patch(orig, [{'op': 'move', 'from': '/foo', 'path': '/foo/0'}]),
+            {'fails': 1, 'result': orig});
+
+    test.done();
+};
+
+exports['should express context and removed values as test operations'] = function(test) {
+    var ops = diff(profiles.getDiffProfile('xcc'),
+            {'db': {'host': 'localhost', 'port': 5432}, 'list': [1, 2]},
+            {'db': {'host': 'example.com', 'port': 5432}, 'list': [1, 2, 3]});
+
+    test.deepEqual(ops, [
+        {'op': 'test', 'path': '/list/1', 'value': 2},
+        {'op': 'add', 'path': '/list/2', 'value': 3},
+        {'op': 'test', 'path': '/db/host', 'value': 'localhost'},
+        {'op': 'replace', 'path': '/db/host', 'value': 'example.com'}
+    ]);
+
+    test.done();
+};
+
+exports['should produce a move operation for renamed members'] = function(test) {
+    var adapter = new jsobjecttree.JSObjectTreeAdapter();
+    var a = adapter.adaptDocument({'a~b': {'x': [1, 2, 3]}, 'c': 1});
+    var b = adapter.adaptDocument({'a/b': {'x': [1, 2, 3]}, 'd': '1'});
+    var detacher = new jsonpatch.JSONPatchDetacher();
+    var deltaadapter = new jsonpatch.JSONPatchDeltaAdapter();
+    var ops = [], result = [];
+
+    [0, 1].forEach(function(i) {
+        ops.push(detacher.detach(new deltamod.AttachedOperation(
+                    new tree.Anchor(a, a.children[i]),
+                    deltamod.UPDATE_NODE_TYPE, [i],
+                    [a.children[i]], [b.children[i]])));
+    });
+    deltaadapter.populateDocument(result, ops);
+
+    test.deepEqual(result, [
+        {'op': 'test', 'path': '/c', 'value': 1},
+        {'op': 'move', 'from': '/c', 'path': '/d'},
+        {'op': 'replace', 'path': '/d', 'value': '1'},
+        {'op': 'move', 'from': '/a~0b', 'path': '/a~1b'}
+    ]);
+
+    test.done();
+};
+
+exports['should replace members instead of overwriting keys in use'] = function(test) {
+    var adapter = new jsobjecttree.JSObjectTreeAdapter();
+    var orig = {'x': 1, 'y': 2, 'l': [{'p': 1, 'q': 2, 'r': 3}]};
+    var changed = {'y': 1, 'x': 2, 'l': [{'r': 3, 'q': 2, 'p': 1}]};
+    var a = adapter.adaptDocument(orig);
+    var b = adapter.adaptDocument(changed);
+    var matching = new tree.Matching();
+    var detacher = new jsonpatch.JSONPatchDetacher(matching);
+    var deltaadapter = new jsonpatch.JSONPatchDeltaAdapter();
+    var ops = [], result = [];
+
+    matching.put(a, b);
+    matching.put(a.children[2], b.children[2]);
+    matching.put(a.children[2].children[0], b.children[2].children[0]);
+
+    // Swap the members x and y.
+    [0, 1].forEach(function(i) {
+        ops.push(detacher.detach(new deltamod.AttachedOperation(
+                    new tree.Anchor(a, a.children[i]),
+                    deltamod.UPDATE_NODE_TYPE, [i],
+                    [a.children[i]], [b.children[i]])));
+    });
+
+    // Remove and reinsert the members q and r.
+    ops.push(detacher.detach(new deltamod.AttachedOperation(
+                new tree.Anchor(a, a.children[2].children[0], 1),
+                deltamod.UPDATE_FOREST_TYPE, [2, 0, 1],
+                a.children[2].children[0].children.slice(1),
+                b.children[2].children[0].children.slice(0, 2))));
+
+    deltaadapter.populateDocument(result, ops);
+
+    test.deepEqual(result, [
+        {'op': 'replace', 'path': '/l/0/r', 'value': 3},
+        {'op': 'replace', 'path': '/l/0/q', 'value': 2},
+        {'op': 'replace', 'path': '/x', 'value': 2},
+        {'op': 'replace', 'path': '/y', 'value': 1}
+    ]);
+    test.deepEqual(patch(orig, result), {'fails': 0, 'result': changed});
+
+    test.done();
+};
+
+['skelmatch', 'xcc', 'ted', 'gumtree'].forEach(function(algo) {
+    var diffProfile = profiles.getDiffProfile(algo);
+
+    exports['should replace values changing their type (' + algo + ')'] = function(test) {
+        [
+            [{'x': 1}, {'x': {'a': 1}}],
+            [{'x': 1}, {'x': [1]}],
+            [{'x': [1, 2]}, {'x': {'a': 1}}],
+            [{'x': {'a': [1, 2]}}, {'x': [{'a': 1}]}]
+        ].forEach(function(pair) {
+            var ops = diff(diffProfile, pair[0], pair[1]);
+            test.deepEqual(patch(pair[0], ops), {'fails': 0, 'result': pair[1]});
+        });
+
+        test.done();
+    };
+
+    exports['should roundtrip swapped and reordered members (' + algo + ')'] = function(test) {
+        [
+            [{'x': 1, 'y': 2, 'c': {'k': 1}}, {'y': 1, 'x': 2, 'c': {'k': 1}}],
+            [{'x': 1, 'y': 2}, {'y': 1, 'x': 2}],
+            [[{'x': 1, 'y': 1, 'z': 3}], [{'z': 3, 'y': 1, 'x': 1}]],
+            [{'a': {'p': 1, 'q': [1, 2]}, 'b': 2}, {'c': {'p': 1, 'q': [1, 3]}, 'b': 2}]
+        ].forEach(function(pair) {
+            var ops = diff(diffProfile, pair[0], pair[1]);
+            test.deepEqual(patch(pair[0], ops), {'fails': 0, 'result': pair[1]});
+        });
+
+        test.done();
+    };
+});
+
+['skelmatch', 'xcc'].forEach(function(algo) {
+    var diffProfile = profiles.getDiffProfile(algo);
+
+    exports['should roundtrip config fixtures (' + algo + ')'] = function(test) {
+        var orig = JSON.parse(require('./fixtures/config-1'));
+        var changed = JSON.parse(require('./fixtures/config-2'));
+        var ops = diff(diffProfile, orig, changed);
+
+        test.ok(ops.length > 0);
+        test.deepEqual(patch(orig, ops), {'fails': 0, 'result': changed});
+
+        test.done();
+    };
+
+    exports['should roundtrip changes in nested arrays (' + algo + ')'] = function(test) {
+        var orig = {'rows': [[1, 2, 3], [4, 5], {'k': [6, 7, 8, 9]}], 'x': 0};
+        var changed = {'y': true, 'rows': [[0, 1, 3], [5], {'k': [6, 8, 9, 10], 'l': null}]};
+        var ops = diff(diffProfile, orig, changed);
+
+        test.deepEqual(patch(orig, ops), {'fails': 0, 'result': changed});
+
+        test.done();
+    };
+
+    exports['should reject patch when the target has drifted (' + algo + ')'] = function(test) {
+        var orig = {'name': 'a', 'list': ['x', 'y', 'z']};
+        var changed = {'name': 'a', 'list': ['x', 'z']};
+        var drifted = {'name': 'a', 'list': ['x', 'w', 'z']};
+        var ops = diff(diffProfile, orig, changed);
+
+        test.deepEqual(patch(drifted, ops).result, drifted);
+        test.ok(patch(drifted, ops).fails > 0);
+
+        test.done();
+    };
+});
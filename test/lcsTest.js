@@ -309,3 +309,117 @@ exports.testEmptyInput = function(test) {
     test.deepEqual(actual_lcs_b, expect_lcs);
     test.done();
 };
+
+/**
+ * Collect the common symbols and ensure that they form a common subsequence.
+ */
+function commonSubsequence(test, lcsinst) {
+    var result = [], lastx = -1, lasty = -1;
+
+    lcsinst.forEachCommonSymbol(function(x, y) {
+        test.ok(x > lastx && y > lasty);
+        test.ok(lcsinst.equals(lcsinst.a[x], lcsinst.b[y]));
+        lastx = x;
+        lasty = y;
+        result.push(lcsinst.a[x]);
+    });
+
+    return result.join('');
+}
+
+/**
+ * Limiting the cost results in a common subsequence which is not necessarily
+ * the longest one.
+ */
+exports.testMaxCost = function(test) {
+    var A = 'dcacdbcbccad';
+    var B = 'adbbddaaadda';
+    var d;
+
+    var optimal = commonSubsequence(test, new lcs.LCS(A, B));
+    var limited = commonSubsequence(test, new lcs.LCS(A, B, {'maxCost': 4}));
+
+    test.equal(optimal.length, 6);
+    test.ok(limited.length > 0);
+    test.ok(limited.length < optimal.length);
+
+    d = (new lcs.LCS(A, B, {'maxCost': 4})).forEachCommonSymbol(function() {});
+    test.equal(d, A.length + B.length - 2 * limited.length);
+    test.done();
+};
+
+/**
+ * Once the time budget is exhausted, remaining regions are split at the
+ * furthest reaching point instead of searching for the middle snake.
+ */
+exports.testBudgetExhausted = function(test) {
+    var A = 'pabcs';
+    var B = 'pcbas';
+    var lcsinst = new lcs.LCS(A, B, {'budget': 1});
+    var start = Date.now();
+    var d;
+
+    lcsinst.equals = function(a, b) {
+        while (Date.now() - start < 5) {
+            // Burn the budget.
+        }
+        return a === b;
+    };
+
+    test.equal(commonSubsequence(test, lcsinst), 'pas');
+
+    // Without burning, a generous budget yields the optimal result.
+    d = (new lcs.LCS(A, B, {'budget': 1000})).forEachCommonSymbol(function() {});
+    test.equal(d, 4);
+    test.done();
+};
+
+/**
+ * Discarding symbols without counterpart does not change the result.
+ */
+/**
+ * Regions examined after the budget is exhausted still contribute to the
+ * common subsequence.
+ */
+exports.testBudgetKeepsCommonSubsequence = function(test) {
+    var A = '', B = '', i;
+    var start = Date.now();
+    var lcsinst, optimal, limited;
+
+    for (i = 0; i < 200; i++) {
+        A += 'abcdefghij'.charAt(i % 10);
+        B += (i % 7) ? 'abcdefghij'.charAt(i % 10) : 'X';
+    }
+
+    lcsinst = new lcs.LCS(A, B, {'budget': 1});
+    lcsinst.equals = function(a, b) {
+        while (Date.now() - start < 5) {
+            // Burn the budget.
+        }
+        return a === b;
+    };
+
+    optimal = commonSubsequence(test, new lcs.LCS(A, B));
+    limited = commonSubsequence(test, lcsinst);
+
+    test.equal(optimal.length, 171);
+    test.ok(limited.length > optimal.length / 2);
+    test.done();
+};
+
+exports.testDiscardUnmatched = function(test) {
+    var A = 'xaybzcw';
+    var B = 'qacrbs';
+    var lcsinst = new lcs.LCS(A, B);
+    var d;
+
+    lcsinst.hasha = lcsinst.hashb = function(symbol) {
+        return symbol;
+    };
+
+    test.equal(commonSubsequence(test, lcsinst), 'ab');
+
+    d = lcsinst.forEachCommonSymbol(function() {});
+    test.equal(d, (new lcs.LCS(A, B)).forEachCommonSymbol(function() {}));
+    test.done();
+};
@@ -0,0 +1,195 @@
+var profiles = require('../lib/profiles');
+var merge = require('../lib/delta/merge');
+var dommerge = require('../lib/delta/dommerge');
+
+var docProfile = profiles.getDocumentProfile('xml');
+var deltaProfile = profiles.getDeltaProfile('xml');
+var resolverProfile = profiles.getResolverProfile();
+
+function run(algo, marker, base, ours, theirs) {
+    var m = new merge.Merge(profiles.getDiffProfile(algo), docProfile,
+            deltaProfile, resolverProfile, marker);
+    var basedoc = docProfile.loadOriginalDocument(base);
+    var oursdoc = docProfile.loadOriginalDocument(ours);
+    var theirsdoc = docProfile.loadInputDocument(theirs);
+    var conflicts = m.merge(basedoc, oursdoc, theirsdoc);
+
+    return {
+        'conflicts': conflicts,
+        'result': docProfile.serializeDocument(oursdoc)
+    };
+}
+
+['skelmatch', 'xcc'].forEach(function(algo) {
+    exports['should merge changes to different nodes (' + algo + ')'] = function(test) {
+        var base = '<res><s id="a">Hello</s><s id="b">World</s><s id="c">Bye</s></res>';
+        var ours = '<res><s id="a">Hallo</s><s id="b">World</s><s id="c">Bye</s></res>';
+        var theirs = '<res><s id="a">Hello</s><s id="b">World</s><s id="c" lang="en">Bye</s><s id="d">New</s></res>';
+
+        test.deepEqual(run(algo, new dommerge.PIConflictMarker(), base, ours, theirs), {
+            'conflicts': 0,
+            'result': '<res><s id="a">Hallo</s><s id="b">World</s><s id="c" lang="en">Bye</s><s id="d">New</s></res>'
+        });
+
+        test.done();
+    };
+
+    exports['should not report identical changes as conflicts (' + algo + ')'] = function(test) {
+        var base = '<res><s id="a">Hello</s><s id="b">World</s></res>';
+        var changed = '<res><s id="a">Hallo</s><s id="b">World</s><s id="c">New</s></res>';
+
+        test.deepEqual(run(algo, new dommerge.PIConflictMarker(), base, changed, changed), {
+            'conflicts': 0,
+            'result': changed
+        });
+
+        test.done();
+    };
+
+    exports['should mark conflicting changes with processing instructions (' + algo + ')'] = function(test) {
+        var base = '<res><s id="a">Hello</s><s id="b">World</s></res>';
+        var ours = '<res><s id="a">Hallo</s><s id="b">World</s></res>';
+        var theirs = '<res><s id="a">Ciao</s><s id="b">Mondo</s></res>';
+
+        test.deepEqual(run(algo, new dommerge.PIConflictMarker(), base, ours, theirs), {
+            'conflicts': 1,
+            'result': '<res><s id="a"><?merge-conflict ours?>Hallo<?merge-conflict theirs?>Ciao<?merge-conflict end?></s><s id="b">Mondo</s></res>'
+        });
+
+        test.done();
+    };
+
+    exports['should merge changes to different attributes of the same element (' + algo + ')'] = function(test) {
+        var base = '<res><s id="a" v="1">Hello</s></res>';
+        var ours = '<res><s id="a" v="2">Hello</s></res>';
+        var theirs = '<res><s id="a" v="1" lang="en">Hello</s></res>';
+
+        test.deepEqual(run(algo, new dommerge.PIConflictMarker(), base, ours, theirs), {
+            'conflicts': 0,
+            'result': '<res><s id="a" v="2" lang="en">Hello</s></res>'
+        });
+
+        test.done();
+    };
+
+    exports['should merge changes to different attributes of the same empty element (' + algo + ')'] = function(test) {
+        var base = '<res><a x="1" y="1"/><b/></res>';
+        var ours = '<res><a x="2" y="1"/><b/></res>';
+        var theirs = '<res><a x="1" y="2"/><b/></res>';
+
+        test.deepEqual(run(algo, new dommerge.PIConflictMarker(), base, ours, theirs), {
+            'conflicts': 0,
+            'result': '<res><a x="2" y="2"/><b/></res>'
+        });
+
+        test.deepEqual(run(algo, new dommerge.PIConflictMarker(), '<a x="1" y="1"/>',
+                    '<a x="2" y="1"/>', '<a x="1" y="2"/>'), {
+            'conflicts': 0,
+            'result': '<a x="2" y="2"/>'
+        });
+
+        test.done();
+    };
+
+    exports['should report changes to the same attribute of an empty element as conflicts (' + algo + ')'] = function(test) {
+        var base = '<res><a x="1"/><b/></res>';
+        var ours = '<res><a x="2"/><b/></res>';
+        var theirs = '<res><a x="3"/><b/></res>';
+
+        test.equals(run(algo, new dommerge.PIConflictMarker(), base, ours, theirs).conflicts, 1);
+
+        test.done();
+    };
+
+    exports['should mark conflicting changes with elements (' + algo + ')'] = function(test) {
+        var base = '<res><s id="a">Hello</s><s id="b">World</s></res>';
+        var ours = '<res><s id="a">Hallo</s><s id="b">World</s></res>';
+        var theirs = '<res><s id="a">Ciao</s><s id="b">World</s></res>';
+        var marker = new dommerge.ElementConflictMarker('urn:conflict', 'c');
+
+        test.deepEqual(run(algo, marker, base, ours, theirs), {
+            'conflicts': 1,
+            'result': '<res><s id="a"><c:conflict xmlns:c="urn:conflict"><c:ours>Hallo</c:ours><c:theirs>Ciao</c:theirs></c:conflict></s><s id="b">World</s></res>'
+        });
+
+        test.done();
+    };
+});
+
+exports['should report changes inside removed subtrees as conflicts'] = function(test) {
+    var base = '<res><g><s>a</s><s>b</s></g><x/></res>';
+    var ours = '<res><x/></res>';
+    var theirs = '<res><g><s>a</s><s>B</s></g><x/></res>';
+
+    test.deepEqual(run('xcc', new dommerge.PIConflictMarker(), base, ours, theirs), {
+        'conflicts': 1,
+        'result': '<res><?merge-conflict ours?><?merge-conflict theirs?><g><s>a</s><s>B</s></g><?merge-conflict end?><x/></res>'
+    });
+
+    test.done();
+};
+
+exports['should report insertions at the same position as conflicts'] = function(test) {
+    var base = '<res><a/><b/></res>';
+    var ours = '<res><a/><x/><b/></res>';
+    var theirs = '<res><a/><y/><b/></res>';
+
+    test.deepEqual(run('xcc', new dommerge.PIConflictMarker('c'), base, ours, theirs), {
+        'conflicts': 1,
+        'result': '<res><a/><?c ours?><x/><?c theirs?><y/><?c end?><b/></res>'
+    });
+
+    test.done();
+};
+
+exports['should report conflicting attribute changes'] = function(test) {
+    var base = '<res><s id="a" v="1"><t/></s></res>';
+    var ours = '<res><s id="a" v="2"><t/></s></res>';
+    var theirs = '<res><s id="a" v="3"><t/></s></res>';
+
+    test.deepEqual(run('xcc', new dommerge.PIConflictMarker(), base, ours, theirs), {
+        'conflicts': 1,
+        'result': '<res><?merge-conflict ours?><s id="a" v="2"><t/></s><?merge-conflict theirs?><s id="a" v="3"><t/></s><?merge-conflict end?></res>'
+    });
+
+    test.done();
+};
+
+exports['should merge changes to different attributes of the document element'] = function(test) {
+    var base = '<res v="1"><a/></res>';
+    var ours = '<res v="2"><a/></res>';
+    var theirs = '<res v="1" w="3"><a/><b/></res>';
+
+    test.deepEqual(run('xcc', new dommerge.PIConflictMarker(), base, ours, theirs), {
+        'conflicts': 0,
+        'result': '<res v="2" w="3"><a/><b/></res>'
+    });
+
+    test.done();
+};
+
+exports['should keep our version of the document element on conflicts'] = function(test) {
+    var base = '<res v="1"><a/></res>';
+    var ours = '<res v="2"><a/></res>';
+    var theirs = '<res v="3"><a/><b/></res>';
+
+    test.deepEqual(run('xcc', new dommerge.PIConflictMarker(), base, ours, theirs), {
+        'conflicts': 1,
+        'result': '<res v="2"><a/><b/></res>'
+    });
+
+    test.done();
+};
+
+exports['should mark changes which cannot be resolved in ours'] = function(test) {
+    var base = '<res><a>1</a><b>2</b><c>3</c><d>4</d><e>5</e></res>';
+    var ours = '<res><x>1</x><y>9</y><b>2</b><z>3</z><w>4</w></res>';
+    var theirs = '<res><a>1</a><b>7</b><c>3</c><d>4</d><e>5</e></res>';
+
+    test.deepEqual(run('skelmatch', new dommerge.PIConflictMarker(), base, ours, theirs), {
+        'conflicts': 1,
+        'result': '<res><x>1</x><y>9</y><b>2</b><z>3</z><w>4</w><?merge-conflict ours?><?merge-conflict theirs?>7<?merge-conflict end?></res>'
+    });
+
+    test.done();
+};
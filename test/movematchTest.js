@@ -0,0 +1,134 @@
+var movematch = require('../lib/delta/movematch');
+var tree = require('../lib/delta/tree');
+
+function NodeValueHash() {
+    this.process = function(node) {
+        return node.value;
+    };
+}
+
+function ConcatHash() {
+    var parts = [];
+    this.update = function(value) {
+        parts.push(value);
+    };
+    this.get = function() {
+        return parts.join('\x00');
+    };
+}
+
+function treeHashIndex() {
+    return new tree.TreeHashIndex(new tree.SimpleTreeHash(ConcatHash,
+                new tree.NodeHashIndex(new NodeValueHash())));
+}
+
+/**
+ * Build a tree from nested arrays of the form [value, child, child, ...].
+ */
+function build(spec) {
+    var node = new tree.Node(spec[0]);
+
+    spec.slice(1).forEach(function(child) {
+        node.append(build(child));
+    });
+
+    return node;
+}
+
+function matchMoves(a, b, matching, minsize) {
+    var moves = new tree.Matching('movepartner');
+    var mover = new movematch.MoveMatcher(a, b, treeHashIndex(),
+            treeHashIndex(), minsize);
+
+    mover.matchMoves(matching, moves);
+
+    return moves;
+}
+
+exports['should pair identical unmatched subtrees'] = function(test) {
+    var a = build(['r', ['x', ['s', ['t']]], ['y']]);
+    var b = build(['r', ['x'], ['y', ['s', ['t']]]]);
+    var matching = new tree.Matching();
+
+    matching.put(a, b);
+    matching.put(a.children[0], b.children[0]);
+    matching.put(a.children[1], b.children[1]);
+
+    var moves = matchMoves(a, b, matching);
+
+    test.equals(moves.get(a.children[0].children[0]),
+            b.children[1].children[0]);
+    test.equals(moves.get(b.children[1].children[0]),
+            a.children[0].children[0]);
+    test.equals(moves.get(a.children[0].children[0].children[0]), undefined);
+
+    test.done();
+};
+
+exports['should leave subtrees below the minimum size alone'] = function(test) {
+    var a = build(['r', ['x', ['s']], ['y']]);
+    var b = build(['r', ['x'], ['y', ['s']]]);
+    var matching = new tree.Matching();
+
+    matching.put(a, b);
+    matching.put(a.children[0], b.children[0]);
+    matching.put(a.children[1], b.children[1]);
+
+    test.equals(matchMoves(a, b, matching).get(a.children[0].children[0]),
+            undefined);
+    test.equals(matchMoves(a, b, matching, 1).get(a.children[0].children[0]),
+            b.children[1].children[0]);
+
+    test.done();
+};
+
+exports['should not pair subtrees differing in shape only'] = function(test) {
+    var a = build(['r', ['x', ['s', ['t', ['u']]]], ['y']]);
+    var b = build(['r', ['x'], ['y', ['s', ['t'], ['u']]]]);
+    var matching = new tree.Matching();
+
+    matching.put(a, b);
+    matching.put(a.children[0], b.children[0]);
+    matching.put(a.children[1], b.children[1]);
+
+    test.equals(matchMoves(a, b, matching).get(a.children[0].children[0]),
+            undefined);
+
+    test.done();
+};
+
+exports['should skip subtrees containing matched nodes'] = function(test) {
+    var a = build(['r', ['x', ['s', ['t']]], ['y']]);
+    var b = build(['r', ['x'], ['y', ['s', ['t']]]]);
+    var matching = new tree.Matching();
+
+    matching.put(a, b);
+    matching.put(a.children[0], b.children[0]);
+    matching.put(a.children[1], b.children[1]);
+    matching.put(a.children[0].children[0].children[0],
+            b.children[1].children[0].children[0]);
+
+    test.equals(matchMoves(a, b, matching).get(a.children[0].children[0]),
+            undefined);
+
+    test.done();
+};
+
+exports['should pair repeated subtrees in document order'] = function(test) {
+    var a = build(['r', ['x', ['s', ['t']], ['s', ['t']]], ['y']]);
+    var b = build(['r', ['x'], ['y', ['s', ['t']], ['s', ['t']]]]);
+    var matching = new tree.Matching();
+
+    matching.put(a, b);
+    matching.put(a.children[0], b.children[0]);
+    matching.put(a.children[1], b.children[1]);
+
+    var moves = matchMoves(a, b, matching);
+
+    test.equals(moves.get(a.children[0].children[0]),
+            b.children[1].children[0]);
+    test.equals(moves.get(a.children[0].children[1]),
+            b.children[1].children[1]);
+
+    test.done();
+};
@@ -0,0 +1,181 @@
+var profiles = require('../lib/profiles');
+var diffcmd = require('../lib/delta/diff');
+var patchcmd = require('../lib/delta/patch');
+
+var docProfile = profiles.getDocumentProfile('xml');
+var diffProfile = profiles.getDiffProfile('xcc');
+var resolverProfile = profiles.getResolverProfile();
+
+function diff(deltaProfile, orig, changed) {
+    var doc1 = docProfile.loadOriginalDocument(orig);
+    var doc2 = docProfile.loadInputDocument(changed);
+    var d = new diffcmd.Diff(diffProfile, docProfile, deltaProfile);
+
+    return deltaProfile.serializeDocument(d.diff(doc1, doc2));
+}
+
+function patch(deltaProfile, type, orig, delta) {
+    var doc = docProfile.loadOriginalDocument(orig);
+    var fragadapter = docProfile.createFragmentAdapter(type);
+    var deltadoc = deltaProfile.loadDocument(delta, fragadapter);
+    var p = new patchcmd.Patch(resolverProfile, docProfile, deltaProfile);
+    var fails = p.patch(doc, deltadoc);
+
+    return {
+        'fails': fails,
+        'report': deltadoc.report.toJSON(),
+        'result': docProfile.serializeDocument(doc)
+    };
+}
+
+exports['should report applied, fuzzy and failed operations'] = function(test) {
+    var deltaProfile = profiles.getDeltaProfile('xml');
+    var orig = '<doc><a>1</a><b>2</b><c>3</c><d>4</d><e>5</e></doc>';
+    var changed = '<doc><a>1</a><b>X</b><c>3</c><d>4</d><e>Y</e></doc>';
+    var delta = diff(deltaProfile, orig, changed);
+    var result;
+
+    result = patch(deltaProfile, 'xml', orig, delta);
+    test.equals(result.fails, 0);
+    test.equals(result.result, changed);
+    test.deepEqual(result.report, {
+        'applied': 2,
+        'fuzzy': 0,
+        'failed': 0,
+        'operations': [
+            {
+                'index': 0,
+                'operation': 'Update "#text" at /0/1/0',
+                'path': [0, 1, 0],
+                'status': 'applied',
+                'resolved': [0, 1, 0],
+                'offset': 0,
+                'quality': 1
+            },
+            {
+                'index': 1,
+                'operation': 'Update "#text" at /0/4/0',
+                'path': [0, 4, 0],
+                'status': 'applied',
+                'resolved': [0, 4, 0],
+                'offset': 0,
+                'quality': 1
+            }
+        ]
+    });
+
+    result = patch(deltaProfile, 'xml',
+            '<doc><z/><a>1</a><b>2</b><c>3</c><d>4</d><q>7</q></doc>', delta);
+    test.equals(result.fails, 1);
+    test.equals(result.result,
+            '<doc><z/><a>1</a><b>X</b><c>3</c><d>4</d><q>7</q></doc>');
+    test.equals(result.report.applied, 0);
+    test.equals(result.report.fuzzy, 1);
+    test.equals(result.report.failed, 1);
+
+    test.equals(result.report.operations[0].status, 'fuzzy');
+    test.deepEqual(result.report.operations[0].path, [0, 1, 0]);
+    test.deepEqual(result.report.operations[0].resolved, [0, 2, 0]);
+    test.equals(result.report.operations[0].offset, 2);
+    test.ok(result.report.operations[0].quality < 1);
+
+    test.deepEqual(result.report.operations[1], {
+        'index': 1,
+        'operation': 'Update "#text" at /0/4/0',
+        'path': [0, 4, 0],
+        'status': 'failed',
+        'reason': 'Failed to resolve operation'
+    });
+
+    test.done();
+};
+
+exports['should report exact inserts at the end of a list as applied'] = function(test) {
+    var deltaProfile = profiles.getDeltaProfile('xml');
+    var orig = '<r><a/><b/></r>';
+    var changed = '<r><a/><b/><c/></r>';
+    var result = patch(deltaProfile, 'xml', orig,
+            diff(deltaProfile, orig, changed));
+
+    test.equals(result.fails, 0);
+    test.equals(result.result, changed);
+    test.equals(result.report.applied, 1);
+    test.equals(result.report.fuzzy, 0);
+    test.equals(result.report.operations[0].status, 'applied');
+    test.deepEqual(result.report.operations[0].path, [0, 2]);
+    test.deepEqual(result.report.operations[0].resolved, [0, 2]);
+
+    test.done();
+};
+
+exports['should report selectors of failed XML Patch operations'] = function(test) {
+    var deltaProfile = profiles.getDeltaProfile('xmlpatch');
+    var delta = '<diff><remove sel="doc/a"/><remove sel="doc/b"/></diff>';
+    var result = patch(deltaProfile, 'xmlpatch', '<doc><a/></doc>', delta);
+
+    test.equals(result.fails, 1);
+    test.equals(result.result, '<doc><a/></doc>');
+    test.equals(result.report.applied, 0);
+    test.equals(result.report.failed, 2);
+
+    test.equals(result.report.operations[0].path, 'doc/a');
+    test.equals(result.report.operations[0].status, 'failed');
+    test.equals(result.report.operations[0].reason,
+            'Patch rejected because another operation failed');
+
+    test.equals(result.report.operations[1].path, 'doc/b');
+    test.equals(result.report.operations[1].status, 'failed');
+    test.ok(result.report.operations[1].reason);
+
+    test.done();
+};
+
+exports['should report selectors of applied XUpdate operations'] = function(test) {
+    var deltaProfile = profiles.getDeltaProfile('xupdate');
+    var delta = '<xupdate:modifications version="1.0" ' +
+        'xmlns:xupdate="http://www.xmldb.org/xupdate">' +
+        '<xupdate:remove select="/doc/a"/>' +
+        '<xupdate:remove select="/doc/b"/>' +
+        '</xupdate:modifications>';
+    var result = patch(deltaProfile, 'xupdate', '<doc><a/><c/></doc>', delta);
+
+    test.equals(result.fails, 1);
+    test.equals(result.result, '<doc><c/></doc>');
+    test.equals(result.report.applied, 1);
+    test.equals(result.report.failed, 1);
+    test.equals(result.report.operations[0].path, '/doc/a');
+    test.equals(result.report.operations[0].status, 'applied');
+    test.equals(result.report.operations[1].path, '/doc/b');
+    test.equals(result.report.operations[1].status, 'failed');
+
+    test.done();
+};
+
+exports['should list problems below the minimal quality'] = function(test) {
+    var deltaProfile = profiles.getDeltaProfile('xml');
+    var orig = '<doc><a>1</a><b>2</b><c>3</c><d>4</d><e>5</e></doc>';
+    var changed = '<doc><a>1</a><b>X</b><c>3</c><d>4</d><e>Y</e></doc>';
+    var delta = diff(deltaProfile, orig, changed);
+    var doc = docProfile.loadOriginalDocument(
+            '<doc><z/><a>1</a><b>2</b><c>3</c><d>4</d><q>7</q></doc>');
+    var deltadoc = deltaProfile.loadDocument(delta,
+            docProfile.createFragmentAdapter('xml'));
+    var p = new patchcmd.Patch(resolverProfile, docProfile, deltaProfile);
+    var problems;
+
+    // Resolving operations does not modify the document.
+    test.equals(p.resolve(doc, deltadoc), 1);
+    test.equals(docProfile.serializeDocument(doc),
+            '<doc><z/><a>1</a><b>2</b><c>3</c><d>4</d><q>7</q></doc>');
+
+    problems = deltadoc.report.problems();
+    test.equals(problems.length, 1);
+    test.equals(problems[0].index, 1);
+
+    problems = deltadoc.report.problems(1);
+    test.equals(problems.length, 2);
+    test.equals(problems[0].index, 0);
+    test.equals(problems[0].status, 'fuzzy');
+
+    test.done();
+};
@@ -0,0 +1,107 @@
+var profiles = require('../lib/profiles');
+var diff = require('../lib/delta/diff');
+var prettyprint = require('../lib/delta/prettyprint');
+
+function render(type, orig, changed, docoptions, options) {
+    var docProfile = profiles.getDocumentProfile(type, docoptions);
+    var d = new diff.Diff(profiles.getDiffProfile('skelmatch'), docProfile,
+            profiles.getDeltaProfile('xml'));
+    var delta = d.diff(docProfile.loadOriginalDocument(orig),
+            docProfile.loadInputDocument(changed));
+    var printer = new prettyprint.PrettyPrinter(
+            docProfile.createNodeFormatter(), options);
+
+    return printer.render(delta);
+}
+
+exports['should render renamed elements with context'] = function(test) {
+    var orig = '<doc>\n  <list>\n    <item>1</item>\n    <item>2</item>\n' +
+        '    <item>3</item>\n  </list>\n</doc>';
+    var changed = '<doc>\n  <list>\n    <item>1</item>\n    <entry>2</entry>\n' +
+        '    <item>3</item>\n  </list>\n</doc>';
+
+    test.equals(render('xml', orig, changed), [
+        '@@ /doc/list/item[2] @@',
+        ' <item>1</item>',
+        '-<item>',
+        '+<entry>',
+        ' <item>3</item>'
+    ].join('\n'));
+
+    test.done();
+};
+
+exports['should render changed attributes as start tags'] = function(test) {
+    var orig = '<svg><g/><g><path id="a"/><path id="b" d="M 0"><title>b</title></path></g></svg>';
+    var changed = '<svg><g/><g><path id="a"/><path id="b" d="M 1"><title>b</title></path></g></svg>';
+
+    test.equals(render('xml', orig, changed), [
+        '@@ /svg/g[2]/path[2] @@',
+        ' <path id="a"/>',
+        '-<path id="b" d="M 0">',
+        '+<path id="b" d="M 1">'
+    ].join('\n'));
+
+    test.done();
+};
+
+exports['should render inline text updates'] = function(test) {
+    var orig = '<p>The quick brown fox jumps over the lazy dog</p>';
+    var changed = '<p>The quick red fox jumps over the lazy dog</p>';
+
+    test.equals(render('xml', orig, changed, {'textdiff': 'word'}), [
+        '@@ /p @@',
+        '-The quick brown fox jumps over the lazy dog',
+        '+The quick red fox jumps over the lazy dog'
+    ].join('\n'));
+
+    test.done();
+};
+
+exports['should quote changed whitespace'] = function(test) {
+    var orig = '<doc><a/></doc>';
+    var changed = '<doc><a/>\n</doc>';
+
+    test.equals(render('xml', orig, changed), [
+        '@@ /doc @@',
+        ' <a/>',
+        '+"\\n"'
+    ].join('\n'));
+
+    test.done();
+};
+
+exports['should render json members using pointers'] = function(test) {
+    var orig = '{"a/b": [1, 2, 3], "c": true}';
+    var changed = '{"a/b": [1, 5, 3], "c": true}';
+
+    test.equals(render('json', orig, changed, {}, {'context': 1}), [
+        '@@ /a~1b @@',
+        ' 1',
+        '-2',
+        '+5',
+        ' 3'
+    ].join('\n'));
+
+    test.done();
+};
+
+exports['should highlight lines and render file headers'] = function(test) {
+    var docProfile = profiles.getDocumentProfile('xml');
+    var d = new diff.Diff(profiles.getDiffProfile('skelmatch'), docProfile,
+            profiles.getDeltaProfile('xml'));
+    var delta = d.diff(docProfile.loadOriginalDocument('<a><b/></a>'),
+            docProfile.loadInputDocument('<a><c/></a>'));
+    var printer = new prettyprint.PrettyPrinter(
+            docProfile.createNodeFormatter(), {'color': true});
+
+    test.equals(printer.render(delta, 'a.xml', 'b.xml'), [
+        '\x1b[1m--- a.xml\x1b[0m',
+        '\x1b[1m+++ b.xml\x1b[0m',
+        '\x1b[36m@@ /a @@\x1b[0m',
+        '\x1b[31m-<b/>\x1b[0m',
+        '\x1b[32m+<c/>\x1b[0m'
+    ].join('\n'));
+
+    test.done();
+};
@@ -0,0 +1,146 @@
+var profiles = require('../lib/profiles');
+var diffcmd = require('../lib/delta/diff');
+var patchcmd = require('../lib/delta/patch');
+
+var resolverProfile = profiles.getResolverProfile();
+
+function diff(diffProfile, docProfile, deltaProfile, orig, changed) {
+    var doc1 = docProfile.loadOriginalDocument(orig);
+    var doc2 = docProfile.loadInputDocument(changed);
+    var d = new diffcmd.Diff(diffProfile, docProfile, deltaProfile);
+
+    return deltaProfile.serializeDocument(d.diff(doc1, doc2));
+}
+
+function patch(docProfile, deltaProfile, orig, delta, reverse) {
+    var doc = docProfile.loadOriginalDocument(orig);
+    var fragadapter = docProfile.createFragmentAdapter(
+            deltaProfile.createEmptyDocument().type);
+    var deltadoc = deltaProfile.loadDocument(delta, fragadapter);
+    var p = new patchcmd.Patch(resolverProfile, docProfile, deltaProfile);
+
+    if (reverse) {
+        // Serialize and reload the inverted delta in order to make sure it
+        // is usable as a standalone patch file.
+        deltadoc = deltaProfile.loadDocument(deltaProfile.serializeDocument(
+                    p.invert(doc, deltadoc)), fragadapter);
+    }
+
+    return {
+        'fails': p.patch(doc, deltadoc),
+        'result': docProfile.serializeDocument(doc)
+    };
+}
+
+function treeHash(docProfile, content) {
+    var doc = docProfile.loadInputDocument(content);
+    return doc.treevalueindex.get(doc.tree);
+}
+
+['skelmatch', 'xcc', 'gumtree', 'ted'].forEach(function(algo) {
+    var diffProfile = profiles.getDiffProfile(algo);
+
+    [
+        ['svg', 'xml', 'xml', './fixtures/logo-1', './fixtures/logo-2'],
+        ['html', 'xml', 'xml', './fixtures/zappa-quote-1', './fixtures/zappa-quote-2'],
+        ['json', 'json', 'xml', './fixtures/config-1', './fixtures/config-2'],
+        ['json with json delta', 'json', 'json', './fixtures/config-1', './fixtures/config-2']
+    ].forEach(function(fixture) {
+        var docProfile = profiles.getDocumentProfile(fixture[1]);
+        var deltaProfile = profiles.getDeltaProfile(fixture[2]);
+
+        exports['should revert changes to ' + fixture[0] + ' fixtures (' + algo + ')'] = function(test) {
+            var orig = require(fixture[3]);
+            var changed = require(fixture[4]);
+            var delta = diff(diffProfile, docProfile, deltaProfile, orig, changed);
+            var patched = patch(docProfile, deltaProfile, orig, delta);
+            var reverted = patch(docProfile, deltaProfile, patched.result, delta, true);
+
+            test.equals(patched.fails, 0);
+            test.equals(reverted.fails, 0);
+            test.equals(treeHash(docProfile, reverted.result),
+                    treeHash(docProfile, orig));
+
+            test.done();
+        };
+    });
+
+    exports['should shift paths of operations following forest updates (' + algo + ')'] = function(test) {
+        var docProfile = profiles.getDocumentProfile('xml');
+        var deltaProfile = profiles.getDeltaProfile('xml');
+        var orig = '<doc><a/><b><c>1</c></b><d/><e><f>2</f></e></doc>';
+        var changed = '<doc><x/><y/><a/><b><c>3</c></b><e><f>4</f></e><z/></doc>';
+        var delta = diff(diffProfile, docProfile, deltaProfile, orig, changed);
+        var patched = patch(docProfile, deltaProfile, orig, delta);
+        var reverted = patch(docProfile, deltaProfile, patched.result, delta, true);
+
+        test.deepEqual(patched, {'fails': 0, 'result': changed});
+        test.deepEqual(reverted, {'fails': 0, 'result': orig});
+
+        test.done();
+    };
+
+    exports['should revert moved subtrees (' + algo + ')'] = function(test) {
+        var docProfile = profiles.getDocumentProfile('xml');
+        var orig = '<doc><a><x><y/></x></a><b><c/></b><d/></doc>';
+        var changed = '<doc><a/><b><c/><x><y/></x></b><d/></doc>';
+
+        ['xml', 'json'].forEach(function(deltaType) {
+            var deltaProfile = profiles.getDeltaProfile(deltaType);
+            var delta = diff(diffProfile, docProfile, deltaProfile, orig, changed);
+            var patched = patch(docProfile, deltaProfile, orig, delta);
+            var reverted = patch(docProfile, deltaProfile, patched.result, delta, true);
+
+            test.deepEqual(patched, {'fails': 0, 'result': changed});
+            test.deepEqual(reverted, {'fails': 0, 'result': orig});
+        });
+
+        test.done();
+    };
+
+    exports['should revert inline text changes (' + algo + ')'] = function(test) {
+        var docProfile = profiles.getDocumentProfile('xml', {'textdiff': 'word'});
+        var orig = '<doc><p>The quick brown fox jumps over the lazy dog.</p><a/></doc>';
+        var changed = '<doc><p>The slow brown fox jumps over the lazy cat.</p><b/></doc>';
+
+        ['xml', 'json'].forEach(function(deltaType) {
+            var deltaProfile = profiles.getDeltaProfile(deltaType);
+            var delta = diff(diffProfile, docProfile, deltaProfile, orig, changed);
+            var patched = patch(docProfile, deltaProfile, orig, delta);
+            var reverted = patch(docProfile, deltaProfile, patched.result, delta, true);
+
+            test.deepEqual(patched, {'fails': 0, 'result': changed});
+            test.deepEqual(reverted, {'fails': 0, 'result': orig});
+        });
+
+        test.done();
+    };
+});
+
+exports['should refuse to invert patch formats without context'] = function(test) {
+    var docProfile = profiles.getDocumentProfile('xml');
+    var deltaProfile = profiles.getDeltaProfile('xmlpatch');
+    var doc = docProfile.loadOriginalDocument('<doc/>');
+    var deltadoc = deltaProfile.loadDocument('<diff><add sel="doc"><a/></add></diff>',
+            docProfile.createFragmentAdapter('xmlpatch'));
+    var p = new patchcmd.Patch(resolverProfile, docProfile, deltaProfile);
+
+    test.throws(function() {
+        p.invert(doc, deltadoc);
+    });
+
+    test.done();
+};
+
+exports['should refuse to invert operations not matching the document'] = function(test) {
+    var docProfile = profiles.getDocumentProfile('xml');
+    var deltaProfile = profiles.getDeltaProfile('xml');
+    var delta = diff(profiles.getDiffProfile('xcc'), docProfile, deltaProfile,
+            '<doc><a><b/></a></doc>', '<doc><a><b/><c/><d/></a></doc>');
+
+    test.throws(function() {
+        patch(docProfile, deltaProfile, '<doc/>', delta, true);
+    });
+
+    test.done();
+};
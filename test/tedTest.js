@@ -0,0 +1,203 @@
+var ted = require('../lib/delta/ted');
+var tree = require('../lib/delta/tree');
+var skelmatch = require('../lib/delta/skelmatch');
+var tedfactory = require('../lib/delta/diff-ted-factory');
+
+/**
+ * Test two trees consisting of only one node each. Node values are not
+ * equal. Nevertheless roots must be matched as partners.
+ */
+exports.testMatchRootOnlyModified = function(test) {
+    var a = new tree.Node('x');
+    var b = new tree.Node('y');
+    var matching = new tree.Matching();
+    var diff = new ted.Diff(a, b);
+
+    diff.matchTrees(matching);
+
+    test.equals(matching.get(b), a);
+
+    test.done();
+};
+
+/**
+ * Test two trees, tree a having one leave (a1=y), tree b having two leaves
+ * (b1=z, b2=y). Ensure that b1 is not matched and b2 is matched to a1.
+ */
+exports.testMatchLeaves = function(test) {
+    var a = new tree.Node();
+    var a1 = new tree.Node('y');
+    var b = new tree.Node();
+    var b1 = new tree.Node('z');
+    var b2 = new tree.Node('y');
+
+    a.append(a1);
+    b.append(b1);
+    b.append(b2);
+
+    var matching = new tree.Matching();
+    var diff = new ted.Diff(a, b);
+
+    diff.matchTrees(matching);
+
+    test.equals(matching.get(b1), undefined);
+    test.equals(matching.get(b2), a1);
+
+    test.done();
+};
+
+/**
+ * Tree a has one internal node (a1=p) with three leaves (x, y, z), tree b
+ * has a renamed internal node (b1=q) with the leaves x, w, z. The minimal
+ * edit script renames p to q and y to w.
+ */
+exports.testMatchRenamedNodes = function(test) {
+    var a = new tree.Node('r');
+    var a1 = new tree.Node('p');
+    var b = new tree.Node('r');
+    var b1 = new tree.Node('q');
+    var av = ['x', 'y', 'z'].map(function(v) {
+        var n = new tree.Node(v);
+        a1.append(n);
+        return n;
+    });
+    var bv = ['x', 'w', 'z'].map(function(v) {
+        var n = new tree.Node(v);
+        b1.append(n);
+        return n;
+    });
+
+    a.append(a1);
+    b.append(b1);
+
+    var matching = new tree.Matching();
+    var diff = new ted.Diff(a, b);
+
+    diff.matchTrees(matching);
+
+    test.equals(matching.get(b1), a1);
+    test.equals(matching.get(bv[0]), av[0]);
+    test.equals(matching.get(bv[1]), av[1]);
+    test.equals(matching.get(bv[2]), av[2]);
+
+    test.done();
+};
+
+/**
+ * Tree a has a leave (a11=x) below an internal node (a1=p), tree b has the
+ * same leave (b1=x) directly below the root. The edit mapping pairs the
+ * leaves, but they are not matched because their parents are not partners.
+ */
+exports.testNoMatchForLeavesWithRemovedParent = function(test) {
+    var a = new tree.Node();
+    var a1 = new tree.Node('p');
+    var a11 = new tree.Node('x');
+    var b = new tree.Node();
+    var b1 = new tree.Node('x');
+
+    a.append(a1);
+    a1.append(a11);
+    b.append(b1);
+
+    var matching = new tree.Matching();
+    var diff = new ted.Diff(a, b);
+
+    diff.matchTrees(matching);
+
+    test.equals(matching.get(a1), undefined);
+    test.equals(matching.get(a11), undefined);
+    test.equals(matching.get(b1), undefined);
+
+    test.done();
+};
+
+/**
+ * Ensure that custom costs are respected. Forbidding renames results in
+ * leaves being removed and inserted instead.
+ */
+exports.testCustomCosts = function(test) {
+    var a = new tree.Node();
+    var a1 = new tree.Node('x');
+    var b = new tree.Node();
+    var b1 = new tree.Node('y');
+
+    a.append(a1);
+    b.append(b1);
+
+    var matching = new tree.Matching();
+    var diff = new ted.Diff(a, b);
+
+    diff.matchTrees(matching);
+    test.equals(matching.get(b1), a1);
+
+    matching = new tree.Matching('custompartner');
+    diff = new ted.Diff(a, b, {
+        'renameCost': function(a, b) {
+            return a.value === b.value ? 0 : 3;
+        }
+    });
+
+    diff.matchTrees(matching);
+    test.equals(matching.get(b1), undefined);
+
+    test.done();
+};
+
+/**
+ * Ensure that the factory falls back to skelmatch for large documents.
+ */
+exports.testFactoryFallsBackToSkelmatch = function(test) {
+    var a = new tree.Node('r');
+    var b = new tree.Node('r');
+
+    a.append(new tree.Node('x'));
+    b.append(new tree.Node('y'));
+    b.append(new tree.Node('z'));
+
+    var factory = new tedfactory.DiffTEDFactory();
+    test.ok(factory.createDiffAlgorithm({'tree': a}, {'tree': b}) instanceof ted.Diff);
+
+    factory = new tedfactory.DiffTEDFactory({'maxNodes': 2, 'lcs': {'maxCost': 3}});
+    var diff = factory.createDiffAlgorithm({'tree': a}, {'tree': b});
+    test.ok(diff instanceof skelmatch.Diff);
+    test.deepEqual(diff.options.lcs, {'maxCost': 3});
+
+    test.done();
+};
+
+/**
+ * Children of unordered nodes are paired by their key regardless of their
+ * position. The edit mapping still applies to the subtrees of keyed pairs.
+ */
+exports.testMatchUnorderedChildrenByKey = function(test) {
+    var a = new tree.Node();
+    var b = new tree.Node();
+    var av = ['x', 'y', 'z'].map(function(v) {
+        var n = new tree.Node(v);
+        n.append(new tree.Node(v === 'z' ? 3 : 1));
+        a.append(n);
+        return n;
+    });
+    var bv = ['z', 'y', 'x'].map(function(v) {
+        var n = new tree.Node(v);
+        n.append(new tree.Node(v === 'z' ? 3 : 1));
+        b.append(n);
+        return n;
+    });
+
+    a.unordered = true;
+    b.unordered = true;
+
+    var matching = new tree.Matching();
+    var diff = new ted.Diff(a, b);
+
+    diff.matchTrees(matching);
+
+    test.equals(matching.get(bv[0]), av[2]);
+    test.equals(matching.get(bv[1]), av[1]);
+    test.equals(matching.get(bv[2]), av[0]);
+    test.equals(matching.get(bv[0].children[0]), av[2].children[0]);
+    test.equals(matching.get(bv[2].children[0]), av[0].children[0]);
+
+    test.done();
+};
@@ -0,0 +1,97 @@
+var textdiff = require('../lib/delta/textdiff');
+
+exports['should split text into word and character tokens'] = function(test) {
+    test.deepEqual(textdiff.tokenize('Hello, big world!', 'word'),
+            ['Hello', ',', ' ', 'big', ' ', 'world', '!']);
+    test.deepEqual(textdiff.tokenize('a b', 'char'), ['a', ' ', 'b']);
+    test.deepEqual(textdiff.tokenize('', 'word'), []);
+
+    test.throws(function() {
+        textdiff.tokenize('a b', 'line');
+    });
+
+    test.done();
+};
+
+exports['should return no hunks for equal texts'] = function(test) {
+    test.deepEqual(textdiff.diff('same text', 'same text', 'word'), [[], []]);
+    test.done();
+};
+
+exports['should record changed words with context'] = function(test) {
+    var a = 'The quick brown fox jumps over the lazy dog';
+    var b = 'The slow brown fox jumps over the lazy dog';
+
+    test.deepEqual(textdiff.diff(a, b, 'word'), [
+        [new textdiff.TextHunk(4, 'The ', 'quick', ' brown fox')],
+        [new textdiff.TextHunk(4, 'The ', 'slow', ' brown fox')]
+    ]);
+
+    test.done();
+};
+
+exports['should combine nearby changes into one hunk'] = function(test) {
+    var a = 'one two three four five six seven eight nine ten';
+    var b = 'one 2 three 4 five six seven eight nine 10';
+    var hunks = textdiff.diff(a, b, 'word');
+
+    test.equal(hunks[0].length, 2);
+    test.equal(hunks[0][0].text, 'two three four');
+    test.equal(hunks[1][0].text, '2 three 4');
+    test.equal(hunks[0][1].text, 'ten');
+    test.equal(hunks[1][1].text, '10');
+
+    test.done();
+};
+
+exports['should record insertions and removals as empty regions'] = function(test) {
+    var hunks = textdiff.diff('abcdef', 'abcXdef', 'char');
+
+    test.deepEqual(hunks, [
+        [new textdiff.TextHunk(3, 'abc', '', 'def')],
+        [new textdiff.TextHunk(3, 'abc', 'X', 'def')]
+    ]);
+
+    test.equal(textdiff.patch('abcXdef', hunks[1], hunks[0]), 'abcdef');
+
+    test.done();
+};
+
+exports['should patch and revert texts'] = function(test) {
+    ['word', 'char'].forEach(function(granularity) {
+        var a = 'It was a sunny day in the park, and everyone was happy.';
+        var b = 'It was a rainy day in the park and everybody was happy!';
+        var hunks = textdiff.diff(a, b, granularity);
+
+        test.equal(textdiff.patch(a, hunks[0], hunks[1]), b);
+        test.equal(textdiff.patch(b, hunks[1], hunks[0]), a);
+    });
+
+    test.done();
+};
+
+exports['should patch texts which have drifted'] = function(test) {
+    var a = 'The quick brown fox jumps over the lazy dog.';
+    var b = 'The slow brown fox jumps over the lazy dog.';
+    var hunks = textdiff.diff(a, b, 'word');
+
+    test.equal(textdiff.patch('Intro. ' + a, hunks[0], hunks[1]),
+            'Intro. ' + b);
+    test.equal(textdiff.patch('The quick brown cat jumps.', hunks[0], hunks[1]),
+            'The slow brown cat jumps.');
+    test.equal(textdiff.patch('The fast brown fox.', hunks[0], hunks[1]),
+            undefined);
+
+    test.done();
+};
+
+exports['should choose the occurence nearest to the original offset'] = function(test) {
+    var a = 'a b c d e f g h i j a b c d e f';
+    var b = 'a b c d e f g h i j a b X d e f';
+    var hunks = textdiff.diff(a, b, 'word');
+
+    test.deepEqual(textdiff.locate('x ' + a, hunks[0]), [26]);
+    test.equal(textdiff.patch('x ' + a, hunks[0], hunks[1]), 'x ' + b);
+
+    test.done();
+};
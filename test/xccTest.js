@@ -145,3 +145,116 @@ exports.testExtendedUpdateDetectionOnLeaveNodes = function(test) {
 
     test.done();
 };
+
+/**
+ * Children of unordered nodes form a set. Tree a has two keyed children
+ * (a1=k1, a2=k2), tree b has the same children in reverse order. Ensure that
+ * the children are paired by key regardless of their position.
+ */
+exports.testMatchUnorderedChildrenByKey = function(test) {
+    var a = new tree.Node();
+    var a1 = new tree.Node('k1');
+    var a11 = new tree.Node('x');
+    var a2 = new tree.Node('k2');
+    var a21 = new tree.Node('y');
+    var b = new tree.Node();
+    var b1 = new tree.Node('k2');
+    var b11 = new tree.Node('y');
+    var b2 = new tree.Node('k1');
+    var b21 = new tree.Node('x');
+
+    a.unordered = true;
+    b.unordered = true;
+
+    a.append(a1);
+    a.append(a2);
+    a1.append(a11);
+    a2.append(a21);
+    b.append(b1);
+    b.append(b2);
+    b1.append(b11);
+    b2.append(b21);
+
+    var matching = new tree.Matching();
+    var diff = new xcc.Diff(a, b);
+
+    diff.matchTrees(matching);
+
+    test.equals(matching.get(b1), a2);
+    test.equals(matching.get(b11), a21);
+    test.equals(matching.get(b2), a1);
+    test.equals(matching.get(b21), a11);
+
+    test.done();
+};
+
+/**
+ * Limits are passed to the LCS, leaves without any counterpart are discarded
+ * if hash functions are set. Common leaves are matched nevertheless.
+ */
+exports.testMatchLeavesWithLcsOptions = function(test) {
+    var a = new tree.Node();
+    var b = new tree.Node();
+    var av = ['x', 'y', 'z', 'w'].map(function(v) {
+        var n = new tree.Node(v);
+        a.append(n);
+        return n;
+    });
+    var bv = ['q', 'x', 'y', 'r', 'z', 'w'].map(function(v) {
+        var n = new tree.Node(v);
+        b.append(n);
+        return n;
+    });
+
+    var matching = new tree.Matching();
+    var diff = new xcc.Diff(a, b, {'lcs': {'maxCost': 2}});
+
+    diff.hasha = diff.hashb = function(node) {
+        return node.value;
+    };
+    diff.matchTrees(matching);
+
+    test.equals(matching.get(bv[0]), undefined);
+    test.equals(matching.get(bv[1]), av[0]);
+    test.equals(matching.get(bv[2]), av[1]);
+    test.equals(matching.get(bv[3]), undefined);
+    test.equals(matching.get(bv[4]), av[2]);
+    test.equals(matching.get(bv[5]), av[3]);
+
+    test.done();
+};
+
+/**
+ * Leaves are aligned on unique values first if the patience variant of the
+ * LCS is selected.
+ */
+exports.testMatchLeavesUsingPatienceLcs = function(test) {
+    var a = new tree.Node();
+    var b = new tree.Node();
+    var av = '-----ca'.split('').map(function(v) {
+        var n = new tree.Node(v);
+        a.append(n);
+        return n;
+    });
+    var bv = '--c-aa-'.split('').map(function(v) {
+        var n = new tree.Node(v);
+        b.append(n);
+        return n;
+    });
+
+    var matching = new tree.Matching();
+    var diff = new xcc.Diff(a, b, {'lcs': {'algorithm': 'patience'}});
+
+    diff.hasha = diff.hashb = function(node) {
+        return node.value;
+    };
+    diff.matchTrees(matching);
+
+    test.equals(matching.get(av[0]), bv[0]);
+    test.equals(matching.get(av[1]), bv[1]);
+    test.equals(matching.get(av[5]), bv[2]);
+    test.equals(matching.get(av[6]), bv[4]);
+    test.equals(matching.get(av[2]), undefined);
+
+    test.done();
+};
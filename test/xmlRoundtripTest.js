@@ -357,3 +357,401 @@ exports['HTML identity (Skel-Match)'] = function(test) {
 
     test.done();
 };
+
+exports['SVG roundtrip with JSON delta (XCC)'] = function(test) {
+    var jsonDeltaProfile = profiles.getDeltaProfile('json');
+
+    // Generate patch in JSON format, XML fragments are serialized into
+    // strings.
+    var patch = (function() {
+        var doc1 = docProfile.loadOriginalDocument(require('./fixtures/logo-1'));
+        var doc2 = docProfile.loadInputDocument(require('./fixtures/logo-2'));
+
+        var d = new diffcmd.Diff(xccDiffProfile, docProfile, jsonDeltaProfile);
+        var deltadoc = d.diff(doc1, doc2);
+
+        test.equal(deltadoc.attached.length, 4);
+        test.equal(deltadoc.detached.length, 4);
+
+        return jsonDeltaProfile.serializeDocument(deltadoc);
+    }());
+
+    test.ok(typeof patch === 'string');
+    test.equal(JSON.parse(patch).delta.length, 4);
+
+    // Apply the generated patch to logo-1 fixture.
+    var logo1patched = (function(){
+        var doc = docProfile.loadOriginalDocument(require('./fixtures/logo-1'));
+        var fragadapter = docProfile.createFragmentAdapter('json');
+        var deltadoc = jsonDeltaProfile.loadDocument(patch, fragadapter);
+
+        var p = new patchcmd.Patch(resolverProfile, docProfile, jsonDeltaProfile);
+        var fails = p.patch(doc, deltadoc);
+
+        test.equal(fails, 0);
+
+        return docProfile.serializeDocument(doc);
+    }());
+
+    // Compare tree hash values of logo-2 and logo-1-patched.
+    (function(){
+        var doc1patched = docProfile.loadInputDocument(logo1patched);
+        var doc2 = docProfile.loadInputDocument(require('./fixtures/logo-2'));
+
+        test.equal(doc2.treevalueindex.get(doc2.tree),
+            doc1patched.treevalueindex.get(doc1patched.tree));
+    }());
+
+    test.done();
+};
+
+exports['should detect changes to comments, processing instructions and CDATA sections'] = function(test) {
+    [
+        ['<doc><!--a--><p/></doc>', '<doc><!--b--><p/></doc>'],
+        ['<doc><?pi a?><p/></doc>', '<doc><?pi b?><p/></doc>'],
+        ['<doc><p><![CDATA[a]]></p></doc>', '<doc><p><![CDATA[b]]></p></doc>'],
+        ['<doc><p>a</p></doc>', '<doc><p><![CDATA[a]]></p></doc>'],
+        ['<doc><p/></doc>', '<doc><!--license--><p/></doc>']
+    ].forEach(function(docs) {
+        [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+            var doc1 = docProfile.loadOriginalDocument(docs[0]);
+            var doc2 = docProfile.loadInputDocument(docs[1]);
+            var d = new diffcmd.Diff(diffProfile, docProfile, deltaProfile);
+            var matching = diffProfile.createMatching();
+
+            diffProfile.createDiffAlgorithm(doc1, doc2,
+                    docProfile.createNodeEqualityTest(doc1, doc2)).matchTrees(matching);
+
+            test.equal(d.collect(doc1, doc2, matching).attached.length, 1);
+        });
+    });
+
+    test.done();
+};
+
+exports['should roundtrip changes to comments and processing instructions'] = function(test) {
+    var orig = '<doc><?xml-stylesheet href="a.xsl"?><!--license--><p>a<!--x-->b</p></doc>';
+    var changed = '<doc><?xml-stylesheet href="b.xsl"?><p>a<!--y-->b<?pi x?></p></doc>';
+
+    [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+        var doc1 = docProfile.loadOriginalDocument(orig);
+        var doc2 = docProfile.loadInputDocument(changed);
+        var d = new diffcmd.Diff(diffProfile, docProfile, deltaProfile);
+        var patch = deltaProfile.serializeDocument(d.diff(doc1, doc2));
+
+        var doc = docProfile.loadOriginalDocument(orig);
+        var fragadapter = docProfile.createFragmentAdapter('xml');
+        var deltadoc = deltaProfile.loadDocument(patch, fragadapter);
+        var p = new patchcmd.Patch(resolverProfile, docProfile, deltaProfile);
+
+        test.equal(p.patch(doc, deltadoc), 0);
+        test.equal(docProfile.serializeDocument(doc), changed);
+    });
+
+    test.done();
+};
+
+exports['should roundtrip changes to comments and processing instructions outside of the document element'] = function(test) {
+    [
+        ['<?xml-stylesheet href="a.xsl"?><doc><p/></doc>', '<?xml-stylesheet href="b.xsl"?><doc><p/></doc>'],
+        ['<doc><p/></doc>', '<!--license--><doc><p/></doc>'],
+        ['<!--license--><doc><p/></doc>', '<doc><p/></doc><?pi x?>']
+    ].forEach(function(docs) {
+        ['skelmatch', 'xcc', 'ted', 'gumtree'].forEach(function(algo) {
+            var patch = diff(profiles.getDiffProfile(algo), docs[0], docs[1]);
+
+            test.deepEqual(apply(docs[0], patch), {'fails': 0, 'result': docs[1]});
+        });
+    });
+
+    test.done();
+};
+
+exports['should record attribute changes by qualified name'] = function(test) {
+    var orig = '<doc xmlns:x="urn:x"><p a="1" b="2" x:c="3">text</p></doc>';
+    var changed = '<doc xmlns:x="urn:x"><p a="9" x:c="3" x:d="4">text</p></doc>';
+
+    [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+        var patch = diff(diffProfile, orig, changed);
+
+        test.ok(patch.indexOf('<attributes path="0/0">') >= 0);
+        test.ok(patch.indexOf('<remove><p a="1" b="2"/></remove>') >= 0);
+        test.ok(patch.indexOf('<insert><p a="9" xmlns:x="urn:x" x:d="4"/></insert>') >= 0);
+        test.deepEqual(apply(orig, patch), {'fails': 0, 'result': changed});
+    });
+
+    test.done();
+};
+
+exports['should apply patches touching different attributes of the same element'] = function(test) {
+    var orig = '<doc><p a="1" b="2">text</p></doc>';
+    var first = diff(xccDiffProfile, orig, '<doc><p a="3" b="2">text</p></doc>');
+    var second = diff(xccDiffProfile, orig, '<doc><p a="1" b="4" c="5">text</p></doc>');
+    var conflicting = diff(xccDiffProfile, orig, '<doc><p a="6" b="2">text</p></doc>');
+    var result = apply(orig, first).result;
+
+    test.deepEqual(apply(result, second),
+            {'fails': 0, 'result': '<doc><p a="3" b="4" c="5">text</p></doc>'});
+    test.deepEqual(apply(result, conflicting), {'fails': 1, 'result': result});
+
+    test.done();
+};
+
+exports['should not add namespace declarations to patched nodes'] = function(test) {
+    [
+        ['<r xmlns:x="urn:x"><a/></r>', '<r xmlns:x="urn:x"><a/><x:b x:c="1"/></r>'],
+        ['<r xmlns="urn:d"><a/></r>', '<r xmlns="urn:d"><a/><b/></r>'],
+        ['<r xmlns="urn:d"><a/></r>', '<r xmlns="urn:d"><a/><b xmlns=""/></r>'],
+        ['<r xmlns:x="urn:x"><a/></r>', '<r xmlns:x="urn:x"><a x:c="1"/></r>'],
+        ['<s:Envelope xmlns:s="urn:soap"><s:Body><m:op xmlns:m="urn:m"><m:v>1</m:v></m:op></s:Body></s:Envelope>',
+         '<s:Envelope xmlns:s="urn:soap"><s:Body><m:op xmlns:m="urn:m"><m:v>2</m:v><m:w/></m:op></s:Body></s:Envelope>']
+    ].forEach(function(docs) {
+        [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+            var patch = diff(diffProfile, docs[0], docs[1]);
+
+            test.deepEqual(apply(docs[0], patch), {'fails': 0, 'result': docs[1]});
+        });
+    });
+
+    test.done();
+};
+
+exports['should declare namespaces of fragments on the enclosing element'] = function(test) {
+    var patch = diff(xccDiffProfile, '<r xmlns:x="urn:x"><a/></r>',
+            '<r xmlns:x="urn:x"><a/><x:b/></r>');
+
+    test.ok(patch.indexOf('<insert xmlns:x="urn:x"><x:b/></insert>') >= 0);
+
+    test.done();
+};
+
+exports['should detect changes of namespace declarations'] = function(test) {
+    [
+        ['<r xmlns:x="urn:x"><a/></r>', '<r xmlns:x="urn:y"><a/></r>'],
+        ['<r xmlns:x="urn:x"><a/></r>', '<r xmlns:x="urn:x" xmlns:y="urn:y"><a/></r>'],
+        ['<r><a xmlns="urn:d"/></r>', '<r><a xmlns="urn:d" xmlns:x="urn:x"/></r>']
+    ].forEach(function(docs) {
+        [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+            var patch = diff(diffProfile, docs[0], docs[1]);
+
+            test.deepEqual(apply(docs[0], patch), {'fails': 0, 'result': docs[1]});
+        });
+    });
+
+    test.done();
+};
+
+exports['should preserve prefixes'] = function(test) {
+    [
+        ['<r xmlns:x="urn:x" xmlns:y="urn:x"><x:a/></r>', '<r xmlns:x="urn:x" xmlns:y="urn:x"><y:a/></r>'],
+        ['<r xmlns:x="urn:x"><x:a x:c="1"/></r>', '<r xmlns:y="urn:x"><y:a y:c="1"/></r>'],
+        ['<r xmlns:x="urn:x" xmlns:y="urn:x"><a x:c="1"/></r>', '<r xmlns:x="urn:x" xmlns:y="urn:x"><a y:c="1"/></r>']
+    ].forEach(function(docs) {
+        [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+            var patch = diff(diffProfile, docs[0], docs[1]);
+
+            test.deepEqual(apply(docs[0], patch), {'fails': 0, 'result': docs[1]});
+        });
+    });
+
+    test.done();
+};
+
+exports['should roundtrip SVG with namespaced attributes exactly'] = function(test) {
+    var orig = require('./fixtures/logo-1');
+    var changed = require('./fixtures/logo-2');
+
+    [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+        var result = apply(orig, diff(diffProfile, orig, changed));
+
+        test.equal(result.fails, 0);
+        test.equal(result.result.split('xmlns:inkscape').length,
+                changed.split('xmlns:inkscape').length);
+    });
+
+    test.done();
+};
+
+exports['should ignore whitespace-only text nodes if requested'] = function(test) {
+    var compact = '<r><a>1</a><b>2</b></r>';
+    var indented = '<r>\n  <a>1</a>\n  <b>2</b>\n</r>';
+    var ignoreProfile = profiles.getDocumentProfile('xml', {'whitespace': 'ignore'});
+
+    [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+        test.equal(diff(diffProfile, compact, indented, ignoreProfile), '<delta/>');
+        test.notEqual(diff(diffProfile, compact, indented), '<delta/>');
+    });
+
+    test.done();
+};
+
+exports['should apply patches to documents formatted differently'] = function(test) {
+    var orig = '<r><a>1</a><b>2</b><c>3</c><d>4</d></r>';
+    var changed = '<r>\n  <a>1</a>\n  <c>5</c>\n  <d>4</d>\n  <e/>\n</r>';
+    var target = '<r>\n\t<a>1</a>\n\t<b>2</b>\n\t<c>3</c>\n\t<d>4</d>\n</r>';
+    var ignoreProfile = profiles.getDocumentProfile('xml', {'whitespace': 'ignore'});
+
+    [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+        var patch = diff(diffProfile, orig, changed, ignoreProfile);
+        var result = apply(target, patch, ignoreProfile);
+
+        test.equal(result.fails, 0);
+        test.equal(result.result.replace(/\s+/g, ''),
+                '<r><a>1</a><c>5</c><d>4</d><e/></r>');
+    });
+
+    test.done();
+};
+
+exports['should remove whitespace between removed nodes'] = function(test) {
+    var orig = '<r>\n  <a/>\n  <b/>\n  <c/>\n  <d/>\n</r>';
+    var changed = '<r><a/><d/></r>';
+    var ignoreProfile = profiles.getDocumentProfile('xml', {'whitespace': 'ignore'});
+
+    [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+        var patch = diff(diffProfile, orig, changed, ignoreProfile);
+
+        test.deepEqual(apply(orig, patch, ignoreProfile), {
+            'fails': 0,
+            'result': '<r>\n  <a/>\n  \n  <d/>\n</r>'
+        });
+    });
+
+    test.done();
+};
+
+exports['should normalize whitespace within texts if requested'] = function(test) {
+    var orig = '<r><p>Hello world</p><p>Bye</p></r>';
+    var changed = '<r>\n  <p>Hello\n    world </p>\n  <p>Good bye</p>\n</r>';
+    var ignoreProfile = profiles.getDocumentProfile('xml', {'whitespace': 'ignore'});
+    var normalizeProfile = profiles.getDocumentProfile('xml', {'whitespace': 'normalize'});
+
+    [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+        var patch = diff(diffProfile, orig, changed, normalizeProfile);
+
+        test.equal(diff(diffProfile, orig, changed, ignoreProfile).split('<remove>').length, 3);
+        test.equal(patch.split('<remove>').length, 2);
+        test.deepEqual(apply(orig, patch, normalizeProfile), {
+            'fails': 0,
+            'result': '<r><p>Hello world</p><p>Good bye</p></r>'
+        });
+    });
+
+    test.done();
+};
+
+exports['should honour xml:space when ignoring whitespace'] = function(test) {
+    var orig = '<r><pre xml:space="preserve"><a>x  y</a><b/></pre></r>';
+    var changed = '<r>\n  <pre xml:space="preserve"><a>x y</a> <b/></pre>\n</r>';
+    var normalizeProfile = profiles.getDocumentProfile('xml', {'whitespace': 'normalize'});
+
+    [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+        var patch = diff(diffProfile, orig, changed, normalizeProfile);
+
+        test.ok(patch.indexOf('<remove xml:space="preserve">x  y</remove>') >= 0);
+        test.deepEqual(apply(orig, patch, normalizeProfile), {
+            'fails': 0,
+            'result': '<r><pre xml:space="preserve"><a>x y</a> <b/></pre></r>'
+        });
+    });
+
+    test.done();
+};
+
+exports['should record changes of texts inline if requested'] = function(test) {
+    var orig = '<r><p>The quick brown fox jumps over the lazy dog.</p><p>Bye</p></r>';
+    var changed = '<r><p>The slow brown fox jumps over the lazy cat.</p><p>Bye</p></r>';
+
+    ['word', 'char'].forEach(function(granularity) {
+        var textProfile = profiles.getDocumentProfile('xml', {'textdiff': granularity});
+
+        [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+            var patch = diff(diffProfile, orig, changed, textProfile);
+
+            test.ok(patch.indexOf('<text path="0/0/0">') >= 0);
+            test.ok(patch.indexOf('jumps over') < 0);
+            test.deepEqual(apply(orig, patch, textProfile), {
+                'fails': 0,
+                'result': changed
+            });
+        });
+    });
+
+    test.done();
+};
+
+exports['should apply inline text changes to drifted texts'] = function(test) {
+    var orig = '<r><p>It was a sunny day in the park, and everyone was happy to see the fox.</p></r>';
+    var changed = '<r><p>It was a rainy day in the park, and everyone was happy to see the fox.</p></r>';
+    var target = '<r><p>Intro. It was a sunny day in the park, and everybody was happy to see the fox!</p></r>';
+    var textProfile = profiles.getDocumentProfile('xml', {'textdiff': 'word'});
+
+    [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+        var patch = diff(diffProfile, orig, changed, textProfile);
+
+        test.deepEqual(apply(target, patch, textProfile), {
+            'fails': 0,
+            'result': '<r><p>Intro. It was a rainy day in the park, and everybody was happy to see the fox!</p></r>'
+        });
+        test.equal(apply('<r><p>Something else entirely</p></r>', patch, textProfile).fails, 1);
+    });
+
+    test.done();
+};
+
+exports['should fall back to node updates for short texts'] = function(test) {
+    var textProfile = profiles.getDocumentProfile('xml', {'textdiff': 'word'});
+
+    [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+        var patch = diff(diffProfile, '<r><p>Hello</p></r>', '<r><p>Bye</p></r>', textProfile);
+
+        test.ok(patch.indexOf('<text') < 0);
+    });
+
+    test.done();
+};
+
+exports['should record moved subtrees as move operations'] = function(test) {
+    var orig = '<doc><sec><h>One</h><p>First</p></sec><sec><h>Two</h><p>Second</p></sec><sec><h>Three</h><p>Third</p></sec></doc>';
+    var changed = '<doc><sec><h>Two</h><p>Second</p></sec><sec><h>One</h><p>First</p><sec><h>Three</h><p>Third</p></sec></sec></doc>';
+    var drifted = '<doc><sec><h>One</h><p>First</p></sec><sec><h>Two</h><p>Second</p></sec><sec><h>Three</h><p>Third, revised</p></sec><sec><h>Four</h></sec></doc>';
+
+    [xccDiffProfile, skelmatchDiffProfile].forEach(function(diffProfile) {
+        var patch = diff(diffProfile, orig, changed);
+
+        test.ok(patch.indexOf('<move') >= 0);
+        test.ok(patch.indexOf('<forest') < 0);
+        test.ok(patch.indexOf('Third') < 0);
+        test.deepEqual(apply(orig, patch), {'fails': 0, 'result': changed});
+        test.deepEqual(apply(drifted, patch), {
+            'fails': 0,
+            'result': '<doc><sec><h>Two</h><p>Second</p></sec><sec><h>One</h><p>First</p><sec><h>Three</h><p>Third, revised</p></sec></sec><sec><h>Four</h></sec></doc>'
+        });
+    });
+
+    test.done();
+};
+
+function diff(diffProfile, orig, changed, profile) {
+    profile = profile || docProfile;
+
+    var doc1 = profile.loadOriginalDocument(orig);
+    var doc2 = profile.loadInputDocument(changed);
+    var d = new diffcmd.Diff(diffProfile, profile, deltaProfile);
+
+    return deltaProfile.serializeDocument(d.diff(doc1, doc2));
+}
+
+function apply(orig, patch, profile) {
+    profile = profile || docProfile;
+
+    var doc = profile.loadOriginalDocument(orig);
+    var fragadapter = profile.createFragmentAdapter('xml');
+    var deltadoc = deltaProfile.loadDocument(patch, fragadapter);
+    var p = new patchcmd.Patch(resolverProfile, profile, deltaProfile);
+
+    return {
+        'fails': p.patch(doc, deltadoc),
+        'result': profile.serializeDocument(doc)
+    };
+}
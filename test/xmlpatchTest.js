@@ -0,0 +1,301 @@
+var profiles = require('../lib/profiles');
+var diffcmd = require('../lib/delta/diff');
+var patchcmd = require('../lib/delta/patch');
+var xmlpatch = require('../lib/delta/xmlpatch');
+
+var docProfile = profiles.getDocumentProfile('xml');
+var deltaProfile = profiles.getDeltaProfile('xmlpatch');
+var resolverProfile = profiles.getResolverProfile();
+
+function diff(diffProfile, orig, changed) {
+    var doc1 = docProfile.loadOriginalDocument(orig);
+    var doc2 = docProfile.loadInputDocument(changed);
+    var d = new diffcmd.Diff(diffProfile, docProfile, deltaProfile);
+    var deltadoc = d.diff(doc1, doc2);
+
+    return deltaProfile.serializeDocument(deltadoc);
+}
+
+function patch(orig, operations) {
+    var doc = docProfile.loadOriginalDocument(orig);
+    var fragadapter = docProfile.createFragmentAdapter('xmlpatch');
+    var deltadoc = deltaProfile.loadDocument(operations, fragadapter);
+    var p = new patchcmd.Patch(resolverProfile, docProfile, deltaProfile);
+    var fails = p.patch(doc, deltadoc);
+
+    return {
+        'fails': fails,
+        'result': docProfile.serializeDocument(doc)
+    };
+}
+
+function treeHash(xml) {
+    var doc = docProfile.loadInputDocument(xml);
+    return doc.treevalueindex.get(doc.tree);
+}
+
+exports['should parse XPath selectors'] = function(test) {
+    var ns = {'': 'urn:default', 'x': 'urn:x'};
+
+    test.deepEqual(xmlpatch.parseSelector('/doc/x:foo[2]/text()[1]', ns), [
+        {'kind': 'element', 'ns': 'urn:default', 'local': 'doc', 'predicates': []},
+        {'kind': 'element', 'ns': 'urn:x', 'local': 'foo', 'predicates': [{'position': 2}]},
+        {'kind': 'text', 'predicates': [{'position': 1}]}
+    ]);
+
+    test.deepEqual(xmlpatch.parseSelector('doc/*[@id="a/b"]/@x:attr', ns), [
+        {'kind': 'element', 'ns': 'urn:default', 'local': 'doc', 'predicates': []},
+        {'kind': 'element', 'ns': undefined, 'local': '*', 'predicates': [
+            {'ns': null, 'local': 'id', 'value': 'a/b'}]},
+        {'kind': 'attribute', 'ns': 'urn:x', 'local': 'attr', 'predicates': []}
+    ]);
+
+    test.deepEqual(xmlpatch.parseSelector('/doc/comment()[2]', ns)[1],
+        {'kind': 'comment', 'predicates': [{'position': 2}]});
+
+    test.deepEqual(xmlpatch.parseSelector('/doc/processing-instruction(\'pi\')', ns)[1],
+        {'kind': 'processing-instruction', 'target': 'pi', 'predicates': []});
+
+    test.deepEqual(xmlpatch.parseSelector('/doc/processing-instruction()[1]', ns)[1],
+        {'kind': 'processing-instruction', 'predicates': [{'position': 1}]});
+
+    test.throws(function() {
+        xmlpatch.parseSelector('/doc/comment(\'x\')');
+    });
+    test.throws(function() {
+        xmlpatch.parseSelector('/doc//foo');
+    });
+    test.throws(function() {
+        xmlpatch.parseSelector('/doc/@a/foo');
+    });
+    test.throws(function() {
+        xmlpatch.parseSelector('/doc/y:foo', ns);
+    });
+
+    test.done();
+};
+
+exports['should apply RFC 5261 example operations'] = function(test) {
+    var doc = '<doc><foo a="1">This is a sample document</foo></doc>';
+
+    test.deepEqual(patch(doc, '<diff><add sel="doc"><foo id="ert4773">This is a new child</foo></add></diff>'),
+            {'fails': 0, 'result': '<doc><foo a="1">This is a sample document</foo><foo id="ert4773">This is a new child</foo></doc>'});
+
+    test.deepEqual(patch(doc, '<diff><add sel="doc/foo[@a=\'1\']" type="@b">new attr</add></diff>'),
+            {'fails': 0, 'result': '<doc><foo a="1" b="new attr">This is a sample document</foo></doc>'});
+
+    test.deepEqual(patch(doc, '<diff><add sel="doc/foo" pos="before"><bar/></add></diff>'),
+            {'fails': 0, 'result': '<doc><bar/><foo a="1">This is a sample document</foo></doc>'});
+
+    test.deepEqual(patch(doc, '<diff><add sel="doc/foo" pos="prepend">Text </add></diff>'),
+            {'fails': 0, 'result': '<doc><foo a="1">Text This is a sample document</foo></doc>'});
+
+    test.deepEqual(patch(doc, '<diff><replace sel="doc/foo[@a=\'1\']"><bar a="2"/></replace></diff>'),
+            {'fails': 0, 'result': '<doc><bar a="2"/></doc>'});
+
+    test.deepEqual(patch(doc, '<diff><replace sel="doc/foo/@a">2</replace></diff>'),
+            {'fails': 0, 'result': '<doc><foo a="2">This is a sample document</foo></doc>'});
+
+    test.deepEqual(patch(doc, '<diff><replace sel="doc/foo/text()[1]">This is the new text content</replace></diff>'),
+            {'fails': 0, 'result': '<doc><foo a="1">This is the new text content</foo></doc>'});
+
+    test.deepEqual(patch(doc, '<diff><remove sel="doc/foo/@a"/></diff>'),
+            {'fails': 0, 'result': '<doc><foo>This is a sample document</foo></doc>'});
+
+    test.deepEqual(patch(doc, '<diff><remove sel="doc/foo"/></diff>'),
+            {'fails': 0, 'result': '<doc/>'});
+
+    test.done();
+};
+
+exports['should apply operations on comments and processing instructions'] = function(test) {
+    var doc = '<doc><?a x?><!--one--><p>text<!--two--></p><?b y?></doc>';
+
+    test.deepEqual(patch(doc, '<diff><replace sel="/doc/comment()[1]"><!--1--></replace></diff>'),
+            {'fails': 0, 'result': '<doc><?a x?><!--1--><p>text<!--two--></p><?b y?></doc>'});
+
+    test.deepEqual(patch(doc, '<diff><replace sel="/doc/processing-instruction(\'b\')"><?b z?></replace></diff>'),
+            {'fails': 0, 'result': '<doc><?a x?><!--one--><p>text<!--two--></p><?b z?></doc>'});
+
+    test.deepEqual(patch(doc, '<diff><remove sel="/doc/p/comment()"/><remove sel="/doc/processing-instruction()[1]"/></diff>'),
+            {'fails': 0, 'result': '<doc><!--one--><p>text</p><?b y?></doc>'});
+
+    test.deepEqual(patch(doc, '<diff><add sel="/doc/p" pos="prepend"><!--zero--></add></diff>'),
+            {'fails': 0, 'result': '<doc><?a x?><!--one--><p><!--zero-->text<!--two--></p><?b y?></doc>'});
+
+    test.equals(patch(doc, '<diff><replace sel="/doc/comment()"><?c?></replace></diff>').fails, 1);
+
+    test.done();
+};
+
+exports['should roundtrip changes to comments and processing instructions'] = function(test) {
+    var orig = '<doc><?xml-stylesheet href="a.xsl"?><!--license--><p>a<!--x-->b</p></doc>';
+    var changed = '<doc><?xml-stylesheet href="b.xsl"?><p>a<!--y-->b<?pi x?></p></doc>';
+
+    ['skelmatch', 'xcc'].forEach(function(algo) {
+        var ops = diff(profiles.getDiffProfile(algo), orig, changed);
+
+        test.deepEqual(patch(orig, ops), {'fails': 0, 'result': changed});
+    });
+
+    test.done();
+};
+
+exports['should select comments and processing instructions outside of the document element'] = function(test) {
+    var orig = '<?xml-stylesheet href="a.xsl"?><doc><p/></doc>';
+    var changed = '<?xml-stylesheet href="b.xsl"?><doc><p/></doc><!--license-->';
+    var ops = diff(profiles.getDiffProfile('xcc'), orig, changed);
+
+    test.equals(ops, '<diff>' +
+            '<add sel="/doc" pos="after"><!--license--></add>' +
+            '<replace sel="/processing-instruction(\'xml-stylesheet\')[1]"><?xml-stylesheet href="b.xsl"?></replace>' +
+            '</diff>');
+
+    test.deepEqual(patch(orig, ops), {'fails': 0, 'result': changed});
+
+    test.deepEqual(patch(orig, '<diff><add sel="/" pos="prepend"><!--license--></add></diff>'),
+            {'fails': 0, 'result': '<!--license-->' + orig});
+
+    test.equals(patch(orig, '<diff><add sel="/"><doc/></add></diff>').fails, 1);
+    test.equals(patch(orig, '<diff><remove sel="/doc"/></diff>').fails, 1);
+
+    test.done();
+};
+
+exports['should resolve unprefixed names in the default namespace of the patch'] = function(test) {
+    var doc = '<doc xmlns="urn:ietf:params:xml:ns:xxx" xmlns:y="urn:y"><foo/><y:bar/></doc>';
+
+    test.deepEqual(patch(doc, '<diff xmlns="urn:ietf:params:xml:ns:xxx" xmlns:z="urn:y"><remove sel="doc/z:bar"/><add sel="doc/foo" type="@z:a">1</add></diff>'),
+            {'fails': 0, 'result': '<doc xmlns="urn:ietf:params:xml:ns:xxx" xmlns:y="urn:y"><foo y:a="1"/></doc>'});
+
+    test.equals(patch(doc, '<diff><remove sel="doc/foo"/></diff>').fails, 1);
+
+    test.done();
+};
+
+exports['should resolve operations against the result of previous operations'] = function(test) {
+    var doc = '<doc><a/><b/></doc>';
+    var ops = '<diff>' +
+        '<add sel="/doc/a" pos="after"><a id="x"/></add>' +
+        '<add sel="/doc/a[2]" type="@class">new</add>' +
+        '<replace sel="/doc/a[@id=\'x\']/@id">y</replace>' +
+        '<add sel="/doc/a[@id=\'y\']">text</add>' +
+        '<remove sel="/doc/b"/>' +
+        '</diff>';
+
+    test.deepEqual(patch(doc, ops),
+            {'fails': 0, 'result': '<doc><a/><a id="y" class="new">text</a></doc>'});
+
+    test.done();
+};
+
+exports['should reject the whole patch if one operation fails'] = function(test) {
+    var doc = '<doc><a/><b/></doc>';
+
+    test.deepEqual(patch(doc, '<diff><remove sel="/doc/b"/><remove sel="/doc/c"/><add sel="/doc"><c/></add></diff>'),
+            {'fails': 2, 'result': doc});
+
+    test.deepEqual(patch(doc, '<diff><remove sel="/doc/*"/></diff>'),
+            {'fails': 1, 'result': doc});
+
+    test.deepEqual(patch(doc, '<diff><add sel="/doc/a" type="@x">1</add><add sel="/doc/a" type="@x">2</add></diff>'),
+            {'fails': 1, 'result': doc});
+
+    test.done();
+};
+
+exports['should build selectors from id attributes and positions'] = function(test) {
+    var orig = '<doc><p>a</p><p id="x">b</p><p id="y">c</p><p id="y">d</p></doc>';
+    var changed = '<doc><p>a</p><p id="x">B</p><p id="y">c</p><p id="y" class="z">d</p><q/></doc>';
+
+    test.equals(diff(profiles.getDiffProfile('xcc'), orig, changed),
+            '<diff>' +
+            '<add sel="/doc/p[4]" pos="after"><q/></add>' +
+            '<add sel="/doc/p[4]" type="@class">z</add>' +
+            '<replace sel="/doc/p[@id=\'x\']/text()[1]">B</replace>' +
+            '</diff>');
+
+    test.done();
+};
+
+exports['should replace elements whose name changed'] = function(test) {
+    var orig = '<doc><a x="1"><b/></a></doc>';
+    var changed = '<root><c x="1"><b/><d/></c></root>';
+
+    ['skelmatch', 'xcc'].forEach(function(algo) {
+        var ops = diff(profiles.getDiffProfile(algo), orig, changed);
+
+        test.deepEqual(patch(orig, ops), {'fails': 0, 'result': changed});
+    });
+
+    test.done();
+};
+
+exports['should replace nodes whose type changed'] = function(test) {
+    var cases = [
+        ['<r><!--c--><b/></r>', '<r>x<b/></r>'],
+        ['<r><a/><a/><a/></r>', '<r>x</r>']
+    ];
+
+    ['skelmatch', 'xcc', 'ted', 'gumtree'].forEach(function(algo) {
+        cases.forEach(function(c) {
+            var ops = diff(profiles.getDiffProfile(algo), c[0], c[1]);
+
+            test.deepEqual(patch(c[0], ops), {'fails': 0, 'result': c[1]});
+        });
+    });
+
+    test.done();
+};
+
+exports['should not select by ids moved to another sibling'] = function(test) {
+    var orig = '<r><a id="i3"></a><a></a><a></a></r>';
+    var changed = '<r><a/><a id="i3">foo bar baz</a><a>x</a></r>';
+
+    ['skelmatch', 'xcc', 'ted', 'gumtree'].forEach(function(algo) {
+        var ops = diff(profiles.getDiffProfile(algo), orig, changed);
+
+        test.deepEqual(patch(orig, ops), {'fails': 0, 'result': changed});
+    });
+
+    test.done();
+};
+
+['skelmatch', 'xcc'].forEach(function(algo) {
+    var diffProfile = profiles.getDiffProfile(algo);
+
+    exports['should roundtrip svg fixtures (' + algo + ')'] = function(test) {
+        var orig = require('./fixtures/logo-1');
+        var changed = require('./fixtures/logo-2');
+        var ops = diff(diffProfile, orig, changed);
+        var result = patch(orig, ops);
+
+        test.equals(result.fails, 0);
+        test.equals(treeHash(result.result), treeHash(changed));
+
+        test.done();
+    };
+
+    exports['should roundtrip html fixtures (' + algo + ')'] = function(test) {
+        var orig = require('./fixtures/zappa-quote-1');
+        var changed = require('./fixtures/zappa-quote-2');
+        var ops = diff(diffProfile, orig, changed);
+        var result = patch(orig, ops);
+
+        test.equals(result.fails, 0);
+        test.equals(treeHash(result.result), treeHash(changed));
+
+        test.done();
+    };
+
+    exports['should reject patch when the target has drifted (' + algo + ')'] = function(test) {
+        var orig = '<list><x/><y/><z/></list>';
+        var changed = '<list><x/><z/></list>';
+        var drifted = '<list><x/><z/></list>';
+        var ops = diff(diffProfile, orig, changed);
+
+        test.deepEqual(patch(drifted, ops), {'fails': 1, 'result': drifted});
+
+        test.done();
+    };
+});
@@ -0,0 +1,295 @@
+var profiles = require('../lib/profiles');
+var diffcmd = require('../lib/delta/diff');
+var patchcmd = require('../lib/delta/patch');
+
+var docProfile = profiles.getDocumentProfile('xml');
+var deltaProfile = profiles.getDeltaProfile('xupdate');
+var resolverProfile = profiles.getResolverProfile();
+
+var XUPDATE = 'xmlns:xupdate="http://www.xmldb.org/xupdate"';
+
+function diff(diffProfile, orig, changed) {
+    var doc1 = docProfile.loadOriginalDocument(orig);
+    var doc2 = docProfile.loadInputDocument(changed);
+    var d = new diffcmd.Diff(diffProfile, docProfile, deltaProfile);
+    var deltadoc = d.diff(doc1, doc2);
+
+    return deltaProfile.serializeDocument(deltadoc);
+}
+
+function patch(orig, operations) {
+    var doc = docProfile.loadOriginalDocument(orig);
+    var fragadapter = docProfile.createFragmentAdapter('xupdate');
+    var deltadoc = deltaProfile.loadDocument(operations, fragadapter);
+    var p = new patchcmd.Patch(resolverProfile, docProfile, deltaProfile);
+    var fails = p.patch(doc, deltadoc);
+
+    return {
+        'fails': fails,
+        'result': docProfile.serializeDocument(doc)
+    };
+}
+
+function modifications(ops) {
+    return '<xupdate:modifications version="1.0" ' + XUPDATE + '>' + ops +
+        '</xupdate:modifications>';
+}
+
+function treeHash(xml) {
+    var doc = docProfile.loadInputDocument(xml);
+    return doc.treevalueindex.get(doc.tree);
+}
+
+exports['should interpret XUpdate operations'] = function(test) {
+    var doc = '<addresses><address id="1"><name>Andreas</name></address></addresses>';
+
+    test.deepEqual(patch(doc, modifications(
+                    '<xupdate:insert-after select="/addresses/address[1]">' +
+                    '<xupdate:element name="address">' +
+                    '<xupdate:attribute name="id">2</xupdate:attribute>' +
+                    '<name>Lars</name>' +
+                    '</xupdate:element>' +
+                    '</xupdate:insert-after>')),
+            {'fails': 0, 'result': '<addresses><address id="1"><name>Andreas</name></address><address id="2"><name>Lars</name></address></addresses>'});
+
+    test.deepEqual(patch(doc, modifications(
+                    '<xupdate:insert-before select="/addresses/address[@id=\'1\']/name">' +
+                    '<xupdate:text>Dr. </xupdate:text>' +
+                    '</xupdate:insert-before>')),
+            {'fails': 0, 'result': '<addresses><address id="1">Dr. <name>Andreas</name></address></addresses>'});
+
+    test.deepEqual(patch(doc, modifications(
+                    '<xupdate:append select="/addresses" child="1"><first/></xupdate:append>' +
+                    '<xupdate:append select="/addresses"><last/></xupdate:append>')),
+            {'fails': 0, 'result': '<addresses><first/><address id="1"><name>Andreas</name></address><last/></addresses>'});
+
+    test.deepEqual(patch(doc, modifications(
+                    '<xupdate:update select="/addresses/address/name">Lars</xupdate:update>' +
+                    '<xupdate:update select="/addresses/address/@id">2</xupdate:update>')),
+            {'fails': 0, 'result': '<addresses><address id="2"><name>Lars</name></address></addresses>'});
+
+    test.deepEqual(patch(doc, modifications(
+                    '<xupdate:rename select="/addresses/address">person</xupdate:rename>' +
+                    '<xupdate:append select="/addresses/person">' +
+                    '<xupdate:attribute name="class">friend</xupdate:attribute>' +
+                    '</xupdate:append>' +
+                    '<xupdate:remove select="/addresses/person/@id"/>')),
+            {'fails': 0, 'result': '<addresses><person class="friend"><name>Andreas</name></person></addresses>'});
+
+    test.deepEqual(patch(doc, modifications(
+                    '<xupdate:remove select="/addresses/address/name"/>')),
+            {'fails': 0, 'result': '<addresses><address id="1"/></addresses>'});
+
+    test.done();
+};
+
+exports['should report operations which cannot be applied'] = function(test) {
+    var doc = '<doc><a/><a/></doc>';
+
+    test.deepEqual(patch(doc, modifications(
+                    '<xupdate:remove select="/doc/a"/>' +
+                    '<xupdate:remove select="/doc/b"/>' +
+                    '<xupdate:remove select="/doc/a[2]"/>')),
+            {'fails': 2, 'result': '<doc><a/></doc>'});
+
+    test.deepEqual(patch(doc, modifications(
+                    '<xupdate:append select="/doc/a[1]">' +
+                    '<xupdate:attribute name="x">1</xupdate:attribute><b/>' +
+                    '</xupdate:append>')),
+            {'fails': 1, 'result': doc});
+
+    test.throws(function() {
+        patch(doc, modifications('<xupdate:variable name="x" select="/doc"/>'));
+    });
+
+    test.throws(function() {
+        patch(doc, '<modifications/>');
+    });
+
+    test.done();
+};
+
+exports['should map node updates to rename and attribute operations'] = function(test) {
+    var orig = '<doc><p id="x" a="1" b="2">t</p></doc>';
+    var changed = '<doc><q id="y" a="3" c="4">t</q></doc>';
+    var ops = diff(profiles.getDiffProfile('xcc'), orig, changed);
+
+    test.equals(ops, modifications(
+                '<xupdate:rename select="/doc/p[@id=\'x\']">q</xupdate:rename>' +
+                '<xupdate:update select="/doc/q[@id=\'x\']/@a">3</xupdate:update>' +
+                '<xupdate:remove select="/doc/q[@id=\'x\']/@b"/>' +
+                '<xupdate:append select="/doc/q[@id=\'x\']">' +
+                '<xupdate:attribute name="c">4</xupdate:attribute>' +
+                '</xupdate:append>' +
+                '<xupdate:update select="/doc/q[@id=\'x\']/@id">y</xupdate:update>'));
+
+    test.deepEqual(patch(orig, ops), {'fails': 0, 'result': changed});
+
+    test.done();
+};
+
+exports['should map forest updates to insert and remove operations'] = function(test) {
+    var orig = '<doc><a/><b/><c/></doc>';
+    var changed = '<doc><x/><a/><c/><y>z</y></doc>';
+    var ops = diff(profiles.getDiffProfile('xcc'), orig, changed);
+
+    test.equals(ops, modifications(
+                '<xupdate:insert-after select="/doc/c[1]">' +
+                '<xupdate:element name="y"><xupdate:text>z</xupdate:text></xupdate:element>' +
+                '</xupdate:insert-after>' +
+                '<xupdate:remove select="/doc/b[1]"/>' +
+                '<xupdate:append select="/doc" child="1">' +
+                '<xupdate:element name="x"/>' +
+                '</xupdate:append>'));
+
+    test.deepEqual(patch(orig, ops), {'fails': 0, 'result': changed});
+
+    test.done();
+};
+
+exports['should replace text nodes'] = function(test) {
+    var orig = '<doc><p>a</p><p>b<br/>c</p></doc>';
+    var changed = '<doc><p>A</p><p>b<br/>C</p></doc>';
+
+    ['skelmatch', 'xcc'].forEach(function(algo) {
+        var ops = diff(profiles.getDiffProfile(algo), orig, changed);
+
+        test.deepEqual(patch(orig, ops), {'fails': 0, 'result': changed});
+    });
+
+    test.done();
+};
+
+exports['should replace nodes whose type changed'] = function(test) {
+    var cases = [
+        ['<r><a/><a/><a/></r>', '<r>x</r>'],
+        ['<r>x<b/></r>', '<r><a/><b/></r>'],
+        ['<r>x</r>', '<r>foo bar<b id="i3"/></r>']
+    ];
+
+    ['skelmatch', 'xcc', 'ted', 'gumtree'].forEach(function(algo) {
+        cases.forEach(function(c) {
+            var ops = diff(profiles.getDiffProfile(algo), c[0], c[1]);
+
+            test.deepEqual(patch(c[0], ops), {'fails': 0, 'result': c[1]});
+        });
+    });
+
+    test.done();
+};
+
+exports['should not select by ids moved to another sibling'] = function(test) {
+    var orig = '<r><a id="i3"></a><a></a><a></a></r>';
+    var changed = '<r><a/><a id="i3">foo bar baz</a><a>x</a></r>';
+
+    ['skelmatch', 'xcc'].forEach(function(algo) {
+        var ops = diff(profiles.getDiffProfile(algo), orig, changed);
+
+        test.deepEqual(patch(orig, ops), {'fails': 0, 'result': changed});
+    });
+
+    test.done();
+};
+
+exports['should construct and update comments and processing instructions'] = function(test) {
+    var doc = '<doc><!--one--><?a x?></doc>';
+
+    test.deepEqual(patch(doc, modifications(
+                    '<xupdate:append select="/doc">' +
+                    '<xupdate:comment>two</xupdate:comment>' +
+                    '<xupdate:processing-instruction name="b">y</xupdate:processing-instruction>' +
+                    '</xupdate:append>')),
+            {'fails': 0, 'result': '<doc><!--one--><?a x?><!--two--><?b y?></doc>'});
+
+    test.deepEqual(patch(doc, modifications(
+                    '<xupdate:update select="/doc/comment()[1]">1</xupdate:update>' +
+                    '<xupdate:update select="/doc/processing-instruction(\'a\')">z</xupdate:update>')),
+            {'fails': 0, 'result': '<doc><!--1--><?a z?></doc>'});
+
+    test.deepEqual(patch(doc, modifications(
+                    '<xupdate:remove select="/doc/comment()"/>')),
+            {'fails': 0, 'result': '<doc><?a x?></doc>'});
+
+    test.done();
+};
+
+exports['should map updates of comments and processing instructions'] = function(test) {
+    var orig = '<doc><?xml-stylesheet href="a.xsl"?><p>a<!--x-->b</p></doc>';
+    var changed = '<doc><?xml-stylesheet href="b.xsl"?><p>a<!--y-->b</p></doc>';
+    var ops = diff(profiles.getDiffProfile('xcc'), orig, changed);
+
+    test.equals(ops, modifications(
+                '<xupdate:update select="/doc/p[1]/comment()[1]">y</xupdate:update>' +
+                '<xupdate:update select="/doc/processing-instruction(\'xml-stylesheet\')[1]">href="b.xsl"</xupdate:update>'));
+
+    test.deepEqual(patch(orig, ops), {'fails': 0, 'result': changed});
+
+    test.done();
+};
+
+exports['should select comments and processing instructions outside of the document element'] = function(test) {
+    var orig = '<?xml-stylesheet href="a.xsl"?><doc><p/></doc>';
+    var changed = '<?xml-stylesheet href="b.xsl"?><doc><p/></doc><!--license-->';
+    var ops = diff(profiles.getDiffProfile('xcc'), orig, changed);
+
+    test.equals(ops, modifications(
+                '<xupdate:insert-after select="/doc"><xupdate:comment>license</xupdate:comment></xupdate:insert-after>' +
+                '<xupdate:update select="/processing-instruction(\'xml-stylesheet\')[1]">href="b.xsl"</xupdate:update>'));
+
+    test.deepEqual(patch(orig, ops), {'fails': 0, 'result': changed});
+
+    test.deepEqual(patch(orig, modifications(
+                    '<xupdate:append select="/" child="1"><xupdate:comment>license</xupdate:comment></xupdate:append>')),
+            {'fails': 0, 'result': '<!--license-->' + orig});
+
+    test.equals(patch(orig, modifications(
+                    '<xupdate:insert-after select="/doc"><xupdate:text>x</xupdate:text></xupdate:insert-after>')).fails, 1);
+
+    test.done();
+};
+
+exports['should select elements in namespaces using prefixes'] = function(test) {
+    var orig = '<doc xmlns="urn:x" xmlns:y="urn:y"><a/><y:b/></doc>';
+    var changed = '<doc xmlns="urn:x" xmlns:y="urn:y"><a y:c="1"/></doc>';
+    var ops = diff(profiles.getDiffProfile('xcc'), orig, changed);
+
+    test.equals(ops, '<xupdate:modifications version="1.0" ' + XUPDATE +
+            ' xmlns:ns="urn:x" xmlns:y="urn:y">' +
+            '<xupdate:remove select="/ns:doc/y:b[1]"/>' +
+            '<xupdate:append select="/ns:doc/ns:a[1]">' +
+            '<xupdate:attribute name="y:c" namespace="urn:y">1</xupdate:attribute>' +
+            '</xupdate:append>' +
+            '</xupdate:modifications>');
+
+    test.deepEqual(patch(orig, ops), {'fails': 0, 'result': changed});
+
+    test.done();
+};
+
+['skelmatch', 'xcc'].forEach(function(algo) {
+    var diffProfile = profiles.getDiffProfile(algo);
+
+    exports['should roundtrip svg fixtures (' + algo + ')'] = function(test) {
+        var orig = require('./fixtures/logo-1');
+        var changed = require('./fixtures/logo-2');
+        var ops = diff(diffProfile, orig, changed);
+        var result = patch(orig, ops);
+
+        test.equals(result.fails, 0);
+        test.equals(treeHash(result.result), treeHash(changed));
+
+        test.done();
+    };
+
+    exports['should roundtrip html fixtures (' + algo + ')'] = function(test) {
+        var orig = require('./fixtures/zappa-quote-1');
+        var changed = require('./fixtures/zappa-quote-2');
+        var ops = diff(diffProfile, orig, changed);
+        var result = patch(orig, ops);
+
+        test.equals(result.fails, 0);
+        test.equals(treeHash(result.result), treeHash(changed));
+
+        test.done();
+    };
+});